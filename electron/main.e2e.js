@@ -3,8 +3,11 @@ import { app, BrowserWindow, Menu } from 'electron'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { setupBinanceConnection } from './services/binance-connection.js'
+import { SESSION_TOKEN_ARG, createSessionToken } from './services/session-auth.js'
 
-setupBinanceConnection();
+// Same per-launch handshake as main.js
+const sessionToken = createSessionToken();
+setupBinanceConnection({ sessionToken });
 
 const isWaylandSession = () => process.env.XDG_SESSION_TYPE === 'wayland' || !!process.env.WAYLAND_DISPLAY;
 
@@ -28,6 +31,7 @@ function createWindow() {
             nodeIntegration: true,
             contextIsolation: false,
             sandbox: false,
+            additionalArguments: [`${SESSION_TOKEN_ARG}${sessionToken}`],
         },
     })
 
@@ -2,6 +2,7 @@ import { app, BrowserWindow, Menu, ipcMain, session } from 'electron'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { setupBinanceConnection } from './services/binance-connection.js'
+import { SESSION_TOKEN_ARG, createSessionToken } from './services/session-auth.js'
 
 // ============================================================
 // Global error handlers to prevent crashes from network errors
@@ -45,7 +46,10 @@ process.on('unhandledRejection', (reason, promise) => {
   // Don't exit - let the app continue running
 });
 
-setupBinanceConnection();
+// Per-launch secret: only windows created below receive it, so other local
+// pages and processes cannot talk to the trading service
+const sessionToken = createSessionToken();
+setupBinanceConnection({ sessionToken, stateDir: process.env.STATE_DIR || app.getPath('userData') });
 
 // Get proxy URL from environment (supports http_proxy, HTTP_PROXY, https_proxy, HTTPS_PROXY)
 const getSystemProxy = () => {
@@ -101,6 +105,7 @@ function createWindow() {
       nodeIntegration: true,
       contextIsolation: false,
       sandbox: false,
+      additionalArguments: [`${SESSION_TOKEN_ARG}${sessionToken}`],
     },
   })
 
@@ -0,0 +1,124 @@
+/**
+ * Alert Evaluator - Price alerts checked against the all-symbols ticker stream
+ *
+ * Alert definitions live in the renderer's IndexedDB store; renderers send the whole
+ * list (setAlerts) after loading it and after every change. Each ticker event's last
+ * prices are checked against the active alerts of their symbol, so alerts fire for
+ * every pair, not only the one a renderer has open.
+ *
+ * Trigger semantics match the renderer's former checkAlerts():
+ * - price_above: price reaches the level from below (or is already above on the first price)
+ * - price_below: price reaches the level from above (or is already below on the first price)
+ * - price_cross: price reaches the level from either side; needs a previous price
+ * A triggered alert is deactivated unless it repeats.
+ */
+
+const ALERT_TYPES = {
+    PRICE_ABOVE: 'price_above',
+    PRICE_BELOW: 'price_below',
+    PRICE_CROSS: 'price_cross'
+};
+
+const KNOWN_TYPES = new Set(Object.values(ALERT_TYPES));
+
+/**
+ * Whether a price move triggers an alert level
+ * @param {string} type - ALERT_TYPES value
+ * @param {number} level
+ * @param {number} price
+ * @param {number|null} previousPrice - null for a symbol's first price
+ */
+const crossesLevel = (type, level, price, previousPrice) => {
+    switch (type) {
+        case ALERT_TYPES.PRICE_ABOVE:
+            return price >= level && (previousPrice === null || previousPrice < level);
+        case ALERT_TYPES.PRICE_BELOW:
+            return price <= level && (previousPrice === null || previousPrice > level);
+        case ALERT_TYPES.PRICE_CROSS:
+            return previousPrice !== null && (
+                (previousPrice < level && price >= level) ||
+                (previousPrice > level && price <= level)
+            );
+        default:
+            return false;
+    }
+};
+
+/**
+ * Validate a renderer alert; anything that cannot be evaluated is dropped
+ * @returns {Object|null} The alert with a numeric price and upper-case symbol
+ */
+const normalizeAlert = (alert) => {
+    if (!alert || alert.id === undefined || alert.id === null) return null;
+    if (typeof alert.symbol !== 'string' || !KNOWN_TYPES.has(alert.type)) return null;
+    const price = Number(alert.price);
+    if (!Number.isFinite(price)) return null;
+    return { ...alert, symbol: alert.symbol.toUpperCase(), price };
+};
+
+class AlertEvaluator {
+    constructor() {
+        this.alertsBySymbol = new Map(); // symbol -> alerts
+        this.previousPrices = new Map(); // symbol -> last seen price
+    }
+
+    /**
+     * Replace the alert definitions
+     * @param {Object[]} alerts - The renderer's stored alerts
+     * @returns {number} Alerts kept
+     */
+    setAlerts(alerts = []) {
+        this.alertsBySymbol = new Map();
+        let count = 0;
+        alerts.forEach((raw) => {
+            const alert = normalizeAlert(raw);
+            if (!alert) return;
+            if (!this.alertsBySymbol.has(alert.symbol)) this.alertsBySymbol.set(alert.symbol, []);
+            this.alertsBySymbol.get(alert.symbol).push(alert);
+            count++;
+        });
+        return count;
+    }
+
+    get size() {
+        let count = 0;
+        this.alertsBySymbol.forEach((alerts) => { count += alerts.length; });
+        return count;
+    }
+
+    /**
+     * Check ticker prices against the alerts
+     * @param {Array<{ symbol: string, lastPrice: string|number }>} tickers
+     * @param {number} [now]
+     * @returns {Array<{ alert: Object, currentPrice: number, timestamp: number }>} One entry per triggered alert,
+     *          carrying the alert's updated state
+     */
+    evaluate(tickers = [], now = Date.now()) {
+        const triggered = [];
+        tickers.forEach(({ symbol, lastPrice }) => {
+            const price = parseFloat(lastPrice);
+            if (!symbol || !(price > 0)) return;
+            const previousPrice = this.previousPrices.get(symbol) ?? null;
+            this.previousPrices.set(symbol, price);
+
+            const alerts = this.alertsBySymbol.get(symbol);
+            if (!alerts) return;
+            alerts.forEach((alert, index) => {
+                if (!alert.active || (alert.triggered && !alert.repeat)) return;
+                if (!crossesLevel(alert.type, alert.price, price, previousPrice)) return;
+                const updated = {
+                    ...alert,
+                    triggered: true,
+                    triggeredAt: now,
+                    lastPrice: price,
+                    active: !!alert.repeat
+                };
+                alerts[index] = updated;
+                triggered.push({ alert: updated, currentPrice: price, timestamp: now });
+            });
+        });
+        return triggered;
+    }
+}
+
+export { ALERT_TYPES, AlertEvaluator, crossesLevel };
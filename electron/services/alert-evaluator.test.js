@@ -0,0 +1,98 @@
+/**
+ * Tests for the backend price alert evaluator
+ *
+ * These tests verify:
+ * 1. Above/below/cross levels trigger on the move that reaches them
+ * 2. Alerts fire for any symbol in the ticker batch, each symbol tracking its own previous price
+ * 3. One-shot alerts deactivate after triggering; repeating alerts fire again
+ * 4. Synced definitions replace the previous ones; invalid entries are dropped
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ALERT_TYPES, AlertEvaluator, crossesLevel } from './alert-evaluator.js';
+
+const alert = (overrides = {}) => ({
+    id: 1,
+    symbol: 'ETHUSDT',
+    price: 3000,
+    type: ALERT_TYPES.PRICE_CROSS,
+    active: true,
+    triggered: false,
+    repeat: false,
+    ...overrides
+});
+
+const tick = (symbol, lastPrice) => ({ symbol, lastPrice: String(lastPrice) });
+
+describe('crossesLevel', () => {
+    it('should trigger above/below on reaching the level', () => {
+        expect(crossesLevel(ALERT_TYPES.PRICE_ABOVE, 100, 100, 99)).toBe(true);
+        expect(crossesLevel(ALERT_TYPES.PRICE_ABOVE, 100, 101, 100.5)).toBe(false);
+        expect(crossesLevel(ALERT_TYPES.PRICE_ABOVE, 100, 101, null)).toBe(true);
+        expect(crossesLevel(ALERT_TYPES.PRICE_BELOW, 100, 99, 101)).toBe(true);
+        expect(crossesLevel(ALERT_TYPES.PRICE_BELOW, 100, 101, null)).toBe(false);
+    });
+
+    it('should trigger cross in either direction only with a previous price', () => {
+        expect(crossesLevel(ALERT_TYPES.PRICE_CROSS, 100, 101, 99)).toBe(true);
+        expect(crossesLevel(ALERT_TYPES.PRICE_CROSS, 100, 99, 101)).toBe(true);
+        expect(crossesLevel(ALERT_TYPES.PRICE_CROSS, 100, 101, null)).toBe(false);
+    });
+});
+
+describe('AlertEvaluator', () => {
+    it('should fire alerts for every symbol in the batch', () => {
+        const evaluator = new AlertEvaluator();
+        evaluator.setAlerts([
+            alert(),
+            alert({ id: 2, symbol: 'btcusdt', price: 60000, type: ALERT_TYPES.PRICE_BELOW })
+        ]);
+
+        evaluator.evaluate([tick('ETHUSDT', 2990), tick('BTCUSDT', 61000)]);
+        const triggered = evaluator.evaluate([tick('ETHUSDT', 3010), tick('BTCUSDT', 59000)], 1000);
+
+        expect(triggered).toEqual([
+            { alert: expect.objectContaining({ id: 1, triggered: true, triggeredAt: 1000, lastPrice: 3010, active: false }), currentPrice: 3010, timestamp: 1000 },
+            { alert: expect.objectContaining({ id: 2, symbol: 'BTCUSDT', lastPrice: 59000 }), currentPrice: 59000, timestamp: 1000 }
+        ]);
+    });
+
+    it('should track the previous price per symbol', () => {
+        const evaluator = new AlertEvaluator();
+        evaluator.setAlerts([alert()]);
+
+        evaluator.evaluate([tick('ETHUSDT', 2990)]);
+        // Another symbol's price must not count as ETHUSDT's previous price
+        evaluator.evaluate([tick('BTCUSDT', 3050)]);
+
+        expect(evaluator.evaluate([tick('ETHUSDT', 2995)])).toEqual([]);
+        expect(evaluator.evaluate([tick('ETHUSDT', 3000)])).toHaveLength(1);
+    });
+
+    it('should only fire repeating alerts again', () => {
+        const evaluator = new AlertEvaluator();
+        evaluator.setAlerts([alert(), alert({ id: 2, repeat: true })]);
+
+        const prices = [2990, 3010, 2990, 3010];
+        const fired = prices.flatMap((price) => evaluator.evaluate([tick('ETHUSDT', price)]))
+            .map(({ alert: { id } }) => id);
+
+        expect(fired).toEqual([1, 2, 2, 2]);
+    });
+
+    it('should replace definitions and drop invalid ones', () => {
+        const evaluator = new AlertEvaluator();
+        evaluator.setAlerts([alert()]);
+
+        expect(evaluator.setAlerts([
+            alert({ id: 3, price: '3100' }),
+            alert({ id: undefined }),
+            alert({ id: 4, type: 'volume_spike' }),
+            alert({ id: 5, price: 'abc' })
+        ])).toBe(1);
+        expect(evaluator.size).toBe(1);
+
+        evaluator.evaluate([tick('ETHUSDT', 3050)]);
+        expect(evaluator.evaluate([tick('ETHUSDT', 3150)]).map(({ alert: { id } }) => id)).toEqual([3]);
+    });
+});
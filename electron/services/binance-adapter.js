@@ -0,0 +1,555 @@
+/**
+ * Binance Adapter - ExchangeAdapter backed by @binance/spot
+ *
+ * Owns everything Binance-specific:
+ * - The Spot client (REST + WebSocket streams) and its proxy configuration
+ * - REST request weights and priorities for the RateLimiter (rate-limiter.js)
+ * - listenKey lifecycle for the user data stream
+ * - Translation of raw stream payloads into the normalized events of exchange-adapter.js
+ *
+ * Raw stream messages are teed into the StreamRecorder when one is configured.
+ */
+
+import { EventEmitter } from 'events';
+import { Spot } from '@binance/spot';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { SocksProxyAgent } from 'socks-proxy-agent';
+import {
+    ExchangeAdapter,
+    executionTypeForStatus,
+    extractTickerFields,
+    normalizeExecutionReport
+} from './exchange-adapter.js';
+import { REPLACE_RESULTS, classifyReplaceFailure } from './order-builder.js';
+import { RateLimiter, REQUEST_PRIORITY } from './rate-limiter.js';
+import { STREAM_SOURCES } from './stream-recorder.js';
+
+// Binance API weights: exchangeInfo=10, depth=5-250, klines=1-5, trades=1, ticker=80, account=10, orders=1
+const REST_WEIGHTS = {
+    exchangeInfo: 10,
+    depth: 5,
+    klines: 2,
+    getTrades: 1,
+    ticker24hr: 80, // All symbols
+    getAccount: 10,
+    getOpenOrders: 3,
+    myTrades: 10,
+    userDataStream: 1,
+    newOrder: 1,
+    orderListOco: 1,
+    deleteOrder: 1,
+    deleteOpenOrders: 1,
+    orderCancelReplace: 1
+};
+
+// Depth snapshot weight grows with the requested limit
+const depthWeight = (limit) => {
+    if (limit <= 100) return 5;
+    if (limit <= 500) return 25;
+    if (limit <= 1000) return 50;
+    return 250;
+};
+
+// Kline weight grows with the requested limit
+const klinesWeight = (limit) => {
+    if (limit <= 100) return 1;
+    if (limit <= 500) return 2;
+    if (limit <= 1000) return 5;
+    return 10;
+};
+
+// WebSocket connection throttle (500ms between new connections)
+const WS_CONNECTION_MIN_INTERVAL = 500;
+
+// listenKeys expire after 60 minutes without a keep-alive
+const LISTEN_KEY_KEEPALIVE_MS = 30 * 60 * 1000;
+
+const resolveProxyAgent = (logger = console) => {
+    const proxyUrl =
+        process.env.https_proxy ||
+        process.env.HTTPS_PROXY ||
+        process.env.http_proxy ||
+        process.env.HTTP_PROXY;
+
+    if (!proxyUrl) return null;
+
+    try {
+        const protocol = new URL(proxyUrl).protocol.replace(':', '').toLowerCase();
+        let agent;
+        if (protocol.startsWith('socks')) {
+            agent = new SocksProxyAgent(proxyUrl);
+        } else if (protocol === 'http' || protocol === 'https') {
+            agent = new HttpsProxyAgent(proxyUrl);
+        }
+
+        if (agent) {
+            agent.toJSON = () => ({
+                proxy: proxyUrl,
+                protocol
+            });
+            return agent;
+        }
+        logger.warn(`Unsupported proxy protocol "${protocol}" for URL: ${proxyUrl}`);
+    } catch (err) {
+        logger.error("Failed to parse proxy URL:", proxyUrl, err);
+    }
+    return null;
+};
+
+// Suppress @binance/spot verbose console output globally
+// This library logs every axios request args to console
+const silenceAxiosLogging = (() => {
+    let applied = false;
+    return () => {
+        if (applied) return;
+        applied = true;
+        const originalConsoleLog = console.log;
+        console.log = (...args) => {
+            // Filter out "Axios Request Args" and similar verbose library output
+            const firstArg = args[0];
+            if (typeof firstArg === 'string' &&
+                (firstArg.includes('Axios Request Args') ||
+                 firstArg.includes('Axios Response Data'))) {
+                return; // Suppress this log
+            }
+            originalConsoleLog.apply(console, args);
+        };
+    };
+})();
+
+const normalizeBinanceCandle = (candle) => ({
+    time: Math.floor(candle[0] / 1000), // Open time
+    open: parseFloat(candle[1]),
+    high: parseFloat(candle[2]),
+    low: parseFloat(candle[3]),
+    close: parseFloat(candle[4]),
+    volume: parseFloat(candle[5]),
+    isFinal: true, // REST klines are final
+});
+
+const normalizeStreamCandle = (kline) => ({
+    time: Math.floor(kline.t / 1000),
+    open: parseFloat(kline.o),
+    high: parseFloat(kline.h),
+    low: parseFloat(kline.l),
+    close: parseFloat(kline.c),
+    volume: parseFloat(kline.v),
+    isFinal: kline.x,
+});
+
+const parseFilters = (symbolInfo) => {
+    const parsedFilters = {
+        status: symbolInfo.status,
+        baseAsset: symbolInfo.baseAsset,
+        quoteAsset: symbolInfo.quoteAsset,
+        baseAssetPrecision: symbolInfo.baseAssetPrecision,
+        quoteAssetPrecision: symbolInfo.quoteAssetPrecision,
+        quotePrecision: symbolInfo.quotePrecision,
+    };
+    symbolInfo.filters.forEach(f => {
+        if (f.filterType === 'MIN_NOTIONAL') parsedFilters.minNotional = f.minNotional;
+        if (f.filterType === 'PRICE_FILTER') {
+            parsedFilters.minPrice = f.minPrice;
+            parsedFilters.maxPrice = f.maxPrice;
+            parsedFilters.tickSize = f.tickSize;
+        }
+        if (f.filterType === 'LOT_SIZE') {
+            parsedFilters.stepSize = f.stepSize;
+            parsedFilters.minQty = f.minQty;
+            parsedFilters.maxQty = f.maxQty;
+        }
+    });
+    return parsedFilters;
+};
+
+const extractStreamPayload = (rawMessage) => {
+    try {
+        const parsed = JSON.parse(rawMessage);
+        return parsed?.data ?? parsed;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Translate a raw market socket message (kline, trade or depthUpdate)
+ * @param {string|Buffer} rawMessage
+ * @returns {Object|null} Normalized market event
+ */
+const parseMarketMessage = (rawMessage) => {
+    const payload = extractStreamPayload(rawMessage);
+    if (!payload || typeof payload !== 'object') return null;
+
+    switch (payload.e) {
+        case 'kline':
+            if (!payload.k) return null;
+            return {
+                type: 'kline',
+                symbol: payload.k.s,
+                interval: payload.k.i,
+                candle: normalizeStreamCandle(payload.k)
+            };
+        case 'trade':
+            return {
+                type: 'trade',
+                symbol: payload.s,
+                trade: {
+                    time: payload.T,
+                    price: payload.p,
+                    qty: payload.q,
+                    p: payload.p,
+                    q: payload.q,
+                    isBuyerMaker: payload.m,
+                    s: payload.s
+                }
+            };
+        case 'depthUpdate':
+            return {
+                type: 'depth',
+                symbol: payload.s,
+                firstUpdateId: payload.U,
+                lastUpdateId: payload.u,
+                bids: payload.b ?? [],
+                asks: payload.a ?? []
+            };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Translate a raw !ticker@arr message
+ * @param {string|Buffer} rawMessage
+ * @returns {{ type: 'ticker', tickers: Object[] }|null}
+ */
+const parseTickerMessage = (rawMessage) => {
+    const payload = extractStreamPayload(rawMessage);
+    if (!payload) return null;
+    const tickerArray = Array.isArray(payload)
+        ? payload
+        : payload?.e === '24hrTicker'
+            ? [payload]
+            : [];
+    if (!tickerArray.length) return null;
+    return { type: 'ticker', tickers: tickerArray.filter((entry) => entry?.s).map(extractTickerFields) };
+};
+
+/**
+ * Translate a raw user data stream message
+ * @param {string|Buffer} rawMessage
+ * @returns {Object|null} Normalized user event
+ */
+const parseUserMessage = (rawMessage) => {
+    const payload = extractStreamPayload(rawMessage);
+    if (!payload) return null;
+
+    if (payload.e === 'executionReport') {
+        return { type: 'execution', report: normalizeExecutionReport(payload) };
+    }
+    if (payload.e === 'outboundAccountPosition') {
+        const balances = {};
+        (payload.B ?? []).forEach(({ a, f, l }) => {
+            balances[a] = { available: f, onOrder: l };
+        });
+        return { type: 'balances', balances };
+    }
+    return null;
+};
+
+const closeSocket = async (socket) => {
+    const closer =
+        typeof socket.disconnect === 'function'
+            ? socket.disconnect.bind(socket)
+            : typeof socket.close === 'function'
+                ? socket.close.bind(socket)
+                : null;
+    if (closer) await closer();
+};
+
+/**
+ * Wrap a raw Binance stream socket so it emits normalized events
+ * @param {EventEmitter} socket - Socket emitting raw JSON 'message's
+ * @param {Function} parse - parseMarketMessage | parseTickerMessage | parseUserMessage
+ * @param {Function} [onRawMessage] - Tap for every raw message (recording)
+ * @returns {EventEmitter & { disconnect: Function }}
+ */
+const wrapStreamSocket = (socket, parse, onRawMessage = null) => {
+    const wrapped = new EventEmitter();
+    socket.on('message', (data) => {
+        onRawMessage?.(data);
+        const event = parse(data);
+        if (event) wrapped.emit('message', event);
+    });
+    socket.on('error', (err) => wrapped.emit('error', err));
+    socket.on('close', (code, reason) => wrapped.emit('close', code, reason));
+    wrapped.disconnect = () => closeSocket(socket);
+    return wrapped;
+};
+
+class BinanceAdapter extends ExchangeAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey
+     * @param {string} options.apiSecret
+     * @param {import('./stream-recorder.js').StreamRecorder|null} [options.recorder] - Receives every raw stream message
+     * @param {Object} [options.logger]
+     */
+    constructor({ apiKey, apiSecret, recorder = null, logger = console }) {
+        super();
+        this.logger = logger;
+        this.recorder = recorder;
+        this.rateLimiter = new RateLimiter({ logger });
+        this.lastWsConnectionTime = 0;
+
+        const proxyAgent = resolveProxyAgent(logger);
+        const restConfig = {
+            apiKey,
+            apiSecret,
+            keepAlive: false,  // Disable keepAlive to avoid axios agent issues
+            compression: false, // Disable compression headers
+            timeout: 10000      // Increase timeout to 10 seconds
+        };
+
+        if (proxyAgent) {
+            restConfig.httpsAgent = proxyAgent;
+        }
+
+        this.client = new Spot({
+            configurationRestAPI: restConfig,
+            configurationWebsocketStreams: proxyAgent ? { agent: proxyAgent } : {}
+        });
+
+        const restBaseOptions = this.client?.restAPI?.configuration?.baseOptions;
+        if (restBaseOptions) {
+            restBaseOptions.proxy = false;
+            if (proxyAgent) {
+                restBaseOptions.httpsAgent = proxyAgent;
+            }
+            if (!restBaseOptions.headers) {
+                restBaseOptions.headers = {};
+            }
+            delete restBaseOptions.headers['Content-Type'];
+        }
+
+        silenceAxiosLogging();
+    }
+
+    getRateLimitStatus() {
+        return this.rateLimiter.getStatus();
+    }
+
+    /**
+     * Rate-limited REST call
+     * @param {string} endpoint - Key of REST_WEIGHTS
+     * @param {Function} call - (restAPI) => response
+     * @param {Object} [options]
+     * @param {number} [options.weight] - Overrides REST_WEIGHTS for parameter-dependent endpoints
+     * @param {number} [options.priority] - REQUEST_PRIORITY value
+     */
+    rest(endpoint, call, { weight = REST_WEIGHTS[endpoint] ?? 1, priority = REQUEST_PRIORITY.NORMAL } = {}) {
+        return this.rateLimiter.execute(async () => {
+            const response = await call(this.client.restAPI);
+            this.rateLimiter.reconcile(response.rateLimits);
+            return response.data();
+        }, { weight, priority });
+    }
+
+    /**
+     * Order REST call: served before other requests and never retried, since a
+     * retry after a lost response could place the order twice
+     * @param {string} method - restAPI method, key of REST_WEIGHTS
+     * @param {Object} params
+     * @param {number} [orders] - Orders the request creates (OCO = 2, cancel = 0)
+     */
+    orderRest(method, params, orders = 1) {
+        return this.rateLimiter.execute(async () => {
+            const response = await this.client.restAPI[method](params);
+            this.rateLimiter.reconcile(response.rateLimits);
+            return response.data();
+        }, { weight: REST_WEIGHTS[method] ?? 1, priority: REQUEST_PRIORITY.ORDER, orders, maxRetries: 0 });
+    }
+
+    async throttleWsConnection() {
+        const elapsed = Date.now() - this.lastWsConnectionTime;
+        if (elapsed < WS_CONNECTION_MIN_INTERVAL) {
+            await new Promise(resolve => setTimeout(resolve, WS_CONNECTION_MIN_INTERVAL - elapsed));
+        }
+        this.lastWsConnectionTime = Date.now();
+    }
+
+    async connectStream(stream, source, parse) {
+        await this.throttleWsConnection();
+        const socket = await this.client.websocketStreams.connect({ stream });
+        const record = this.recorder ? (data) => this.recorder.record(source, data) : null;
+        return wrapStreamSocket(socket, parse, record);
+    }
+
+    // --- Market data -------------------------------------------------------
+
+    async getKlines(symbol, interval, { limit = 500, endTime } = {}) {
+        const klines = await this.rest(
+            'klines',
+            (api) => api.klines({ symbol, interval, limit, ...(endTime ? { endTime } : {}) }),
+            { weight: klinesWeight(limit), priority: REQUEST_PRIORITY.BACKFILL }
+        );
+        return Array.isArray(klines) ? klines.map(normalizeBinanceCandle) : [];
+    }
+
+    async getDepthSnapshot(symbol, { limit = 100 } = {}) {
+        return this.rest('depth', (api) => api.depth({ symbol, limit }), { weight: depthWeight(limit) });
+    }
+
+    async getRecentTrades(symbol, { limit = 100 } = {}) {
+        const recentTrades = await this.rest('getTrades', (api) => api.getTrades({ symbol, limit }));
+        return Array.isArray(recentTrades)
+            ? recentTrades.map(t => ({
+                time: t.time,
+                price: t.price,
+                qty: t.qty,
+                isBuyerMaker: t.isBuyerMaker
+            }))
+            : [];
+    }
+
+    async getTicker() {
+        const tickerData = await this.rest('ticker24hr', (api) => api.ticker24hr());
+        const entries = Array.isArray(tickerData) ? tickerData : [tickerData];
+        return entries.map(extractTickerFields);
+    }
+
+    async getFilters(symbol) {
+        const exchangeInfo = await this.rest('exchangeInfo', (api) => api.exchangeInfo({ symbol }));
+        const symbolInfo = exchangeInfo?.symbols?.[0];
+        return symbolInfo ? parseFilters(symbolInfo) : null;
+    }
+
+    // --- Account -----------------------------------------------------------
+
+    async getBalances() {
+        const account = await this.rest('getAccount', (api) => api.getAccount());
+        const balances = {};
+        account?.balances?.forEach(b => {
+            if (parseFloat(b.free) > 0 || parseFloat(b.locked) > 0) {
+                balances[b.asset] = { available: b.free, onOrder: b.locked };
+            }
+        });
+        return balances;
+    }
+
+    async getOpenOrders() {
+        return this.rest('getOpenOrders', (api) => api.getOpenOrders({}));
+    }
+
+    async getMyTrades(symbol, { limit = 500, fromId } = {}) {
+        // Paging by fromId is the background history sync, which yields to everything else
+        const paging = fromId !== undefined;
+        return this.rest(
+            'myTrades',
+            (api) => api.myTrades({ symbol, limit, ...(paging ? { fromId } : {}) }),
+            { priority: paging ? REQUEST_PRIORITY.BACKFILL : REQUEST_PRIORITY.NORMAL }
+        );
+    }
+
+    // --- Orders ------------------------------------------------------------
+
+    async placeOrder(orderRequest) {
+        const isOco = orderRequest.method === 'orderListOco';
+        const data = await this.orderRest(orderRequest.method, orderRequest.params, isOco ? 2 : 1);
+        // OCO responses carry one report per leg
+        const reports = isOco ? (data?.orderReports ?? []) : [data];
+        return reports.map((report) => normalizeExecutionReport(report, { x: executionTypeForStatus(report?.status) }));
+    }
+
+    async cancelOrder({ symbol, orderId, origClientOrderId, newClientOrderId }) {
+        const cancelParams = { symbol };
+        if (orderId) {
+            cancelParams.orderId = orderId;
+        } else if (origClientOrderId) {
+            cancelParams.origClientOrderId = origClientOrderId;
+        }
+        if (newClientOrderId) {
+            cancelParams.newClientOrderId = newClientOrderId;
+        }
+        const data = await this.orderRest('deleteOrder', cancelParams, 0);
+        return [normalizeExecutionReport(data, { x: 'CANCELED', status: 'CANCELED', X: 'CANCELED' })];
+    }
+
+    async cancelOpenOrders(symbol) {
+        const data = await this.orderRest('deleteOpenOrders', { symbol }, 0);
+        // OCO lists come back as one entry with a report per leg
+        return (Array.isArray(data) ? data : [])
+            .flatMap((entry) => entry?.orderReports ?? [entry])
+            .map((report) => normalizeExecutionReport(report, { x: 'CANCELED', status: 'CANCELED', X: 'CANCELED' }));
+    }
+
+    async replaceOrder(replaceRequest) {
+        try {
+            const data = await this.orderRest('orderCancelReplace', replaceRequest.params);
+            const reports = [];
+            if (data?.cancelResponse) {
+                reports.push(normalizeExecutionReport(data.cancelResponse, {
+                    x: 'CANCELED',
+                    status: 'CANCELED',
+                    X: 'CANCELED'
+                }));
+            }
+            if (data?.newOrderResponse) {
+                reports.push(normalizeExecutionReport(data.newOrderResponse, {
+                    x: executionTypeForStatus(data.newOrderResponse.status)
+                }));
+            }
+            return { result: REPLACE_RESULTS.REPLACED, reports, newOrderId: data?.newOrderResponse?.orderId };
+        } catch (error) {
+            const result = classifyReplaceFailure(error);
+            this.logger.error(`Replace order error (${result}):`, error);
+            return { result, reports: [], code: error?.code, reason: error?.message };
+        }
+    }
+
+    // --- Streams -----------------------------------------------------------
+
+    async connectMarketStream(streams) {
+        return this.connectStream(streams, STREAM_SOURCES.MARKET, parseMarketMessage);
+    }
+
+    async connectTickerStream() {
+        return this.connectStream('!ticker@arr', STREAM_SOURCES.TICKER, parseTickerMessage);
+    }
+
+    async connectUserStream() {
+        const data = await this.rest('userDataStream', (api) => api.sendRequest('/api/v3/userDataStream', 'POST'));
+        const listenKey = data?.listenKey;
+        if (!listenKey) {
+            throw new Error('Failed to obtain listenKey');
+        }
+        this.logger.info("Listen Key obtained successfully.");
+
+        const socket = await this.connectStream(listenKey, STREAM_SOURCES.USER, parseUserMessage);
+
+        // Keep-alive every 30 minutes
+        const keepAliveInterval = setInterval(async () => {
+            try {
+                await this.rest('userDataStream', (api) => api.sendRequest('/api/v3/userDataStream', 'PUT', { listenKey }));
+                this.logger.debug("Renewed listenKey");
+            } catch (err) {
+                this.logger.warn("Failed to renew listenKey:", err?.code || err?.message);
+            }
+        }, LISTEN_KEY_KEEPALIVE_MS);
+        socket.on('close', () => clearInterval(keepAliveInterval));
+
+        const disconnect = socket.disconnect;
+        socket.disconnect = () => {
+            clearInterval(keepAliveInterval);
+            return disconnect();
+        };
+        return socket;
+    }
+}
+
+export {
+    BinanceAdapter,
+    parseMarketMessage,
+    parseTickerMessage,
+    parseUserMessage,
+    wrapStreamSocket
+};
@@ -1,10 +1,30 @@
 import http from 'http';
+import path from 'path';
 import { server as WebSocketServer } from 'websocket';
-import { Spot } from '@binance/spot';
-import { HttpsProxyAgent } from 'https-proxy-agent';
-import { SocksProxyAgent } from 'socks-proxy-agent';
 import { Buffer } from 'buffer';
 import { ChannelManager, CHANNEL_TYPES } from './channel-manager.js';
+import { DepthCache, DEPTH_SYNC_STATES, DEPTH_UPDATE_RESULTS } from './depth-cache.js';
+import { SubscriptionRegistry } from './subscription-registry.js';
+import { extractTickerFields, fillFromExecutionReport } from './exchange-adapter.js';
+import { BinanceAdapter } from './binance-adapter.js';
+import { MockAdapter } from './mock-adapter.js';
+import { PaperAdapter } from './paper-adapter.js';
+import { PaperExchange, parsePaperBalances } from './paper-exchange.js';
+import { ReplayAdapter } from './replay-adapter.js';
+import { StreamRecorder, StreamReplayer, parseReplaySpeed } from './stream-recorder.js';
+import { REPLACE_RESULTS, buildOrderRequest, buildReplaceRequest } from './order-builder.js';
+import { authorizeRequest, defaultAllowedOrigins } from './session-auth.js';
+import { createStatusHandler } from './status-routes.js';
+import { MetricsRegistry, RateWindow } from './metrics.js';
+import { CandleAggregator, fetchKlines, resolveInterval } from './candle-aggregator.js';
+import { buildTradeBars, needsTickSize, parseTradeBarInterval } from './trade-bars.js';
+import { selectSyncSymbols, syncTradeHistory } from './trade-history-sync.js';
+import { AlertEvaluator } from './alert-evaluator.js';
+import { HookDispatcher } from './hooks.js';
+import { ALGO_STATUS, AlgoExecutor } from './execution-algos.js';
+import { TRAILING_STATUS, TrailingStopManager } from './trailing-stops.js';
+import { BRACKET_STATUS, BracketManager } from './bracket-orders.js';
+import { parseKillSwitch, runKillSwitch } from './kill-switch.js';
 
 const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
 const activeLogLevel = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LOG_LEVELS.info;
@@ -15,251 +35,20 @@ const logger = {
     error: (...args) => console.error(...args)
 };
 
-// Mock Data Generators (Preserved)
-const generateTrade = () => ({
-    time: Date.now(),
-    price: (45000 + Math.random() * 100).toFixed(2),
-    qty: (Math.random() * 2).toFixed(4),
-    isBuyerMaker: Math.random() > 0.5
-});
-
-const generateTicker = () => ([
-    { symbol: 'BTCUSDT', lastPrice: (45000 + Math.random() * 100).toFixed(2), priceChangePercent: '2.5', highPrice: '46000.00', lowPrice: '44000.00', quoteVolume: '100000000', closeTime: Date.now() },
-    { symbol: 'ETHUSDT', lastPrice: (3000 + Math.random() * 50).toFixed(2), priceChangePercent: '1.2', highPrice: '3100.00', lowPrice: '2900.00', quoteVolume: '50000000', closeTime: Date.now() }
-]);
-
-const generateDepth = () => {
-    const bids = {};
-    const asks = {};
-    for (let i = 0; i < 10; i++) {
-        bids[(44900 + i * 10).toFixed(2)] = (Math.random() * 2).toFixed(2);
-        asks[(45100 + i * 10).toFixed(2)] = (Math.random() * 2).toFixed(2);
-    }
-    return { bids, asks };
-};
-
-const buildMockCandle = (timestamp, open, high, low, close, volume) => ({
-    time: Math.floor(timestamp / 1000),
-    open: Number(open),
-    high: Number(high),
-    low: Number(low),
-    close: Number(close),
-    volume: Number(volume),
-    isFinal: true,
-});
-
-const buildMockChartPayload = () => {
-    const base = Date.now();
-    const candles = [
-        buildMockCandle(base - 60000, 45000, 45100, 44900, 45050, 1000),
-        buildMockCandle(base, 45050, 45150, 45000, 45100, 1200),
-    ];
-    return {
-        chart: candles,
-        last_tick: candles[candles.length - 1],
-    };
-};
-
-const normalizeBinanceCandle = (candle) => ({
-    time: Math.floor(candle[0] / 1000), // Open time
-    open: parseFloat(candle[1]),
-    high: parseFloat(candle[2]),
-    low: parseFloat(candle[3]),
-    close: parseFloat(candle[4]),
-    volume: parseFloat(candle[5]),
-    isFinal: true, // REST klines are final
-});
-
-const normalizeStreamCandle = (kline) => ({
-    time: Math.floor(kline.t / 1000),
-    open: parseFloat(kline.o),
-    high: parseFloat(kline.h),
-    low: parseFloat(kline.l),
-    close: parseFloat(kline.c),
-    volume: parseFloat(kline.v),
-    isFinal: kline.x,
-});
-
-const extractStreamPayload = (rawMessage) => {
-    try {
-        const parsed = JSON.parse(rawMessage);
-        return parsed?.data ?? parsed;
-    } catch (error) {
-        logger.error("Failed to parse WebSocket payload:", error);
-        return null;
-    }
-};
-
-/**
- * Rate Limiter for Binance API calls
- * Binance limits: ~1200 weight per minute for REST API
- * We use a conservative limit to avoid hitting the cap
- * 
- * Key features:
- * - 500ms hard-coded delay before each request (prevents burst)
- * - Weight-based capacity check (800 weight per minute)
- * - Automatic retry on network errors (ECONNRESET, etc.)
- */
-class RateLimiter {
-    constructor(maxWeight = 800, windowMs = 60000, requestDelayMs = 500) {
-        this.maxWeight = maxWeight;        // Max weight per window (conservative)
-        this.windowMs = windowMs;          // Window size in ms (1 minute)
-        this.requestDelayMs = requestDelayMs; // Hard-coded delay before each request
-        this.requests = [];                // Track { timestamp, weight }
-        this.lastRequestTime = 0;          // Last request timestamp for spacing
-    }
-
-    /**
-     * Clean up old requests outside the window
-     */
-    cleanup() {
-        const now = Date.now();
-        this.requests = this.requests.filter(r => now - r.timestamp < this.windowMs);
-    }
-
-    /**
-     * Get current weight used in the window
-     */
-    getCurrentWeight() {
-        this.cleanup();
-        return this.requests.reduce((sum, r) => sum + r.weight, 0);
-    }
-
-    /**
-     * Wait until we have capacity for the given weight
-     */
-    async waitForCapacity(weight) {
-        const currentWeight = this.getCurrentWeight();
-        if (currentWeight + weight <= this.maxWeight) {
-            return; // We have capacity
-        }
-
-        // Calculate wait time based on oldest request
-        if (this.requests.length === 0) return;
-
-        const oldestRequest = this.requests[0];
-        const waitTime = this.windowMs - (Date.now() - oldestRequest.timestamp) + 100; // +100ms buffer
+// Delay before retrying a depth snapshot that failed or did not bridge the buffered diffs
+const DEPTH_RESYNC_RETRY_MS = 1000;
 
-        if (waitTime > 0) {
-            logger.debug(`Rate limiter: waiting ${waitTime}ms (current weight: ${currentWeight}/${this.maxWeight})`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+// Full book kept per detail channel; the renderer only receives an aggregated ladder of it
+const DEPTH_SNAPSHOT_LIMIT = 1000;
+const DEFAULT_DEPTH_LADDER_LEVELS = 100;
+const MAX_DEPTH_LADDER_LEVELS = 500;
 
-        // Recursive check after waiting
-        return this.waitForCapacity(weight);
-    }
+// Chart history: candles sent on subscribe, and the largest scroll-back page Binance serves
+const CHART_KLINES_LIMIT = 500;
+const MAX_HISTORY_PAGE_LIMIT = 1000;
 
-    /**
-     * Ensure minimum delay between requests
-     */
-    async enforceDelay() {
-        const now = Date.now();
-        const elapsed = now - this.lastRequestTime;
-        if (elapsed < this.requestDelayMs) {
-            await new Promise(resolve => setTimeout(resolve, this.requestDelayMs - elapsed));
-        }
-        this.lastRequestTime = Date.now();
-    }
-
-    /**
-     * Execute a function with rate limiting
-     * @param {Function} fn - Async function to execute
-     * @param {number} weight - Weight of this request (default 1)
-     * @param {number} maxRetries - Max retries on network errors (default 2)
-     */
-    async execute(fn, weight = 1, maxRetries = 2) {
-        // Wait for capacity (weight-based)
-        await this.waitForCapacity(weight);
-        
-        // Enforce minimum delay between requests (500ms)
-        await this.enforceDelay();
-
-        this.requests.push({ timestamp: Date.now(), weight });
-
-        // Execute with retry on network errors
-        let lastError;
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            try {
-                return await fn();
-            } catch (err) {
-                lastError = err;
-                const isNetworkError = err?.code === 'ECONNRESET' || 
-                                       err?.code === 'ETIMEDOUT' ||
-                                       err?.code === 'ENOTFOUND' ||
-                                       err?.code === 'ECONNREFUSED' ||
-                                       err?.message?.includes('socket disconnected') ||
-                                       err?.message?.includes('network');
-                
-                if (isNetworkError && attempt < maxRetries) {
-                    const retryDelay = 1000 * (attempt + 1); // 1s, 2s, 3s
-                    logger.warn(`Network error (${err.code || 'unknown'}), retrying in ${retryDelay}ms (attempt ${attempt + 1}/${maxRetries})`);
-                    await new Promise(resolve => setTimeout(resolve, retryDelay));
-                    continue;
-                }
-                throw err;
-            }
-        }
-        throw lastError;
-    }
-}
-
-// Global rate limiter instance: 800 weight/min, 500ms delay between requests
-const rateLimiter = new RateLimiter(800, 60000, 500);
-
-// WebSocket connection throttle (500ms between new connections)
-let lastWsConnectionTime = 0;
-const WS_CONNECTION_MIN_INTERVAL = 500; // 500ms between new WS connections
-
-const throttleWsConnection = async () => {
-    const now = Date.now();
-    const elapsed = now - lastWsConnectionTime;
-    if (elapsed < WS_CONNECTION_MIN_INTERVAL) {
-        await new Promise(resolve => setTimeout(resolve, WS_CONNECTION_MIN_INTERVAL - elapsed));
-    }
-    lastWsConnectionTime = Date.now();
-};
-
-const resolveProxyAgent = () => {
-    const proxyUrl =
-        process.env.https_proxy ||
-        process.env.HTTPS_PROXY ||
-        process.env.http_proxy ||
-        process.env.HTTP_PROXY;
-
-    if (!proxyUrl) return null;
-
-    try {
-        const protocol = new URL(proxyUrl).protocol.replace(':', '').toLowerCase();
-        let agent;
-        if (protocol.startsWith('socks')) {
-            agent = new SocksProxyAgent(proxyUrl);
-        } else if (protocol === 'http' || protocol === 'https') {
-            agent = new HttpsProxyAgent(proxyUrl);
-        }
-
-        if (agent) {
-            agent.toJSON = () => ({
-                proxy: proxyUrl,
-                protocol
-            });
-            return agent;
-        }
-        logger.warn(`Unsupported proxy protocol "${protocol}" for URL: ${proxyUrl}`);
-    } catch (err) {
-        logger.error("Failed to parse proxy URL:", proxyUrl, err);
-    }
-    return null;
-};
-
-const extractTickerFields = (source = {}) => ({
-    symbol: source.symbol || source.s,
-    lastPrice: source.lastPrice || source.c,
-    priceChangePercent: source.priceChangePercent || source.P,
-    highPrice: source.highPrice || source.h,
-    lowPrice: source.lowPrice || source.l,
-    quoteVolume: source.quoteVolume || source.q,
-    closeTime: source.closeTime || source.C
-});
+// Trades that seed tick/volume/range/Renko bars on subscribe (Binance's recent trades maximum)
+const TRADE_BARS_SEED_TRADES = 1000;
 
 const tickerCache = {
     entries: [],
@@ -287,35 +76,6 @@ const tickerCache = {
 };
 let tickerSnapshotPromise = null;
 
-const normalizeExecutionReport = (payload = {}, overrides = {}) => {
-    const timestamp = payload.transactTime ?? payload.updateTime ?? payload.T ?? Date.now();
-    const status = overrides.status || payload.status || payload.X || payload.orderStatus || 'NEW';
-    return {
-        e: 'executionReport',
-        s: payload.symbol ?? payload.s,
-        symbol: payload.symbol ?? payload.s,
-        S: payload.side ?? payload.S,
-        side: payload.side ?? payload.S,
-        o: payload.type ?? payload.o,
-        type: payload.type ?? payload.o,
-        x: overrides.x || payload.x || payload.executionType || status,
-        X: status,
-        status,
-        i: payload.orderId ?? payload.i,
-        orderId: payload.orderId ?? payload.i,
-        p: payload.price ?? payload.origPrice ?? payload.p ?? '0',
-        price: payload.price ?? payload.origPrice ?? payload.p ?? '0',
-        q: payload.origQty ?? payload.quantity ?? payload.q ?? '0',
-        origQty: payload.origQty ?? payload.quantity ?? payload.q ?? '0',
-        z: payload.executedQty ?? payload.cummulativeQuoteQty ?? payload.z ?? '0',
-        l: payload.executedQty ?? payload.l ?? '0',
-        T: timestamp,
-        transactTime: timestamp,
-        time: timestamp,
-        ...overrides
-    };
-};
-
 const applyLogMasking = (() => {
     let applied = false;
     return (secrets) => {
@@ -361,56 +121,6 @@ const sendJSON = (connection, payload) => {
     }
 };
 
-// Simple Depth Cache to maintain order book state
-class DepthCache {
-    constructor() {
-        this.bids = {};
-        this.asks = {};
-        this.lastUpdateId = 0;
-    }
-
-    snapshot(depth) {
-        this.lastUpdateId = depth.lastUpdateId;
-        this.bids = {};
-        this.asks = {};
-        depth.bids.forEach(([price, qty]) => {
-            if (parseFloat(qty) > 0) this.bids[price] = qty;
-        });
-        depth.asks.forEach(([price, qty]) => {
-            if (parseFloat(qty) > 0) this.asks[price] = qty;
-        });
-    }
-
-    update(depthUpdate) {
-        if (depthUpdate.u <= this.lastUpdateId) return;
-
-        depthUpdate.b.forEach(([price, qty]) => {
-            if (parseFloat(qty) === 0) delete this.bids[price];
-            else this.bids[price] = qty;
-        });
-        depthUpdate.a.forEach(([price, qty]) => {
-            if (parseFloat(qty) === 0) delete this.asks[price];
-            else this.asks[price] = qty;
-        });
-        this.lastUpdateId = depthUpdate.u;
-    }
-
-    getFormatted() {
-        const formatSide = (book, comparator) => {
-            const sorted = Object.keys(book).sort((a, b) => comparator(parseFloat(a), parseFloat(b)));
-            return sorted.reduce((acc, price) => {
-                acc[price] = book[price];
-                return acc;
-            }, {});
-        };
-
-        return {
-            bids: formatSide(this.bids, (a, b) => b - a),
-            asks: formatSide(this.asks, (a, b) => a - b)
-        };
-    }
-}
-
 const safeDisconnect = async (socket, label) => {
     if (!socket) return;
     const closer =
@@ -427,19 +137,66 @@ const safeDisconnect = async (socket, label) => {
     }
 };
 
-export function setupBinanceConnection() {
+/**
+ * Start the renderer WebSocket service
+ * @param {Object} [options]
+ * @param {string} [options.sessionToken] - Per-launch token renderers must present (see session-auth.js)
+ * @param {string[]} [options.allowedOrigins] - Origins allowed to connect
+ * @param {string|null} [options.stateDir] - Directory for state kept across restarts (trailing stops); none keeps it in memory
+ */
+export function setupBinanceConnection({
+    sessionToken,
+    allowedOrigins = defaultAllowedOrigins(),
+    stateDir = process.env.STATE_DIR ?? null
+} = {}) {
     const APIKEY = process.env.BK;
     const APISECRET = process.env.BS;
-    const USE_MOCK = !APIKEY;
-    const sharedProxyAgent = resolveProxyAgent();
-    applyLogMasking([APIKEY, APISECRET]);
+    const REPLAY_FILE = process.env.REPLAY_FILE;
+    const PAPER_TRADING = /^(1|true|yes)$/i.test(process.env.PAPER_TRADING ?? '');
+    applyLogMasking([APIKEY, APISECRET, sessionToken]);
+    if (!sessionToken) {
+        logger.warn("No session token configured: renderer connections are only checked by origin");
+    }
 
-    logger.info(`Starting Binance Service. Mock Mode: ${USE_MOCK}`);
+    const loadReplay = () => {
+        try {
+            return StreamReplayer.fromFile(REPLAY_FILE, { speed: parseReplaySpeed(process.env.REPLAY_SPEED), logger });
+        } catch (err) {
+            logger.error(`Failed to load replay file ${REPLAY_FILE}:`, err?.message);
+            return new StreamReplayer({ records: [], logger });
+        }
+    };
 
-    let client;
+    // The protocol handler below only talks to this adapter (see exchange-adapter.js).
+    // Replay serves recorded streams on top of the simulated account, never the real one.
+    const createAdapter = () => {
+        if (REPLAY_FILE) {
+            return new ReplayAdapter({ replayer: loadReplay(), logger });
+        }
+        if (!APIKEY && !PAPER_TRADING) {
+            return new MockAdapter({ logger });
+        }
+        // Only real Binance streams are worth recording
+        const recorder = process.env.RECORD_DIR
+            ? new StreamRecorder({ dir: process.env.RECORD_DIR, logger })
+            : null;
+        if (PAPER_TRADING) {
+            // Live market data without keys; orders only ever reach the simulated account
+            const balances = parsePaperBalances(process.env.PAPER_BALANCES);
+            logger.info(`Paper trading account: ${JSON.stringify(balances)}`);
+            return new PaperAdapter({
+                market: new BinanceAdapter({ recorder, logger }),
+                exchange: new PaperExchange({ balances }),
+                logger
+            });
+        }
+        return new BinanceAdapter({ apiKey: APIKEY, apiSecret: APISECRET, recorder, logger });
+    };
+    const adapter = createAdapter();
+
+    logger.info(`Starting Binance Service. Exchange: ${adapter.name}${REPLAY_FILE ? `, replaying ${REPLAY_FILE}` : ''}`);
 
     const ensureTickerSnapshot = async () => {
-        if (!client) return [];
         if (tickerCache.entries.length) {
             return tickerCache.entries;
         }
@@ -449,10 +206,7 @@ export function setupBinanceConnection() {
         }
 
         tickerSnapshotPromise = (async () => {
-            const tickerResponse = await client.restAPI.ticker24hr();
-            const tickerData = await tickerResponse.data();
-            const normalizedTicker = Array.isArray(tickerData) ? tickerData : [tickerData];
-            tickerCache.reset(normalizedTicker);
+            tickerCache.reset(await adapter.getTicker());
         })();
 
         try {
@@ -463,70 +217,15 @@ export function setupBinanceConnection() {
         }
     };
 
-    if (!USE_MOCK) {
-        const restConfig = {
-            apiKey: APIKEY,
-            apiSecret: APISECRET,
-            keepAlive: false,  // Disable keepAlive to avoid axios agent issues
-            compression: false, // Disable compression headers
-            timeout: 10000      // Increase timeout to 10 seconds
-        };
-
-        if (sharedProxyAgent) {
-            restConfig.httpsAgent = sharedProxyAgent;
-        }
-
-        client = new Spot({
-            configurationRestAPI: restConfig,
-            configurationWebsocketStreams: sharedProxyAgent ? { agent: sharedProxyAgent } : {}
-        });
-
-        const restBaseOptions = client?.restAPI?.configuration?.baseOptions;
-        if (restBaseOptions) {
-            restBaseOptions.proxy = false;
-            if (sharedProxyAgent) {
-                restBaseOptions.httpsAgent = sharedProxyAgent;
-            }
-            if (!restBaseOptions.headers) {
-                restBaseOptions.headers = {};
-            }
-            delete restBaseOptions.headers['Content-Type'];
-        }
-
-        // Suppress verbose axios logging from @binance/spot library
-        // The library logs "Axios Request Args" on every request - intercept and silence
-        const axiosInstance = client?.restAPI?.axiosInstance;
-        if (axiosInstance?.interceptors) {
-            axiosInstance.interceptors.request.use(
-                (config) => config, // Just pass through, don't log
-                (error) => Promise.reject(error)
-            );
-        }
-    }
-
-    // Suppress @binance/spot verbose console output globally
-    // This library logs every axios request args to console
-    const originalConsoleLog = console.log;
-    console.log = (...args) => {
-        // Filter out "Axios Request Args" and similar verbose library output
-        const firstArg = args[0];
-        if (typeof firstArg === 'string' && 
-            (firstArg.includes('Axios Request Args') || 
-             firstArg.includes('Axios Response Data'))) {
-            return; // Suppress this log
-        }
-        originalConsoleLog.apply(console, args);
-    };
-
     const parsedPort = parseInt(process.env.WS_PORT || process.env.WEBSOCKET_PORT || process.env.VITE_WS_PORT || '14477', 10);
     const websocketServerPort = Number.isFinite(parsedPort) ? parsedPort : 14477;
-    const server = http.createServer((request, response) => {
-        response.writeHead(404);
-        response.end();
-    });
+    // Loopback only unless WS_HOST opts in, e.g. 0.0.0.0 for a remote /metrics scrape
+    const websocketServerHost = process.env.WS_HOST || '127.0.0.1';
+    // Plain HTTP requests get the read-only status routes registered below
+    const server = http.createServer();
 
-    server.listen(websocketServerPort, () => {
-        logger.info("Websocket is listening on port: " + websocketServerPort);
+    server.listen(websocketServerPort, websocketServerHost, () => {
+        logger.info(`Websocket is listening on ${websocketServerHost}:${websocketServerPort}`);
     });
 
     const wsServer = new WebSocketServer({
@@ -540,9 +239,204 @@ export function setupBinanceConnection() {
     // ============================================================
     let globalWsConnection = null;      // Ticker stream (!ticker@arr)
     let userDataWsConnection = null;    // User data stream (orders/balances)
-    let keepAliveInterval = null;
     let globalSocketsInitialized = false;
     const rendererConnections = new Set();  // Track all connected renderers
+    const rendererSessions = new Map();     // connection -> { id, remoteAddress, connectedAt, channelManager }
+    let nextRendererId = 1;
+    const streamReconnects = { ticker: 0, userData: 0 };
+
+    // One market socket for every renderer: streams are refcounted across connections
+    const subscriptionRegistry = new SubscriptionRegistry(logger);
+    subscriptionRegistry.setConnectFunction((params) => adapter.connectMarketStream(params.stream));
+
+    // Prometheus metrics: pushed where events happen, everything else read on scrape
+    const metrics = new MetricsRegistry();
+    const marketMessages = metrics.counter({
+        name: 'market_messages_total',
+        help: 'Market stream events received from the exchange, by type.'
+    });
+    const marketMessageRates = { kline: new RateWindow(), trade: new RateWindow(), depth: new RateWindow() };
+    metrics.collected({
+        type: 'gauge',
+        name: 'market_messages_per_second',
+        help: 'Market stream events per second over the last 10 seconds, by type.',
+        collect: () => Object.entries(marketMessageRates).map(([type, rate]) => ({ labels: { type }, value: rate.perSecond() }))
+    });
+    metrics.collected({
+        type: 'gauge',
+        name: 'rest_weight_used',
+        help: 'REST request weight used in the current rate limit window.',
+        collect: () => adapter.getRateLimitStatus()?.usedWeight
+    });
+    metrics.collected({
+        type: 'gauge',
+        name: 'rest_weight_limit',
+        help: 'REST request weight allowed per rate limit window.',
+        collect: () => adapter.getRateLimitStatus()?.maxWeight
+    });
+    metrics.collected({
+        type: 'gauge',
+        name: 'rest_requests_queued',
+        help: 'REST requests waiting for rate limit capacity.',
+        collect: () => adapter.getRateLimitStatus()?.queued
+    });
+    metrics.collected({
+        type: 'gauge',
+        name: 'rest_orders_used',
+        help: 'Orders placed in the current order rate limit window, by window.',
+        collect: () => adapter.getRateLimitStatus()?.orders?.map(({ interval, count }) => ({ labels: { interval }, value: count }))
+    });
+    metrics.collected({
+        type: 'gauge',
+        name: 'renderer_connections',
+        help: 'Connected renderer windows.',
+        collect: () => rendererConnections.size
+    });
+    metrics.collected({
+        type: 'counter',
+        name: 'stream_reconnect_attempts_total',
+        help: 'Exchange stream reconnect attempts, by stream.',
+        collect: () => [
+            { labels: { stream: 'market' }, value: subscriptionRegistry.reconnectAttempts },
+            { labels: { stream: 'ticker' }, value: streamReconnects.ticker },
+            { labels: { stream: 'user_data' }, value: streamReconnects.userData }
+        ]
+    });
+    const orderLatency = metrics.histogram({
+        name: 'order_placement_seconds',
+        help: 'Time from sending an order to the exchange until it answered, by outcome.'
+    });
+
+    subscriptionRegistry.setMessageHandler((event) => {
+        if (marketMessageRates[event?.type]) {
+            marketMessages.inc({ type: event.type });
+            marketMessageRates[event.type].mark();
+        }
+        if (event?.type === 'kline') trailingStops.observe(event.symbol, parseFloat(event.candle.close));
+        subscriptionRegistry.dispatch(event);
+    });
+
+    const timeOrderPlacement = async (place) => {
+        const startedAt = performance.now();
+        let outcome = 'rejected';
+        try {
+            const result = await place();
+            outcome = 'accepted';
+            return result;
+        } finally {
+            orderLatency.observe((performance.now() - startedAt) / 1000, { outcome });
+        }
+    };
+
+    // Price alerts for every symbol, synced from the renderers and fed by the ticker stream
+    const alertEvaluator = new AlertEvaluator();
+    // Webhooks and local commands for executions, fills, alerts and stream state, synced from the renderers
+    const hookDispatcher = new HookDispatcher({ logger });
+    const emitStreamState = (stream, state) => {
+        void hookDispatcher.emit('connection', { stream, ...state });
+    };
+    subscriptionRegistry.setStateHandler((state) => emitStreamState('market', state));
+    // TWAP / iceberg parents, shared by all renderers; child fills arrive on the user stream
+    const algoExecutor = new AlgoExecutor({
+        adapter,
+        logger,
+        onUpdate: (snapshot) => broadcastToRenderers({ algo_update: snapshot }),
+        onReports: (reports) => reports.forEach((report) => broadcastToRenderers({ execution_update: report }))
+    });
+    // Trailing stops for every pair, moved by the ticker and kline streams; one state file per exchange,
+    // so stops placed against the mock or paper account never fire on the live one
+    const trailingStops = new TrailingStopManager({
+        adapter,
+        logger,
+        filePath: stateDir ? path.join(stateDir, `trailing-stops-${adapter.name.replace(/Adapter$/, '').toLowerCase()}.json`) : null,
+        onUpdate: (snapshot) => {
+            broadcastToRenderers({ trailing_update: snapshot });
+            if (snapshot.status !== TRAILING_STATUS.ACTIVE) releaseTickerStream();
+        },
+        onReports: (reports) => reports.forEach((report) => broadcastToRenderers({ execution_update: report }))
+    });
+    process.on('exit', () => trailingStops.flush());
+    // Trailing stops are priced from the ticker stream, so it outlives the renderers until the last stop ends
+    const releaseTickerStream = () => {
+        if (!globalWsConnection || rendererConnections.size > 0 || trailingStops.size > 0) return;
+        logger.info('No renderer connected and no trailing stop left, closing the ticker stream');
+        void safeDisconnect(globalWsConnection, 'global stream');
+        globalWsConnection = null;
+    };
+    // Bracket orders: exits follow the entry fills on the user stream; state is saved per exchange
+    // and reconciled with the exchange whenever the user stream (re)connects
+    const brackets = new BracketManager({
+        adapter,
+        logger,
+        filePath: stateDir ? path.join(stateDir, `brackets-${adapter.name.replace(/Adapter$/, '').toLowerCase()}.json`) : null,
+        onUpdate: (snapshot) => {
+            broadcastToRenderers({ bracket_update: snapshot });
+            if (![BRACKET_STATUS.PENDING, BRACKET_STATUS.ACTIVE].includes(snapshot.status)) releaseUserDataStream();
+        },
+        onReports: (reports) => reports.forEach((report) => broadcastToRenderers({ execution_update: report }))
+    });
+    // Entry fills are only seen on the user stream, so it outlives the renderers until the last bracket ends
+    const releaseUserDataStream = () => {
+        if (!userDataWsConnection || rendererConnections.size > 0 || brackets.size > 0) return;
+        logger.info('No renderer connected and no bracket left, closing the user data stream');
+        void safeDisconnect(userDataWsConnection, 'user data stream');
+        userDataWsConnection = null;
+    };
+    // Kill switch: stop the service-managed orders on `symbol` (every symbol when null) before
+    // the open orders are cancelled, so none of them places a new one; returns how many were stopped
+    const stopServiceOrders = async (symbol) => {
+        const inScope = (entry) => !symbol || entry.symbol === symbol;
+        const parents = algoExecutor.list()
+            .filter((parent) => inScope(parent) && [ALGO_STATUS.RUNNING, ALGO_STATUS.PAUSED].includes(parent.status));
+        const stops = trailingStops.list().filter((stop) => inScope(stop) && stop.status === TRAILING_STATUS.ACTIVE);
+        const liveBrackets = brackets.list().filter(inScope);
+
+        stops.forEach((stop) => trailingStops.cancel(stop.id));
+        await Promise.all([
+            ...parents.map((parent) => algoExecutor.control(parent.id, 'cancel')),
+            ...liveBrackets.map((bracket) => brackets.cancel(bracket.id))
+        ]);
+        return parents.length + stops.length + liveBrackets.length;
+    };
+
+    // Diagnostics: GET /health, /status, /channels, /metrics
+    server.on('request', createStatusHandler({
+        '/health': () => ({
+            status: 'ok',
+            exchange: adapter.name,
+            uptimeSec: Math.round(process.uptime()),
+            renderers: rendererConnections.size,
+            sockets: {
+                market: !!subscriptionRegistry.marketWsConnection,
+                ticker: !!globalWsConnection,
+                userData: !!userDataWsConnection
+            }
+        }),
+        '/status': () => ({
+            exchange: adapter.name,
+            rateLimiter: adapter.getRateLimitStatus(),
+            marketSocket: subscriptionRegistry.getStatus(),
+            reconnects: { market: subscriptionRegistry.reconnectAttempts, ...streamReconnects },
+            alerts: alertEvaluator.size,
+            hooks: hookDispatcher.hooks.length,
+            algos: algoExecutor.list().length,
+            trailingStops: trailingStops.size,
+            brackets: brackets.size,
+            renderers: [...rendererSessions.values()].map(({ channelManager, ...session }) => ({
+                ...session,
+                marketStream: channelManager.getMarketStreamManager().getStatus(),
+                channels: channelManager.getDebugInfo()
+            }))
+        }),
+        '/metrics': () => metrics.render(),
+        '/channels': () => [...rendererSessions.values()].flatMap(({ id, channelManager }) =>
+            Object.entries(channelManager.getDebugInfo()).map(([channelId, info]) => ({
+                renderer: id,
+                id: channelId,
+                ...info
+            }))
+        )
+    }, logger));
 
     // Broadcast to all connected renderers
     const broadcastToRenderers = (payload) => {
@@ -554,8 +448,64 @@ export function setupBinanceConnection() {
         }
     };
 
+    // Ticker stream events: check price alerts, update the cache, broadcast the changed rows
+    const handleTickerStreamMessage = (event) => {
+        if (event?.type !== 'ticker') return;
+        trailingStops.observeTickers(event.tickers);
+        alertEvaluator.evaluate(event.tickers).forEach((trigger) => {
+            logger.info(`[alerts] ${trigger.alert.symbol} ${trigger.alert.type} ${trigger.alert.price} triggered at ${trigger.currentPrice}`);
+            broadcastToRenderers({ alert_triggered: trigger });
+            void hookDispatcher.emit('alert', trigger);
+        });
+        event.tickers.forEach((ticker) => {
+            if (ticker.symbol && (ticker.symbol.includes("BTC") || ticker.symbol.includes("USDT"))) {
+                const upserted = tickerCache.upsert(ticker);
+                if (upserted) {
+                    // Broadcast to ALL connected renderers
+                    broadcastToRenderers({
+                        ticker_update: upserted.entry,
+                        index: upserted.index
+                    });
+                }
+            }
+        });
+    };
+
+    // User stream events: execution reports and changed balances
+    const handleUserDataStreamMessage = (event) => {
+        if (event?.type === 'execution') {
+            const { report } = event;
+            logger.info(`[stream] Execution Report: ${report.symbol} ${report.side} ${report.status}`);
+            // Broadcast to ALL connected renderers
+            broadcastToRenderers({ execution_update: report });
+            void hookDispatcher.emit('execution', report);
+            algoExecutor.handleExecutionReport(report);
+            brackets.handleExecutionReport(report);
+            // Fills keep the renderers' account trade history current between syncs
+            const fill = fillFromExecutionReport(report);
+            if (fill) {
+                broadcastToRenderers({ account_trades: { symbol: fill.symbol, trades: [fill] } });
+                void hookDispatcher.emit('fill', fill);
+            }
+        } else if (event?.type === 'balances') {
+            // The renderer consumes Binance's outboundAccountPosition shape
+            const B = Object.entries(event.balances).map(([asset, { available, onOrder }]) => ({
+                a: asset,
+                f: available,
+                l: onOrder
+            }));
+            broadcastToRenderers({ balance_update: { e: 'outboundAccountPosition', B } });
+        }
+    };
+
     wsServer.on("request", (request) => {
         logger.info("Connection from origin " + request.origin + ".");
+        const auth = authorizeRequest(request, { allowedOrigins, sessionToken });
+        if (!auth.ok) {
+            logger.warn(`Rejected connection from ${request.remoteAddress}: ${auth.reason}`);
+            request.reject(403, 'Unauthorized');
+            return;
+        }
         const connection = request.accept(null, request.origin);
         logger.info("Connection accepted.");
         
@@ -564,118 +514,121 @@ export function setupBinanceConnection() {
 
         let panelSettings = {};
         let activeRequestId = null;
+        // Ladder requested by the OrderBook accuracy control (depth_precision)
+        let depthPrecision = { tickMultiple: 1, levels: DEFAULT_DEPTH_LADDER_LEVELS };
+        // Running account trade history sync, one per renderer
+        let tradeHistorySync = null;
 
         // Channel manager for this connection (each renderer has its own channels)
-        const channelManager = new ChannelManager(logger);
+        const channelManager = new ChannelManager(logger, subscriptionRegistry);
         const marketStreamManager = channelManager.getMarketStreamManager();
+        rendererSessions.set(connection, {
+            id: nextRendererId++,
+            remoteAddress: connection.remoteAddress,
+            connectedAt: new Date().toISOString(),
+            channelManager
+        });
 
         const fetchBalances = async () => {
-            if (!client) return;
             try {
-                const accountResponse = await client.restAPI.getAccount();
-                const account = await accountResponse.data();
-                const balances = {};
-                account?.balances?.forEach(b => {
-                    if (parseFloat(b.free) > 0 || parseFloat(b.locked) > 0) {
-                        balances[b.asset] = { available: b.free, onOrder: b.locked };
-                    }
-                });
-                emit({ balances });
+                emit({ balances: await adapter.getBalances() });
             } catch (error) {
                 logger.error("Balances Fetch Error:", error);
             }
         };
 
         const fetchOpenOrders = async () => {
-            if (!client) return;
             try {
-                const openOrdersResponse = await client.restAPI.getOpenOrders({});
-                const openOrders = await openOrdersResponse.data();
-                emit({ orders: openOrders });
+                emit({ orders: await adapter.getOpenOrders() });
             } catch (error) {
                 logger.error("Open Orders Fetch Error:", error);
             }
         };
 
         const fetchTradeHistoryForSymbol = async (symbol) => {
-            if (!client) return;
             try {
-                const myTradesResponse = await client.restAPI.myTrades({ symbol, limit: 500 });
-                const myTrades = await myTradesResponse.data();
-                emit({ history: myTrades });
+                const trades = await adapter.getMyTrades(symbol, { limit: 500 });
+                // Stored with the synced fills first, so the history built from them includes these
+                emit({ account_trades: { symbol, trades } });
+                emit({ history: trades });
             } catch (error) {
                 logger.error("Trade History Fetch Error:", error);
             }
         };
 
+        /**
+         * Background sync of the account's trade history across symbols
+         * Pages are sent as `account_trades` messages for the renderer to store; its
+         * cursors (last stored trade id per symbol) keep repeat syncs incremental.
+         * @param {Object<string, number>} cursors
+         * @param {string[]} recentSymbols - Symbols the renderer opened recently
+         */
+        const handleTradeHistorySync = async (cursors, recentSymbols) => {
+            if (tradeHistorySync) return;
+            tradeHistorySync = (async () => {
+                try {
+                    const [balances, openOrders, tickers] = await Promise.all([
+                        adapter.getBalances(),
+                        adapter.getOpenOrders(),
+                        ensureTickerSnapshot()
+                    ]);
+                    const symbols = selectSyncSymbols({
+                        balances,
+                        openOrders,
+                        recentSymbols: [...recentSymbols, ...Object.keys(cursors)],
+                        knownSymbols: tickers.map((entry) => entry.symbol)
+                    });
+                    logger.info(`[trade sync] Syncing ${symbols.length} symbols`);
+                    const result = await syncTradeHistory(adapter, symbols, {
+                        cursors,
+                        onTrades: (symbol, trades) => emit({ account_trades: { symbol, trades } }),
+                        isCancelled: () => !connection.connected,
+                        logger
+                    });
+                    logger.info(`[trade sync] Done: ${result.trades} new trades across ${result.symbols} symbols`);
+                } catch (err) {
+                    logger.error("Trade History Sync Error:", err?.code || err?.message);
+                }
+            })();
+            await tradeHistorySync;
+            tradeHistorySync = null;
+        };
+
+        // Adapters rate-limit their own REST calls
         const refreshAccountState = async (symbol) => {
-            // Rate-limited account refresh
-            await rateLimiter.execute(() => fetchBalances(), 10);
-            await rateLimiter.execute(() => fetchOpenOrders(), 3);
-            await rateLimiter.execute(() => fetchTradeHistoryForSymbol(symbol), 10);
+            await fetchBalances();
+            await fetchOpenOrders();
+            await fetchTradeHistoryForSymbol(symbol);
         };
 
         const handleOrderPlacement = async (payload, requestType = 'buyOrder') => {
-            if (USE_MOCK) {
-                logger.info(`[MOCK] Order Placed: ${requestType}`, payload);
-                emit({
-                    execution_update: {
-                        e: 'executionReport',
-                        s: payload.symbol || panelSettings?.selected,
-                        S: (payload.side || (requestType === 'sellOrder' ? 'SELL' : 'BUY'))?.toUpperCase(),
-                        o: 'LIMIT',
-                        x: 'NEW',
-                        X: 'NEW',
-                        i: Date.now(),
-                        p: payload.price ?? payload.p,
-                        q: payload.quantity ?? payload.qty,
-                        z: '0.0',
-                        T: Date.now()
-                    }
-                });
-                return;
-            }
-            if (!client || !payload) return;
-            const quantityValue = payload.quantity ?? payload.qty;
-            const priceValue = payload.price ?? payload.p;
+            if (!payload) return;
             const symbol = payload.symbol || panelSettings?.selected;
             const resolvedSide = (payload.side || (requestType === 'sellOrder' ? 'SELL' : 'BUY'))?.toUpperCase();
-            const numericQuantity = Number(quantityValue);
-            const numericPrice = Number(priceValue);
-
-            if (
-                !symbol ||
-                !resolvedSide ||
-                !Number.isFinite(numericQuantity) ||
-                numericQuantity <= 0 ||
-                !Number.isFinite(numericPrice) ||
-                numericPrice <= 0
-            ) {
-                logger.warn("Order payload missing required fields:", {
+            const orderRequest = buildOrderRequest({ ...payload, symbol, side: resolvedSide });
+
+            if (orderRequest.error) {
+                logger.warn(`Order payload rejected: ${orderRequest.error}`, {
                     symbol,
                     side: resolvedSide,
-                    quantity: quantityValue,
-                    price: priceValue
+                    orderType: payload.orderType,
+                    quantity: payload.quantity ?? payload.qty,
+                    price: payload.price ?? payload.p,
+                    stopPrice: payload.stopPrice
                 });
+                emitOrderError('order', { ...payload, symbol, side: resolvedSide }, orderRequest.error);
                 return;
             }
 
             try {
-                logger.info(`[orders] ${resolvedSide} ${symbol} qty=${numericQuantity} price=${numericPrice}`);
-                const response = await client.restAPI.newOrder({
-                    symbol,
-                    side: resolvedSide,
-                    type: 'LIMIT',
-                    timeInForce: 'GTC',
-                    quantity: numericQuantity.toString(),
-                    price: numericPrice.toString(),
-                    newOrderRespType: 'FULL'
-                });
-                const data = await response.data();
-                emit({ execution_update: normalizeExecutionReport(data, { x: 'NEW' }) });
+                const { params } = orderRequest;
+                logger.info(`[orders] ${resolvedSide} ${orderRequest.orderType} ${symbol} qty=${params.quantity ?? `quote:${params.quoteOrderQty}`} price=${params.price ?? params.abovePrice ?? 'MARKET'} tif=${params.timeInForce ?? '-'}`);
+                const reports = await timeOrderPlacement(() => adapter.placeOrder(orderRequest));
+                reports.forEach((report) => emit({ execution_update: report }));
                 await refreshAccountState(symbol);
             } catch (error) {
                 logger.error("Order placement error:", error);
+                emitOrderError('order', { ...payload, symbol, side: resolvedSide }, error);
                 if (error?.response?.data) {
                     logger.error("Order placement response:", error.response.data);
                 }
@@ -683,42 +636,103 @@ export function setupBinanceConnection() {
         };
 
         const handleCancelOrder = async (payload) => {
-            if (!client || !payload) return;
+            if (!payload) return;
             const targetSymbol = payload.symbol || panelSettings?.selected;
             const orderId = payload.orderId || payload.id;
             const origClientOrderId = payload.origClientOrderId || payload.clientOrderId;
             if (!targetSymbol || (!orderId && !origClientOrderId)) {
                 logger.warn("Cancel payload missing symbol or orderId:", payload);
+                emitOrderError('cancelOrder', payload, 'Cancel request is missing symbol or orderId');
                 return;
             }
             try {
-                const cancelParams = { symbol: targetSymbol };
-                if (orderId) {
-                    cancelParams.orderId = orderId;
-                } else if (origClientOrderId) {
-                    cancelParams.origClientOrderId = origClientOrderId;
-                }
-                if (payload.newClientOrderId) {
-                    cancelParams.newClientOrderId = payload.newClientOrderId;
-                }
-
-                logger.info(`[orders] Cancel ${targetSymbol} orderId=${cancelParams.orderId ?? cancelParams.origClientOrderId}`);
-                const response = await client.restAPI.deleteOrder(cancelParams);
-                const data = await response.data();
-                emit({
-                    execution_update: normalizeExecutionReport(data, {
-                        x: 'CANCELED',
-                        status: 'CANCELED',
-                        X: 'CANCELED'
-                    })
+                logger.info(`[orders] Cancel ${targetSymbol} orderId=${orderId ?? origClientOrderId}`);
+                const reports = await adapter.cancelOrder({
+                    symbol: targetSymbol,
+                    orderId,
+                    origClientOrderId,
+                    newClientOrderId: payload.newClientOrderId
                 });
+                reports.forEach((report) => emit({ execution_update: report }));
                 await refreshAccountState(targetSymbol);
             } catch (error) {
                 logger.error("Cancel order error:", error);
                 if (error?.response?.data) {
                     logger.error("Cancel order response:", error.response.data);
                 }
+                emitOrderError('cancelOrder', payload, error);
+            }
+        };
+
+        /**
+         * Kill switch: stop the service orders, cancel the open orders on one or every
+         * symbol and optionally sell the balances. Answers with a `panic_result` summary.
+         */
+        const handlePanic = async (payload) => {
+            const request = parseKillSwitch(payload);
+            if (request.error) {
+                emitOrderError('panic', payload, request.error);
+                return;
+            }
+            const { summary, reports } = await runKillSwitch({
+                adapter,
+                request,
+                stopServiceOrders,
+                getTickers: ensureTickerSnapshot,
+                logger
+            });
+            reports.forEach((report) => emit({ execution_update: report }));
+            emit({ panic_result: summary });
+            await refreshAccountState(request.symbol ?? panelSettings?.selected);
+        };
+
+        /**
+         * Report a rejected order action so the renderer can notify the user
+         * and roll back any optimistic state it applied for the request.
+         * @param {string} action - 'order' | 'cancelOrder' | 'algoOrder' | 'algoControl' | 'trailingStop' | 'cancelTrailingStop'
+         *   | 'bracketOrder' | 'amendBracket' | 'cancelBracket' | 'panic'
+         * @param {Object} request - Original renderer payload
+         * @param {Error|string} error - REST client error or validation message
+         */
+        const emitOrderError = (action, request, error) => {
+            const isValidation = typeof error === 'string';
+            emit({
+                order_error: {
+                    action,
+                    code: isValidation ? null : (error?.code ?? null),
+                    reason: isValidation ? error : (error?.message || 'Unknown exchange error'),
+                    request
+                }
+            });
+        };
+
+        /**
+         * Amend an open order atomically via cancel-replace.
+         * Always answers with an `order_replace` message so the renderer can tell
+         * whether the order was replaced, lost (partial failure) or left untouched.
+         */
+        const handleReplaceOrder = async (payload) => {
+            if (!payload) return;
+            const symbol = payload.symbol || panelSettings?.selected;
+            const side = payload.side?.toUpperCase();
+            const replaceRequest = buildReplaceRequest({ ...payload, symbol, side });
+            const cancelOrderId = payload.orderId ?? payload.id;
+            const reportResult = (result, extra = {}) => {
+                emit({ order_replace: { result, symbol, side, cancelOrderId, ...extra } });
+            };
+
+            if (replaceRequest.error) {
+                logger.warn(`Replace payload rejected: ${replaceRequest.error}`, { symbol, cancelOrderId });
+                reportResult(REPLACE_RESULTS.UNTOUCHED, { reason: replaceRequest.error });
+                return;
             }
+
+            const { params } = replaceRequest;
+            logger.info(`[orders] Replace ${symbol} orderId=${cancelOrderId} -> ${side} ${params.type} qty=${params.quantity} price=${params.price ?? 'MARKET'}`);
+            const { result, reports, ...extra } = await adapter.replaceOrder(replaceRequest);
+            reports.forEach((report) => emit({ execution_update: report }));
+            reportResult(result, extra);
+            await refreshAccountState(symbol);
         };
 
         // Legacy emit for backward compatibility
@@ -782,187 +796,257 @@ export function setupBinanceConnection() {
             });
         };
 
-        if (USE_MOCK) {
-            // Mock Logic - send initial global data
-            emitGlobal('filters', {
-                'BTCUSDT': { tickSize: '0.01', stepSize: '0.000001', minQty: '0.000001', minNotional: '10', maxQty: '9000', maxPrice: '1000000', minPrice: '0.01', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT', baseAssetPrecision: 8, quoteAssetPrecision: 2, quotePrecision: 2 },
-                'ETHUSDT': { tickSize: '0.01', stepSize: '0.0001', minQty: '0.0001', minNotional: '10', maxQty: '9000', maxPrice: '1000000', minPrice: '0.01', status: 'TRADING', baseAsset: 'ETH', quoteAsset: 'USDT', baseAssetPrecision: 8, quoteAssetPrecision: 2, quotePrecision: 2 }
-            });
-            emitGlobal('balances', { 'USDT': { available: '1000.00', onOrder: '0.00' }, 'BTC': { available: '0.5', onOrder: '0.1' } });
-            emitGlobal('orders', []);
-            emitGlobal('ticker', generateTicker());
-
-            // Mock interval for streaming data
-            const mockInterval = setInterval(() => {
-                if (!connection.connected) {
-                    clearInterval(mockInterval);
+        /**
+         * Feed a live trade into the detail channel's trade bars
+         * Trades that arrive before the bars are seeded are held back and replayed after.
+         */
+        const applyTradeToBars = (channel, trade) => {
+            const { tradeBars } = channel;
+            if (!tradeBars.builder) {
+                tradeBars.pending.push(trade);
+                return;
+            }
+            tradeBars.builder.add(trade).forEach((bar) => emitToChannel(channel.id, 'chart', [bar], bar));
+        };
+
+        /**
+         * Build a trade bar chart from the recent trades, then continue it from the trade stream
+         * Older bars only exist in the renderer's candle cache.
+         */
+        const seedTradeBars = async (channel) => {
+            const { symbol, tradeBars } = channel;
+            let tickSize;
+            if (needsTickSize(tradeBars.spec)) {
+                const filters = await subscriptionRegistry.share(`filters:${symbol}`, () => adapter.getFilters(symbol));
+                tickSize = parseFloat(filters?.tickSize);
+                if (!(tickSize > 0)) {
+                    logger.warn(`[trade bars] No tickSize for ${symbol}, cannot build ${channel.interval} bars`);
+                    channel.tradeBars = null;
                     return;
                 }
+            }
 
-                // Emit to active detail channel if exists
-                const detailChannel = channelManager.getDetailChannel();
-                if (detailChannel) {
-                    const mockPayload = buildMockChartPayload();
-                    emitToChannel(detailChannel.id, 'trades', [generateTrade()]);
-                    emitToChannel(detailChannel.id, 'depth', generateDepth());
-                    emitToChannel(detailChannel.id, 'chart', mockPayload.chart, mockPayload.last_tick);
+            let recentTrades = [];
+            try {
+                recentTrades = await subscriptionRegistry.share(
+                    `trades:${symbol}:${TRADE_BARS_SEED_TRADES}`,
+                    () => adapter.getRecentTrades(symbol, { limit: TRADE_BARS_SEED_TRADES })
+                );
+            } catch (err) {
+                logger.error("Trade Bars Seed Error:", err?.message);
+            }
+            if (channelManager.getChannel(channel.id) !== channel) return;
+
+            // Buffered live trades replace the REST trades from their first timestamp on
+            const firstLiveTime = tradeBars.pending[0]?.time ?? Infinity;
+            const seed = recentTrades.filter((trade) => trade.time < firstLiveTime);
+            const { bars, builder } = buildTradeBars(tradeBars.spec, seed, { tickSize });
+            tradeBars.builder = builder;
+            emitToChannel(channel.id, 'chart', bars, bars[bars.length - 1] ?? null);
+            tradeBars.pending.splice(0).forEach((trade) => applyTradeToBars(channel, trade));
+        };
+
+        // Single message handler for all market events (klines + trades + depth)
+        const handleMarketStreamMessage = (event) => {
+            if (!event) return;
+
+            // Handle kline events - route to appropriate channels
+            if (event.type === 'kline') {
+                const { symbol, interval, candle } = event;
+                const streamName = marketStreamManager.getKlineStreamName(symbol, interval);
+
+                // Find all channels subscribed to this stream
+                const subscribers = marketStreamManager.klineStreams.get(streamName);
+                if (subscribers && subscribers.size > 0) {
+                    for (const channelId of subscribers) {
+                        const channel = channelManager.getChannel(channelId);
+                        if (!channel || channel.symbol !== symbol || channel.streamInterval !== interval) continue;
+                        // Custom intervals turn the base candle into an update of the current bucket
+                        const update = channel.aggregator ? channel.aggregator.update(candle) : candle;
+                        if (update) {
+                            emitToChannel(channelId, 'chart', [update], update);
+                        }
+                    }
                 }
+                return;
+            }
 
-                // Emit ticker updates globally
-                emitGlobal('ticker', generateTicker());
-            }, 1000);
-        } else {
-            // Real Data Logic using @binance/spot
+            // Handle trade/depth events - route to detail channel
+            const detailChannel = channelManager.getDetailChannel();
+            if (!detailChannel || event.symbol !== detailChannel.symbol) return;
 
-            const sendInitialTicker = async () => {
+            if (event.type === 'trade') {
+                emitToChannel(detailChannel.id, 'trades', event.trade);
+                if (detailChannel.tradeBars) {
+                    applyTradeToBars(detailChannel, event.trade);
+                }
+            }
+
+            if (event.type === 'depth') {
+                const result = detailChannel.depthCache.update(event);
+                if (result === DEPTH_UPDATE_RESULTS.APPLIED) {
+                    emitDepth(detailChannel);
+                    // Algo children follow the streamed touch instead of polling the book
+                    if (algoExecutor.isWorking(detailChannel.symbol)) {
+                        algoExecutor.observeQuote(detailChannel.symbol, detailChannel.depthCache.getTouch());
+                    }
+                    return;
+                }
+                if (result === DEPTH_UPDATE_RESULTS.GAP) {
+                    logger.warn(`[depth] ${detailChannel.symbol} sequence gap at U=${event.firstUpdateId}, resyncing`);
+                }
+                if (!detailChannel.depthCache.isLive()) {
+                    void resyncDepth(detailChannel);
+                }
+            }
+        };
+
+        // Only state changes are sent
+        const emitDepth = (channel) => {
+            emitToChannel(channel.id, 'depth', channel.depthCache.getLadder({
+                tickSize: channel.tickSize,
+                ...depthPrecision
+            }));
+        };
+
+        const emitDepthStatus = (channel) => {
+            const { state } = channel.depthCache;
+            if (channel.depthStatus === state) return;
+            channel.depthStatus = state;
+            emitToChannel(channel.id, 'depth_status', { state });
+        };
+
+        /**
+         * Fetch a depth snapshot for a detail channel and replay the buffered diffs on it.
+         * The renderer is told the book is resyncing until the snapshot bridges the stream;
+         * failed or non-bridging snapshots are retried while the channel is still open.
+         */
+        const resyncDepth = async (channel) => {
+            if (channel.depthResync) return;
+            channel.depthCache.beginResync();
+            emitDepthStatus(channel);
+
+            channel.depthResync = (async () => {
                 try {
-                    const snapshot = await ensureTickerSnapshot();
-                    if (snapshot?.length) {
-                        const payload = snapshot.map((entry) => ({ ...entry }));
-                        sendJSON(connection, { ticker: payload });
+                    const depthSnapshot = await subscriptionRegistry.share(
+                        `depth:${channel.symbol}`,
+                        () => adapter.getDepthSnapshot(channel.symbol, { limit: DEPTH_SNAPSHOT_LIMIT })
+                    );
+                    if (channelManager.getChannel(channel.id) === channel) {
+                        channel.depthCache.snapshot(depthSnapshot);
                     }
                 } catch (err) {
-                    logger.error("Ticker24 Error:", err);
-                    if (err?.message) {
-                        logger.error("Ticker24 Error Message:", err.message);
-                    }
+                    logger.error("Depth Snapshot Fetch Error:", err);
                 }
-            };
-            void sendInitialTicker();
+            })();
+            await channel.depthResync;
+            channel.depthResync = null;
+
+            if (channelManager.getChannel(channel.id) !== channel) return;
+            if (channel.depthCache.isLive()) {
+                emitDepthStatus(channel);
+                emitDepth(channel);
+            } else {
+                setTimeout(() => {
+                    if (channelManager.getChannel(channel.id) === channel) void resyncDepth(channel);
+                }, DEPTH_RESYNC_RETRY_MS);
+            }
+        };
 
-            // Initialize shared global sockets (ticker + user data) - ONLY ONCE
-            if (!globalSocketsInitialized) {
-                globalSocketsInitialized = true;
-                
-                // Subscribe to All Tickers Stream (shared by all renderers)
-                let globalWsReconnecting = false;
-                const subscribeGlobal = async (retryCount = 0) => {
-                    const MAX_RETRIES = 5;
-                    const RETRY_DELAY_BASE = 3000;
-                    
-                    if (globalWsReconnecting && retryCount === 0) return;
-                    globalWsReconnecting = true;
-                    
-                    try {
-                        await throttleWsConnection();
-                        globalWsConnection = await client.websocketStreams.connect({
-                            stream: '!ticker@arr'
-                        });
-                        globalWsReconnecting = false;
-
-                        globalWsConnection.on('message', (data) => {
-                            const payload = extractStreamPayload(data);
-                            if (!payload) return;
-                            const tickerArray = Array.isArray(payload)
-                                ? payload
-                                : payload?.e === '24hrTicker'
-                                    ? [payload]
-                                    : [];
-                            if (!tickerArray.length) return;
-                            tickerArray.forEach(ticker => {
-                                if (ticker?.s && (ticker.s.includes("BTC") || ticker.s.includes("USDT"))) {
-                                    const update = {
-                                        symbol: ticker.s,
-                                        lastPrice: ticker.c,
-                                        priceChangePercent: ticker.P,
-                                        highPrice: ticker.h,
-                                        lowPrice: ticker.l,
-                                        quoteVolume: ticker.q,
-                                        closeTime: ticker.C
-                                    };
-                                    const upserted = tickerCache.upsert(update);
-                                    if (upserted) {
-                                        // Broadcast to ALL connected renderers
-                                        broadcastToRenderers({
-                                            ticker_update: upserted.entry,
-                                            index: upserted.index
-                                        });
-                                    }
-                                }
-                            });
-                        });
-                        globalWsConnection.on('error', (err) => {
-                            const isNetworkError = err?.code === 'ECONNRESET' || err?.code === 'ETIMEDOUT' || 
-                                                   err?.message?.includes('socket disconnected');
-                            if (isNetworkError) {
-                                logger.warn(`Global WS network error (${err?.code}), will reconnect...`);
-                            } else {
-                                logger.error("Global WS Connection Error:", err?.code || err?.message);
-                            }
-                        });
-                        globalWsConnection.on('close', (code, reason) => {
-                            const readableReason = typeof reason === 'string' ? reason : reason?.toString() ?? 'no reason';
-                            logger.warn(`Global WS closed (${code}): ${readableReason}`);
-                            globalWsConnection = null;
-                            // Auto-reconnect on abnormal close if any renderer is connected
-                            if (code !== 1000 && rendererConnections.size > 0) {
-                                logger.info('Scheduling global WS reconnection...');
-                                setTimeout(() => subscribeGlobal(), 5000);
-                            }
-                        });
-                    } catch (err) {
-                        globalWsReconnecting = false;
+        const sendInitialTicker = async () => {
+            try {
+                const snapshot = await ensureTickerSnapshot();
+                if (snapshot?.length) {
+                    const payload = snapshot.map((entry) => ({ ...entry }));
+                    sendJSON(connection, { ticker: payload });
+                }
+            } catch (err) {
+                logger.error("Ticker24 Error:", err);
+                if (err?.message) {
+                    logger.error("Ticker24 Error Message:", err.message);
+                }
+            }
+        };
+        void sendInitialTicker();
+
+        // Initialize shared global sockets (ticker + user data) - ONLY ONCE
+        if (!globalSocketsInitialized) {
+            globalSocketsInitialized = true;
+
+            // Subscribe to All Tickers Stream (shared by all renderers)
+            let globalWsReconnecting = false;
+            const subscribeGlobal = async (retryCount = 0) => {
+                const MAX_RETRIES = 5;
+                const RETRY_DELAY_BASE = 3000;
+
+                if (globalWsReconnecting && retryCount === 0) return;
+                globalWsReconnecting = true;
+
+                try {
+                    globalWsConnection = await adapter.connectTickerStream();
+                    globalWsReconnecting = false;
+                    emitStreamState('ticker', { state: 'connected' });
+
+                    globalWsConnection.on('message', handleTickerStreamMessage);
+                    globalWsConnection.on('error', (err) => {
                         const isNetworkError = err?.code === 'ECONNRESET' || err?.code === 'ETIMEDOUT' ||
-                                               err?.code === 'ENOTFOUND' || err?.message?.includes('TLS');
-                        
-                        if (isNetworkError && retryCount < MAX_RETRIES && rendererConnections.size > 0) {
-                            const delay = RETRY_DELAY_BASE * (retryCount + 1);
-                            logger.warn(`Global WS connection failed (${err?.code}), retrying in ${delay}ms (${retryCount + 1}/${MAX_RETRIES})`);
-                            setTimeout(() => subscribeGlobal(retryCount + 1), delay);
+                                               err?.message?.includes('socket disconnected');
+                        if (isNetworkError) {
+                            logger.warn(`Global WS network error (${err?.code}), will reconnect...`);
                         } else {
                             logger.error("Global WS Connection Error:", err?.code || err?.message);
                         }
+                    });
+                    globalWsConnection.on('close', (code, reason) => {
+                        const readableReason = typeof reason === 'string' ? reason : reason?.toString() ?? 'no reason';
+                        logger.warn(`Global WS closed (${code}): ${readableReason}`);
+                        globalWsConnection = null;
+                        emitStreamState('ticker', { state: 'disconnected', code, reason: readableReason });
+                        // Auto-reconnect on abnormal close if any renderer or trailing stop needs it
+                        if (code !== 1000 && (rendererConnections.size > 0 || trailingStops.size > 0)) {
+                            logger.info('Scheduling global WS reconnection...');
+                            streamReconnects.ticker++;
+                            setTimeout(() => subscribeGlobal(), 5000);
+                        }
+                    });
+                } catch (err) {
+                    globalWsReconnecting = false;
+                    const isNetworkError = err?.code === 'ECONNRESET' || err?.code === 'ETIMEDOUT' ||
+                                           err?.code === 'ENOTFOUND' || err?.message?.includes('TLS');
+
+                    if (isNetworkError && retryCount < MAX_RETRIES && (rendererConnections.size > 0 || trailingStops.size > 0)) {
+                        const delay = RETRY_DELAY_BASE * (retryCount + 1);
+                        logger.warn(`Global WS connection failed (${err?.code}), retrying in ${delay}ms (${retryCount + 1}/${MAX_RETRIES})`);
+                        streamReconnects.ticker++;
+                        setTimeout(() => subscribeGlobal(retryCount + 1), delay);
+                    } else {
+                        logger.error("Global WS Connection Error:", err?.code || err?.message);
                     }
-                };
-                subscribeGlobal();
-
-                // Subscribe to User Data Stream (shared by all renderers)
-                let userDataReconnecting = false;
-                const startUserDataStream = async (retryCount = 0) => {
-                    const MAX_RETRIES = 5;
-                    const RETRY_DELAY_BASE = 3000;
-                    
-                    if (userDataReconnecting && retryCount === 0) return;
-                    userDataReconnecting = true;
-                    
-                    try {
-                        logger.info("Starting User Data Stream setup...");
-
-                        const response = await rateLimiter.execute(
-                            () => client.restAPI.sendRequest('/api/v3/userDataStream', 'POST'),
-                            1
-                        );
-                        const data = await response.data();
-
-                    const listenKey = data?.listenKey;
-                    if (!listenKey) {
-                        logger.error("Failed to obtain listenKey");
-                        userDataReconnecting = false;
-                        return;
-                    }
-                    logger.info("Listen Key obtained successfully.");
+                }
+            };
+            // Still open if trailing stops kept it alive while no renderer was connected
+            if (!globalWsConnection) subscribeGlobal();
 
-                    await throttleWsConnection();
-                    userDataWsConnection = await client.websocketStreams.connect({
-                        stream: listenKey
-                    });
+            // Subscribe to User Data Stream (shared by all renderers)
+            let userDataReconnecting = false;
+            const startUserDataStream = async (retryCount = 0) => {
+                const MAX_RETRIES = 5;
+                const RETRY_DELAY_BASE = 3000;
+
+                if (userDataReconnecting && retryCount === 0) return;
+                userDataReconnecting = true;
+
+                try {
+                    logger.info("Starting User Data Stream setup...");
+                    userDataWsConnection = await adapter.connectUserStream();
                     userDataReconnecting = false;
 
                     logger.info("User Data Stream connected.");
+                    emitStreamState('user_data', { state: 'connected' });
 
-                    userDataWsConnection.on('message', (data) => {
-                        const payload = extractStreamPayload(data);
-                        if (!payload) return;
-
-                        if (payload.e === 'executionReport') {
-                            const report = normalizeExecutionReport(payload);
-                            logger.info(`[stream] Execution Report: ${report.symbol} ${report.side} ${report.status}`);
-                            // Broadcast to ALL connected renderers
-                            broadcastToRenderers({ execution_update: report });
-                        } else if (payload.e === 'outboundAccountPosition') {
-                            broadcastToRenderers({ balance_update: payload });
-                        }
-                    });
+                    userDataWsConnection.on('message', handleUserDataStreamMessage);
+                    // Fills that happened while the stream was down never arrive on it
+                    void brackets.reconcile();
 
                     userDataWsConnection.on('error', (err) => {
                         const isNetworkError = err?.code === 'ECONNRESET' || err?.code === 'ETIMEDOUT' ||
@@ -976,106 +1060,36 @@ export function setupBinanceConnection() {
 
                     userDataWsConnection.on('close', () => {
                         logger.warn("User Data Stream closed");
-                        if (keepAliveInterval) clearInterval(keepAliveInterval);
                         userDataWsConnection = null;
-                        // Auto-reconnect on unexpected close if any renderer connected
-                        if (rendererConnections.size > 0) {
+                        emitStreamState('user_data', { state: 'disconnected' });
+                        // Auto-reconnect on unexpected close if any renderer or bracket needs it
+                        if (rendererConnections.size > 0 || brackets.size > 0) {
                             logger.info('Scheduling User Data Stream reconnection...');
+                            streamReconnects.userData++;
                             setTimeout(() => startUserDataStream(), 5000);
                         }
                     });
-
-                    // Keep-alive every 30 minutes
-                    keepAliveInterval = setInterval(async () => {
-                        try {
-                            await rateLimiter.execute(
-                                () => client.restAPI.sendRequest('/api/v3/userDataStream', 'PUT', { listenKey }),
-                                1
-                            );
-                            logger.debug("Renewed listenKey");
-                        } catch (err) {
-                            logger.warn("Failed to renew listenKey:", err?.code || err?.message);
-                        }
-                    }, 30 * 60 * 1000);
-
                 } catch (err) {
                     userDataReconnecting = false;
                     const isNetworkError = err?.code === 'ECONNRESET' || err?.code === 'ETIMEDOUT' ||
                                            err?.code === 'ENOTFOUND' || err?.message?.includes('TLS');
-                    
-                    if (isNetworkError && retryCount < MAX_RETRIES && rendererConnections.size > 0) {
+
+                    if (isNetworkError && retryCount < MAX_RETRIES && (rendererConnections.size > 0 || brackets.size > 0)) {
                         const delay = RETRY_DELAY_BASE * (retryCount + 1);
                         logger.warn(`User Data Stream connection failed (${err?.code}), retrying in ${delay}ms (${retryCount + 1}/${MAX_RETRIES})`);
+                        streamReconnects.userData++;
                         setTimeout(() => startUserDataStream(retryCount + 1), delay);
                     } else {
                         logger.error("Failed to start User Data Stream:", err?.code || err?.message);
                     }
                 }
-                };
-                startUserDataStream();
-            } // End of globalSocketsInitialized block
-
-            // Initialize MarketStreamManager for consolidated WebSocket connections
-            marketStreamManager.setConnectFunction(async (params) => {
-                await throttleWsConnection();
-                return client.websocketStreams.connect(params);
-            });
-
-            // Set up single message handler for all market data (klines + trades + depth)
-            marketStreamManager.setMessageHandler((data) => {
-                const payload = extractStreamPayload(data);
-                if (!payload || typeof payload !== 'object') return;
-
-                const eventType = payload.e;
-
-                // Handle kline events - route to appropriate channels
-                if (eventType === 'kline') {
-                    const kline = payload.k;
-                    if (!kline) return;
-
-                    const symbol = kline.s;
-                    const interval = kline.i;
-                    const streamName = marketStreamManager.getKlineStreamName(symbol, interval);
-
-                    // Find all channels subscribed to this stream
-                    const subscribers = marketStreamManager.klineStreams.get(streamName);
-                    if (subscribers && subscribers.size > 0) {
-                        const normalized = normalizeStreamCandle(kline);
-                        for (const channelId of subscribers) {
-                            const channel = channelManager.getChannel(channelId);
-                            if (channel && channel.symbol === symbol && channel.interval === interval) {
-                                emitToChannel(channelId, 'chart', [normalized], normalized);
-                            }
-                        }
-                    }
-                    return;
-                }
-
-                // Handle trade/depth events - route to detail channel
-                const detailChannel = channelManager.getDetailChannel();
-                if (!detailChannel) return;
-
-                const symbol = detailChannel.symbol;
-
-                if (eventType === 'trade' && payload.s === symbol) {
-                    const trade = {
-                        time: payload.T,
-                        price: payload.p,
-                        qty: payload.q,
-                        p: payload.p,
-                        q: payload.q,
-                        isBuyerMaker: payload.m,
-                        s: payload.s
-                    };
-                    emitToChannel(detailChannel.id, 'trades', trade);
-                }
+            };
+            // Still open if brackets kept it alive while no renderer was connected
+            if (!userDataWsConnection) startUserDataStream();
+        } // End of globalSocketsInitialized block
 
-                if (eventType === 'depthUpdate' && payload.s === symbol) {
-                    detailChannel.depthCache.update(payload);
-                    emitToChannel(detailChannel.id, 'depth', detailChannel.depthCache.getFormatted());
-                }
-            });
-        }
+        // Initialize MarketStreamManager for consolidated market sockets
+        marketStreamManager.setMessageHandler(handleMarketStreamMessage);
 
         /**
          * Subscribe to a channel (detail or mini)
@@ -1091,6 +1105,13 @@ export function setupBinanceConnection() {
         const subscribeChannel = async (channelId, channelType, symbol, interval) => {
             const isDetail = channelType === CHANNEL_TYPES.DETAIL;
 
+            // Tick/volume/range/Renko bars need the trade stream, which only the detail symbol has
+            const tradeBarSpec = parseTradeBarInterval(interval);
+            if (tradeBarSpec && !isDetail) {
+                logger.warn(`Trade bar interval ${interval} is only available on the detail channel`);
+                return;
+            }
+
             // For detail channels, cleanup any existing detail channel first
             if (isDetail) {
                 const existingDetail = channelManager.getDetailChannel();
@@ -1105,101 +1126,76 @@ export function setupBinanceConnection() {
             const channel = channelManager.createChannel(channelId, channelType, symbol, interval);
             channel.depthCache = new DepthCache();
 
-            if (USE_MOCK) {
-                // Mock mode - emit mock data for the channel
-                const mockPayload = buildMockChartPayload();
-                emitToChannel(channelId, 'chart', mockPayload.chart, mockPayload.last_tick);
-                return;
-            }
+            // Custom intervals (e.g. 90m) stream a native base interval and aggregate it
+            const { base: streamInterval, factor, baseMs, intervalMs } = resolveInterval(interval);
+            channel.streamInterval = tradeBarSpec ? null : streamInterval;
+            channel.aggregator = factor > 1 ? new CandleAggregator({ baseMs, intervalMs }) : null;
+            channel.tradeBars = tradeBarSpec ? { spec: tradeBarSpec, builder: null, pending: [] } : null;
 
-            // Rate-limited Data Fetching
-            // Binance API weights: exchangeInfo=10, depth=5-50, klines=1-5, trades=1, account=10
+            // Data Fetching (the adapter rate-limits its own REST calls; concurrent
+            // identical backfills from other renderers are shared)
             const fetchPromises = [];
 
-            // Exchange Info (Filters) - for detail channels (weight ~10)
+            // Exchange Info (Filters) - for detail channels
             if (isDetail && channel.state.initChart) {
-                fetchPromises.push(rateLimiter.execute(async () => {
-                    const res = await client.restAPI.exchangeInfo({ symbol });
-                    const exchangeInfo = await res.data();
-                    const symbolInfo = exchangeInfo?.symbols?.[0];
-                    if (symbolInfo) {
-                        const parsedFilters = {
-                            status: symbolInfo.status,
-                            baseAsset: symbolInfo.baseAsset,
-                            quoteAsset: symbolInfo.quoteAsset,
-                            baseAssetPrecision: symbolInfo.baseAssetPrecision,
-                            quoteAssetPrecision: symbolInfo.quoteAssetPrecision,
-                            quotePrecision: symbolInfo.quotePrecision,
-                        };
-                        symbolInfo.filters.forEach(f => {
-                            if (f.filterType === 'MIN_NOTIONAL') parsedFilters.minNotional = f.minNotional;
-                            if (f.filterType === 'PRICE_FILTER') {
-                                parsedFilters.minPrice = f.minPrice;
-                                parsedFilters.maxPrice = f.maxPrice;
-                                parsedFilters.tickSize = f.tickSize;
-                            }
-                            if (f.filterType === 'LOT_SIZE') {
-                                parsedFilters.stepSize = f.stepSize;
-                                parsedFilters.minQty = f.minQty;
-                                parsedFilters.maxQty = f.maxQty;
-                            }
-                        });
-                        emitGlobal('filters', { [symbol]: parsedFilters });
+                fetchPromises.push((async () => {
+                    const filters = await subscriptionRegistry.share(`filters:${symbol}`, () => adapter.getFilters(symbol));
+                    if (filters) {
+                        channel.tickSize = filters.tickSize;
+                        emitGlobal('filters', { [symbol]: filters });
                         channel.state.initChart = false;
                     }
-                }, 10).catch(err => logger.error("Exchange Info Fetch Error:", err)));
+                })().catch(err => logger.error("Exchange Info Fetch Error:", err)));
             }
 
-            // Account State - for detail channels only (weight ~10 each)
+            // Account State - for detail channels only
             if (isDetail) {
-                fetchPromises.push(rateLimiter.execute(() => fetchBalances(), 10).catch(err => logger.error("Balances Fetch Error:", err)));
-                fetchPromises.push(rateLimiter.execute(() => fetchOpenOrders(), 3).catch(err => logger.error("Open Orders Fetch Error:", err)));
-                fetchPromises.push(rateLimiter.execute(() => fetchTradeHistoryForSymbol(symbol), 10).catch(err => logger.error("Trade History Fetch Error:", err)));
+                fetchPromises.push(refreshAccountState(symbol));
+                emit({ algo_orders: algoExecutor.list() });
+                emit({ trailing_stops: trailingStops.list() });
+                emit({ bracket_orders: brackets.list() });
             }
 
-            // Recent Trades - for detail channels (weight ~1)
+            // Recent Trades - for detail channels
             if (isDetail) {
-                fetchPromises.push(rateLimiter.execute(async () => {
-                    const res = await client.restAPI.getTrades({ symbol, limit: 100 });
-                    const recentTrades = await res.data();
-                    const parsedTrades = Array.isArray(recentTrades)
-                        ? recentTrades.map(t => ({
-                            time: t.time,
-                            price: t.price,
-                            qty: t.qty,
-                            isBuyerMaker: t.isBuyerMaker
-                        }))
-                        : [];
-                    emitToChannel(channelId, 'trades', parsedTrades);
-                }, 1).catch(err => logger.error("Recent Trades Fetch Error:", err)));
+                fetchPromises.push((async () => {
+                    const recentTrades = await subscriptionRegistry.share(
+                        `trades:${symbol}`,
+                        () => adapter.getRecentTrades(symbol, { limit: 100 })
+                    );
+                    emitToChannel(channelId, 'trades', recentTrades);
+                })().catch(err => logger.error("Recent Trades Fetch Error:", err)));
             }
 
-            // Depth Snapshot - for detail channels (weight ~5 for limit 100)
+            // Depth Snapshot - for detail channels
             if (isDetail) {
-                fetchPromises.push(rateLimiter.execute(async () => {
-                    const res = await client.restAPI.depth({ symbol, limit: 100 });
-                    const depthSnapshot = await res.data();
-                    channel.depthCache.snapshot(depthSnapshot);
-                    emitToChannel(channelId, 'depth', channel.depthCache.getFormatted());
-                }, 5).catch(err => logger.error("Depth Snapshot Fetch Error:", err)));
+                fetchPromises.push(resyncDepth(channel));
             }
 
-            // Klines (Chart History) - for all channel types (weight ~2 for limit 500)
-            fetchPromises.push(rateLimiter.execute(async () => {
-                const res = await client.restAPI.klines({ symbol, interval, limit: 500 });
-                const klines = await res.data();
-                const parsedKlines = Array.isArray(klines) ? klines.map(normalizeBinanceCandle) : [];
-                if (parsedKlines.length) {
-                    emitToChannel(channelId, 'chart', parsedKlines, parsedKlines[parsedKlines.length - 1]);
-                }
-            }, 2).catch(err => logger.error("Klines Fetch Error:", err)));
+            // Chart history - trade bars for tick/volume/range/Renko intervals, klines otherwise
+            if (tradeBarSpec) {
+                fetchPromises.push(seedTradeBars(channel).catch(err => logger.error("Trade Bars Error:", err)));
+            } else {
+                fetchPromises.push((async () => {
+                    const { candles: parsedKlines, base } = await subscriptionRegistry.share(
+                        `klines:${symbol}:${interval}`,
+                        () => fetchKlines(adapter, symbol, interval, { limit: CHART_KLINES_LIMIT })
+                    );
+                    channel.aggregator?.seed(base);
+                    if (parsedKlines.length) {
+                        emitToChannel(channelId, 'chart', parsedKlines, parsedKlines[parsedKlines.length - 1]);
+                    }
+                })().catch(err => logger.error("Klines Fetch Error:", err)));
+            }
 
-            // Execute REST fetches concurrently (rate-limited)
+            // Execute fetches concurrently
             Promise.allSettled(fetchPromises);
 
             // Subscribe to consolidated WebSocket Streams (all in ONE socket)
             // Add kline stream for this channel
-            marketStreamManager.addKlineStream(channelId, symbol, interval);
+            if (channel.streamInterval) {
+                marketStreamManager.addKlineStream(channelId, symbol, streamInterval);
+            }
 
             // For detail channels, set the detail symbol (kline tracking only)
             // NOTE: Trade + depth streams are NOT auto-subscribed!
@@ -1209,6 +1205,39 @@ export function setupBinanceConnection() {
             }
         };
 
+        /**
+         * Send one page of older candles for scroll-back
+         * Answers with a `history` message; `extra.failed` tells the renderer to
+         * allow another try instead of treating the page as the start of the market.
+         * @param {string} channelId
+         * @param {number} endTime - Newest open time to include (ms)
+         * @param {number} limit - Custom intervals may get fewer (see fetchKlines); `extra.limit` is the one used
+         */
+        const loadHistory = async (channelId, endTime, limit) => {
+            const channel = channelManager.getChannel(channelId);
+            if (!channel) return;
+            if (channel.tradeBars) {
+                // Trade bars have no history beyond the recent trades they were seeded from
+                emitToChannel(channelId, 'history', [], { endTime, limit });
+                return;
+            }
+            const { symbol, interval } = channel;
+            let candles = [];
+            let failed = false;
+            try {
+                ({ candles, limit } = await subscriptionRegistry.share(
+                    `klines:${symbol}:${interval}:${endTime}:${limit}`,
+                    () => fetchKlines(adapter, symbol, interval, { limit, endTime })
+                ));
+            } catch (err) {
+                logger.error("History Fetch Error:", err?.message);
+                failed = true;
+            }
+            // The renderer may have moved on while the page was loading
+            if (channelManager.getChannel(channelId) !== channel) return;
+            emitToChannel(channelId, 'history', candles, { endTime, limit, ...(failed && { failed }) });
+        };
+
         /**
          * Unsubscribe from a channel
          * @param {string} channelId 
@@ -1217,7 +1246,9 @@ export function setupBinanceConnection() {
             const channel = channelManager.getChannel(channelId);
             if (channel) {
                 // Remove kline stream subscription
-                marketStreamManager.removeKlineStream(channelId, channel.symbol, channel.interval);
+                if (channel.streamInterval) {
+                    marketStreamManager.removeKlineStream(channelId, channel.symbol, channel.streamInterval);
+                }
                 
                 // If this was a detail channel, clear detail symbol
                 if (channel.type === CHANNEL_TYPES.DETAIL) {
@@ -1254,6 +1285,17 @@ export function setupBinanceConnection() {
                         await unsubscribeChannel(channelId);
                         break;
                     }
+                    case 'loadHistory': {
+                        const { channelId } = data;
+                        const endTime = parseInt(data.endTime, 10);
+                        const limit = parseInt(data.limit ?? CHART_KLINES_LIMIT, 10);
+                        if (!channelId || !(endTime > 0) || !(limit >= 1)) {
+                            logger.warn('Invalid loadHistory request:', data);
+                            return;
+                        }
+                        await loadHistory(channelId, endTime, Math.min(limit, MAX_HISTORY_PAGE_LIMIT));
+                        break;
+                    }
                     case 'enable_depth_view': {
                         // Enable trade + depth streams for DepthView
                         // Only call this when user actually opens DepthView
@@ -1264,6 +1306,26 @@ export function setupBinanceConnection() {
                         }
                         logger.info(`[DepthView] Enabling trade + depth streams for: ${symbol}`);
                         marketStreamManager.enableDepthView(symbol);
+                        // The subscribe-time snapshot goes stale while no diffs arrive;
+                        // resync against the stream once it delivers its first diff
+                        const detailChannel = channelManager.getDetailChannel();
+                        if (detailChannel?.symbol === symbol && detailChannel.depthCache.isLive()) {
+                            detailChannel.depthCache.beginResync();
+                            emitDepthStatus(detailChannel);
+                        }
+                        break;
+                    }
+                    case 'depth_precision': {
+                        // Ladder granularity for the OrderBook: bucket width in ticks and rows per side
+                        const tickMultiple = parseInt(data.tickMultiple, 10);
+                        const levels = parseInt(data.levels ?? depthPrecision.levels, 10);
+                        if (!(tickMultiple >= 1) || !(levels >= 1)) {
+                            logger.warn('Invalid depth_precision request:', data);
+                            return;
+                        }
+                        depthPrecision = { tickMultiple, levels: Math.min(levels, MAX_DEPTH_LADDER_LEVELS) };
+                        const detailChannel = channelManager.getDetailChannel();
+                        if (detailChannel?.depthCache.isLive()) emitDepth(detailChannel);
                         break;
                     }
                     case 'disable_depth_view': {
@@ -1282,6 +1344,136 @@ export function setupBinanceConnection() {
                         await handleCancelOrder(data);
                         break;
                     }
+                    case 'replaceOrder': {
+                        await handleReplaceOrder(data);
+                        break;
+                    }
+                    case 'algoOrder': {
+                        // TWAP / iceberg parent; progress is broadcast as algo_update
+                        try {
+                            const result = await algoExecutor.start({ ...data, symbol: data.symbol || panelSettings?.selected });
+                            if (result.error) {
+                                logger.warn(`Algo order rejected: ${result.error}`);
+                                emitOrderError('algoOrder', data, result.error);
+                            }
+                        } catch (error) {
+                            logger.error("Algo order error:", error);
+                            emitOrderError('algoOrder', data, error);
+                        }
+                        break;
+                    }
+                    case 'algoControl': {
+                        try {
+                            const result = await algoExecutor.control(data.id, data.command);
+                            if (result.error) emitOrderError('algoControl', data, result.error);
+                        } catch (error) {
+                            logger.error("Algo control error:", error);
+                            emitOrderError('algoControl', data, error);
+                        }
+                        break;
+                    }
+                    case 'trailingStop': {
+                        // Tracked by the service until hit; progress is broadcast as trailing_update
+                        try {
+                            const result = await trailingStops.add({ ...data, symbol: data.symbol || panelSettings?.selected });
+                            if (result.error) {
+                                logger.warn(`Trailing stop rejected: ${result.error}`);
+                                emitOrderError('trailingStop', data, result.error);
+                            }
+                        } catch (error) {
+                            logger.error("Trailing stop error:", error);
+                            emitOrderError('trailingStop', data, error);
+                        }
+                        break;
+                    }
+                    case 'cancelTrailingStop': {
+                        try {
+                            const result = trailingStops.cancel(data.id);
+                            if (result.error) emitOrderError('cancelTrailingStop', data, result.error);
+                        } catch (error) {
+                            logger.error("Cancel trailing stop error:", error);
+                            emitOrderError('cancelTrailingStop', data, error);
+                        }
+                        break;
+                    }
+                    case 'bracketOrder': {
+                        // Entry with linked exits; progress is broadcast as bracket_update
+                        try {
+                            const result = await brackets.place({ ...data, symbol: data.symbol || panelSettings?.selected });
+                            if (result.error) {
+                                logger.warn(`Bracket order rejected: ${result.error?.message ?? result.error}`);
+                                emitOrderError('bracketOrder', data, result.error);
+                            }
+                        } catch (error) {
+                            logger.error("Bracket order error:", error);
+                            emitOrderError('bracketOrder', data, error);
+                        }
+                        break;
+                    }
+                    case 'amendBracket': {
+                        try {
+                            const result = await brackets.amend(data.id, data);
+                            if (result.error) emitOrderError('amendBracket', data, result.error);
+                        } catch (error) {
+                            logger.error("Amend bracket error:", error);
+                            emitOrderError('amendBracket', data, error);
+                        }
+                        break;
+                    }
+                    case 'cancelBracket': {
+                        try {
+                            const result = await brackets.cancel(data.id);
+                            if (result.error) emitOrderError('cancelBracket', data, result.error);
+                        } catch (error) {
+                            logger.error("Cancel bracket error:", error);
+                            emitOrderError('cancelBracket', data, error);
+                        }
+                        break;
+                    }
+                    case 'panic': {
+                        await handlePanic(data);
+                        break;
+                    }
+                    case 'syncTradeHistory': {
+                        // Cursors: { [symbol]: last stored trade id }
+                        const cursors = {};
+                        Object.entries(data.cursors ?? {}).forEach(([symbol, id]) => {
+                            const lastId = parseInt(id, 10);
+                            if (lastId >= 0) cursors[symbol.toUpperCase()] = lastId;
+                        });
+                        const symbols = Array.isArray(data.symbols) ? data.symbols : [];
+                        void handleTradeHistorySync(cursors, symbols);
+                        break;
+                    }
+                    case 'syncAlerts': {
+                        // The renderer's complete alert store; replaces what any renderer sent before
+                        if (!Array.isArray(data.alerts)) {
+                            logger.warn('Invalid syncAlerts request: alerts must be an array');
+                            return;
+                        }
+                        const count = alertEvaluator.setAlerts(data.alerts);
+                        logger.debug(`[alerts] Synced ${count} alert(s)`);
+                        break;
+                    }
+                    case 'syncHooks': {
+                        // The renderer's complete hook settings; replaces what any renderer sent before
+                        if (!Array.isArray(data.hooks)) {
+                            logger.warn('Invalid syncHooks request: hooks must be an array');
+                            return;
+                        }
+                        const count = hookDispatcher.setHooks(data.hooks);
+                        logger.debug(`[hooks] Synced ${count} hook(s)`);
+                        break;
+                    }
+                    case 'testHook': {
+                        // Test-fire from the settings: one delivery (with retries), answered to this renderer only
+                        const result = await hookDispatcher.fire(data.hook, 'test', {
+                            message: 'Test event from the hook settings',
+                            exchange: adapter.name
+                        });
+                        emit({ hook_result: { requestId: data.requestId ?? null, ...result } });
+                        break;
+                    }
                 }
                 return;
             }
@@ -1332,8 +1524,9 @@ export function setupBinanceConnection() {
 
             // Remove this renderer from tracking
             rendererConnections.delete(connection);
+            rendererSessions.delete(connection);
 
-            // Cleanup this renderer's channels (market socket per-renderer)
+            // Cleanup this renderer's channels and release its share of the market streams
             void channelManager.cleanup(safeDisconnect);
 
             // Only cleanup shared global sockets when ALL renderers disconnect
@@ -1341,18 +1534,16 @@ export function setupBinanceConnection() {
                 logger.info("All renderers disconnected, cleaning up shared sockets...");
                 globalSocketsInitialized = false;
                 
-                if (globalWsConnection) {
-                    void safeDisconnect(globalWsConnection, 'global stream');
-                    globalWsConnection = null;
-                }
-                if (userDataWsConnection) {
-                    void safeDisconnect(userDataWsConnection, 'user data stream');
-                    userDataWsConnection = null;
+                if (trailingStops.size > 0) {
+                    logger.info(`Keeping the ticker stream open for ${trailingStops.size} trailing stop(s)`);
                 }
-                if (keepAliveInterval) {
-                    clearInterval(keepAliveInterval);
-                    keepAliveInterval = null;
+                releaseTickerStream();
+                // Child fills can't be followed without the user stream
+                void algoExecutor.pauseAll('No renderer connected');
+                if (brackets.size > 0) {
+                    logger.info(`Keeping the user data stream open for ${brackets.size} bracket(s)`);
                 }
+                releaseUserDataStream();
             }
         });
     });
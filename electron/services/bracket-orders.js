@@ -0,0 +1,673 @@
+/**
+ * Bracket Orders - An entry limit order with a take-profit and a stop-loss attached
+ *
+ * The entry is a GTC limit order. Its fills are protected by OCO exits on the opposite
+ * side - a LIMIT_MAKER take-profit and a STOP_LOSS_LIMIT stop-loss - each sized to what
+ * filled since the previous exit was placed, so partial fills are covered as they come.
+ * Fills below the symbol's minimum order size carry over to the next one; a remainder
+ * that never reaches it is reported as unprotected.
+ *
+ * Fills are taken from execution reports - placement/cancel responses and the user data
+ * stream, fed in through handleExecutionReport() - and matched by orderId, or by the
+ * entry's client order id before its orderId is known. The levels can be moved while the
+ * bracket lives: a new entry price replaces the entry order, new exit levels replace the
+ * open OCOs.
+ *
+ * Live brackets are saved to a JSON file on every change. reconcile() catches up with what
+ * happened on the exchange while the service or the user data stream was down, from the
+ * open orders and the account trades, so no leg is left without its bracket.
+ */
+
+import { REPLACE_RESULTS, buildOrderRequest, buildReplaceRequest } from './order-builder.js';
+import { decimalsOf, errorReason, readState, toPositiveNumber, toSteps, writeState } from './order-utils.js';
+
+const BRACKET_STATUS = {
+    PENDING: 'PENDING', // entry working
+    ACTIVE: 'ACTIVE', // entry done, exits working
+    COMPLETED: 'COMPLETED',
+    CANCELED: 'CANCELED',
+    FAILED: 'FAILED'
+};
+
+const EXIT_STATUS = {
+    OPEN: 'OPEN',
+    TAKE_PROFIT: 'TAKE_PROFIT',
+    STOP_LOSS: 'STOP_LOSS',
+    CANCELED: 'CANCELED',
+    REPLACED: 'REPLACED'
+};
+
+const TERMINAL_ORDER_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'EXPIRED_IN_MATCH', 'REJECTED'];
+const LIVE_STATUSES = [BRACKET_STATUS.PENDING, BRACKET_STATUS.ACTIVE];
+const STATE_VERSION = 1;
+
+/**
+ * Check that the exits sit on the right sides of the entry
+ * @returns {string|null} Error message
+ */
+const checkLevels = (side, price, takeProfit, stopLoss) => {
+    if (side === 'BUY' && !(stopLoss < price && price < takeProfit)) {
+        return 'BUY brackets need stop-loss < entry < take-profit';
+    }
+    if (side === 'SELL' && !(takeProfit < price && price < stopLoss)) {
+        return 'SELL brackets need take-profit < entry < stop-loss';
+    }
+    return null;
+};
+
+/**
+ * Validate a renderer bracket order
+ * @param {Object} payload - { symbol, side, quantity, price, takeProfit, stopLoss, limitOffset? }
+ * @returns {Object|{ error: string }}
+ */
+const parseBracketOrder = (payload = {}) => {
+    const symbol = typeof payload.symbol === 'string' ? payload.symbol.toUpperCase() : null;
+    const side = payload.side?.toUpperCase();
+    const quantity = toPositiveNumber(payload.quantity);
+    const price = toPositiveNumber(payload.price);
+    const takeProfit = toPositiveNumber(payload.takeProfit);
+    const stopLoss = toPositiveNumber(payload.stopLoss);
+    const limitOffset = payload.limitOffset === undefined || payload.limitOffset === '' ? 0 : Number(payload.limitOffset);
+
+    if (!symbol) return { error: 'Missing symbol' };
+    if (side !== 'BUY' && side !== 'SELL') return { error: `Invalid side: ${payload.side}` };
+    if (quantity === null) return { error: 'Quantity must be a positive number' };
+    if (price === null) return { error: 'Entry price must be a positive number' };
+    if (takeProfit === null) return { error: 'Take-profit must be a positive number' };
+    if (stopLoss === null) return { error: 'Stop-loss must be a positive number' };
+    if (!Number.isFinite(limitOffset) || limitOffset < 0) return { error: 'Limit offset must be zero or more' };
+    const levelError = checkLevels(side, price, takeProfit, stopLoss);
+    if (levelError) return { error: levelError };
+    return { symbol, side, quantity, price, takeProfit, stopLoss, limitOffset };
+};
+
+class BracketManager {
+    /**
+     * @param {Object} options
+     * @param {import('./exchange-adapter.js').ExchangeAdapter} options.adapter
+     * @param {Object} [options.logger]
+     * @param {string|null} [options.filePath] - State file; null keeps the brackets in memory only
+     * @param {Function} [options.onUpdate] - (snapshot) when a bracket changes
+     * @param {Function} [options.onReports] - (reports) for the order responses
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor({
+        adapter,
+        logger = console,
+        filePath = null,
+        onUpdate = () => {},
+        onReports = () => {},
+        now = Date.now
+    }) {
+        this.adapter = adapter;
+        this.logger = logger;
+        this.filePath = filePath;
+        this.onUpdate = onUpdate;
+        this.onReports = onReports;
+        this.now = now;
+        this.brackets = new Map(); // id -> bracket
+        this.queues = new Map(); // id -> tail of the bracket's step chain
+        this.settling = new Set(); // ids with a settle pass waiting
+        this.nextId = 1;
+        this.load();
+    }
+
+    get size() {
+        return this.brackets.size;
+    }
+
+    /** @returns {Object[]} Live brackets, oldest first */
+    list() {
+        return [...this.brackets.values()].map((bracket) => this.snapshot(bracket));
+    }
+
+    /**
+     * Place the entry; exits follow its fills
+     * @param {Object} payload - See parseBracketOrder
+     * @returns {Promise<{ bracket: Object } | { error: string|Error }>}
+     */
+    async place(payload) {
+        const spec = parseBracketOrder(payload);
+        if (spec.error) return spec;
+
+        const filters = await this.adapter.getFilters(spec.symbol);
+        if (!filters) return { error: `Unknown symbol: ${spec.symbol}` };
+        const tickSize = Number(filters.tickSize);
+        const stepSize = Number(filters.stepSize);
+        const priceDecimals = decimalsOf(filters.tickSize);
+        const qtyDecimals = decimalsOf(filters.stepSize);
+        const toTick = (value) => Number((toSteps(value, tickSize, Math.round) * tickSize).toFixed(priceDecimals));
+        const quantity = Number((toSteps(spec.quantity, stepSize, Math.floor) * stepSize).toFixed(qtyDecimals));
+        if (!(quantity > 0)) return { error: 'Quantity is below the lot size' };
+        const [price, takeProfit, stopLoss] = [spec.price, spec.takeProfit, spec.stopLoss].map(toTick);
+        const levelError = checkLevels(spec.side, price, takeProfit, stopLoss);
+        if (levelError) return { error: `${levelError} (at tick size ${filters.tickSize})` };
+
+        const createdAt = this.now();
+        const id = `brk${createdAt.toString(36)}${this.nextId++}`;
+        const bracket = {
+            ...spec,
+            id,
+            quantity,
+            price,
+            takeProfit,
+            stopLoss,
+            status: BRACKET_STATUS.PENDING,
+            entry: { orderId: null, clientOrderId: `${id}-e`, status: 'NEW', executedQty: 0, previousQty: 0, revision: 0 },
+            exits: [],
+            exitCount: 0,
+            reason: null,
+            tickSize,
+            stepSize,
+            minQty: Number(filters.minQty) || 0,
+            minNotional: Number(filters.minNotional) || 0,
+            priceDecimals,
+            qtyDecimals,
+            createdAt,
+            updatedAt: createdAt
+        };
+
+        const orderRequest = buildOrderRequest({
+            symbol: bracket.symbol,
+            side: bracket.side,
+            quantity: this.formatQty(bracket, quantity),
+            price: this.formatPrice(bracket, price),
+            timeInForce: 'GTC',
+            newClientOrderId: bracket.entry.clientOrderId
+        });
+        if (orderRequest.error) return orderRequest;
+
+        // Saved before the entry goes out, so a restart mid-placement still finds it by client id
+        this.brackets.set(id, bracket);
+        this.save();
+        let reports;
+        try {
+            reports = await this.adapter.placeOrder(orderRequest);
+        } catch (error) {
+            this.brackets.delete(id);
+            this.save();
+            return { error };
+        }
+        this.logger.info(`[brackets] ${id} ${bracket.side} ${this.formatQty(bracket, quantity)} ${bracket.symbol} @ ${this.formatPrice(bracket, price)} TP ${this.formatPrice(bracket, takeProfit)} SL ${this.formatPrice(bracket, stopLoss)}`);
+        reports.forEach((report) => this.handleExecutionReport(report));
+        this.onReports(reports);
+        this.update(bracket);
+        return { bracket: this.snapshot(bracket) };
+    }
+
+    /**
+     * Move the levels of a live bracket (chart drags). A new entry price replaces the entry
+     * order; new exit levels replace the open exits with one OCO for their quantity.
+     * @param {string} id
+     * @param {{ price?: number, takeProfit?: number, stopLoss?: number }} changes
+     * @returns {Promise<{ bracket: Object } | { error: string }>}
+     */
+    async amend(id, changes = {}) {
+        const bracket = this.brackets.get(id);
+        if (!bracket) return { error: `Unknown bracket: ${id}` };
+        const level = (key) => {
+            if (changes[key] === undefined || changes[key] === null) return bracket[key];
+            const value = toPositiveNumber(changes[key]);
+            return value === null ? null : Number((toSteps(value, bracket.tickSize, Math.round) * bracket.tickSize).toFixed(bracket.priceDecimals));
+        };
+        const [price, takeProfit, stopLoss] = ['price', 'takeProfit', 'stopLoss'].map(level);
+        if (price === null || takeProfit === null || stopLoss === null) return { error: 'Levels must be positive numbers' };
+        const levelError = checkLevels(bracket.side, price, takeProfit, stopLoss);
+        if (levelError) return { error: levelError };
+
+        return this.run(bracket, async () => {
+            if (!LIVE_STATUSES.includes(bracket.status) || bracket.cancelRequested) return { error: 'Bracket is no longer live' };
+            if (price !== bracket.price) {
+                if (this.isEntryDone(bracket)) return { error: 'The entry is no longer open' };
+                const replaced = await this.replaceEntry(bracket, price);
+                if (replaced.error) return replaced;
+            }
+            if (takeProfit !== bracket.takeProfit || stopLoss !== bracket.stopLoss) {
+                bracket.takeProfit = takeProfit;
+                bracket.stopLoss = stopLoss;
+                for (const exit of bracket.exits.filter((item) => item.status === EXIT_STATUS.OPEN)) {
+                    await this.cancelExit(bracket, exit, true);
+                }
+                this.logger.info(`[brackets] ${id} exits moved to TP ${this.formatPrice(bracket, takeProfit)} SL ${this.formatPrice(bracket, stopLoss)}`);
+                await this.protect(bracket);
+            }
+            this.settle(bracket);
+            return { bracket: this.snapshot(bracket) };
+        }).then((result) => result ?? { error: 'Amend failed' });
+    }
+
+    /**
+     * Pull the entry and the open exits; what was filled stays in the account
+     * @param {string} id
+     * @returns {Promise<{ bracket: Object } | { error: string }>}
+     */
+    async cancel(id) {
+        const bracket = this.brackets.get(id);
+        if (!bracket) return { error: `Unknown bracket: ${id}` };
+        bracket.cancelRequested = true;
+        await this.run(bracket, async () => {
+            if (!this.isEntryDone(bracket)) await this.cancelEntry(bracket);
+            for (const exit of bracket.exits.filter((item) => item.status === EXIT_STATUS.OPEN)) {
+                await this.cancelExit(bracket, exit, false);
+            }
+            this.finish(bracket, BRACKET_STATUS.CANCELED, null);
+        });
+        return { bracket: this.snapshot(bracket) };
+    }
+
+    /**
+     * Execution report from a response or the user data stream
+     * @param {Object} report - normalizeExecutionReport() output
+     */
+    handleExecutionReport(report) {
+        if (report?.i === undefined && !report?.c) return;
+        for (const bracket of this.brackets.values()) {
+            const { entry } = bracket;
+            if ((report.i !== undefined && report.i === entry.orderId) || (report.c && report.c === entry.clientOrderId)) {
+                this.applyEntry(bracket, {
+                    orderId: report.i,
+                    executedQty: parseFloat(report.z),
+                    status: report.X
+                });
+                return;
+            }
+            const exit = bracket.exits.find((item) => item.status === EXIT_STATUS.OPEN
+                && (report.i === item.takeProfitId || report.i === item.stopLossId));
+            if (exit) {
+                this.applyExit(bracket, exit, report.i === exit.takeProfitId ? 'takeProfit' : 'stopLoss', {
+                    executedQty: parseFloat(report.z),
+                    status: report.X
+                });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Catch up with the exchange after the service or the user data stream was down:
+     * orders that are no longer open are settled from the account trades
+     * @returns {Promise<void>}
+     */
+    async reconcile() {
+        const live = [...this.brackets.values()].filter((bracket) => LIVE_STATUSES.includes(bracket.status));
+        if (!live.length) return;
+        let openOrders;
+        try {
+            openOrders = await this.adapter.getOpenOrders();
+        } catch (error) {
+            this.logger.warn(`[brackets] Could not reconcile, open orders unavailable: ${errorReason(error)}`);
+            return;
+        }
+        const openById = new Map(openOrders.map((order) => [order.orderId, order]));
+        const tradesBySymbol = new Map();
+        const executedOf = async (symbol, orderId) => {
+            if (!tradesBySymbol.has(symbol)) {
+                tradesBySymbol.set(symbol, this.adapter.getMyTrades(symbol).catch(() => []));
+            }
+            const trades = await tradesBySymbol.get(symbol);
+            return trades
+                .filter((trade) => trade.orderId === orderId)
+                .reduce((sum, trade) => sum + parseFloat(trade.qty), 0);
+        };
+
+        await Promise.all(live.map((bracket) => this.run(bracket, async () => {
+            const { entry } = bracket;
+            if (!this.isEntryDone(bracket)) {
+                const open = entry.orderId !== null
+                    ? openById.get(entry.orderId)
+                    : openOrders.find((order) => order.clientOrderId === entry.clientOrderId);
+                if (open) {
+                    this.applyEntry(bracket, { orderId: open.orderId, executedQty: parseFloat(open.executedQty), status: open.status });
+                } else if (entry.orderId === null) {
+                    // The service stopped before the exchange answered and nothing rests under the client id
+                    this.applyEntry(bracket, { executedQty: 0, status: 'REJECTED' });
+                } else {
+                    const executedQty = await executedOf(bracket.symbol, entry.orderId);
+                    const remaining = bracket.quantity - entry.previousQty;
+                    this.applyEntry(bracket, { executedQty, status: executedQty >= remaining - bracket.stepSize / 2 ? 'FILLED' : 'CANCELED' });
+                }
+            }
+            for (const exit of bracket.exits.filter((item) => item.status === EXIT_STATUS.OPEN)) {
+                if (openById.has(exit.takeProfitId) || openById.has(exit.stopLossId)) continue;
+                for (const leg of ['takeProfit', 'stopLoss']) {
+                    const executedQty = await executedOf(bracket.symbol, exit[`${leg}Id`]);
+                    this.applyExit(bracket, exit, leg, {
+                        executedQty,
+                        status: executedQty >= exit.quantity - bracket.stepSize / 2 ? 'FILLED' : 'CANCELED'
+                    });
+                }
+            }
+            await this.protect(bracket);
+            this.settle(bracket);
+        })));
+        this.logger.info(`[brackets] Reconciled ${live.length} bracket(s) with the exchange`);
+    }
+
+    // --- Internals: state ------------------------------------------------------
+
+    filledQty(bracket) {
+        return bracket.entry.previousQty + bracket.entry.executedQty;
+    }
+
+    // Quantity already covered by an exit; replaced exits only keep what they filled
+    protectedQty(bracket) {
+        return bracket.exits.reduce(
+            (sum, exit) => sum + (exit.status === EXIT_STATUS.REPLACED ? exit.executedQty : exit.quantity),
+            0
+        );
+    }
+
+    isEntryDone(bracket) {
+        return TERMINAL_ORDER_STATUSES.includes(bracket.entry.status);
+    }
+
+    applyEntry(bracket, { orderId, executedQty, status }) {
+        const { entry } = bracket;
+        if (entry.orderId === null && orderId !== undefined) entry.orderId = orderId;
+        let changed = false;
+        if (executedQty > entry.executedQty) {
+            entry.executedQty = executedQty;
+            changed = true;
+        }
+        // The cancel half of a re-price is not the end of the entry
+        if (TERMINAL_ORDER_STATUSES.includes(status) && !this.isEntryDone(bracket) && !(entry.replacing && status !== 'FILLED')) {
+            entry.status = status;
+            changed = true;
+        }
+        if (changed) this.enqueueSettle(bracket);
+    }
+
+    applyExit(bracket, exit, leg, { executedQty, status }) {
+        exit.executedQty = Math.max(exit.executedQty, executedQty || 0);
+        exit.legs[leg] = status;
+        // The other leg of a filled OCO only expires; the exit keeps its outcome
+        if (exit.status !== EXIT_STATUS.OPEN) return;
+        if (status === 'FILLED') {
+            exit.status = leg === 'takeProfit' ? EXIT_STATUS.TAKE_PROFIT : EXIT_STATUS.STOP_LOSS;
+            this.logger.info(`[brackets] ${bracket.id} ${leg === 'takeProfit' ? 'take-profit' : 'stop-loss'} filled for ${this.formatQty(bracket, exit.quantity)}`);
+        } else if (Object.values(exit.legs).every((legStatus) => TERMINAL_ORDER_STATUSES.includes(legStatus))) {
+            exit.status = exit.replacing ? EXIT_STATUS.REPLACED : EXIT_STATUS.CANCELED;
+        } else {
+            return;
+        }
+        this.enqueueSettle(bracket);
+    }
+
+    /** Settle the bracket after its orders changed, once per burst of reports */
+    enqueueSettle(bracket) {
+        if (this.settling.has(bracket.id)) return;
+        this.settling.add(bracket.id);
+        void this.run(bracket, async () => {
+            this.settling.delete(bracket.id);
+            await this.protect(bracket);
+            this.settle(bracket);
+        });
+    }
+
+    /** Work out the status from the entry and the exits */
+    settle(bracket) {
+        if (!LIVE_STATUSES.includes(bracket.status) || bracket.cancelRequested) return;
+        const filled = this.filledQty(bracket);
+        if (!this.isEntryDone(bracket)) {
+            this.update(bracket);
+            return;
+        }
+        if (!(filled > 0)) {
+            this.finish(bracket, BRACKET_STATUS.CANCELED, bracket.reason ?? `Entry ${bracket.entry.status.toLowerCase()} before it filled`);
+            return;
+        }
+        const exits = bracket.exits.filter((exit) => exit.status !== EXIT_STATUS.REPLACED);
+        if (exits.some((exit) => exit.status === EXIT_STATUS.OPEN)) {
+            bracket.status = BRACKET_STATUS.ACTIVE;
+            this.update(bracket);
+        } else if (exits.some((exit) => exit.status === EXIT_STATUS.CANCELED)) {
+            this.finish(bracket, BRACKET_STATUS.CANCELED, 'Exit canceled outside the bracket');
+        } else {
+            this.finish(bracket, BRACKET_STATUS.COMPLETED, bracket.reason);
+        }
+    }
+
+    finish(bracket, status, reason) {
+        bracket.status = status;
+        bracket.reason = reason;
+        this.brackets.delete(bracket.id);
+        this.logger.info(`[brackets] ${bracket.id} ${status.toLowerCase()}${reason ? `: ${reason}` : ''}`);
+        this.update(bracket);
+    }
+
+    update(bracket) {
+        bracket.updatedAt = this.now();
+        this.onUpdate(this.snapshot(bracket));
+        this.save();
+    }
+
+    snapshot(bracket) {
+        return {
+            id: bracket.id,
+            symbol: bracket.symbol,
+            side: bracket.side,
+            status: bracket.status,
+            quantity: this.formatQty(bracket, bracket.quantity),
+            price: this.formatPrice(bracket, bracket.price),
+            takeProfit: this.formatPrice(bracket, bracket.takeProfit),
+            stopLoss: this.formatPrice(bracket, bracket.stopLoss),
+            limitOffset: bracket.limitOffset,
+            filledQty: this.formatQty(bracket, this.filledQty(bracket)),
+            protectedQty: this.formatQty(bracket, this.protectedQty(bracket)),
+            entry: { orderId: bracket.entry.orderId, status: bracket.entry.status },
+            exits: bracket.exits
+                .filter((exit) => exit.status !== EXIT_STATUS.REPLACED)
+                .map((exit) => ({
+                    orderListId: exit.orderListId,
+                    takeProfitId: exit.takeProfitId,
+                    stopLossId: exit.stopLossId,
+                    quantity: this.formatQty(bracket, exit.quantity),
+                    status: exit.status
+                })),
+            ...(bracket.reason && { reason: bracket.reason }),
+            createdAt: bracket.createdAt,
+            updatedAt: bracket.updatedAt
+        };
+    }
+
+    // --- Internals: orders -------------------------------------------------------
+
+    /** Run a step after the bracket's previous steps; failures are logged */
+    run(bracket, step) {
+        const next = (this.queues.get(bracket.id) ?? Promise.resolve()).then(step).catch((err) => {
+            this.logger.error(`[brackets] ${bracket.id} step failed:`, err?.code || err?.message);
+        });
+        this.queues.set(bracket.id, next);
+        return next;
+    }
+
+    /** Place an OCO exit for the filled quantity no exit covers yet */
+    async protect(bracket) {
+        if (!LIVE_STATUSES.includes(bracket.status) || bracket.cancelRequested) return;
+        const unprotected = this.floorQty(bracket, this.filledQty(bracket) - this.protectedQty(bracket));
+        if (!(unprotected > 0)) return;
+
+        const exitSide = bracket.side === 'BUY' ? 'SELL' : 'BUY';
+        const stopLimitPrice = this.stopLimitPrice(bracket);
+        const lowestPrice = Math.min(bracket.takeProfit, stopLimitPrice);
+        if (unprotected < bracket.minQty || unprotected * lowestPrice < bracket.minNotional) {
+            // Too small for an order of its own: waits for the next fill, or stays unprotected
+            if (this.isEntryDone(bracket)) {
+                bracket.reason = `${this.formatQty(bracket, unprotected)} left unprotected (below the minimum order size)`;
+            }
+            return;
+        }
+
+        bracket.exitCount++;
+        const orderRequest = buildOrderRequest({
+            symbol: bracket.symbol,
+            side: exitSide,
+            orderType: 'OCO',
+            quantity: this.formatQty(bracket, unprotected),
+            price: this.formatPrice(bracket, bracket.takeProfit),
+            stopPrice: this.formatPrice(bracket, bracket.stopLoss),
+            stopLimitPrice: this.formatPrice(bracket, stopLimitPrice),
+            timeInForce: 'GTC',
+            newClientOrderId: `${bracket.id}-x${bracket.exitCount}`
+        });
+        try {
+            if (orderRequest.error) throw new Error(orderRequest.error);
+            const reports = await this.adapter.placeOrder(orderRequest);
+            const exit = {
+                orderListId: reports[0]?.g ?? null,
+                takeProfitId: reports.find((report) => report.o === 'LIMIT_MAKER')?.i ?? null,
+                stopLossId: reports.find((report) => report.o !== 'LIMIT_MAKER')?.i ?? null,
+                quantity: unprotected,
+                executedQty: 0,
+                legs: { takeProfit: 'NEW', stopLoss: 'NEW' },
+                status: EXIT_STATUS.OPEN
+            };
+            bracket.exits.push(exit);
+            this.logger.info(`[brackets] ${bracket.id} exit ${exit.orderListId} placed for ${this.formatQty(bracket, unprotected)}`);
+            reports.forEach((report) => this.handleExecutionReport(report));
+            this.onReports(reports);
+            this.update(bracket);
+        } catch (error) {
+            // The position is unprotected: stop adding to it
+            this.logger.error(`[brackets] ${bracket.id} exit rejected: ${errorReason(error)}`);
+            if (!this.isEntryDone(bracket)) await this.cancelEntry(bracket);
+            this.finish(bracket, BRACKET_STATUS.FAILED, `Exit rejected: ${errorReason(error)}`);
+        }
+    }
+
+    async replaceEntry(bracket, price) {
+        const { entry } = bracket;
+        const remaining = this.floorQty(bracket, bracket.quantity - this.filledQty(bracket));
+        const clientOrderId = `${bracket.id}-e${entry.revision + 1}`;
+        const replaceRequest = buildReplaceRequest({
+            orderId: entry.orderId,
+            symbol: bracket.symbol,
+            side: bracket.side,
+            quantity: this.formatQty(bracket, remaining),
+            price: this.formatPrice(bracket, price),
+            timeInForce: 'GTC',
+            newClientOrderId: clientOrderId
+        });
+        if (replaceRequest.error) return replaceRequest;
+
+        entry.replacing = true;
+        const result = await this.adapter.replaceOrder(replaceRequest);
+        entry.replacing = false;
+        const [cancelReport, newReport] = result.reports ?? [];
+        if (cancelReport) {
+            entry.executedQty = Math.max(entry.executedQty, parseFloat(cancelReport.z) || 0);
+        }
+        this.onReports(result.reports ?? []);
+
+        if (result.result === REPLACE_RESULTS.REPLACED) {
+            entry.previousQty += entry.executedQty;
+            entry.executedQty = 0;
+            entry.orderId = result.newOrderId ?? newReport?.i ?? null;
+            entry.clientOrderId = clientOrderId;
+            entry.revision++;
+            entry.status = 'NEW';
+            bracket.price = price;
+            this.logger.info(`[brackets] ${bracket.id} entry moved to ${this.formatPrice(bracket, price)}`);
+            if (newReport) this.handleExecutionReport(newReport);
+            return {};
+        }
+        const reason = `${result.reason || 'Unknown exchange error'}${result.code !== undefined && result.code !== null ? ` [${result.code}]` : ''}`;
+        if (result.result === REPLACE_RESULTS.PARTIAL_FAILURE) {
+            // The old entry is gone and the new one was rejected
+            entry.status = 'CANCELED';
+            bracket.reason = `Entry re-price rejected: ${reason}`;
+            this.enqueueSettle(bracket);
+        }
+        return { error: reason };
+    }
+
+    async cancelEntry(bracket) {
+        const { entry } = bracket;
+        try {
+            const reports = await this.adapter.cancelOrder({
+                symbol: bracket.symbol,
+                orderId: entry.orderId ?? undefined,
+                origClientOrderId: entry.orderId === null ? entry.clientOrderId : undefined
+            });
+            reports.forEach((report) => this.handleExecutionReport(report));
+            this.onReports(reports);
+        } catch (error) {
+            // Usually filled meanwhile; its report settles the entry
+            this.logger.warn(`[brackets] ${bracket.id} entry cancel failed: ${errorReason(error)}`);
+        }
+    }
+
+    /** Cancel an exit (one leg takes the whole OCO with it); `replacing` frees its quantity for a new exit */
+    async cancelExit(bracket, exit, replacing) {
+        exit.replacing = replacing;
+        try {
+            const reports = await this.adapter.cancelOrder({ symbol: bracket.symbol, orderId: exit.stopLossId ?? exit.takeProfitId });
+            reports.forEach((report) => this.handleExecutionReport(report));
+            // Binance only answers for the leg that was named
+            if (exit.status === EXIT_STATUS.OPEN) {
+                exit.legs = { takeProfit: 'CANCELED', stopLoss: 'CANCELED' };
+                exit.status = replacing ? EXIT_STATUS.REPLACED : EXIT_STATUS.CANCELED;
+            }
+            this.onReports(reports);
+        } catch (error) {
+            exit.replacing = false;
+            this.logger.warn(`[brackets] ${bracket.id} exit ${exit.orderListId} cancel failed: ${errorReason(error)}`);
+        }
+    }
+
+    stopLimitPrice(bracket) {
+        // The stop-loss limit sits beyond the trigger, in the direction of the exit
+        const price = bracket.side === 'BUY' ? bracket.stopLoss - bracket.limitOffset : bracket.stopLoss + bracket.limitOffset;
+        return Math.max(Number(price.toFixed(bracket.priceDecimals)), bracket.tickSize);
+    }
+
+    // --- Internals: precision --------------------------------------------------
+
+    floorQty(bracket, value) {
+        return Number((toSteps(value, bracket.stepSize, Math.floor) * bracket.stepSize).toFixed(bracket.qtyDecimals));
+    }
+
+    formatQty(bracket, value) {
+        return Number(value).toFixed(bracket.qtyDecimals);
+    }
+
+    formatPrice(bracket, value) {
+        return Number(value).toFixed(bracket.priceDecimals);
+    }
+
+    // --- Persistence -------------------------------------------------------------
+
+    save() {
+        if (!this.filePath) return;
+        try {
+            writeState(this.filePath, { version: STATE_VERSION, brackets: [...this.brackets.values()] });
+        } catch (err) {
+            this.logger.error(`[brackets] Could not save ${this.filePath}:`, err?.message);
+        }
+    }
+
+    load() {
+        if (!this.filePath) return;
+        let state;
+        try {
+            state = readState(this.filePath);
+        } catch (err) {
+            this.logger.error(`[brackets] Ignoring unreadable ${this.filePath}:`, err?.message);
+            return;
+        }
+        (Array.isArray(state?.brackets) ? state.brackets : []).forEach((bracket) => {
+            if (!bracket?.id || !bracket.symbol || !LIVE_STATUSES.includes(bracket.status)) return;
+            // Requests in flight when the service stopped are settled by reconcile()
+            bracket.entry.replacing = false;
+            bracket.exits.forEach((exit) => {
+                exit.replacing = false;
+            });
+            this.brackets.set(bracket.id, bracket);
+        });
+        if (this.brackets.size) {
+            this.logger.info(`[brackets] Restored ${this.brackets.size} bracket(s); reconciling once the user data stream is up`);
+        }
+    }
+}
+
+export { BRACKET_STATUS, EXIT_STATUS, BracketManager, parseBracketOrder };
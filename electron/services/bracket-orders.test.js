@@ -0,0 +1,206 @@
+/**
+ * Tests for the bracket order service
+ *
+ * These tests verify:
+ * 1. Brackets are validated before anything is placed
+ * 2. Every entry fill is protected by an OCO sized to it; fills below the minimum carry over
+ * 3. A filled exit leg completes the bracket
+ * 4. Moving the levels re-prices the entry and replaces the open exits
+ * 5. Cancel pulls the entry and the exits; a rejected exit fails the bracket
+ * 6. Brackets are saved and reconciled with the exchange after a restart, including exits filled while down
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { BracketManager, parseBracketOrder } from './bracket-orders.js';
+import { REPLACE_RESULTS } from './order-builder.js';
+import { createScriptedExchange, silentLogger } from '../test/scripted-exchange.js';
+
+const BRACKET = { symbol: 'ALTUSDT', side: 'BUY', quantity: 10, price: 10, takeProfit: 12, stopLoss: 9, limitOffset: 0.05 };
+
+describe('parseBracketOrder', () => {
+    it('should validate brackets', () => {
+        expect(parseBracketOrder({ ...BRACKET, symbol: 'altusdt', side: 'buy', quantity: '10', limitOffset: undefined }))
+            .toEqual({ symbol: 'ALTUSDT', side: 'BUY', quantity: 10, price: 10, takeProfit: 12, stopLoss: 9, limitOffset: 0 });
+        expect(parseBracketOrder({ ...BRACKET, takeProfit: 9.5 }).error).toMatch(/stop-loss < entry < take-profit/);
+        expect(parseBracketOrder({ ...BRACKET, side: 'SELL' }).error).toMatch(/take-profit < entry < stop-loss/);
+        expect(parseBracketOrder({ ...BRACKET, stopLoss: 0 }).error).toMatch(/Stop-loss/);
+        expect(parseBracketOrder({ ...BRACKET, limitOffset: -1 }).error).toMatch(/Limit offset/);
+    });
+});
+
+describe('BracketManager', () => {
+    let exchange;
+    let updates;
+    let dir;
+    let filePath;
+
+    const createManager = () => new BracketManager({
+        adapter: exchange.adapter,
+        logger: silentLogger,
+        filePath,
+        onUpdate: (snapshot) => updates.push(snapshot),
+        now: () => 1700000000000
+    });
+
+    // Stream reports are handled synchronously; their settle passes run on the bracket queue
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        exchange = createScriptedExchange();
+        updates = [];
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-brackets-'));
+        filePath = path.join(dir, 'brackets.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should reject unknown symbols and rejected entries without keeping them', async () => {
+        const manager = createManager();
+
+        expect(await manager.place({ ...BRACKET, symbol: 'NOPEUSDT' })).toEqual({ error: 'Unknown symbol: NOPEUSDT' });
+        exchange.adapter.placeOrder.mockRejectedValueOnce(Object.assign(new Error('Account has insufficient balance.'), { code: -2010 }));
+        expect((await manager.place(BRACKET)).error).toMatchObject({ code: -2010 });
+        expect(manager.size).toBe(0);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).brackets).toEqual([]);
+    });
+
+    it('should protect each entry fill with an OCO and complete when an exit fills', async () => {
+        const manager = createManager();
+        const { bracket } = await manager.place(BRACKET);
+
+        expect(bracket).toMatchObject({ status: 'PENDING', quantity: '10.0', filledQty: '0.0', entry: { orderId: 1, status: 'NEW' } });
+        expect(exchange.adapter.placeOrder.mock.calls[0][0].params).toMatchObject({
+            side: 'BUY', type: 'LIMIT', timeInForce: 'GTC', price: '10', quantity: '10', newClientOrderId: `${bracket.id}-e`
+        });
+
+        manager.handleExecutionReport(exchange.fill(1, 4));
+        await settle();
+        expect(exchange.adapter.placeOrder.mock.calls[1][0]).toMatchObject({
+            method: 'orderListOco',
+            params: {
+                side: 'SELL', quantity: 4, aboveType: 'LIMIT_MAKER', abovePrice: 12,
+                belowType: 'STOP_LOSS_LIMIT', belowStopPrice: 9, belowPrice: 8.95, listClientOrderId: `${bracket.id}-x1`
+            }
+        });
+        expect(manager.list()[0]).toMatchObject({ status: 'PENDING', filledQty: '4.0', protectedQty: '4.0', exits: [{ quantity: '4.0', status: 'OPEN' }] });
+
+        // 0.5 is below minQty: carried over to the next fill
+        manager.handleExecutionReport(exchange.fill(1, 0.5));
+        await settle();
+        expect(exchange.adapter.placeOrder).toHaveBeenCalledTimes(2);
+
+        manager.handleExecutionReport(exchange.fill(1, 5.5));
+        await settle();
+        expect(exchange.adapter.placeOrder.mock.calls[2][0].params.quantity).toBe(6);
+        expect(manager.list()[0]).toMatchObject({ status: 'ACTIVE', filledQty: '10.0', protectedQty: '10.0' });
+
+        const [first, second] = manager.list()[0].exits;
+        manager.handleExecutionReport(exchange.fill(first.takeProfitId, 4));
+        await settle();
+        expect(manager.list()[0].exits.map((exit) => exit.status)).toEqual(['TAKE_PROFIT', 'OPEN']);
+
+        manager.handleExecutionReport(exchange.fill(second.stopLossId, 6));
+        await settle();
+        expect(manager.size).toBe(0);
+        expect(updates.at(-1)).toMatchObject({ status: 'COMPLETED', exits: [{ status: 'TAKE_PROFIT' }, { status: 'STOP_LOSS' }] });
+    });
+
+    it('should re-price the entry and replace open exits when the levels move', async () => {
+        const manager = createManager();
+        const { bracket } = await manager.place(BRACKET);
+        manager.handleExecutionReport(exchange.fill(1, 3));
+        await settle();
+
+        const { bracket: moved } = await manager.amend(bracket.id, { price: 10.2, takeProfit: 12.5, stopLoss: 9.3 });
+
+        // The entry is replaced for what is left, the OCO for the filled 3 at the new levels
+        expect(exchange.adapter.replaceOrder.mock.calls[0][0]).toMatchObject({ cancelOrderId: 1, params: { price: '10.2', quantity: '7' } });
+        expect(exchange.open().map((order) => [order.type, order.price, order.quantity])).toEqual([
+            ['LIMIT', '10.2', '7'],
+            ['LIMIT_MAKER', '12.5', '3'],
+            ['STOP_LOSS_LIMIT', '9.25', '3']
+        ]);
+        expect(moved).toMatchObject({ price: '10.20', takeProfit: '12.50', stopLoss: '9.30', filledQty: '3.0', protectedQty: '3.0' });
+        expect(moved.exits).toHaveLength(1);
+
+        // Fills of the new entry add to the earlier ones
+        const entryId = moved.entry.orderId;
+        manager.handleExecutionReport(exchange.fill(entryId, 7));
+        await settle();
+        expect(manager.list()[0]).toMatchObject({ status: 'ACTIVE', filledQty: '10.0', protectedQty: '10.0' });
+
+        expect(await manager.amend(bracket.id, { takeProfit: 9 })).toEqual({ error: 'BUY brackets need stop-loss < entry < take-profit' });
+        expect(await manager.amend(bracket.id, { price: 10.1 })).toEqual({ error: 'The entry is no longer open' });
+    });
+
+    it('should cancel the entry and the exits', async () => {
+        const manager = createManager();
+        const { bracket } = await manager.place(BRACKET);
+        manager.handleExecutionReport(exchange.fill(1, 5));
+        await settle();
+
+        expect((await manager.cancel(bracket.id)).bracket).toMatchObject({ status: 'CANCELED', filledQty: '5.0' });
+        expect(exchange.open()).toHaveLength(0);
+        expect(manager.size).toBe(0);
+        expect(await manager.cancel(bracket.id)).toEqual({ error: `Unknown bracket: ${bracket.id}` });
+    });
+
+    it('should fail and pull the entry when an exit is rejected', async () => {
+        const manager = createManager();
+        await manager.place(BRACKET);
+        exchange.adapter.placeOrder.mockRejectedValueOnce(Object.assign(new Error('Order would immediately trigger.'), { code: -2010 }));
+
+        manager.handleExecutionReport(exchange.fill(1, 2));
+        await settle();
+
+        expect(updates.at(-1)).toMatchObject({ status: 'FAILED', reason: 'Exit rejected: Order would immediately trigger. [-2010]' });
+        expect(exchange.orders.get(1).status).toBe('CANCELED');
+    });
+
+    it('should restore saved brackets and catch up with fills missed while down', async () => {
+        const manager = createManager();
+        const { bracket } = await manager.place(BRACKET);
+        manager.handleExecutionReport(exchange.fill(1, 4));
+        await settle();
+        const [exit] = manager.list()[0].exits;
+
+        // While down: the entry fills and the first exit stops out
+        exchange.fill(1, 6);
+        exchange.fill(exit.stopLossId, 4);
+
+        const restored = createManager();
+        expect(restored.list()).toEqual([expect.objectContaining({ id: bracket.id, filledQty: '4.0', protectedQty: '4.0' })]);
+
+        await restored.reconcile();
+        await settle();
+
+        const [state] = restored.list();
+        expect(state).toMatchObject({ status: 'ACTIVE', filledQty: '10.0', protectedQty: '10.0' });
+        expect(state.exits.map((item) => [item.quantity, item.status])).toEqual([['4.0', 'STOP_LOSS'], ['6.0', 'OPEN']]);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).brackets[0].exits).toHaveLength(2);
+    });
+
+    it('should complete a bracket whose take-profit filled while down', async () => {
+        const manager = createManager();
+        const { bracket } = await manager.place(BRACKET);
+        manager.handleExecutionReport(exchange.fill(1, 10));
+        await settle();
+        const [exit] = manager.list()[0].exits;
+
+        // While down: the take-profit fills and expires the stop-loss
+        exchange.fill(exit.takeProfitId, 10);
+
+        const restored = createManager();
+        await restored.reconcile();
+        await settle();
+
+        expect(updates.at(-1)).toMatchObject({ id: bracket.id, status: 'COMPLETED' });
+        expect(updates.at(-1).exits.map((item) => item.status)).toEqual(['TAKE_PROFIT']);
+        expect(restored.size).toBe(0);
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Candle Aggregator - Custom chart intervals built from native Binance klines
+ *
+ * Binance only serves its native intervals. Any other N-minute, N-hour or N-day interval
+ * (2m, 10m, 45m, 90m, 2d, ...) is built from the largest native interval that divides it,
+ * down to 1m: 90m from 30m, 2d from 1d, 7m from 1m. Buckets are aligned to the epoch like
+ * Binance's own intervals, so every base candle falls into exactly one bucket.
+ *
+ * - fetchKlines(): history for any interval (pages the base klines, then aggregates)
+ * - CandleAggregator: turns live base kline updates into updates of the current bucket
+ */
+
+const UNIT_MS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    M: 30 * 24 * 60 * 60 * 1000
+};
+
+const NATIVE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+// Native intervals whose candles start on epoch-aligned boundaries (3d, 1w and 1M do not)
+const BASE_INTERVALS = ['1d', '12h', '8h', '6h', '4h', '2h', '1h', '30m', '15m', '5m', '3m', '1m'];
+
+// Binance returns at most 1000 klines per request; custom history stops after this many base candles
+const KLINES_PAGE_LIMIT = 1000;
+const MAX_BASE_KLINES = 5000;
+
+/**
+ * Interval length in ms, or null when it cannot be parsed
+ * @param {string} interval - e.g. '90m', '2d'
+ */
+const intervalToMs = (interval) => {
+    const match = /^(\d+)([mhdwM])$/.exec(String(interval));
+    if (!match) return null;
+    const count = parseInt(match[1], 10);
+    return count > 0 ? count * UNIT_MS[match[2]] : null;
+};
+
+/**
+ * How an interval is served
+ * @param {string} interval
+ * @returns {{ interval: string, base: string, factor: number, intervalMs: number|null, baseMs: number|null }}
+ *          `base === interval` for native (and unsupported) intervals
+ */
+const resolveInterval = (interval) => {
+    const intervalMs = intervalToMs(interval);
+    const native = { interval, base: interval, factor: 1, intervalMs, baseMs: intervalMs };
+    if (NATIVE_INTERVALS.includes(interval) || !intervalMs || !/[mhd]$/.test(interval)) return native;
+
+    const base = BASE_INTERVALS.find((candidate) => intervalMs % intervalToMs(candidate) === 0);
+    const baseMs = intervalToMs(base);
+    return { interval, base, factor: intervalMs / baseMs, intervalMs, baseMs };
+};
+
+const isCustomInterval = (interval) => resolveInterval(interval).factor > 1;
+
+const bucketStart = (time, intervalMs) => Math.floor(time * 1000 / intervalMs) * intervalMs / 1000;
+
+/**
+ * Combine the base candles of one bucket (oldest first)
+ */
+const combineCandles = (parts, time, baseMs, intervalMs) => {
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    return {
+        time,
+        open: first.open,
+        high: Math.max(...parts.map((candle) => candle.high)),
+        low: Math.min(...parts.map((candle) => candle.low)),
+        close: last.close,
+        volume: parts.reduce((sum, candle) => sum + candle.volume, 0),
+        // Final once the bucket's last base candle has closed
+        isFinal: !!last.isFinal && last.time * 1000 + baseMs >= time * 1000 + intervalMs
+    };
+};
+
+/**
+ * Aggregate base candles (oldest first) into buckets of `intervalMs`
+ * @returns {Array} Aggregated candles, oldest first
+ */
+const aggregateCandles = (candles, baseMs, intervalMs) => {
+    const buckets = new Map(); // bucket time -> base candles
+    candles.forEach((candle) => {
+        const time = bucketStart(candle.time, intervalMs);
+        if (!buckets.has(time)) buckets.set(time, []);
+        buckets.get(time).push(candle);
+    });
+    return [...buckets.entries()].map(([time, parts]) => combineCandles(parts, time, baseMs, intervalMs));
+};
+
+/**
+ * Live updates for one custom-interval chart
+ * Keeps the base candles of the current bucket; each base kline update yields the
+ * updated bucket candle.
+ */
+class CandleAggregator {
+    constructor({ baseMs, intervalMs }) {
+        this.baseMs = baseMs;
+        this.intervalMs = intervalMs;
+        this.bucket = null;
+        this.parts = new Map(); // base candle time -> candle
+    }
+
+    startBucket(time) {
+        this.bucket = time;
+        this.parts = new Map();
+    }
+
+    /**
+     * Take the current bucket's earlier base candles from history
+     * Base candles already received live are newer and kept.
+     * @param {Array} baseCandles - Oldest first
+     */
+    seed(baseCandles) {
+        const last = baseCandles[baseCandles.length - 1];
+        if (!last) return;
+        const time = bucketStart(last.time, this.intervalMs);
+        if (this.bucket !== null && time < this.bucket) return;
+        if (time !== this.bucket) this.startBucket(time);
+        baseCandles.forEach((candle) => {
+            if (bucketStart(candle.time, this.intervalMs) === time && !this.parts.has(candle.time)) {
+                this.parts.set(candle.time, candle);
+            }
+        });
+    }
+
+    /**
+     * Apply a live base kline update
+     * @returns {Object|null} The bucket candle, or null for an update older than the current bucket
+     */
+    update(candle) {
+        const time = bucketStart(candle.time, this.intervalMs);
+        if (this.bucket !== null && time < this.bucket) return null;
+        if (time !== this.bucket) this.startBucket(time);
+        this.parts.set(candle.time, candle);
+        const parts = [...this.parts.values()].sort((a, b) => a.time - b.time);
+        return combineCandles(parts, time, this.baseMs, this.intervalMs);
+    }
+}
+
+/**
+ * Klines for any interval
+ * Custom intervals page the base klines backwards from `endTime` and drop the oldest
+ * bucket when the fetch started in the middle of it.
+ * @param {import('./exchange-adapter.js').ExchangeAdapter} adapter
+ * @param {string} symbol
+ * @param {string} interval
+ * @param {{ limit: number, endTime?: number }} options
+ * @returns {Promise<{ candles: Array, base: Array, limit: number }>} `base` are the klines the
+ *          candles were built from; `limit` is the candle count asked of the exchange
+ */
+const fetchKlines = async (adapter, symbol, interval, { limit, endTime }) => {
+    const { base, factor, baseMs, intervalMs } = resolveInterval(interval);
+    if (factor === 1) {
+        const candles = await adapter.getKlines(symbol, interval, { limit, endTime });
+        return { candles, base: candles, limit };
+    }
+
+    // One extra bucket covers a partial oldest bucket
+    const candleLimit = Math.max(1, Math.min(limit, Math.floor(MAX_BASE_KLINES / factor) - 1));
+    const wanted = (candleLimit + 1) * factor;
+    const pages = [];
+    let fetched = 0;
+    let cursor = endTime;
+    while (fetched < wanted) {
+        const pageLimit = Math.min(KLINES_PAGE_LIMIT, wanted - fetched);
+        const page = await adapter.getKlines(symbol, base, { limit: pageLimit, endTime: cursor });
+        if (!page.length) break;
+        pages.unshift(page);
+        fetched += page.length;
+        if (page.length < pageLimit) break;
+        cursor = page[0].time * 1000 - 1;
+    }
+
+    const baseCandles = pages.flat();
+    if (fetched >= wanted) {
+        while (baseCandles.length && bucketStart(baseCandles[0].time, intervalMs) !== baseCandles[0].time) {
+            baseCandles.shift();
+        }
+    }
+    const candles = aggregateCandles(baseCandles, baseMs, intervalMs).slice(-candleLimit);
+    return { candles, base: baseCandles, limit: candleLimit };
+};
+
+export {
+    CandleAggregator,
+    NATIVE_INTERVALS,
+    aggregateCandles,
+    fetchKlines,
+    intervalToMs,
+    isCustomInterval,
+    resolveInterval
+};
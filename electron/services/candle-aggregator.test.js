@@ -0,0 +1,120 @@
+/**
+ * Tests for custom interval aggregation
+ *
+ * These tests verify:
+ * 1. Custom intervals resolve to the largest epoch-aligned native interval dividing them
+ * 2. Base candles aggregate into epoch-aligned buckets (OHLCV, finality)
+ * 3. Live base updates yield the current bucket, seeded from history
+ * 4. fetchKlines pages base klines and drops a partial oldest bucket
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { CandleAggregator, aggregateCandles, fetchKlines, resolveInterval } from './candle-aggregator.js';
+
+const MINUTE = 60 * 1000;
+
+const candle = (time, close, overrides = {}) => ({
+    time, open: close - 1, high: close + 1, low: close - 2, close, volume: 10, isFinal: true, ...overrides
+});
+
+describe('resolveInterval', () => {
+    it('should pick the base interval for custom intervals', () => {
+        expect(resolveInterval('2m')).toMatchObject({ base: '1m', factor: 2 });
+        expect(resolveInterval('10m')).toMatchObject({ base: '5m', factor: 2 });
+        expect(resolveInterval('45m')).toMatchObject({ base: '15m', factor: 3 });
+        expect(resolveInterval('90m')).toMatchObject({ base: '30m', factor: 3 });
+        expect(resolveInterval('2d')).toMatchObject({ base: '1d', factor: 2 });
+        expect(resolveInterval('7m')).toMatchObject({ base: '1m', factor: 7 });
+    });
+
+    it('should pass native and unsupported intervals through', () => {
+        expect(resolveInterval('15m')).toMatchObject({ base: '15m', factor: 1 });
+        expect(resolveInterval('1M')).toMatchObject({ base: '1M', factor: 1 });
+        expect(resolveInterval('2w')).toMatchObject({ base: '2w', factor: 1 });
+        expect(resolveInterval('bogus')).toMatchObject({ base: 'bogus', factor: 1 });
+    });
+});
+
+describe('aggregateCandles', () => {
+    it('should build epoch-aligned OHLCV buckets', () => {
+        const base = [
+            candle(120, 10, { high: 15 }),
+            candle(180, 12, { low: 5 }),
+            candle(240, 13, { isFinal: false })
+        ];
+
+        expect(aggregateCandles(base, MINUTE, 2 * MINUTE)).toEqual([
+            { time: 120, open: 9, high: 15, low: 5, close: 12, volume: 20, isFinal: true },
+            { time: 240, open: 12, high: 14, low: 11, close: 13, volume: 10, isFinal: false }
+        ]);
+    });
+
+    it('should leave a bucket open until its last base candle closes', () => {
+        const [bucket] = aggregateCandles([candle(120, 10)], MINUTE, 2 * MINUTE);
+        expect(bucket.isFinal).toBe(false);
+    });
+});
+
+describe('CandleAggregator', () => {
+    it('should combine seeded history with live updates', () => {
+        const aggregator = new CandleAggregator({ baseMs: MINUTE, intervalMs: 3 * MINUTE });
+        aggregator.seed([candle(0, 5), candle(180, 10), candle(240, 11, { isFinal: false })]);
+
+        const update = aggregator.update(candle(240, 14, { high: 20, isFinal: false }));
+        expect(update).toMatchObject({ time: 180, open: 9, high: 20, close: 14, volume: 20, isFinal: false });
+
+        const closing = aggregator.update(candle(300, 12));
+        expect(closing).toMatchObject({ time: 180, close: 12, volume: 30, isFinal: true });
+
+        expect(aggregator.update(candle(360, 13, { isFinal: false }))).toMatchObject({ time: 360, open: 12, volume: 10 });
+        expect(aggregator.update(candle(300, 1))).toBeNull();
+    });
+
+    it('should keep live candles received before the history', () => {
+        const aggregator = new CandleAggregator({ baseMs: MINUTE, intervalMs: 2 * MINUTE });
+        aggregator.update(candle(180, 20, { isFinal: false }));
+        aggregator.seed([candle(120, 10), candle(180, 15, { isFinal: false })]);
+
+        expect(aggregator.update(candle(180, 21, { isFinal: false }))).toMatchObject({ time: 120, open: 9, close: 21 });
+    });
+});
+
+describe('fetchKlines', () => {
+    // 1m klines ending at minute 2000
+    const makeAdapter = (count = 2000) => ({
+        getKlines: vi.fn(async (_symbol, _interval, { limit, endTime }) => {
+            const all = Array.from({ length: count }, (_, i) => candle(i * 60, i));
+            return all.filter((c) => endTime === undefined || c.time * 1000 <= endTime).slice(-limit);
+        })
+    });
+
+    it('should pass native intervals straight to the adapter', async () => {
+        const adapter = makeAdapter();
+        const result = await fetchKlines(adapter, 'BTCUSDT', '1m', { limit: 10 });
+
+        expect(adapter.getKlines).toHaveBeenCalledWith('BTCUSDT', '1m', { limit: 10, endTime: undefined });
+        expect(result.candles).toHaveLength(10);
+        expect(result.limit).toBe(10);
+    });
+
+    it('should page base klines and aggregate them', async () => {
+        const adapter = makeAdapter();
+        const result = await fetchKlines(adapter, 'BTCUSDT', '7m', { limit: 200 });
+
+        // (200 + 1) * 7 base candles over two pages
+        expect(adapter.getKlines).toHaveBeenCalledTimes(2);
+        expect(adapter.getKlines.mock.calls[1][2]).toEqual({ limit: 407, endTime: 1000 * 60 * 1000 - 1 });
+        expect(result.candles).toHaveLength(200);
+        expect(result.candles.every((c) => c.time % 420 === 0)).toBe(true);
+        expect(result.candles[0]).toMatchObject({ volume: 70 });
+        expect(result.limit).toBe(200);
+    });
+
+    it('should keep a partial bucket when history runs out', async () => {
+        const adapter = makeAdapter(5);
+        const result = await fetchKlines(adapter, 'BTCUSDT', '2m', { limit: 10, endTime: 10 * MINUTE });
+
+        expect(result.candles.map((c) => c.time)).toEqual([0, 120, 240]);
+        expect(result.base).toHaveLength(5);
+    });
+});
@@ -10,6 +10,9 @@
  * - 1 socket for tickers (globalWsConnection - !ticker@arr)
  * - 1 socket for user data (userDataWsConnection - listenKey)
  * - 1 socket for ALL market data (marketWsConnection - klines + trade + depth combined)
+ *
+ * With several renderers, each connection's MarketStreamManager reports its streams
+ * to the process-wide SubscriptionRegistry, which owns the one market socket.
  */
 
 const CHANNEL_TYPES = {
@@ -26,19 +29,11 @@ const CHANNEL_STREAMS = {
 };
 
 /**
- * MarketStreamManager - Manages a SINGLE consolidated WebSocket for all market data
- * 
- * Combines into ONE socket:
- * - All kline streams (for mini charts + detail chart)
- * - Trade stream (ONLY when depth view is explicitly enabled)
- * - Depth stream (ONLY when depth view is explicitly enabled)
- * 
- * This minimizes WebSocket connections to just 1 for all market data.
- * 
- * IMPORTANT: Trade and Depth streams are NOT auto-subscribed!
- * Frontend must explicitly call enableDepthView() when entering DepthView.
+ * MarketSocket - One combined market WebSocket for whatever getAllStreams() returns
+ *
+ * Subclasses decide the stream set; changes are debounced into a single reconnect.
  */
-class MarketStreamManager {
+class MarketSocket {
     constructor(logger) {
         this.logger = logger || console;
         
@@ -46,19 +41,11 @@ class MarketStreamManager {
         this.marketWsConnection = null;
         this.marketReconnectTimer = null;  // Debounce timer
         this.connectedStreams = [];        // Streams currently connected
-        
-        // Kline stream tracking
-        this.klineStreams = new Map(); // streamName -> Set of channelIds
-        
-        // Detail symbol tracking (kline only)
-        this.detailSymbol = null;
-        
-        // Depth view tracking (trade + depth streams) - SEPARATE from detail symbol
-        this.depthViewEnabled = false;
-        this.depthViewSymbol = null;
+        this.reconnectAttempts = 0;        // Reconnects after drops/failed connects (diagnostics)
         
         // Callbacks
         this.onMessage = null;  // Single message handler that routes by event type
+        this.onStateChange = null;  // Socket connects and drops (hooks)
         this.connectFn = null;  // Will be set to client.websocketStreams.connect
     }
 
@@ -78,6 +65,210 @@ class MarketStreamManager {
         this.onMessage = onMessage;
     }
 
+    /**
+     * Set socket state handler
+     * @param {Function} onStateChange - ({ state: 'connected', streams } | { state: 'disconnected', code, reason })
+     */
+    setStateHandler(onStateChange) {
+        this.onStateChange = onStateChange;
+    }
+
+    /**
+     * Get all streams that should be subscribed to
+     * @returns {string[]}
+     */
+    getAllStreams() {
+        return [];
+    }
+
+    /**
+     * Schedule a market socket reconnection with debouncing
+     * Uses 2s debounce to batch multiple subscription changes during startup
+     */
+    scheduleReconnect() {
+        if (this.marketReconnectTimer) {
+            clearTimeout(this.marketReconnectTimer);
+        }
+        
+        this.marketReconnectTimer = setTimeout(() => {
+            this.marketReconnectTimer = null;
+            this.reconnectIfNeeded();
+        }, 2000);
+    }
+
+    /**
+     * Check if reconnection is actually needed (streams changed)
+     */
+    reconnectIfNeeded() {
+        const currentStreams = this.getAllStreams().sort();
+        const connectedStreams = [...this.connectedStreams].sort();
+        
+        const streamsChanged = currentStreams.length !== connectedStreams.length ||
+                               currentStreams.some((s, i) => s !== connectedStreams[i]);
+        
+        if (!streamsChanged && this.marketWsConnection) {
+            this.logger.debug('[MarketStreamManager] Streams unchanged, skipping reconnect');
+            return;
+        }
+        
+        this.reconnectMarketSocket();
+    }
+
+    /**
+     * Reconnect the single market WebSocket with all current streams
+     * Handles klines + trade + depth all in ONE connection
+     */
+    async reconnectMarketSocket(retryCount = 0) {
+        const MAX_RETRIES = 3;
+        const RETRY_DELAY_BASE = 2000;
+        
+        const streams = this.getAllStreams();
+        
+        // Close existing connection
+        if (this.marketWsConnection) {
+            try {
+                const closer = typeof this.marketWsConnection.disconnect === 'function'
+                    ? this.marketWsConnection.disconnect.bind(this.marketWsConnection)
+                    : typeof this.marketWsConnection.close === 'function'
+                        ? this.marketWsConnection.close.bind(this.marketWsConnection)
+                        : null;
+                if (closer) await closer();
+            } catch (err) {
+                this.logger.debug('[MarketStreamManager] Error closing market socket (ignored):', err?.code || err?.message);
+            }
+            this.marketWsConnection = null;
+            this.connectedStreams = [];
+        }
+        
+        // If no streams, we're done
+        if (streams.length === 0) {
+            this.logger.info('[MarketStreamManager] No streams to subscribe to');
+            return;
+        }
+        
+        if (!this.connectFn) {
+            this.logger.error('[MarketStreamManager] No connect function set');
+            return;
+        }
+        
+        try {
+            this.logger.info(`[MarketStreamManager] Connecting market socket with ${streams.length} streams`);
+            this.marketWsConnection = await this.connectFn({ stream: streams });
+            this.connectedStreams = [...streams];
+            this.onStateChange?.({ state: 'connected', streams: streams.length });
+            
+            this.marketWsConnection.on('message', (data) => {
+                if (this.onMessage) {
+                    this.onMessage(data);
+                }
+            });
+            
+            this.marketWsConnection.on('error', (err) => {
+                const isNetworkError = err?.code === 'ECONNRESET' || 
+                                       err?.code === 'ETIMEDOUT' ||
+                                       err?.code === 'ENOTFOUND' ||
+                                       err?.message?.includes('socket disconnected');
+                if (isNetworkError) {
+                    this.logger.warn(`[MarketStreamManager] Market socket network error (${err?.code}), will reconnect...`);
+                } else {
+                    this.logger.error('[MarketStreamManager] Market socket error:', err);
+                }
+            });
+            
+            this.marketWsConnection.on('close', (code, reason) => {
+                const readableReason = typeof reason === 'string' ? reason : reason?.toString() ?? 'no reason';
+                this.logger.warn(`[MarketStreamManager] Market socket closed (${code}): ${readableReason}`);
+                this.connectedStreams = [];
+                this.onStateChange?.({ state: 'disconnected', code, reason: readableReason });
+                
+                // Auto-reconnect on abnormal close
+                if (code !== 1000 && this.getAllStreams().length > 0) {
+                    this.logger.info('[MarketStreamManager] Scheduling market socket reconnection...');
+                    this.reconnectAttempts++;
+                    setTimeout(() => this.reconnectMarketSocket(), 3000);
+                }
+            });
+        } catch (err) {
+            const isNetworkError = err?.code === 'ECONNRESET' || 
+                                   err?.code === 'ETIMEDOUT' ||
+                                   err?.code === 'ENOTFOUND' ||
+                                   err?.code === 'ECONNREFUSED' ||
+                                   err?.message?.includes('socket disconnected') ||
+                                   err?.message?.includes('TLS') ||
+                                   err?.message?.includes('timed out');
+            
+            if (isNetworkError && retryCount < MAX_RETRIES) {
+                const delay = RETRY_DELAY_BASE * (retryCount + 1);
+                this.logger.warn(`[MarketStreamManager] Market socket connection failed (${err?.code || err?.message}), retrying in ${delay}ms (${retryCount + 1}/${MAX_RETRIES})`);
+                this.reconnectAttempts++;
+                await new Promise(resolve => setTimeout(resolve, delay));
+                return this.reconnectMarketSocket(retryCount + 1);
+            }
+            
+            this.logger.error('[MarketStreamManager] Failed to connect market socket:', err?.code || err?.message);
+        }
+    }
+
+    /**
+     * Close the market socket and cancel any pending reconnect
+     */
+    async closeSocket(disconnectFn) {
+        this.connectedStreams = [];
+        
+        // Clear reconnect timer
+        if (this.marketReconnectTimer) {
+            clearTimeout(this.marketReconnectTimer);
+            this.marketReconnectTimer = null;
+        }
+        
+        // Close the market socket
+        if (this.marketWsConnection) {
+            if (disconnectFn) {
+                try {
+                    await disconnectFn(this.marketWsConnection, 'market stream');
+                } catch (err) {
+                    this.logger.debug('[MarketStreamManager] Error closing market socket (ignored):', err?.code || err?.message);
+                }
+            }
+            this.marketWsConnection = null;
+        }
+    }
+}
+
+/**
+ * MarketStreamManager - Manages a SINGLE consolidated WebSocket for all market data
+ * 
+ * Combines into ONE socket:
+ * - All kline streams (for mini charts + detail chart)
+ * - Trade stream (ONLY when depth view is explicitly enabled)
+ * - Depth stream (ONLY when depth view is explicitly enabled)
+ * 
+ * This minimizes WebSocket connections to just 1 for all market data.
+ * 
+ * IMPORTANT: Trade and Depth streams are NOT auto-subscribed!
+ * Frontend must explicitly call enableDepthView() when entering DepthView.
+ */
+class MarketStreamManager extends MarketSocket {
+    /**
+     * @param {Object} [logger]
+     * @param {import('./subscription-registry.js').SubscriptionRegistry} [registry] - Shared socket owner;
+     *        without one this manager opens its own market socket
+     */
+    constructor(logger, registry = null) {
+        super(logger);
+        this.registry = registry;
+        
+        // Kline stream tracking
+        this.klineStreams = new Map(); // streamName -> Set of channelIds
+        
+        // Detail symbol tracking (kline only)
+        this.detailSymbol = null;
+        
+        // Depth view tracking (trade + depth streams) - SEPARATE from detail symbol
+        this.depthViewEnabled = false;
+        this.depthViewSymbol = null;
+    }
+
     /**
      * Get the stream name for a kline subscription
      */
@@ -247,127 +438,14 @@ class MarketStreamManager {
     }
 
     /**
-     * Schedule a market socket reconnection with debouncing
-     * Uses 2s debounce to batch multiple subscription changes during startup
+     * Apply subscription changes: through the registry when shared, otherwise on our own socket
      */
     scheduleReconnect() {
-        if (this.marketReconnectTimer) {
-            clearTimeout(this.marketReconnectTimer);
-        }
-        
-        this.marketReconnectTimer = setTimeout(() => {
-            this.marketReconnectTimer = null;
-            this.reconnectIfNeeded();
-        }, 2000);
-    }
-
-    /**
-     * Check if reconnection is actually needed (streams changed)
-     */
-    reconnectIfNeeded() {
-        const currentStreams = this.getAllStreams().sort();
-        const connectedStreams = [...this.connectedStreams].sort();
-        
-        const streamsChanged = currentStreams.length !== connectedStreams.length ||
-                               currentStreams.some((s, i) => s !== connectedStreams[i]);
-        
-        if (!streamsChanged && this.marketWsConnection) {
-            this.logger.debug('[MarketStreamManager] Streams unchanged, skipping reconnect');
-            return;
-        }
-        
-        this.reconnectMarketSocket();
-    }
-
-    /**
-     * Reconnect the single market WebSocket with all current streams
-     * Handles klines + trade + depth all in ONE connection
-     */
-    async reconnectMarketSocket(retryCount = 0) {
-        const MAX_RETRIES = 3;
-        const RETRY_DELAY_BASE = 2000;
-        
-        const streams = this.getAllStreams();
-        
-        // Close existing connection
-        if (this.marketWsConnection) {
-            try {
-                const closer = typeof this.marketWsConnection.disconnect === 'function'
-                    ? this.marketWsConnection.disconnect.bind(this.marketWsConnection)
-                    : typeof this.marketWsConnection.close === 'function'
-                        ? this.marketWsConnection.close.bind(this.marketWsConnection)
-                        : null;
-                if (closer) await closer();
-            } catch (err) {
-                this.logger.debug('[MarketStreamManager] Error closing market socket (ignored):', err?.code || err?.message);
-            }
-            this.marketWsConnection = null;
-            this.connectedStreams = [];
-        }
-        
-        // If no streams, we're done
-        if (streams.length === 0) {
-            this.logger.info('[MarketStreamManager] No streams to subscribe to');
-            return;
-        }
-        
-        if (!this.connectFn) {
-            this.logger.error('[MarketStreamManager] No connect function set');
+        if (this.registry) {
+            this.registry.update(this, this.getAllStreams());
             return;
         }
-        
-        try {
-            this.logger.info(`[MarketStreamManager] Connecting market socket with ${streams.length} streams`);
-            this.marketWsConnection = await this.connectFn({ stream: streams });
-            this.connectedStreams = [...streams];
-            
-            this.marketWsConnection.on('message', (data) => {
-                if (this.onMessage) {
-                    this.onMessage(data);
-                }
-            });
-            
-            this.marketWsConnection.on('error', (err) => {
-                const isNetworkError = err?.code === 'ECONNRESET' || 
-                                       err?.code === 'ETIMEDOUT' ||
-                                       err?.code === 'ENOTFOUND' ||
-                                       err?.message?.includes('socket disconnected');
-                if (isNetworkError) {
-                    this.logger.warn(`[MarketStreamManager] Market socket network error (${err?.code}), will reconnect...`);
-                } else {
-                    this.logger.error('[MarketStreamManager] Market socket error:', err);
-                }
-            });
-            
-            this.marketWsConnection.on('close', (code, reason) => {
-                const readableReason = typeof reason === 'string' ? reason : reason?.toString() ?? 'no reason';
-                this.logger.warn(`[MarketStreamManager] Market socket closed (${code}): ${readableReason}`);
-                this.connectedStreams = [];
-                
-                // Auto-reconnect on abnormal close
-                if (code !== 1000 && this.getAllStreams().length > 0) {
-                    this.logger.info('[MarketStreamManager] Scheduling market socket reconnection...');
-                    setTimeout(() => this.reconnectMarketSocket(), 3000);
-                }
-            });
-        } catch (err) {
-            const isNetworkError = err?.code === 'ECONNRESET' || 
-                                   err?.code === 'ETIMEDOUT' ||
-                                   err?.code === 'ENOTFOUND' ||
-                                   err?.code === 'ECONNREFUSED' ||
-                                   err?.message?.includes('socket disconnected') ||
-                                   err?.message?.includes('TLS') ||
-                                   err?.message?.includes('timed out');
-            
-            if (isNetworkError && retryCount < MAX_RETRIES) {
-                const delay = RETRY_DELAY_BASE * (retryCount + 1);
-                this.logger.warn(`[MarketStreamManager] Market socket connection failed (${err?.code || err?.message}), retrying in ${delay}ms (${retryCount + 1}/${MAX_RETRIES})`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                return this.reconnectMarketSocket(retryCount + 1);
-            }
-            
-            this.logger.error('[MarketStreamManager] Failed to connect market socket:', err?.code || err?.message);
-        }
+        super.scheduleReconnect();
     }
 
     /**
@@ -376,7 +454,7 @@ class MarketStreamManager {
     getStatus() {
         return {
             streams: this.getAllStreams(),
-            connected: !!this.marketWsConnection,
+            connected: !!(this.registry ?? this).marketWsConnection,
             detailSymbol: this.detailSymbol,
             depthViewEnabled: this.depthViewEnabled,
             depthViewSymbol: this.depthViewSymbol
@@ -392,35 +470,24 @@ class MarketStreamManager {
         this.detailSymbol = null;
         this.depthViewEnabled = false;
         this.depthViewSymbol = null;
-        this.connectedStreams = [];
         
-        // Clear reconnect timer
-        if (this.marketReconnectTimer) {
-            clearTimeout(this.marketReconnectTimer);
-            this.marketReconnectTimer = null;
-        }
-        
-        // Close the market socket
-        if (this.marketWsConnection) {
-            if (disconnectFn) {
-                try {
-                    await disconnectFn(this.marketWsConnection, 'market stream');
-                } catch (err) {
-                    this.logger.debug('[MarketStreamManager] Error closing market socket (ignored):', err?.code || err?.message);
-                }
-            }
-            this.marketWsConnection = null;
-        }
+        // Give up our share of the registry's streams (it closes unused ones itself)
+        this.registry?.release(this);
+        await this.closeSocket(disconnectFn);
         
         this.logger.info('[MarketStreamManager] Cleaned up market socket');
     }
 }
 
 class ChannelManager {
-    constructor(logger) {
+    /**
+     * @param {Object} [logger]
+     * @param {import('./subscription-registry.js').SubscriptionRegistry} [registry] - Process-wide market socket
+     */
+    constructor(logger, registry = null) {
         this.channels = new Map();
         this.logger = logger || console;
-        this.marketStreamManager = new MarketStreamManager(logger);
+        this.marketStreamManager = new MarketStreamManager(logger, registry);
     }
 
     /**
@@ -677,5 +744,5 @@ function parseChannelId(channelId) {
     };
 }
 
-export { ChannelManager, MarketStreamManager, CHANNEL_TYPES, CHANNEL_STREAMS, createChannelId, parseChannelId };
+export { ChannelManager, MarketSocket, MarketStreamManager, CHANNEL_TYPES, CHANNEL_STREAMS, createChannelId, parseChannelId };
 
@@ -0,0 +1,186 @@
+/**
+ * Depth Cache - Local order book kept in sync with a diff depth stream
+ *
+ * Follows Binance's "manage a local order book" procedure:
+ * 1. While no usable snapshot exists, diffs are buffered
+ * 2. A REST snapshot is applied; buffered diffs with u <= lastUpdateId are dropped
+ * 3. The first diff applied must bridge the snapshot (U <= lastUpdateId + 1 <= u)
+ * 4. Every later diff must continue the sequence (U === previous u + 1)
+ *
+ * A diff that skips ahead is a gap: the book stops being live and starts
+ * buffering again until the owner applies a fresh snapshot.
+ *
+ * Diffs use the normalized adapter depth event { firstUpdateId, lastUpdateId, bids, asks }.
+ *
+ * The renderer never receives the full book: getLadder() aggregates it into price
+ * buckets of tickSize * tickMultiple (bids round down, asks round up) and keeps
+ * only the requested number of rows per side.
+ */
+
+import { decimalsOf } from './order-utils.js';
+
+const DEPTH_SYNC_STATES = {
+    LIVE: 'live',
+    RESYNCING: 'resyncing'
+};
+
+const DEPTH_UPDATE_RESULTS = {
+    APPLIED: 'applied',
+    BUFFERED: 'buffered',
+    STALE: 'stale',
+    GAP: 'gap'
+};
+
+// Bound the buffer if snapshots keep failing; older diffs are superseded by the next snapshot anyway
+const MAX_BUFFERED_UPDATES = 1000;
+
+class DepthCache {
+    constructor() {
+        this.bids = {};
+        this.asks = {};
+        this.lastUpdateId = 0;
+        this.state = DEPTH_SYNC_STATES.RESYNCING;
+        this.buffer = [];
+    }
+
+    isLive() {
+        return this.state === DEPTH_SYNC_STATES.LIVE;
+    }
+
+    /**
+     * Stop treating the book as live and buffer diffs until the next snapshot.
+     * Diffs already buffered by an ongoing resync are kept.
+     */
+    beginResync() {
+        if (!this.isLive()) return;
+        this.state = DEPTH_SYNC_STATES.RESYNCING;
+        this.buffer = [];
+    }
+
+    /**
+     * Replace the book with a REST snapshot and replay the buffered diffs on top
+     * @param {{ lastUpdateId: number, bids: Array, asks: Array }} depth
+     * @returns {boolean} Whether the book is live afterwards
+     */
+    snapshot(depth) {
+        this.lastUpdateId = depth.lastUpdateId;
+        this.bids = {};
+        this.asks = {};
+        depth.bids.forEach(([price, qty]) => {
+            if (parseFloat(qty) > 0) this.bids[price] = qty;
+        });
+        depth.asks.forEach(([price, qty]) => {
+            if (parseFloat(qty) > 0) this.asks[price] = qty;
+        });
+
+        const pending = this.buffer;
+        this.buffer = [];
+        this.state = DEPTH_SYNC_STATES.LIVE;
+        pending.forEach((depthUpdate) => this.update(depthUpdate));
+        return this.isLive();
+    }
+
+    /**
+     * Feed one diff from the stream
+     * @param {{ firstUpdateId?: number, lastUpdateId: number, bids: Array, asks: Array }} depthUpdate
+     * @returns {string} One of DEPTH_UPDATE_RESULTS
+     */
+    update(depthUpdate) {
+        if (!this.isLive()) {
+            this.buffer.push(depthUpdate);
+            if (this.buffer.length > MAX_BUFFERED_UPDATES) this.buffer.shift();
+            return DEPTH_UPDATE_RESULTS.BUFFERED;
+        }
+
+        if (depthUpdate.lastUpdateId <= this.lastUpdateId) return DEPTH_UPDATE_RESULTS.STALE;
+
+        const firstUpdateId = depthUpdate.firstUpdateId ?? depthUpdate.lastUpdateId;
+        if (firstUpdateId > this.lastUpdateId + 1) {
+            this.beginResync();
+            this.buffer.push(depthUpdate);
+            return DEPTH_UPDATE_RESULTS.GAP;
+        }
+
+        depthUpdate.bids.forEach(([price, qty]) => {
+            if (parseFloat(qty) === 0) delete this.bids[price];
+            else this.bids[price] = qty;
+        });
+        depthUpdate.asks.forEach(([price, qty]) => {
+            if (parseFloat(qty) === 0) delete this.asks[price];
+            else this.asks[price] = qty;
+        });
+        this.lastUpdateId = depthUpdate.lastUpdateId;
+        return DEPTH_UPDATE_RESULTS.APPLIED;
+    }
+
+    /** @returns {{ bid: number|null, ask: number|null }} Best prices, null for an empty side */
+    getTouch() {
+        const best = (book, pick) => {
+            const prices = Object.keys(book).map(parseFloat);
+            return prices.length ? pick(...prices) : null;
+        };
+        return { bid: best(this.bids, Math.max), ask: best(this.asks, Math.min) };
+    }
+
+    /**
+     * Aggregated view of the book for the renderer
+     * @param {Object} [options]
+     * @param {string|number} [options.tickSize] - Symbol tick size; without it levels are not grouped
+     * @param {number} [options.tickMultiple] - Bucket width in ticks (1 = raw levels)
+     * @param {number} [options.levels] - Rows per side
+     * @returns {{ bids: Object, asks: Object }} Price -> quantity, best price first
+     */
+    getLadder({ tickSize, tickMultiple = 1, levels = Infinity } = {}) {
+        const tick = parseFloat(tickSize);
+        const grouped = tickMultiple > 1 && tick > 0;
+        const decimals = grouped ? decimalsOf(tickSize) : 0;
+
+        const buildSide = (book, roundUnits, comparator) => {
+            const prices = Object.keys(book).sort((a, b) => comparator(parseFloat(a), parseFloat(b)));
+            const ladder = {};
+            if (!grouped) {
+                prices.slice(0, levels).forEach((price) => {
+                    ladder[price] = book[price];
+                });
+                return ladder;
+            }
+
+            // Prices are sorted, so buckets fill in order and stop at the row limit
+            const buckets = new Map();
+            for (const price of prices) {
+                const units = roundUnits(Math.round(parseFloat(price) / tick) / tickMultiple) * tickMultiple;
+                if (!buckets.has(units)) {
+                    if (buckets.size >= levels) break;
+                    buckets.set(units, 0);
+                }
+                buckets.set(units, buckets.get(units) + parseFloat(book[price]));
+            }
+            buckets.forEach((qty, units) => {
+                ladder[(units * tick).toFixed(decimals)] = qty.toFixed(8);
+            });
+            return ladder;
+        };
+
+        return {
+            bids: buildSide(this.bids, Math.floor, (a, b) => b - a),
+            asks: buildSide(this.asks, Math.ceil, (a, b) => a - b)
+        };
+    }
+
+    getFormatted() {
+        const formatSide = (book, comparator) => {
+            const sorted = Object.keys(book).sort((a, b) => comparator(parseFloat(a), parseFloat(b)));
+            return sorted.reduce((acc, price) => {
+                acc[price] = book[price];
+                return acc;
+            }, {});
+        };
+
+        return {
+            bids: formatSide(this.bids, (a, b) => b - a),
+            asks: formatSide(this.asks, (a, b) => a - b)
+        };
+    }
+}
+
+export { DepthCache, DEPTH_SYNC_STATES, DEPTH_UPDATE_RESULTS };
@@ -0,0 +1,120 @@
+/**
+ * Tests for the sequence-checked depth cache
+ *
+ * These tests verify:
+ * 1. Diffs are buffered until a snapshot arrives and replayed on top of it
+ * 2. Buffered diffs older than the snapshot are dropped
+ * 3. A diff that skips update ids stops the book being live and buffers again
+ * 4. A fresh snapshot after a gap brings the book back live
+ * 5. Ladders group levels into tick-multiple buckets and keep the requested rows
+ * 6. The touch is the best bid and ask left in the book
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DepthCache, DEPTH_SYNC_STATES, DEPTH_UPDATE_RESULTS } from './depth-cache.js';
+
+const diff = (firstUpdateId, lastUpdateId, { bids = [], asks = [] } = {}) => ({
+    type: 'depth',
+    symbol: 'BTCUSDT',
+    firstUpdateId,
+    lastUpdateId,
+    bids,
+    asks
+});
+
+const snapshot = (lastUpdateId) => ({
+    lastUpdateId,
+    bids: [['100.00', '1.0'], ['99.00', '2.0']],
+    asks: [['101.00', '1.0'], ['102.00', '0']]
+});
+
+describe('DepthCache', () => {
+    let cache;
+
+    beforeEach(() => {
+        cache = new DepthCache();
+    });
+
+    it('should buffer diffs until the snapshot and replay the ones that bridge it', () => {
+        expect(cache.state).toBe(DEPTH_SYNC_STATES.RESYNCING);
+        expect(cache.update(diff(5, 8, { bids: [['100.00', '9.0']] }))).toBe(DEPTH_UPDATE_RESULTS.BUFFERED);
+        expect(cache.update(diff(9, 11, { asks: [['101.00', '0']] }))).toBe(DEPTH_UPDATE_RESULTS.BUFFERED);
+        expect(cache.update(diff(12, 12, { bids: [['98.00', '3.0']] }))).toBe(DEPTH_UPDATE_RESULTS.BUFFERED);
+
+        // Snapshot at 10: the first diff is stale, the second bridges it (9 <= 11 <= 11)
+        expect(cache.snapshot(snapshot(10))).toBe(true);
+
+        expect(cache.lastUpdateId).toBe(12);
+        expect(cache.getFormatted()).toEqual({
+            bids: { '100.00': '1.0', '99.00': '2.0', '98.00': '3.0' },
+            asks: {}
+        });
+    });
+
+    it('should ignore diffs the book already contains', () => {
+        cache.snapshot(snapshot(10));
+
+        expect(cache.update(diff(8, 10, { bids: [['100.00', '0']] }))).toBe(DEPTH_UPDATE_RESULTS.STALE);
+        expect(cache.update(diff(11, 11, { bids: [['100.00', '5.0']] }))).toBe(DEPTH_UPDATE_RESULTS.APPLIED);
+        expect(cache.getFormatted().bids['100.00']).toBe('5.0');
+    });
+
+    it('should detect a gap and resync from a fresh snapshot', () => {
+        cache.snapshot(snapshot(10));
+        cache.update(diff(11, 12));
+
+        expect(cache.update(diff(14, 15, { asks: [['103.00', '1.0']] }))).toBe(DEPTH_UPDATE_RESULTS.GAP);
+        expect(cache.isLive()).toBe(false);
+        expect(cache.update(diff(16, 16))).toBe(DEPTH_UPDATE_RESULTS.BUFFERED);
+
+        // A snapshot that still does not reach the buffered diffs leaves the book resyncing
+        expect(cache.snapshot(snapshot(12))).toBe(false);
+        expect(cache.buffer).toHaveLength(2);
+
+        expect(cache.snapshot(snapshot(14))).toBe(true);
+        expect(cache.lastUpdateId).toBe(16);
+        expect(cache.getFormatted().asks).toEqual({ '101.00': '1.0', '103.00': '1.0' });
+    });
+
+    it('should aggregate the book into tick-multiple ladders', () => {
+        cache.snapshot({
+            lastUpdateId: 1,
+            bids: [['100.04', '1.0'], ['100.01', '2.0'], ['99.99', '0.5'], ['99.90', '4.0']],
+            asks: [['100.06', '1.0'], ['100.10', '1.5'], ['100.11', '3.0']]
+        });
+
+        // Bids round down and asks round up to the 0.05 bucket
+        expect(cache.getLadder({ tickSize: '0.01000000', tickMultiple: 5, levels: 2 })).toEqual({
+            bids: { '100.00': '3.00000000', '99.95': '0.50000000' },
+            asks: { '100.10': '2.50000000', '100.15': '3.00000000' }
+        });
+
+        // Without a tick size or with a multiple of 1 the raw levels come back
+        expect(cache.getLadder({ tickMultiple: 5, levels: 1 })).toEqual({
+            bids: { '100.04': '1.0' },
+            asks: { '100.06': '1.0' }
+        });
+    });
+
+    it('should keep buffered diffs when a resync is requested again', () => {
+        cache.update(diff(3, 4));
+        cache.beginResync();
+
+        expect(cache.buffer).toHaveLength(1);
+
+        cache.snapshot(snapshot(3));
+        cache.beginResync();
+
+        expect(cache.state).toBe(DEPTH_SYNC_STATES.RESYNCING);
+        expect(cache.buffer).toHaveLength(0);
+    });
+
+    it('should report the best bid and ask', () => {
+        expect(cache.getTouch()).toEqual({ bid: null, ask: null });
+
+        cache.snapshot(snapshot(3));
+        cache.update(diff(4, 4, { bids: [['100.00', '0'], ['100.50', '1.0']] }));
+
+        expect(cache.getTouch()).toEqual({ bid: 100.5, ask: 101 });
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Exchange Adapter - The contract between the renderer protocol handler and an exchange
+ *
+ * binance-connection.js only talks to this interface. Implementations:
+ * - BinanceAdapter (binance-adapter.js): @binance/spot REST + WebSocket streams
+ * - MockAdapter (mock-adapter.js): in-process MockExchange, no network
+ * - ReplayAdapter (replay-adapter.js): recorded Binance streams on top of the mock account
+ * - PaperAdapter (paper-adapter.js): live Binance market data on top of a simulated account
+ *
+ * Normalized shapes:
+ * - Candle: { time (seconds), open, high, low, close, volume, isFinal }
+ * - Trade: { time, price, qty, isBuyerMaker }
+ * - DepthSnapshot: { lastUpdateId, bids: [[price, qty]], asks: [[price, qty]] }
+ * - TickerEntry: { symbol, lastPrice, priceChangePercent, highPrice, lowPrice, quoteVolume, closeTime }
+ * - Filters: { status, baseAsset, quoteAsset, tickSize, stepSize, minQty, maxQty, minPrice, maxPrice, minNotional, ... }
+ * - Balances: { [asset]: { available, onOrder } }
+ * - ExecutionReport: normalizeExecutionReport() output (Binance executionReport fields)
+ *
+ * Stream sockets are EventEmitters with disconnect(). They emit 'error', 'close' (code, reason)
+ * and 'message' with one normalized event:
+ * - market: { type: 'kline', symbol, interval, candle }
+ *           { type: 'trade', symbol, trade }
+ *           { type: 'depth', symbol, firstUpdateId, lastUpdateId, bids, asks }
+ * - ticker: { type: 'ticker', tickers: TickerEntry[] }
+ * - user:   { type: 'execution', report } | { type: 'balances', balances } (may be partial; renderers merge it)
+ *
+ * Market subscriptions are named in MarketStreamManager's notation:
+ * <symbol>@kline_<interval>, <symbol>@trade, <symbol>@depth@100ms (see parseStreamName).
+ */
+
+const extractTickerFields = (source = {}) => ({
+    symbol: source.symbol || source.s,
+    lastPrice: source.lastPrice || source.c,
+    priceChangePercent: source.priceChangePercent || source.P,
+    highPrice: source.highPrice || source.h,
+    lowPrice: source.lowPrice || source.l,
+    quoteVolume: source.quoteVolume || source.q,
+    closeTime: source.closeTime || source.C
+});
+
+// Average price across a REST order response; MARKET orders carry no limit price of their own
+const averageFillPrice = (payload = {}) => {
+    const executed = parseFloat(payload.executedQty);
+    const quote = parseFloat(payload.cummulativeQuoteQty);
+    if (!(executed > 0) || !Number.isFinite(quote)) return null;
+    return (quote / executed).toString();
+};
+
+// Execution type to report for an order placed over REST, based on its final status
+const executionTypeForStatus = (status) => {
+    switch (status) {
+        case 'FILLED':
+            return 'TRADE';
+        case 'EXPIRED':
+        case 'EXPIRED_IN_MATCH':
+        case 'REJECTED':
+            return 'EXPIRED';
+        default:
+            return 'NEW';
+    }
+};
+
+const normalizeExecutionReport = (payload = {}, overrides = {}) => {
+    const timestamp = payload.transactTime ?? payload.updateTime ?? payload.T ?? Date.now();
+    const status = overrides.status || payload.status || payload.X || payload.orderStatus || 'NEW';
+    return {
+        e: 'executionReport',
+        s: payload.symbol ?? payload.s,
+        symbol: payload.symbol ?? payload.s,
+        S: payload.side ?? payload.S,
+        side: payload.side ?? payload.S,
+        o: payload.type ?? payload.o,
+        type: payload.type ?? payload.o,
+        x: overrides.x || payload.x || payload.executionType || status,
+        X: status,
+        status,
+        i: payload.orderId ?? payload.i,
+        orderId: payload.orderId ?? payload.i,
+        c: payload.clientOrderId ?? payload.c,
+        clientOrderId: payload.clientOrderId ?? payload.c,
+        p: payload.price ?? payload.origPrice ?? payload.p ?? '0',
+        price: payload.price ?? payload.origPrice ?? payload.p ?? '0',
+        q: payload.origQty ?? payload.quantity ?? payload.q ?? '0',
+        origQty: payload.origQty ?? payload.quantity ?? payload.q ?? '0',
+        z: payload.executedQty ?? payload.cummulativeQuoteQty ?? payload.z ?? '0',
+        l: payload.executedQty ?? payload.l ?? '0',
+        L: payload.L ?? averageFillPrice(payload) ?? '0',
+        Z: payload.cummulativeQuoteQty ?? payload.Z ?? '0',
+        f: payload.timeInForce ?? payload.f,
+        timeInForce: payload.timeInForce ?? payload.f,
+        P: payload.stopPrice ?? payload.P ?? '0',
+        stopPrice: payload.stopPrice ?? payload.P ?? '0',
+        g: payload.orderListId ?? payload.g ?? -1,
+        orderListId: payload.orderListId ?? payload.g ?? -1,
+        t: payload.t ?? -1,
+        n: payload.n ?? '0',
+        N: payload.N ?? null,
+        m: payload.m ?? false,
+        T: timestamp,
+        transactTime: timestamp,
+        time: timestamp,
+        ...overrides
+    };
+};
+
+/**
+ * The fill carried by a TRADE execution report, in Binance myTrades shape
+ * @param {ExecutionReport} report
+ * @returns {Object|null} null for reports without a fill
+ */
+const fillFromExecutionReport = (report = {}) => {
+    if (report.x !== 'TRADE' || !(report.t >= 0)) return null;
+    const price = parseFloat(report.L);
+    const qty = parseFloat(report.l);
+    return {
+        symbol: report.s,
+        id: report.t,
+        orderId: report.i,
+        orderListId: report.g,
+        price: report.L,
+        qty: report.l,
+        quoteQty: (price * qty).toString(),
+        commission: report.n,
+        commissionAsset: report.N,
+        time: report.T,
+        isBuyer: report.S === 'BUY',
+        isMaker: report.m,
+        isBestMatch: true
+    };
+};
+
+/**
+ * Error thrown by adapters when the exchange rejects a request.
+ * Mirrors the { code, message } carried by @binance/common errors.
+ * @param {number|null} code - Exchange error code
+ * @param {string} message
+ * @returns {Error}
+ */
+const createExchangeError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Split a market subscription name into its parts
+ * @param {string} name - e.g. 'btcusdt@kline_1m', 'btcusdt@trade', 'btcusdt@depth@100ms'
+ * @returns {{ symbol: string, kind: 'kline'|'trade'|'depth', interval?: string } | null}
+ */
+const parseStreamName = (name) => {
+    const [rawSymbol, channel = ''] = String(name).split('@');
+    if (!rawSymbol || !channel) return null;
+    const symbol = rawSymbol.toUpperCase();
+    if (channel.startsWith('kline_')) {
+        return { symbol, kind: 'kline', interval: channel.slice('kline_'.length) };
+    }
+    if (channel === 'trade' || channel === 'depth') {
+        return { symbol, kind: channel };
+    }
+    return null;
+};
+
+const notImplemented = (adapter, method) => {
+    throw new Error(`${adapter.constructor.name} does not implement ${method}()`);
+};
+
+/**
+ * Base class documenting the adapter surface. Implementations override every method.
+ */
+class ExchangeAdapter {
+    /** @returns {string} Short name used in logs */
+    get name() {
+        return this.constructor.name;
+    }
+
+    /** @returns {{ usedWeight, maxWeight, windowMs, queued }|null} REST budget, null when the exchange has none */
+    getRateLimitStatus() {
+        return null;
+    }
+
+    // --- Market data -------------------------------------------------------
+
+    /** @returns {Promise<Candle[]>} Oldest first; options `{ limit, endTime }` (endTime in ms, inclusive) */
+    async getKlines(_symbol, _interval, _options = {}) { return notImplemented(this, 'getKlines'); }
+
+    /** @returns {Promise<DepthSnapshot>} */
+    async getDepthSnapshot(_symbol, _options = {}) { return notImplemented(this, 'getDepthSnapshot'); }
+
+    /** @returns {Promise<Trade[]>} */
+    async getRecentTrades(_symbol, _options = {}) { return notImplemented(this, 'getRecentTrades'); }
+
+    /** @returns {Promise<TickerEntry[]>} 24h ticker for every symbol */
+    async getTicker() { return notImplemented(this, 'getTicker'); }
+
+    /** @returns {Promise<Filters|null>} */
+    async getFilters(_symbol) { return notImplemented(this, 'getFilters'); }
+
+    // --- Account -----------------------------------------------------------
+
+    /** @returns {Promise<Balances>} Non-zero balances */
+    async getBalances() { return notImplemented(this, 'getBalances'); }
+
+    /** @returns {Promise<Object[]>} Open orders in Binance REST order shape */
+    async getOpenOrders() { return notImplemented(this, 'getOpenOrders'); }
+
+    /**
+     * @returns {Promise<Object[]>} Account trades in Binance myTrades shape, oldest first; options `{ limit, fromId }`
+     * (without fromId the most recent `limit`, with it the first `limit` trades from that id on)
+     */
+    async getMyTrades(_symbol, _options = {}) { return notImplemented(this, 'getMyTrades'); }
+
+    // --- Orders (requests come from order-builder.js) ---------------------
+
+    /** @returns {Promise<ExecutionReport[]>} One report per resulting order; throws createExchangeError on rejection */
+    async placeOrder(_orderRequest) { return notImplemented(this, 'placeOrder'); }
+
+    /**
+     * @param {{ symbol: string, orderId?: number, origClientOrderId?: string, newClientOrderId?: string }} _params
+     * @returns {Promise<ExecutionReport[]>}
+     */
+    async cancelOrder(_params) { return notImplemented(this, 'cancelOrder'); }
+
+    /** @returns {Promise<ExecutionReport[]>} One report per cancelled order (OCO legs included); throws when none are open */
+    async cancelOpenOrders(_symbol) { return notImplemented(this, 'cancelOpenOrders'); }
+
+    /** @returns {Promise<{ result: string, reports: ExecutionReport[], newOrderId?: number, code?: number, reason?: string }>} */
+    async replaceOrder(_replaceRequest) { return notImplemented(this, 'replaceOrder'); }
+
+    // --- Streams -----------------------------------------------------------
+
+    /** @param {string[]} _streams - Subscription names @returns {Promise<StreamSocket>} */
+    async connectMarketStream(_streams) { return notImplemented(this, 'connectMarketStream'); }
+
+    /** @returns {Promise<StreamSocket>} */
+    async connectTickerStream() { return notImplemented(this, 'connectTickerStream'); }
+
+    /** @returns {Promise<StreamSocket>} */
+    async connectUserStream() { return notImplemented(this, 'connectUserStream'); }
+}
+
+export {
+    ExchangeAdapter,
+    averageFillPrice,
+    createExchangeError,
+    executionTypeForStatus,
+    extractTickerFields,
+    fillFromExecutionReport,
+    normalizeExecutionReport,
+    parseStreamName
+};
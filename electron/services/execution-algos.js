@@ -0,0 +1,597 @@
+/**
+ * Execution Algos - Work a large parent order as a series of child limit orders
+ *
+ * - TWAP: the parent is released in `slices` equal parts over `durationMinutes`. Each
+ *   release replaces the working child with one for everything released but not filled.
+ * - ICEBERG: one child of at most `visibleQty` works at a time; the next one is placed
+ *   when it has filled.
+ *
+ * Children are GTC limit orders at the touch (best bid to buy, best ask to sell), never
+ * beyond the parent's optional `limitPrice`. A child is re-priced (cancelled and placed
+ * again) when the touch moves away from it. The touch comes from the streamed book fed in
+ * through observeQuote(); without a recent quote the book is fetched over REST, at most
+ * every `bookPollMs` per parent once its child works.
+ *
+ * Fills are taken from execution reports - placement/cancel responses and the user data
+ * stream, fed in through handleExecutionReport() - and matched to the working child by
+ * orderId or clientOrderId. A child canceled or expired outside the algo pauses the
+ * parent. Parents live in memory for as long as the service runs.
+ */
+
+import { buildOrderRequest } from './order-builder.js';
+import { decimalsOf, errorReason, toPositiveNumber, toSteps } from './order-utils.js';
+
+const ALGO_TYPES = {
+    TWAP: 'TWAP',
+    ICEBERG: 'ICEBERG'
+};
+
+const ALGO_STATUS = {
+    RUNNING: 'RUNNING',
+    PAUSED: 'PAUSED',
+    COMPLETED: 'COMPLETED',
+    CANCELED: 'CANCELED',
+    FAILED: 'FAILED'
+};
+
+const ALGO_COMMANDS = ['pause', 'resume', 'cancel'];
+
+const REPRICE_INTERVAL_MS = 3000;
+// A depth snapshot costs 5 weight; working children are checked this rarely without a stream
+const BOOK_POLL_INTERVAL_MS = 15000;
+// Streamed quotes older than this are not trusted
+const QUOTE_MAX_AGE_MS = 5000;
+const MAX_SLICES = 500;
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+// Finished parents kept for the orders tab
+const FINISHED_HISTORY = 20;
+const TOUCH_DEPTH_LIMIT = 5;
+
+const TERMINAL_CHILD_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'EXPIRED_IN_MATCH', 'REJECTED'];
+
+/**
+ * Validate a renderer parent order
+ * @param {Object} payload - { symbol, side, quantity, algo, limitPrice?, slices?, durationMinutes?, visibleQty? }
+ * @returns {Object|{ error: string }}
+ */
+const parseAlgoRequest = (payload = {}) => {
+    const symbol = typeof payload.symbol === 'string' ? payload.symbol.toUpperCase() : null;
+    const side = payload.side?.toUpperCase();
+    const algo = payload.algo?.toUpperCase();
+    const quantity = toPositiveNumber(payload.quantity);
+    const hasLimit = payload.limitPrice !== undefined && payload.limitPrice !== null && payload.limitPrice !== '';
+    const limitPrice = hasLimit ? toPositiveNumber(payload.limitPrice) : null;
+
+    if (!symbol) return { error: 'Missing symbol' };
+    if (side !== 'BUY' && side !== 'SELL') return { error: `Invalid side: ${payload.side}` };
+    if (!Object.values(ALGO_TYPES).includes(algo)) return { error: `Unsupported algo: ${payload.algo}` };
+    if (quantity === null) return { error: 'Quantity must be a positive number' };
+    if (hasLimit && limitPrice === null) return { error: 'Limit price must be a positive number' };
+
+    if (algo === ALGO_TYPES.TWAP) {
+        const slices = Number(payload.slices);
+        const durationMinutes = toPositiveNumber(payload.durationMinutes);
+        if (!Number.isInteger(slices) || slices < 1 || slices > MAX_SLICES) {
+            return { error: `Slices must be a whole number from 1 to ${MAX_SLICES}` };
+        }
+        if (durationMinutes === null || durationMinutes > MAX_DURATION_MINUTES) {
+            return { error: `Duration must be between 0 and ${MAX_DURATION_MINUTES} minutes` };
+        }
+        return { symbol, side, algo, quantity, limitPrice, slices, durationMinutes };
+    }
+
+    const visibleQty = toPositiveNumber(payload.visibleQty);
+    if (visibleQty === null) return { error: 'Visible quantity must be a positive number' };
+    if (visibleQty > quantity) return { error: 'Visible quantity cannot exceed the total quantity' };
+    return { symbol, side, algo, quantity, limitPrice, visibleQty };
+};
+
+class AlgoExecutor {
+    /**
+     * @param {Object} options
+     * @param {import('./exchange-adapter.js').ExchangeAdapter} options.adapter
+     * @param {Object} [options.logger]
+     * @param {Function} [options.onUpdate] - (snapshot) on every parent change
+     * @param {Function} [options.onReports] - (reports) for the child placement/cancel responses
+     * @param {number} [options.repriceMs] - Period of the re-pricing pass while a parent runs
+     * @param {number} [options.bookPollMs] - Minimum time between REST book fetches for a working child
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor({
+        adapter,
+        logger = console,
+        onUpdate = () => {},
+        onReports = () => {},
+        repriceMs = REPRICE_INTERVAL_MS,
+        bookPollMs = BOOK_POLL_INTERVAL_MS,
+        now = Date.now
+    }) {
+        this.adapter = adapter;
+        this.logger = logger;
+        this.onUpdate = onUpdate;
+        this.onReports = onReports;
+        this.repriceMs = repriceMs;
+        this.bookPollMs = bookPollMs;
+        this.now = now;
+        this.parents = new Map();
+        this.quotes = new Map(); // symbol -> { bid, ask, at } from the depth stream
+        this.nextId = 1;
+        this.repriceTimer = null;
+    }
+
+    /** @returns {Object[]} Parent snapshots, newest first */
+    list() {
+        return [...this.parents.values()].reverse().map((parent) => this.snapshot(parent));
+    }
+
+    /**
+     * Start a parent order; its first child is placed before this resolves
+     * @param {Object} payload - See parseAlgoRequest
+     * @returns {Promise<{ parent: Object } | { error: string }>}
+     */
+    async start(payload) {
+        const spec = parseAlgoRequest(payload);
+        if (spec.error) return spec;
+
+        const filters = await this.adapter.getFilters(spec.symbol);
+        if (!filters) return { error: `Unknown symbol: ${spec.symbol}` };
+        const stepSize = Number(filters.stepSize);
+        const tickSize = Number(filters.tickSize);
+        const qtyDecimals = decimalsOf(filters.stepSize);
+        const quantity = this.floorQty({ stepSize, qtyDecimals }, spec.quantity);
+        if (!(quantity > 0)) return { error: 'Quantity is below the lot size' };
+
+        const createdAt = this.now();
+        const parent = {
+            ...spec,
+            quantity,
+            visibleQty: spec.visibleQty !== undefined ? this.floorQty({ stepSize, qtyDecimals }, spec.visibleQty) : undefined,
+            id: `algo${createdAt.toString(36)}${this.nextId++}`,
+            status: ALGO_STATUS.RUNNING,
+            reason: null,
+            stepSize,
+            tickSize,
+            qtyDecimals,
+            priceDecimals: decimalsOf(filters.tickSize),
+            minQty: Number(filters.minQty) || 0,
+            minNotional: Number(filters.minNotional) || 0,
+            doneQty: 0,
+            doneQuote: 0,
+            child: null,
+            childCount: 0,
+            createdAt,
+            updatedAt: createdAt,
+            startedAt: createdAt,
+            pausedAt: null,
+            pausedMs: 0,
+            timer: null,
+            queue: Promise.resolve(),
+            queued: false,
+            polledAt: 0
+        };
+        if (parent.visibleQty !== undefined && !(parent.visibleQty > 0)) {
+            return { error: 'Visible quantity is below the lot size' };
+        }
+        this.parents.set(parent.id, parent);
+        this.pruneFinished();
+        this.logger.info(`[algos] ${parent.id} ${parent.algo} ${parent.side} ${parent.quantity} ${parent.symbol}${parent.limitPrice ? ` limit ${parent.limitPrice}` : ''}`);
+        this.update(parent);
+        this.startClock();
+        await this.enqueue(parent);
+        return { parent: this.snapshot(parent) };
+    }
+
+    /**
+     * Pause, resume or cancel a parent
+     * @param {string} id
+     * @param {string} command - One of ALGO_COMMANDS
+     * @returns {Promise<{ parent: Object } | { error: string }>}
+     */
+    async control(id, command) {
+        const parent = this.parents.get(id);
+        if (!parent) return { error: `Unknown algo order: ${id}` };
+        if (!ALGO_COMMANDS.includes(command)) return { error: `Unknown command: ${command}` };
+        const active = [ALGO_STATUS.RUNNING, ALGO_STATUS.PAUSED].includes(parent.status);
+        if (!active) return { error: `Algo order is ${parent.status.toLowerCase()}` };
+
+        if (command === 'resume') {
+            if (parent.status === ALGO_STATUS.PAUSED) {
+                parent.pausedMs += this.now() - parent.pausedAt;
+                parent.pausedAt = null;
+                parent.status = ALGO_STATUS.RUNNING;
+                parent.reason = null;
+                this.update(parent);
+                this.startClock();
+                await this.enqueue(parent);
+            }
+            return { parent: this.snapshot(parent) };
+        }
+
+        if (command === 'pause' && parent.status === ALGO_STATUS.RUNNING) {
+            this.pause(parent, null);
+        } else if (command === 'cancel') {
+            this.finish(parent, ALGO_STATUS.CANCELED, null);
+        }
+        await this.run(parent, () => this.cancelChild(parent));
+        this.update(parent);
+        return { parent: this.snapshot(parent) };
+    }
+
+    /**
+     * Apply an execution report to the child it belongs to, if any
+     * @param {Object} report - normalizeExecutionReport() output
+     */
+    handleExecutionReport(report) {
+        for (const parent of this.parents.values()) {
+            const { child } = parent;
+            if (!child) continue;
+            const matches = (report.i !== undefined && report.i === child.orderId)
+                || (report.c && report.c === child.clientOrderId);
+            if (!matches) continue;
+
+            if (child.orderId === null && report.i !== undefined) child.orderId = report.i;
+            const executedQty = parseFloat(report.z);
+            if (executedQty > child.executedQty) {
+                child.executedQty = executedQty;
+                child.executedQuote = Math.max(child.executedQuote, parseFloat(report.Z) || 0);
+            }
+
+            if (TERMINAL_CHILD_STATUSES.includes(report.X)) {
+                parent.doneQty += child.executedQty;
+                parent.doneQuote += child.executedQuote;
+                parent.child = null;
+                if (report.X !== 'FILLED' && !child.cancelRequested && parent.status === ALGO_STATUS.RUNNING) {
+                    this.pause(parent, `Child order ${report.X.toLowerCase()} outside the algo`);
+                } else if (parent.status === ALGO_STATUS.RUNNING) {
+                    void this.enqueue(parent);
+                }
+            }
+            this.update(parent);
+            return;
+        }
+    }
+
+    /** Whether a parent on the symbol is running, i.e. wants its quotes */
+    isWorking(symbol) {
+        return [...this.parents.values()].some((parent) => parent.symbol === symbol && parent.status === ALGO_STATUS.RUNNING);
+    }
+
+    /**
+     * Best bid and ask from a streamed book; children of the symbol that left the touch are re-priced
+     * @param {string} symbol
+     * @param {{ bid: number|null, ask: number|null }} quote
+     */
+    observeQuote(symbol, { bid, ask }) {
+        this.quotes.set(symbol, { bid, ask, at: this.now() });
+        for (const parent of this.parents.values()) {
+            if (parent.symbol !== symbol || parent.status !== ALGO_STATUS.RUNNING || !parent.child) continue;
+            if (parent.child.price !== this.limitTouch(parent, parent.side === 'BUY' ? bid : ask)) void this.enqueue(parent);
+        }
+    }
+
+    /** Re-check the running parents against the book (the clock calls this) */
+    reprice() {
+        const now = this.now();
+        // A working child without a streamed quote waits for the next REST poll
+        const due = [...this.parents.values()].filter((parent) => parent.status === ALGO_STATUS.RUNNING
+            && (!parent.child || this.freshQuote(parent.symbol) || now - parent.polledAt >= this.bookPollMs));
+        return Promise.all(due.map((parent) => this.enqueue(parent)));
+    }
+
+    /**
+     * Pause every running parent and pull its child, e.g. when fills can no longer be followed
+     * @param {string} reason
+     */
+    async pauseAll(reason) {
+        const running = [...this.parents.values()].filter((parent) => parent.status === ALGO_STATUS.RUNNING);
+        running.forEach((parent) => this.pause(parent, reason));
+        await Promise.all(running.map((parent) => this.run(parent, () => this.cancelChild(parent))));
+    }
+
+    /** Cancel the working children and stop the clock */
+    async shutdown() {
+        const active = [...this.parents.values()].filter((parent) => (
+            [ALGO_STATUS.RUNNING, ALGO_STATUS.PAUSED].includes(parent.status)
+        ));
+        active.forEach((parent) => this.finish(parent, ALGO_STATUS.CANCELED, 'Service stopped'));
+        await Promise.all(active.map((parent) => this.run(parent, () => this.cancelChild(parent))));
+        this.stopClockWhenIdle();
+    }
+
+    // --- Internals: scheduling ---------------------------------------------
+
+    /** Queue a work pass; passes already waiting are not queued twice */
+    enqueue(parent) {
+        if (parent.queued) return parent.queue;
+        parent.queued = true;
+        return this.run(parent, () => {
+            parent.queued = false;
+            return this.work(parent);
+        });
+    }
+
+    /** Run a step after the parent's previous steps; failures are logged */
+    run(parent, step) {
+        parent.queue = parent.queue.then(step).catch((err) => {
+            this.logger.error(`[algos] ${parent.id} step failed:`, err?.code || err?.message);
+        });
+        return parent.queue;
+    }
+
+    startClock() {
+        if (this.repriceTimer) return;
+        this.repriceTimer = setInterval(() => {
+            void this.reprice();
+        }, this.repriceMs);
+    }
+
+    stopClockWhenIdle() {
+        const running = [...this.parents.values()].some((parent) => parent.status === ALGO_STATUS.RUNNING);
+        if (running || !this.repriceTimer) return;
+        clearInterval(this.repriceTimer);
+        this.repriceTimer = null;
+    }
+
+    /** Arm the timer for the next TWAP release */
+    scheduleSlice(parent) {
+        clearTimeout(parent.timer);
+        parent.timer = null;
+        if (parent.algo !== ALGO_TYPES.TWAP || parent.status !== ALGO_STATUS.RUNNING) return;
+        const released = this.releasedSlices(parent);
+        if (released >= parent.slices) return;
+        const delay = released * this.sliceMs(parent) - this.activeMs(parent);
+        parent.timer = setTimeout(() => {
+            parent.timer = null;
+            void this.enqueue(parent);
+        }, Math.max(delay, 0));
+    }
+
+    // --- Internals: state ----------------------------------------------------
+
+    sliceMs(parent) {
+        return (parent.durationMinutes * 60000) / parent.slices;
+    }
+
+    // Time the parent has been running, pauses excluded
+    activeMs(parent) {
+        const until = parent.pausedAt ?? this.now();
+        return until - parent.startedAt - parent.pausedMs;
+    }
+
+    releasedSlices(parent) {
+        return Math.min(parent.slices, Math.floor(this.activeMs(parent) / this.sliceMs(parent)) + 1);
+    }
+
+    /** Quantity the parent may have filled by now */
+    releasedQty(parent) {
+        if (parent.algo !== ALGO_TYPES.TWAP) return parent.quantity;
+        const released = this.releasedSlices(parent);
+        if (released >= parent.slices) return parent.quantity;
+        return this.floorQty(parent, (parent.quantity * released) / parent.slices);
+    }
+
+    /** Everything released once the current child is done */
+    isFullyReleased(parent) {
+        return parent.algo !== ALGO_TYPES.TWAP || this.releasedSlices(parent) >= parent.slices;
+    }
+
+    filledQty(parent) {
+        return parent.doneQty + (parent.child?.executedQty ?? 0);
+    }
+
+    pause(parent, reason) {
+        parent.status = ALGO_STATUS.PAUSED;
+        parent.pausedAt = this.now();
+        parent.reason = reason;
+        this.scheduleSlice(parent);
+        this.stopClockWhenIdle();
+        if (reason) this.logger.warn(`[algos] ${parent.id} paused: ${reason}`);
+        this.update(parent);
+    }
+
+    finish(parent, status, reason) {
+        parent.status = status;
+        parent.reason = reason;
+        if (parent.pausedAt !== null) {
+            parent.pausedMs += this.now() - parent.pausedAt;
+            parent.pausedAt = null;
+        }
+        this.scheduleSlice(parent);
+        this.stopClockWhenIdle();
+        this.logger.info(`[algos] ${parent.id} ${status.toLowerCase()}${reason ? `: ${reason}` : ''} (filled ${this.formatQty(parent, this.filledQty(parent))}/${this.formatQty(parent, parent.quantity)})`);
+        this.update(parent);
+    }
+
+    pruneFinished() {
+        const finished = [...this.parents.values()].filter((parent) => (
+            ![ALGO_STATUS.RUNNING, ALGO_STATUS.PAUSED].includes(parent.status)
+        ));
+        finished.slice(0, Math.max(finished.length - FINISHED_HISTORY, 0))
+            .forEach((parent) => this.parents.delete(parent.id));
+    }
+
+    update(parent) {
+        parent.updatedAt = this.now();
+        this.onUpdate(this.snapshot(parent));
+    }
+
+    snapshot(parent) {
+        const filledQty = this.filledQty(parent);
+        const filledQuote = parent.doneQuote + (parent.child?.executedQuote ?? 0);
+        return {
+            id: parent.id,
+            algo: parent.algo,
+            symbol: parent.symbol,
+            side: parent.side,
+            status: parent.status,
+            reason: parent.reason,
+            quantity: this.formatQty(parent, parent.quantity),
+            filledQty: this.formatQty(parent, filledQty),
+            avgPrice: filledQty > 0 ? (filledQuote / filledQty).toFixed(parent.priceDecimals) : null,
+            limitPrice: parent.limitPrice !== null ? this.formatPrice(parent, parent.limitPrice) : null,
+            ...(parent.algo === ALGO_TYPES.TWAP
+                ? {
+                    slices: parent.slices,
+                    durationMinutes: parent.durationMinutes,
+                    slicesReleased: this.releasedSlices(parent)
+                }
+                : { visibleQty: this.formatQty(parent, parent.visibleQty) }),
+            child: parent.child && {
+                orderId: parent.child.orderId,
+                clientOrderId: parent.child.clientOrderId,
+                price: this.formatPrice(parent, parent.child.price),
+                quantity: this.formatQty(parent, parent.child.quantity),
+                executedQty: this.formatQty(parent, parent.child.executedQty)
+            },
+            childCount: parent.childCount,
+            createdAt: parent.createdAt,
+            updatedAt: parent.updatedAt
+        };
+    }
+
+    // --- Internals: orders -----------------------------------------------------
+
+    /** Make sure the right child works at the right price */
+    async work(parent) {
+        if (parent.status !== ALGO_STATUS.RUNNING) return;
+        this.scheduleSlice(parent);
+
+        const remaining = parent.quantity - this.filledQty(parent);
+        if (remaining < parent.stepSize / 2) {
+            this.finish(parent, ALGO_STATUS.COMPLETED, null);
+            return;
+        }
+
+        const price = await this.touchPrice(parent);
+        // An empty side leaves the child where it is until the book comes back
+        if (price === null || parent.status !== ALGO_STATUS.RUNNING) return;
+        const { child } = parent;
+        if (child && child.price === price) {
+            // An iceberg tops up on fills only; a TWAP child grows with every release
+            const childRemaining = child.quantity - child.executedQty;
+            if (parent.algo === ALGO_TYPES.ICEBERG || childRemaining >= this.wantedQty(parent) - parent.stepSize / 2) return;
+        }
+
+        if (child) {
+            await this.cancelChild(parent);
+            // Still there: the cancel failed and is retried on the next pass
+            if (parent.child || parent.status !== ALGO_STATUS.RUNNING) return;
+        }
+
+        const quantity = this.wantedQty(parent);
+        if (!this.isTradable(parent, quantity, price)) {
+            if (this.isFullyReleased(parent)) {
+                this.finish(parent, ALGO_STATUS.COMPLETED, this.filledQty(parent) > 0 ? 'Remainder below the exchange minimum' : 'Quantity below the exchange minimum');
+            }
+            return;
+        }
+        await this.placeChild(parent, quantity, price);
+    }
+
+    /** Size of the next child */
+    wantedQty(parent) {
+        const open = this.releasedQty(parent) - this.filledQty(parent);
+        const capped = parent.algo === ALGO_TYPES.ICEBERG ? Math.min(parent.visibleQty, open) : open;
+        return this.floorQty(parent, capped);
+    }
+
+    isTradable(parent, quantity, price) {
+        return quantity > 0 && quantity >= parent.minQty && quantity * price >= parent.minNotional;
+    }
+
+    freshQuote(symbol) {
+        const quote = this.quotes.get(symbol);
+        return quote && this.now() - quote.at <= QUOTE_MAX_AGE_MS ? quote : null;
+    }
+
+    /** Best price on the parent's own side, held back by its limit; null when there is none */
+    async touchPrice(parent) {
+        const quote = this.freshQuote(parent.symbol);
+        if (quote) return this.limitTouch(parent, parent.side === 'BUY' ? quote.bid : quote.ask);
+
+        parent.polledAt = this.now();
+        const book = await this.adapter.getDepthSnapshot(parent.symbol, { limit: TOUCH_DEPTH_LIMIT });
+        const levels = (parent.side === 'BUY' ? book?.bids : book?.asks) ?? [];
+        const prices = levels.map(([price]) => Number(price)).filter((price) => price > 0);
+        if (!prices.length) return null;
+        return this.limitTouch(parent, parent.side === 'BUY' ? Math.max(...prices) : Math.min(...prices));
+    }
+
+    limitTouch(parent, touch) {
+        if (!(touch > 0)) return null;
+        if (parent.limitPrice === null) return touch;
+        return parent.side === 'BUY' ? Math.min(touch, parent.limitPrice) : Math.max(touch, parent.limitPrice);
+    }
+
+    async placeChild(parent, quantity, price) {
+        parent.childCount++;
+        const clientOrderId = `${parent.id}-${parent.childCount}`;
+        const orderRequest = buildOrderRequest({
+            symbol: parent.symbol,
+            side: parent.side,
+            quantity: this.formatQty(parent, quantity),
+            price: this.formatPrice(parent, price),
+            timeInForce: 'GTC',
+            newClientOrderId: clientOrderId
+        });
+        parent.child = {
+            orderId: null,
+            clientOrderId,
+            price,
+            quantity,
+            executedQty: 0,
+            executedQuote: 0,
+            cancelRequested: false
+        };
+        this.update(parent);
+        try {
+            const reports = await this.adapter.placeOrder(orderRequest);
+            reports.forEach((report) => this.handleExecutionReport(report));
+            this.onReports(reports);
+        } catch (error) {
+            if (parent.child?.clientOrderId === clientOrderId) parent.child = null;
+            // Exchange rejections (balance, filters) repeat on every try; network errors may not
+            if (error?.code !== undefined && error?.code !== null) {
+                this.finish(parent, ALGO_STATUS.FAILED, errorReason(error));
+            } else {
+                this.logger.warn(`[algos] ${parent.id} child placement failed, retrying:`, error?.message);
+                this.update(parent);
+            }
+        }
+    }
+
+    async cancelChild(parent) {
+        const { child } = parent;
+        if (!child) return;
+        child.cancelRequested = true;
+        try {
+            const reports = await this.adapter.cancelOrder({
+                symbol: parent.symbol,
+                orderId: child.orderId ?? undefined,
+                origClientOrderId: child.orderId === null ? child.clientOrderId : undefined
+            });
+            reports.forEach((report) => this.handleExecutionReport(report));
+            this.onReports(reports);
+        } catch (error) {
+            // Usually filled meanwhile; its report settles the child
+            this.logger.warn(`[algos] ${parent.id} child cancel failed:`, error?.code ?? '', error?.message);
+        }
+    }
+
+    // --- Internals: precision --------------------------------------------------
+
+    floorQty(parent, value) {
+        const steps = toSteps(value, parent.stepSize, Math.floor);
+        return Number((steps * parent.stepSize).toFixed(parent.qtyDecimals));
+    }
+
+    formatQty(parent, value) {
+        return Number(value).toFixed(parent.qtyDecimals);
+    }
+
+    formatPrice(parent, value) {
+        return Number(value).toFixed(parent.priceDecimals);
+    }
+}
+
+export { ALGO_COMMANDS, ALGO_STATUS, ALGO_TYPES, AlgoExecutor, parseAlgoRequest };
@@ -0,0 +1,197 @@
+/**
+ * Tests for the TWAP / iceberg execution service
+ *
+ * These tests verify:
+ * 1. Parent orders are validated before anything is placed
+ * 2. TWAP releases equal slices on schedule and grows the working child with them
+ * 3. Icebergs show at most the visible quantity and refill when a child fills
+ * 4. Children follow the touch, capped by the limit price: streamed quotes re-price at once, REST polls are spaced out
+ * 5. Pause freezes the TWAP clock, resume shifts it, cancel pulls the child
+ * 6. Children canceled outside the algo pause it; exchange rejections fail it
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AlgoExecutor, parseAlgoRequest } from './execution-algos.js';
+import { altFilters, createScriptedExchange, silentLogger } from '../test/scripted-exchange.js';
+
+const FILTERS = altFilters({ tickSize: '0.00010000', stepSize: '1.00000000' });
+const BOOK = { bids: [['0.9990', '500']], asks: [['1.0010', '500']] };
+
+describe('parseAlgoRequest', () => {
+    it('should validate parent orders', () => {
+        const base = { symbol: 'altusdt', side: 'buy', quantity: '100' };
+
+        expect(parseAlgoRequest({ ...base, algo: 'twap', slices: 4, durationMinutes: '2' }))
+            .toEqual({ symbol: 'ALTUSDT', side: 'BUY', algo: 'TWAP', quantity: 100, limitPrice: null, slices: 4, durationMinutes: 2 });
+        expect(parseAlgoRequest({ ...base, algo: 'iceberg', visibleQty: '10', limitPrice: '1.01' }))
+            .toMatchObject({ algo: 'ICEBERG', visibleQty: 10, limitPrice: 1.01 });
+        expect(parseAlgoRequest({ ...base, algo: 'VWAP' }).error).toMatch(/Unsupported algo/);
+        expect(parseAlgoRequest({ ...base, algo: 'TWAP', slices: 2.5, durationMinutes: 1 }).error).toMatch(/Slices/);
+        expect(parseAlgoRequest({ ...base, algo: 'ICEBERG', visibleQty: '200' }).error).toMatch(/cannot exceed/);
+        expect(parseAlgoRequest({ ...base, algo: 'ICEBERG', visibleQty: '10', limitPrice: 'x' }).error).toMatch(/Limit price/);
+        expect(parseAlgoRequest({ ...base, side: 'HOLD', algo: 'TWAP' }).error).toMatch(/Invalid side/);
+    });
+});
+
+describe('AlgoExecutor', () => {
+    let exchange;
+    let executor;
+    let updates;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(1700000000000);
+        exchange = createScriptedExchange({ filters: { ALTUSDT: FILTERS }, book: { ...BOOK } });
+        updates = [];
+        executor = new AlgoExecutor({
+            adapter: exchange.adapter,
+            logger: silentLogger,
+            onUpdate: (snapshot) => updates.push(snapshot),
+            repriceMs: 1000,
+            now: () => Date.now()
+        });
+    });
+
+    afterEach(async () => {
+        await executor.shutdown();
+        vi.useRealTimers();
+    });
+
+    it('should reject unknown symbols before placing anything', async () => {
+        expect(await executor.start({ symbol: 'NOPEUSDT', side: 'BUY', algo: 'TWAP', quantity: 10, slices: 2, durationMinutes: 1 }))
+            .toEqual({ error: 'Unknown symbol: NOPEUSDT' });
+        expect(exchange.adapter.placeOrder).not.toHaveBeenCalled();
+    });
+
+    it('should release TWAP slices on schedule at the touch', async () => {
+        const { parent } = await executor.start({ symbol: 'ALTUSDT', side: 'BUY', algo: 'TWAP', quantity: 100, slices: 4, durationMinutes: 2 });
+
+        expect(parent).toMatchObject({ status: 'RUNNING', slicesReleased: 1, child: { price: '0.9990', quantity: '25' } });
+        expect(exchange.adapter.placeOrder.mock.calls[0][0].params).toMatchObject({
+            type: 'LIMIT', timeInForce: 'GTC', side: 'BUY', price: '0.999', quantity: '25', newClientOrderId: `${parent.id}-1`
+        });
+
+        executor.handleExecutionReport(exchange.fill(1, 25));
+        await vi.advanceTimersByTimeAsync(0);
+        expect(exchange.open()).toHaveLength(0);
+        expect(executor.list()[0]).toMatchObject({ filledQty: '25', avgPrice: '0.9990', child: null });
+
+        // Slice 2 of 4 after 30s; nothing was filled of it, so the child is 25
+        await vi.advanceTimersByTimeAsync(30000);
+        expect(exchange.open().map((order) => order.quantity)).toEqual(['25']);
+
+        // Slice 3 unfilled: the working child is replaced by one for both
+        await vi.advanceTimersByTimeAsync(30000);
+        expect(exchange.open().map((order) => order.quantity)).toEqual(['50']);
+        expect(executor.list()[0].slicesReleased).toBe(3);
+
+        await vi.advanceTimersByTimeAsync(30000);
+        const [last] = exchange.open();
+        expect(last.quantity).toBe('75');
+        executor.handleExecutionReport(exchange.fill(last.orderId, 75));
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(executor.list()[0]).toMatchObject({ status: 'COMPLETED', filledQty: '100', child: null });
+        expect(updates.at(-1).status).toBe('COMPLETED');
+    });
+
+    it('should show only the visible quantity of an iceberg and refill on fills', async () => {
+        await executor.start({ symbol: 'ALTUSDT', side: 'SELL', algo: 'ICEBERG', quantity: 25, visibleQty: 10 });
+
+        expect(exchange.open().map((order) => [order.price, order.quantity])).toEqual([['1.001', '10']]);
+
+        // A partial fill does not refill
+        executor.handleExecutionReport(exchange.fill(1, 4));
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(exchange.open().map((order) => order.quantity)).toEqual(['10']);
+        expect(executor.list()[0]).toMatchObject({ filledQty: '4', child: { executedQty: '4' } });
+
+        executor.handleExecutionReport(exchange.fill(1, 6));
+        await vi.advanceTimersByTimeAsync(0);
+        expect(exchange.open().map((order) => order.quantity)).toEqual(['10']);
+
+        executor.handleExecutionReport(exchange.fill(2, 10));
+        await vi.advanceTimersByTimeAsync(0);
+        expect(exchange.open().map((order) => order.quantity)).toEqual(['5']);
+
+        executor.handleExecutionReport(exchange.fill(3, 5));
+        await vi.advanceTimersByTimeAsync(0);
+        expect(executor.list()[0]).toMatchObject({ status: 'COMPLETED', filledQty: '25', avgPrice: '1.0010', childCount: 3 });
+    });
+
+    it('should re-price children with the polled touch, capped by the limit price', async () => {
+        await executor.start({ symbol: 'ALTUSDT', side: 'BUY', algo: 'ICEBERG', quantity: 30, visibleQty: 10, limitPrice: '1.0000' });
+        executor.handleExecutionReport(exchange.fill(1, 3));
+
+        // A working child only polls the book every 15s
+        exchange.book.bids = [['0.9995', '100']];
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(exchange.adapter.getDepthSnapshot).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(14000);
+        // The partially filled child is replaced by a full visible quantity at the new touch
+        expect(exchange.orders.get(1).status).toBe('CANCELED');
+        expect(exchange.open().map((order) => [order.price, order.quantity])).toEqual([['0.9995', '10']]);
+        const polls = exchange.adapter.getDepthSnapshot.mock.calls.length;
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(exchange.adapter.getDepthSnapshot).toHaveBeenCalledTimes(polls);
+
+        exchange.book.bids = [['1.0050', '100']];
+        await vi.advanceTimersByTimeAsync(15000);
+        expect(exchange.open().map((order) => order.price)).toEqual(['1']);
+        expect(executor.list()[0]).toMatchObject({ status: 'RUNNING', filledQty: '3', childCount: 3 });
+    });
+
+    it('should re-price children from streamed quotes without polling', async () => {
+        await executor.start({ symbol: 'ALTUSDT', side: 'BUY', algo: 'ICEBERG', quantity: 30, visibleQty: 10 });
+        expect(executor.isWorking('ALTUSDT')).toBe(true);
+
+        executor.observeQuote('ALTUSDT', { bid: 0.9985, ask: 1.001 });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(exchange.open().map((order) => order.price)).toEqual(['0.9985']);
+
+        // Quotes at the child's price leave it alone; the clock uses the quote while it is fresh
+        executor.observeQuote('ALTUSDT', { bid: 0.9985, ask: 1.0005 });
+        await vi.advanceTimersByTimeAsync(3000);
+        expect(executor.list()[0].childCount).toBe(2);
+        expect(exchange.adapter.getDepthSnapshot).toHaveBeenCalledTimes(1);
+    });
+
+    it('should pause, resume and cancel', async () => {
+        const { parent } = await executor.start({ symbol: 'ALTUSDT', side: 'BUY', algo: 'TWAP', quantity: 100, slices: 4, durationMinutes: 2 });
+        await vi.advanceTimersByTimeAsync(10000);
+
+        expect((await executor.control(parent.id, 'pause')).parent).toMatchObject({ status: 'PAUSED', child: null });
+        expect(exchange.open()).toHaveLength(0);
+
+        // Paused time does not count towards the schedule
+        await vi.advanceTimersByTimeAsync(60000);
+        expect(exchange.adapter.placeOrder).toHaveBeenCalledTimes(1);
+
+        expect((await executor.control(parent.id, 'resume')).parent).toMatchObject({ status: 'RUNNING', slicesReleased: 1 });
+        expect(exchange.open().map((order) => order.quantity)).toEqual(['25']);
+        await vi.advanceTimersByTimeAsync(19000);
+        expect(executor.list()[0].slicesReleased).toBe(1);
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(executor.list()[0].slicesReleased).toBe(2);
+
+        expect((await executor.control(parent.id, 'cancel')).parent).toMatchObject({ status: 'CANCELED', child: null });
+        expect(exchange.open()).toHaveLength(0);
+        expect(await executor.control(parent.id, 'resume')).toEqual({ error: 'Algo order is canceled' });
+        expect(await executor.control('nope', 'pause')).toEqual({ error: 'Unknown algo order: nope' });
+    });
+
+    it('should pause when a child is canceled outside the algo and fail on rejections', async () => {
+        const { parent } = await executor.start({ symbol: 'ALTUSDT', side: 'BUY', algo: 'ICEBERG', quantity: 30, visibleQty: 10 });
+        const [child] = exchange.open();
+        child.status = 'CANCELED';
+        // Binance puts the cancel's own client id on the stream report; the order id still matches
+        executor.handleExecutionReport({ i: child.orderId, c: 'web_123', X: 'CANCELED', z: '0', Z: '0' });
+
+        expect(executor.list()[0]).toMatchObject({ status: 'PAUSED', reason: 'Child order canceled outside the algo' });
+
+        exchange.adapter.placeOrder.mockRejectedValueOnce(Object.assign(new Error('Account has insufficient balance.'), { code: -2010 }));
+        await executor.control(parent.id, 'resume');
+
+        expect(executor.list()[0]).toMatchObject({ status: 'FAILED', reason: 'Account has insufficient balance. [-2010]' });
+    });
+});
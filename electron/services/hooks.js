@@ -0,0 +1,221 @@
+/**
+ * Hooks - Forward trading events to webhooks and local commands
+ *
+ * Hooks are configured in the renderer's settings and synced to the service
+ * (setHooks). Events:
+ * - execution:  every execution report from the user data stream
+ * - fill:       TRADE execution reports, as the fill in myTrades shape
+ * - alert:      price alert triggers (alert-evaluator.js)
+ * - connection: exchange stream state changes ({ stream, state, code?, reason? })
+ *
+ * Every delivery carries `{ event, timestamp, data }`, or the hook's template rendered
+ * against it: `{{event}}`, `{{timestamp}}`, `{{data.symbol}}`, ... Missing values render
+ * empty; objects render as JSON.
+ * - webhook: POSTs the payload as JSON to `url` (template values are JSON-escaped)
+ * - command: spawns `command` with `args` (templated, no shell), payload on stdin.
+ *   The command only inherits the variables in COMMAND_ENV_KEYS plus HOOK_EVENT, so
+ *   the exchange credentials never reach it
+ *
+ * Failed deliveries (network error, 5xx/429, non-zero exit, timeout) are retried
+ * with exponential backoff.
+ */
+
+import { spawn as spawnProcess } from 'child_process';
+
+const HOOK_EVENTS = ['execution', 'fill', 'alert', 'connection'];
+const HOOK_KINDS = ['webhook', 'command'];
+
+const DEFAULT_RETRIES = 2;
+const MAX_RETRIES = 5;
+const RETRY_DELAY_MS = 1000;
+const HOOK_TIMEOUT_MS = 10000;
+// Enough to locate and run a program; SystemRoot and ComSpec are needed on Windows
+const COMMAND_ENV_KEYS = ['PATH', 'HOME', 'LANG', 'TMPDIR', 'SystemRoot', 'ComSpec', 'PATHEXT'];
+
+const commandEnv = (event) => {
+    const env = { HOOK_EVENT: event };
+    COMMAND_ENV_KEYS.forEach((key) => {
+        if (process.env[key] !== undefined) env[key] = process.env[key];
+    });
+    return env;
+};
+
+const lookup = (context, path) => path.split('.').reduce((value, key) => value?.[key], context);
+
+/**
+ * Render `{{path}}` placeholders against the delivery
+ * @param {string} template
+ * @param {Object} context - { event, timestamp, data }
+ * @param {{ json?: boolean }} [options] - Escape string values for use inside a JSON string
+ * @returns {string}
+ */
+const renderTemplate = (template, context, { json = false } = {}) =>
+    String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+        const value = lookup(context, path);
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return json ? JSON.stringify(String(value)).slice(1, -1) : String(value);
+    });
+
+/**
+ * Validate a renderer hook; anything that cannot be delivered is dropped
+ * @returns {Object|null}
+ */
+const normalizeHook = (hook) => {
+    if (!hook || hook.id === undefined || hook.id === null || !HOOK_KINDS.includes(hook.kind)) return null;
+    if (hook.kind === 'webhook' && !/^https?:\/\//i.test(hook.url ?? '')) return null;
+    if (hook.kind === 'command' && !(typeof hook.command === 'string' && hook.command.trim())) return null;
+    const retries = parseInt(hook.retries ?? DEFAULT_RETRIES, 10);
+    return {
+        ...hook,
+        enabled: hook.enabled !== false,
+        events: (Array.isArray(hook.events) ? hook.events : []).filter((event) => HOOK_EVENTS.includes(event)),
+        args: (Array.isArray(hook.args) ? hook.args : []).map(String),
+        template: typeof hook.template === 'string' ? hook.template : '',
+        retries: Number.isFinite(retries) ? Math.min(Math.max(retries, 0), MAX_RETRIES) : DEFAULT_RETRIES
+    };
+};
+
+const hookError = (message, retryable = true) => Object.assign(new Error(message), { retryable });
+
+class HookDispatcher {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.logger]
+     * @param {Function} [options.fetch] - fetch implementation (tests)
+     * @param {Function} [options.spawn] - child_process.spawn implementation (tests)
+     * @param {number} [options.retryDelayMs] - Base backoff delay
+     * @param {number} [options.timeoutMs] - Per attempt
+     */
+    constructor({
+        logger = console,
+        fetch = globalThis.fetch,
+        spawn = spawnProcess,
+        retryDelayMs = RETRY_DELAY_MS,
+        timeoutMs = HOOK_TIMEOUT_MS
+    } = {}) {
+        this.logger = logger;
+        this.fetch = fetch;
+        this.spawn = spawn;
+        this.retryDelayMs = retryDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.hooks = [];
+    }
+
+    /**
+     * Replace the hook definitions
+     * @param {Object[]} hooks
+     * @returns {number} Hooks kept
+     */
+    setHooks(hooks = []) {
+        this.hooks = hooks.map(normalizeHook).filter(Boolean);
+        return this.hooks.length;
+    }
+
+    /**
+     * Deliver an event to every enabled hook subscribed to it; failures are logged
+     * @param {string} event - One of HOOK_EVENTS
+     * @param {Object} data
+     * @returns {Promise<Object[]>} One fire() result per hook
+     */
+    emit(event, data) {
+        const hooks = this.hooks.filter((hook) => hook.enabled && hook.events.includes(event));
+        return Promise.all(hooks.map((hook) => this.fire(hook, event, data)));
+    }
+
+    /**
+     * Deliver one event to one hook, retrying failed attempts
+     * @returns {Promise<{ hookId, ok: boolean, attempts: number, status?: number, error?: string }>}
+     */
+    async fire(rawHook, event, data, timestamp = Date.now()) {
+        const hook = normalizeHook(rawHook);
+        if (!hook) {
+            return { hookId: rawHook?.id ?? null, ok: false, attempts: 0, error: 'Invalid hook' };
+        }
+        const context = { event, timestamp, data };
+        let attempts = 0;
+        for (;;) {
+            attempts++;
+            try {
+                const outcome = await this.deliver(hook, context);
+                return { hookId: hook.id, ok: true, attempts, ...outcome };
+            } catch (err) {
+                if (err.retryable === false || attempts > hook.retries) {
+                    this.logger.warn(`[hooks] ${hook.name || hook.id} failed on ${event} after ${attempts} attempt(s): ${err.message}`);
+                    return { hookId: hook.id, ok: false, attempts, error: err.message, ...(err.status && { status: err.status }) };
+                }
+                await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs * 2 ** (attempts - 1)));
+            }
+        }
+    }
+
+    deliver(hook, context) {
+        return hook.kind === 'webhook' ? this.postWebhook(hook, context) : this.runCommand(hook, context);
+    }
+
+    async postWebhook(hook, context) {
+        const body = hook.template
+            ? renderTemplate(hook.template, context, { json: true })
+            : JSON.stringify(context);
+        let response;
+        try {
+            response = await this.fetch(hook.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...hook.headers },
+                body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (err) {
+            throw hookError(err?.cause?.code || err?.message || 'Request failed');
+        }
+        if (!response.ok) {
+            // Client errors will not succeed on a retry; rate limits and server errors may
+            const retryable = response.status === 429 || response.status >= 500;
+            throw Object.assign(hookError(`HTTP ${response.status}`, retryable), { status: response.status });
+        }
+        return { status: response.status };
+    }
+
+    runCommand(hook, context) {
+        const input = hook.template ? renderTemplate(hook.template, context) : JSON.stringify(context);
+        const args = hook.args.map((arg) => renderTemplate(arg, context));
+        return new Promise((resolve, reject) => {
+            let child;
+            try {
+                child = this.spawn(hook.command, args, {
+                    shell: false,
+                    stdio: ['pipe', 'ignore', 'pipe'],
+                    env: commandEnv(context.event)
+                });
+            } catch (err) {
+                reject(hookError(err.message, false));
+                return;
+            }
+            let stderr = '';
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(hookError(`Timed out after ${this.timeoutMs}ms`));
+            }, this.timeoutMs);
+            child.stderr?.on('data', (chunk) => {
+                stderr = (stderr + chunk).slice(-500);
+            });
+            child.on('error', (err) => {
+                clearTimeout(timer);
+                // A missing or non-executable command will not appear on a retry
+                reject(hookError(err.message, !['ENOENT', 'EACCES'].includes(err.code)));
+            });
+            child.on('close', (code) => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve({ exitCode: 0 });
+                } else {
+                    reject(hookError(`Exited with code ${code}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+                }
+            });
+            child.stdin?.on('error', () => {});
+            child.stdin?.end(input);
+        });
+    }
+}
+
+export { HOOK_EVENTS, HookDispatcher, renderTemplate };
@@ -0,0 +1,167 @@
+/**
+ * Tests for webhook and command hooks
+ *
+ * These tests verify:
+ * 1. Templates render nested values, JSON-escaped for webhook bodies
+ * 2. Webhooks POST the payload to a local HTTP listener, retrying server errors but not client errors
+ * 3. Command hooks receive templated args and the payload on stdin, but not the exchange credentials; failures are retried
+ * 4. Events only reach enabled hooks subscribed to them; invalid hooks are dropped
+ */
+
+import http from 'http';
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { HookDispatcher, renderTemplate } from './hooks.js';
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+const createDispatcher = (options = {}) => new HookDispatcher({ logger: silentLogger, retryDelayMs: 1, ...options });
+
+describe('renderTemplate', () => {
+    const context = { event: 'fill', timestamp: 1, data: { symbol: 'ETHUSDT', note: 'say "hi"', nested: { a: 1 } } };
+
+    it('should render nested values and leave missing ones empty', () => {
+        expect(renderTemplate('{{event}} {{ data.symbol }} [{{data.missing}}] {{data.nested}}', context))
+            .toBe('fill ETHUSDT [] {"a":1}');
+    });
+
+    it('should escape strings for JSON bodies', () => {
+        const body = renderTemplate('{"text":"{{data.note}}"}', context, { json: true });
+        expect(JSON.parse(body)).toEqual({ text: 'say "hi"' });
+    });
+});
+
+describe('HookDispatcher webhooks', () => {
+    let server;
+    let url;
+    let requests;
+    let statuses;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, type: req.headers['content-type'], body });
+                res.statusCode = statuses.shift() ?? 200;
+                res.end();
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    beforeEach(() => {
+        requests = [];
+        statuses = [];
+    });
+
+    it('should POST the event as JSON', async () => {
+        const dispatcher = createDispatcher();
+        const result = await dispatcher.fire({ id: 'h1', kind: 'webhook', url }, 'alert', { symbol: 'ETHUSDT' }, 1000);
+
+        expect(result).toEqual({ hookId: 'h1', ok: true, attempts: 1, status: 200 });
+        expect(requests).toEqual([{
+            method: 'POST',
+            type: 'application/json',
+            body: JSON.stringify({ event: 'alert', timestamp: 1000, data: { symbol: 'ETHUSDT' } })
+        }]);
+    });
+
+    it('should send the rendered template', async () => {
+        const dispatcher = createDispatcher();
+        await dispatcher.fire({ id: 'h1', kind: 'webhook', url, template: '{"text":"{{data.symbol}} {{data.side}}"}' }, 'fill', { symbol: 'ETHUSDT', side: 'BUY' });
+
+        expect(JSON.parse(requests[0].body)).toEqual({ text: 'ETHUSDT BUY' });
+    });
+
+    it('should retry server errors with backoff', async () => {
+        statuses = [500, 503];
+        const dispatcher = createDispatcher();
+
+        const result = await dispatcher.fire({ id: 'h1', kind: 'webhook', url, retries: 2 }, 'alert', {});
+
+        expect(result).toMatchObject({ ok: true, attempts: 3 });
+        expect(requests).toHaveLength(3);
+    });
+
+    it('should give up on client errors and after the last retry', async () => {
+        const dispatcher = createDispatcher();
+
+        statuses = [404];
+        expect(await dispatcher.fire({ id: 'h1', kind: 'webhook', url, retries: 2 }, 'alert', {}))
+            .toEqual({ hookId: 'h1', ok: false, attempts: 1, status: 404, error: 'HTTP 404' });
+
+        statuses = [500, 500];
+        expect(await dispatcher.fire({ id: 'h1', kind: 'webhook', url, retries: 1 }, 'alert', {}))
+            .toMatchObject({ ok: false, attempts: 2, status: 500 });
+        expect(silentLogger.warn).toHaveBeenCalled();
+    });
+});
+
+describe('HookDispatcher commands', () => {
+    // Echoes its args and stdin to stderr and exits with the code in its first arg
+    const script = 'let s="";process.stdin.on("data",d=>s+=d).on("end",()=>{process.stderr.write(JSON.stringify([process.argv.slice(1),s,process.env.HOOK_EVENT]));process.exit(+process.argv[1])})';
+
+    it('should pass templated args and the payload on stdin', async () => {
+        const dispatcher = createDispatcher();
+        const result = await dispatcher.fire({
+            id: 'c1',
+            kind: 'command',
+            command: process.execPath,
+            args: ['-e', script, '3', '{{data.symbol}}'],
+            retries: 0
+        }, 'fill', { symbol: 'ETHUSDT' }, 5);
+
+        expect(result).toMatchObject({ ok: false, attempts: 1 });
+        const [args, stdin, event] = JSON.parse(result.error.replace('Exited with code 3: ', ''));
+        expect(args).toEqual(['3', 'ETHUSDT']);
+        expect(JSON.parse(stdin)).toEqual({ event: 'fill', timestamp: 5, data: { symbol: 'ETHUSDT' } });
+        expect(event).toBe('fill');
+    });
+
+    it('should succeed on exit code 0 and not retry a missing command', async () => {
+        const dispatcher = createDispatcher();
+
+        expect(await dispatcher.fire({ id: 'c1', kind: 'command', command: process.execPath, args: ['-e', script, '0'] }, 'alert', {}))
+            .toEqual({ hookId: 'c1', ok: true, attempts: 1, exitCode: 0 });
+        expect(await dispatcher.fire({ id: 'c2', kind: 'command', command: '/nonexistent/hook', retries: 3 }, 'alert', {}))
+            .toMatchObject({ ok: false, attempts: 1 });
+    });
+
+    it('should not pass the exchange credentials to the command', async () => {
+        vi.stubEnv('BK', 'api-key');
+        vi.stubEnv('BS', 'api-secret');
+        const dispatcher = createDispatcher();
+        const printEnv = 'const { BK, BS, HOOK_EVENT, PATH } = process.env;process.stderr.write(JSON.stringify({ BK, BS, HOOK_EVENT, PATH: !!PATH }));process.exit(1)';
+
+        const result = await dispatcher.fire({ id: 'c1', kind: 'command', command: process.execPath, args: ['-e', printEnv], retries: 0 }, 'fill', {});
+
+        const env = JSON.parse(result.error.replace('Exited with code 1: ', ''));
+        expect(env).not.toHaveProperty('BK');
+        expect(env).not.toHaveProperty('BS');
+        expect(env).toEqual({ HOOK_EVENT: 'fill', PATH: true });
+        vi.unstubAllEnvs();
+    });
+});
+
+describe('HookDispatcher.emit', () => {
+    it('should only deliver to enabled hooks subscribed to the event', async () => {
+        const fetch = vi.fn(async () => ({ ok: true, status: 200 }));
+        const dispatcher = createDispatcher({ fetch });
+
+        expect(dispatcher.setHooks([
+            { id: 1, kind: 'webhook', url: 'http://localhost/a', events: ['fill', 'alert'] },
+            { id: 2, kind: 'webhook', url: 'http://localhost/b', events: ['fill'], enabled: false },
+            { id: 3, kind: 'webhook', url: 'http://localhost/c', events: ['connection'] },
+            { id: 4, kind: 'webhook', url: 'ftp://localhost/d', events: ['fill'] },
+            { id: 5, kind: 'command', command: ' ', events: ['fill'] }
+        ])).toBe(3);
+
+        const results = await dispatcher.emit('fill', { symbol: 'ETHUSDT' });
+
+        expect(results.map(({ hookId }) => hookId)).toEqual([1]);
+        expect(fetch).toHaveBeenCalledWith('http://localhost/a', expect.objectContaining({ method: 'POST' }));
+    });
+});
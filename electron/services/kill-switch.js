@@ -0,0 +1,188 @@
+/**
+ * Kill Switch - Cancel every open order and optionally flatten the account
+ *
+ * The service-managed orders (algo parents, trailing stops, brackets) are stopped first,
+ * so none of them places a new order while the switch runs. The open orders are then
+ * cancelled with one cancelOpenOrders call per symbol. With `flatten`, every non-quote
+ * balance worth at least `dustThreshold` (in the quote asset) is sold at market.
+ *
+ * Limited to one symbol, only that symbol's orders are cancelled and only its base
+ * asset is sold. Failures on one symbol never stop the others; they are listed in the
+ * summary instead.
+ */
+
+import { buildOrderRequest } from './order-builder.js';
+import { decimalsOf, errorReason, toSteps } from './order-utils.js';
+
+const DEFAULT_QUOTE_ASSET = 'USDT';
+const DEFAULT_DUST_THRESHOLD = 10;
+// Binance answers cancelOpenOrders on a symbol without open orders with "Unknown order sent."
+const UNKNOWN_ORDER_CODE = -2011;
+
+/**
+ * Validate a renderer kill switch request
+ * @param {Object} payload - { symbol?, flatten?, quoteAsset?, dustThreshold? }
+ * @returns {{ symbol: string|null, flatten: boolean, quoteAsset: string, dustThreshold: number }|{ error: string }}
+ */
+const parseKillSwitch = (payload = {}) => {
+    const symbol = typeof payload.symbol === 'string' && payload.symbol ? payload.symbol.toUpperCase() : null;
+    const quoteAsset = typeof payload.quoteAsset === 'string' && payload.quoteAsset
+        ? payload.quoteAsset.toUpperCase()
+        : DEFAULT_QUOTE_ASSET;
+    const dustThreshold = payload.dustThreshold === undefined || payload.dustThreshold === null || payload.dustThreshold === ''
+        ? DEFAULT_DUST_THRESHOLD
+        : Number(payload.dustThreshold);
+    if (!Number.isFinite(dustThreshold) || dustThreshold < 0) return { error: 'Dust threshold must be zero or more' };
+    return { symbol, flatten: payload.flatten === true, quoteAsset, dustThreshold };
+};
+
+/**
+ * Cancel the open orders of every symbol in scope
+ * @returns {Promise<void>} Fills summary.cancelled / summary.errors and collects the cancel reports
+ */
+const cancelOpenOrders = async ({ adapter, request, summary, reports }) => {
+    let openOrders;
+    try {
+        openOrders = await adapter.getOpenOrders();
+    } catch (error) {
+        summary.errors.push({ symbol: request.symbol, reason: `Open orders unavailable: ${errorReason(error)}` });
+        return;
+    }
+
+    const symbols = [...new Set(openOrders.map((order) => order.symbol))]
+        .filter((symbol) => !request.symbol || symbol === request.symbol)
+        .sort();
+    for (const symbol of symbols) {
+        try {
+            const cancelled = await adapter.cancelOpenOrders(symbol);
+            reports.push(...cancelled);
+            summary.cancelled.push({ symbol, orders: new Set(cancelled.map((report) => report.orderId)).size });
+        } catch (error) {
+            // Filled or cancelled since the open orders were read
+            if (error?.code === UNKNOWN_ORDER_CODE) continue;
+            summary.errors.push({ symbol, reason: errorReason(error) });
+        }
+    }
+};
+
+/**
+ * Sell the free balance of every asset in scope at market
+ * @returns {Promise<void>} Fills summary.sold / dust / skipped / errors and collects the order reports
+ */
+const flattenBalances = async ({ adapter, request, getTickers, summary, reports }) => {
+    let balances;
+    let tickers;
+    try {
+        [balances, tickers] = await Promise.all([adapter.getBalances(), getTickers()]);
+    } catch (error) {
+        summary.errors.push({ symbol: request.symbol, reason: `Balances unavailable: ${errorReason(error)}` });
+        return;
+    }
+    const prices = new Map((tickers ?? []).map((ticker) => [ticker.symbol, Number(ticker.lastPrice)]));
+
+    let targets;
+    if (request.symbol) {
+        const filters = await adapter.getFilters(request.symbol).catch(() => null);
+        if (!filters) {
+            summary.errors.push({ symbol: request.symbol, reason: `Unknown symbol: ${request.symbol}` });
+            return;
+        }
+        targets = [{ asset: filters.baseAsset, symbol: request.symbol, filters }];
+    } else {
+        targets = Object.keys(balances)
+            .filter((asset) => asset !== request.quoteAsset)
+            .sort()
+            .map((asset) => ({ asset, symbol: `${asset}${request.quoteAsset}` }));
+    }
+
+    for (const { asset, symbol, filters: knownFilters } of targets) {
+        const free = Number(balances[asset]?.available) || 0;
+        if (!(free > 0)) continue;
+        const price = prices.get(symbol);
+        if (!(price > 0)) {
+            summary.skipped.push({ asset, reason: `No ${symbol} market` });
+            continue;
+        }
+        if (free * price < request.dustThreshold) {
+            summary.dust.push(asset);
+            continue;
+        }
+
+        const filters = knownFilters ?? await adapter.getFilters(symbol).catch(() => null);
+        if (!filters || (filters.status && filters.status !== 'TRADING')) {
+            summary.skipped.push({ asset, reason: `${symbol} is not trading` });
+            continue;
+        }
+        const stepSize = Number(filters.stepSize);
+        const qtyDecimals = decimalsOf(filters.stepSize);
+        const quantity = Number((toSteps(free, stepSize, Math.floor) * stepSize).toFixed(qtyDecimals));
+        if (!(quantity > 0) || quantity < (Number(filters.minQty) || 0) || quantity * price < (Number(filters.minNotional) || 0)) {
+            summary.dust.push(asset);
+            continue;
+        }
+
+        const orderRequest = buildOrderRequest({ symbol, side: 'SELL', orderType: 'MARKET', quantity: quantity.toFixed(qtyDecimals) });
+        try {
+            if (orderRequest.error) throw new Error(orderRequest.error);
+            const placed = await adapter.placeOrder(orderRequest);
+            reports.push(...placed);
+            const report = placed[0] ?? {};
+            summary.sold.push({
+                asset,
+                symbol,
+                quantity: report.l,
+                quoteQty: report.Z ?? '0'
+            });
+        } catch (error) {
+            summary.errors.push({ symbol, reason: errorReason(error) });
+        }
+    }
+};
+
+/**
+ * Run the kill switch once
+ * @param {Object} options
+ * @param {ExchangeAdapter} options.adapter
+ * @param {Object} options.request - Result of parseKillSwitch
+ * @param {Function} [options.stopServiceOrders] - (symbol|null) => Promise<number>; stops the service-managed orders in scope
+ * @param {Function} [options.getTickers] - () => Promise<TickerEntry[]>; last prices used to value the balances
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ summary: Object, reports: ExecutionReport[] }>}
+ */
+const runKillSwitch = async ({
+    adapter,
+    request,
+    stopServiceOrders = async () => 0,
+    getTickers = () => adapter.getTicker(),
+    logger = console
+}) => {
+    const summary = {
+        symbol: request.symbol,
+        flatten: request.flatten,
+        serviceOrders: 0,
+        cancelled: [],
+        sold: [],
+        dust: [],
+        skipped: [],
+        errors: []
+    };
+    const reports = [];
+    logger.warn(`[kill-switch] Cancelling all orders on ${request.symbol ?? 'every symbol'}${request.flatten ? `, selling into ${request.quoteAsset}` : ''}`);
+
+    try {
+        summary.serviceOrders = await stopServiceOrders(request.symbol);
+    } catch (error) {
+        summary.errors.push({ symbol: request.symbol, reason: `Service orders not stopped: ${errorReason(error)}` });
+    }
+    await cancelOpenOrders({ adapter, request, summary, reports });
+    if (request.flatten) {
+        await flattenBalances({ adapter, request, getTickers, summary, reports });
+    }
+
+    const cancelledCount = summary.cancelled.reduce((total, entry) => total + entry.orders, 0);
+    logger.warn(`[kill-switch] Done: ${cancelledCount} order(s) cancelled, ${summary.serviceOrders} service order(s) stopped, ${summary.sold.length} asset(s) sold, ${summary.errors.length} error(s)`);
+    summary.errors.forEach(({ symbol, reason }) => logger.error(`[kill-switch] ${symbol ?? 'ALL'}: ${reason}`));
+    return { summary, reports };
+};
+
+export { DEFAULT_DUST_THRESHOLD, parseKillSwitch, runKillSwitch };
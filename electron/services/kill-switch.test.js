@@ -0,0 +1,133 @@
+/**
+ * Tests for the kill switch
+ *
+ * These tests verify:
+ * 1. Requests are validated and default to every symbol, no selling and a 10 USDT dust threshold
+ * 2. Service-managed orders are stopped before the open orders are cancelled, one call per symbol
+ * 3. A symbol without open orders left is not an error; other failures are listed and the rest continue
+ * 4. Flattening sells non-quote balances above the dust threshold at market, floored to the step size
+ * 5. Limited to one symbol, only its orders are cancelled and only its base asset is sold
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { parseKillSwitch, runKillSwitch } from './kill-switch.js';
+import { altFilters, createScriptedExchange, silentLogger } from '../test/scripted-exchange.js';
+
+const FILTERS = {
+    ALTUSDT: altFilters(),
+    BTCUSDT: altFilters({ baseAsset: 'BTC', stepSize: '0.00001000', minQty: '0.00001000' }),
+    OLDUSDT: altFilters({ status: 'BREAK', baseAsset: 'OLD', stepSize: '1.00000000' })
+};
+
+const BALANCES = {
+    USDT: { available: '500.00000000', onOrder: '0' },
+    ALT: { available: '12.37000000', onOrder: '0' },
+    BTC: { available: '0.00001000', onOrder: '0' },
+    OLD: { available: '100', onOrder: '0' },
+    NOPE: { available: '3', onOrder: '0' }
+};
+
+const PRICES = { ALTUSDT: '2.00', BTCUSDT: '60000', OLDUSDT: '1' };
+
+describe('parseKillSwitch', () => {
+    it('should validate kill switch requests', () => {
+        expect(parseKillSwitch({})).toEqual({ symbol: null, flatten: false, quoteAsset: 'USDT', dustThreshold: 10 });
+        expect(parseKillSwitch({ symbol: 'altusdt', flatten: true, quoteAsset: 'btc', dustThreshold: '0.001' }))
+            .toEqual({ symbol: 'ALTUSDT', flatten: true, quoteAsset: 'BTC', dustThreshold: 0.001 });
+        expect(parseKillSwitch({ dustThreshold: -1 }).error).toMatch(/Dust threshold/);
+    });
+});
+
+describe('runKillSwitch', () => {
+    let exchange;
+    let adapter;
+
+    beforeEach(() => {
+        exchange = createScriptedExchange({ filters: FILTERS, balances: BALANCES, prices: PRICES });
+        adapter = exchange.adapter;
+        exchange.rest({ symbol: 'BTCUSDT', side: 'BUY', price: '50000', quantity: '0.001' });
+        exchange.rest({ symbol: 'ALTUSDT', side: 'BUY', price: '1.50', quantity: '10' });
+        exchange.rest({ symbol: 'ALTUSDT', side: 'SELL', price: '2.50', quantity: '5' });
+    });
+
+    it('should stop the service orders, then cancel the open orders of every symbol', async () => {
+        const calls = [];
+        const stopServiceOrders = vi.fn(async () => {
+            calls.push('stop');
+            return 2;
+        });
+        const readOpenOrders = adapter.getOpenOrders.getMockImplementation();
+        adapter.getOpenOrders.mockImplementation(async () => {
+            calls.push('open');
+            return readOpenOrders();
+        });
+
+        const { summary, reports } = await runKillSwitch({
+            adapter, request: parseKillSwitch({}), stopServiceOrders, logger: silentLogger
+        });
+
+        expect(calls).toEqual(['stop', 'open']);
+        expect(stopServiceOrders).toHaveBeenCalledWith(null);
+        expect(adapter.cancelOpenOrders.mock.calls).toEqual([['ALTUSDT'], ['BTCUSDT']]);
+        expect(summary).toMatchObject({
+            serviceOrders: 2,
+            cancelled: [{ symbol: 'ALTUSDT', orders: 2 }, { symbol: 'BTCUSDT', orders: 1 }],
+            sold: [],
+            errors: []
+        });
+        expect(reports).toHaveLength(3);
+        expect(adapter.placeOrder).not.toHaveBeenCalled();
+    });
+
+    it('should skip symbols emptied meanwhile and carry on after failures', async () => {
+        adapter.cancelOpenOrders
+            .mockRejectedValueOnce(Object.assign(new Error('Unknown order sent.'), { code: -2011 }))
+            .mockRejectedValueOnce(Object.assign(new Error('Too many requests.'), { code: -1003 }));
+        exchange.rest({ symbol: 'ETHUSDT', side: 'BUY', price: '2000', quantity: '0.01' });
+
+        const { summary } = await runKillSwitch({ adapter, request: parseKillSwitch({}), logger: silentLogger });
+
+        expect(summary.cancelled).toEqual([{ symbol: 'ETHUSDT', orders: 1 }]);
+        expect(summary.errors).toEqual([{ symbol: 'BTCUSDT', reason: 'Too many requests. [-1003]' }]);
+    });
+
+    it('should sell every non-quote balance above the dust threshold', async () => {
+        const { summary } = await runKillSwitch({ adapter, request: parseKillSwitch({ flatten: true }), logger: silentLogger });
+
+        expect(adapter.placeOrder).toHaveBeenCalledTimes(1);
+        expect(adapter.placeOrder.mock.calls[0][0].params).toMatchObject({ symbol: 'ALTUSDT', side: 'SELL', type: 'MARKET', quantity: '12.3' });
+        expect(summary.sold).toEqual([{ asset: 'ALT', symbol: 'ALTUSDT', quantity: '12.3', quoteQty: '24.6' }]);
+        // 0.6 USDT of BTC is dust; OLD can't be traded and NOPE has no USDT market
+        expect(summary.dust).toEqual(['BTC']);
+        expect(summary.skipped).toEqual([
+            { asset: 'NOPE', reason: 'No NOPEUSDT market' },
+            { asset: 'OLD', reason: 'OLDUSDT is not trading' }
+        ]);
+    });
+
+    it('should report rejected sells without stopping the others', async () => {
+        adapter.placeOrder.mockRejectedValueOnce(Object.assign(new Error('Account has insufficient balance.'), { code: -2010 }));
+
+        const { summary } = await runKillSwitch({
+            adapter, request: parseKillSwitch({ flatten: true, dustThreshold: 0 }), logger: silentLogger
+        });
+
+        expect(summary.errors).toEqual([{ symbol: 'ALTUSDT', reason: 'Account has insufficient balance. [-2010]' }]);
+        // 0.00001 BTC is worth less than the 5 USDT minimum notional
+        expect(summary.dust).toEqual(['BTC']);
+    });
+
+    it('should only touch the given symbol', async () => {
+        const stopServiceOrders = vi.fn(async () => 0);
+
+        const { summary } = await runKillSwitch({
+            adapter, request: parseKillSwitch({ symbol: 'ALTUSDT', flatten: true }), stopServiceOrders, logger: silentLogger
+        });
+
+        expect(stopServiceOrders).toHaveBeenCalledWith('ALTUSDT');
+        expect(adapter.cancelOpenOrders.mock.calls).toEqual([['ALTUSDT']]);
+        expect(summary.cancelled).toEqual([{ symbol: 'ALTUSDT', orders: 2 }]);
+        expect(summary.sold.map((sale) => sale.asset)).toEqual(['ALT']);
+        expect(summary.skipped).toEqual([]);
+    });
+});
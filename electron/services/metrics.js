@@ -0,0 +1,155 @@
+/**
+ * Metrics - Minimal Prometheus text exposition for the backend
+ *
+ * Served on GET /metrics by the status routes. Two kinds of metrics:
+ * - Pushed: counters and histograms updated where things happen (inc/observe)
+ * - Collected: values read from existing state on every scrape (collect), e.g.
+ *   RateLimiter weight or renderer count, so nothing has to mirror that state
+ *
+ * Format reference: https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const METRIC_PREFIX = 'cctrade_';
+
+const DEFAULT_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabelValue = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (labels = {}) => {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+};
+
+// Series are keyed by their label set
+const labelKey = (labels = {}) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+/**
+ * Events per second over a sliding window of one-second buckets
+ */
+class RateWindow {
+    constructor(windowSec = 10, now = Date.now) {
+        this.windowSec = windowSec;
+        this.now = now;
+        this.buckets = new Map(); // epoch second -> count
+    }
+
+    mark(count = 1) {
+        const second = Math.floor(this.now() / 1000);
+        this.buckets.set(second, (this.buckets.get(second) ?? 0) + count);
+        this.prune(second);
+    }
+
+    prune(currentSecond) {
+        for (const second of this.buckets.keys()) {
+            if (second <= currentSecond - this.windowSec) this.buckets.delete(second);
+        }
+    }
+
+    /** Average over the completed seconds of the window */
+    perSecond() {
+        const current = Math.floor(this.now() / 1000);
+        this.prune(current);
+        let total = 0;
+        this.buckets.forEach((count, second) => {
+            if (second < current) total += count;
+        });
+        return total / (this.windowSec - 1);
+    }
+}
+
+class MetricsRegistry {
+    constructor(prefix = METRIC_PREFIX) {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    register(type, name, help, render) {
+        this.metrics.push({ type, name: this.prefix + name, help, render });
+    }
+
+    /**
+     * Value read from existing state on every scrape
+     * @param {Object} options
+     * @param {'counter'|'gauge'} options.type
+     * @param {string} options.name
+     * @param {string} options.help
+     * @param {Function} options.collect - () => number | Array<{ labels, value }> | null (omitted)
+     */
+    collected({ type, name, help, collect }) {
+        this.register(type, name, help, (fullName) => {
+            const result = collect();
+            if (result === null || result === undefined) return [];
+            const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+            return samples.map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+    }
+
+    /**
+     * Monotonic counter updated with inc()
+     */
+    counter({ name, help }) {
+        const series = new Map(); // labelKey -> { labels, value }
+        this.register('counter', name, help, (fullName) => [...series.values()]
+            .map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`));
+        return {
+            inc(labels = {}, value = 1) {
+                const key = labelKey(labels);
+                const entry = series.get(key) ?? { labels, value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            }
+        };
+    }
+
+    /**
+     * Histogram updated with observe(); buckets are upper bounds in the observed unit
+     */
+    histogram({ name, help, buckets = DEFAULT_LATENCY_BUCKETS }) {
+        const bounds = [...buckets].sort((a, b) => a - b);
+        const series = new Map(); // labelKey -> { labels, counts, sum, count }
+        this.register('histogram', name, help, (fullName) => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map((bound, i) => `${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+            `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${fullName}_count${formatLabels(labels)} ${count}`
+        ]));
+        return {
+            observe(value, labels = {}) {
+                const key = labelKey(labels);
+                const entry = series.get(key) ?? { labels, counts: bounds.map(() => 0), sum: 0, count: 0 };
+                bounds.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+                series.set(key, entry);
+            }
+        };
+    }
+
+    /**
+     * Prometheus text exposition of every metric
+     * @returns {string}
+     */
+    render() {
+        const lines = [];
+        this.metrics.forEach(({ type, name, help, render }) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            lines.push(...render(name));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+export { MetricsRegistry, RateWindow };
@@ -0,0 +1,70 @@
+/**
+ * Tests for the Prometheus metrics registry
+ *
+ * These tests verify:
+ * 1. Counters, collected values and histograms render in the text exposition format
+ * 2. Collected metrics without a value are exported without samples
+ * 3. RateWindow averages events over the completed seconds of its window
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MetricsRegistry, RateWindow } from './metrics.js';
+
+describe('MetricsRegistry', () => {
+    it('should render counters, collected values and histograms', () => {
+        const metrics = new MetricsRegistry();
+        const messages = metrics.counter({ name: 'messages_total', help: 'Messages.' });
+        metrics.collected({ type: 'gauge', name: 'renderers', help: 'Renderers.', collect: () => 2 });
+        const latency = metrics.histogram({ name: 'latency_seconds', help: 'Latency.', buckets: [0.1, 1] });
+
+        messages.inc({ type: 'kline' });
+        messages.inc({ type: 'kline' }, 2);
+        messages.inc({ type: 'say "hi"' });
+        latency.observe(0.05, { outcome: 'accepted' });
+        latency.observe(0.5, { outcome: 'accepted' });
+
+        expect(metrics.render()).toBe([
+            '# HELP cctrade_messages_total Messages.',
+            '# TYPE cctrade_messages_total counter',
+            'cctrade_messages_total{type="kline"} 3',
+            'cctrade_messages_total{type="say \\"hi\\""} 1',
+            '# HELP cctrade_renderers Renderers.',
+            '# TYPE cctrade_renderers gauge',
+            'cctrade_renderers 2',
+            '# HELP cctrade_latency_seconds Latency.',
+            '# TYPE cctrade_latency_seconds histogram',
+            'cctrade_latency_seconds_bucket{outcome="accepted",le="0.1"} 1',
+            'cctrade_latency_seconds_bucket{outcome="accepted",le="1"} 2',
+            'cctrade_latency_seconds_bucket{outcome="accepted",le="+Inf"} 2',
+            'cctrade_latency_seconds_sum{outcome="accepted"} 0.55',
+            'cctrade_latency_seconds_count{outcome="accepted"} 2',
+            ''
+        ].join('\n'));
+    });
+
+    it('should export collected metrics without a value as empty', () => {
+        const metrics = new MetricsRegistry();
+        metrics.collected({ type: 'gauge', name: 'rest_weight_used', help: 'Weight.', collect: () => undefined });
+
+        expect(metrics.render()).toBe('# HELP cctrade_rest_weight_used Weight.\n# TYPE cctrade_rest_weight_used gauge\n');
+    });
+});
+
+describe('RateWindow', () => {
+    it('should average over the completed seconds', () => {
+        let now = 100000;
+        const rate = new RateWindow(10, () => now);
+
+        rate.mark(9);
+        now += 1000;
+        rate.mark(18);
+        // The current second is still filling and does not count yet
+        expect(rate.perSecond()).toBe(1);
+
+        now += 1000;
+        expect(rate.perSecond()).toBe(3);
+
+        now += 20000;
+        expect(rate.perSecond()).toBe(0);
+    });
+});
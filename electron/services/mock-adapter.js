@@ -0,0 +1,242 @@
+/**
+ * Mock Adapter - ExchangeAdapter backed by the in-process MockExchange
+ *
+ * Used when no API keys are configured. One clock (MOCK_TICK_MS) drives the
+ * simulated market while any stream socket is open and fans the results out:
+ * - market sockets: kline/trade/depth events for their subscriptions
+ * - ticker sockets: the full 24h ticker every tick
+ * - user sockets: execution reports for fills/triggers plus the changed balances
+ *
+ * Depth is published as diffs against the previous tick with increasing update ids,
+ * so consumers can treat it exactly like Binance's depthUpdate stream.
+ */
+
+import { EventEmitter } from 'events';
+import { MockExchange } from './mock-exchange.js';
+import {
+    ExchangeAdapter,
+    createExchangeError,
+    normalizeExecutionReport,
+    parseStreamName
+} from './exchange-adapter.js';
+
+// One simulated market step per second
+const MOCK_TICK_MS = 1000;
+
+const DEPTH_LEVELS = 20;
+const RECENT_TRADES = 100;
+
+const toReport = ({ order, execution }) => normalizeExecutionReport(order, execution);
+
+const toLevelMap = (side) => new Map(Object.entries(side));
+
+class MockAdapter extends ExchangeAdapter {
+    /**
+     * @param {Object} [options]
+     * @param {MockExchange} [options.exchange] - Engine instance, injectable for tests
+     * @param {number} [options.tickMs] - Market clock period
+     * @param {Object} [options.logger]
+     */
+    constructor({ exchange = new MockExchange(), tickMs = MOCK_TICK_MS, logger = console } = {}) {
+        super();
+        this.exchange = exchange;
+        this.tickMs = tickMs;
+        this.logger = logger;
+        this.sockets = { market: new Set(), ticker: new Set(), user: new Set() };
+        this.interval = null;
+        this.recentTrades = new Map();
+        this.depth = new Map(); // symbol -> { updateId, bids: Map, asks: Map }
+    }
+
+    // --- Market data -------------------------------------------------------
+
+    async getKlines(symbol, _interval, { limit = 500, endTime } = {}) {
+        const { chart } = this.exchange.getChart(symbol);
+        const candles = endTime ? chart.filter((candle) => candle.time * 1000 <= endTime) : chart;
+        return candles.slice(-limit);
+    }
+
+    async getDepthSnapshot(symbol) {
+        const { updateId, bids, asks } = this.getDepthState(symbol);
+        return { lastUpdateId: updateId, bids: [...bids.entries()], asks: [...asks.entries()] };
+    }
+
+    async getRecentTrades(symbol, { limit = RECENT_TRADES } = {}) {
+        return (this.recentTrades.get(symbol) ?? []).slice(-limit);
+    }
+
+    async getTicker() {
+        return this.exchange.getTicker();
+    }
+
+    async getFilters(symbol) {
+        return this.exchange.getFilters()[symbol] ?? null;
+    }
+
+    // --- Account -----------------------------------------------------------
+
+    async getBalances() {
+        return this.exchange.getBalances();
+    }
+
+    async getOpenOrders() {
+        return this.exchange.getOpenOrders();
+    }
+
+    async getMyTrades(symbol, { limit = 500, fromId } = {}) {
+        return this.exchange.getMyTrades(symbol, limit, fromId);
+    }
+
+    // --- Orders ------------------------------------------------------------
+
+    async placeOrder(orderRequest) {
+        const placed = this.exchange.placeOrder(orderRequest);
+        if (placed.error) throw createExchangeError(placed.error.code, placed.error.msg);
+        return placed.reports.map(toReport);
+    }
+
+    async cancelOrder({ symbol, orderId, origClientOrderId }) {
+        const canceled = this.exchange.cancelOrder(symbol, orderId ?? origClientOrderId);
+        if (canceled.error) throw createExchangeError(canceled.error.code, canceled.error.msg);
+        return canceled.reports.map(toReport);
+    }
+
+    async cancelOpenOrders(symbol) {
+        const canceled = this.exchange.cancelOpenOrders(symbol);
+        if (canceled.error) throw createExchangeError(canceled.error.code, canceled.error.msg);
+        return canceled.reports.map(toReport);
+    }
+
+    async replaceOrder(replaceRequest) {
+        const replaced = this.exchange.replaceOrder(replaceRequest);
+        return {
+            result: replaced.result,
+            reports: replaced.reports.map(toReport),
+            newOrderId: replaced.newOrderId,
+            code: replaced.error?.code,
+            reason: replaced.error?.msg
+        };
+    }
+
+    // --- Streams -----------------------------------------------------------
+
+    async connectMarketStream(streams) {
+        const subscriptions = [].concat(streams).map(parseStreamName).filter(Boolean);
+        return this.openSocket('market', { subscriptions });
+    }
+
+    async connectTickerStream() {
+        return this.openSocket('ticker');
+    }
+
+    async connectUserStream() {
+        return this.openSocket('user');
+    }
+
+    openSocket(kind, fields = {}) {
+        const socket = Object.assign(new EventEmitter(), fields);
+        socket.disconnect = () => {
+            if (!this.sockets[kind].delete(socket)) return;
+            socket.emit('close', 1000, 'mock socket closed');
+            this.stopClockWhenIdle();
+        };
+        this.sockets[kind].add(socket);
+        this.startClock();
+        return socket;
+    }
+
+    startClock() {
+        if (this.interval) return;
+        this.interval = setInterval(() => this.tick(), this.tickMs);
+    }
+
+    stopClockWhenIdle() {
+        const open = Object.values(this.sockets).some((set) => set.size > 0);
+        if (open || !this.interval) return;
+        clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    /** Advance the simulated market one step and publish the results */
+    tick() {
+        const { trades, reports } = this.exchange.tick();
+
+        Object.entries(trades).forEach(([symbol, prints]) => {
+            const recent = [...(this.recentTrades.get(symbol) ?? []), ...prints];
+            this.recentTrades.set(symbol, recent.slice(-RECENT_TRADES));
+        });
+        this.sockets.market.forEach((socket) => {
+            socket.subscriptions.forEach(({ symbol, kind }) => {
+                if (kind === 'depth' && this.exchange.hasSymbol(symbol)) this.getDepthState(symbol);
+            });
+        });
+        const depthUpdates = this.advanceDepth();
+
+        this.sockets.market.forEach((socket) => {
+            socket.subscriptions.forEach(({ symbol, kind, interval }) => {
+                if (!this.exchange.hasSymbol(symbol)) return;
+                if (kind === 'kline') {
+                    // The engine only keeps 1m candles; every interval follows the live one
+                    const { last_tick } = this.exchange.getChart(symbol);
+                    socket.emit('message', { type: 'kline', symbol, interval, candle: { ...last_tick } });
+                } else if (kind === 'trade') {
+                    (trades[symbol] ?? []).forEach((trade) => socket.emit('message', { type: 'trade', symbol, trade }));
+                } else if (kind === 'depth' && depthUpdates[symbol]) {
+                    socket.emit('message', depthUpdates[symbol]);
+                }
+            });
+        });
+
+        const tickers = this.exchange.getTicker();
+        this.sockets.ticker.forEach((socket) => socket.emit('message', { type: 'ticker', tickers }));
+
+        if (reports.length) {
+            const balances = this.exchange.getBalances();
+            this.sockets.user.forEach((socket) => {
+                reports.forEach((report) => socket.emit('message', { type: 'execution', report: toReport(report) }));
+                socket.emit('message', { type: 'balances', balances });
+            });
+        }
+    }
+
+    getDepthState(symbol) {
+        if (!this.depth.has(symbol)) {
+            const { bids, asks } = this.exchange.getDepth(symbol, DEPTH_LEVELS);
+            this.depth.set(symbol, { updateId: 1, bids: toLevelMap(bids), asks: toLevelMap(asks) });
+        }
+        return this.depth.get(symbol);
+    }
+
+    /** Diff every tracked book against the engine; returns depth events keyed by symbol */
+    advanceDepth() {
+        const updates = {};
+        this.depth.forEach((state, symbol) => {
+            const next = this.exchange.getDepth(symbol, DEPTH_LEVELS);
+            const diffSide = (previous, current) => {
+                const changes = [];
+                previous.forEach((_qty, price) => {
+                    if (!current.has(price)) changes.push([price, '0']);
+                });
+                current.forEach((qty, price) => {
+                    if (previous.get(price) !== qty) changes.push([price, qty]);
+                });
+                return changes;
+            };
+            const bids = toLevelMap(next.bids);
+            const asks = toLevelMap(next.asks);
+            const updateId = state.updateId + 1;
+            updates[symbol] = {
+                type: 'depth',
+                symbol,
+                firstUpdateId: updateId,
+                lastUpdateId: updateId,
+                bids: diffSide(state.bids, bids),
+                asks: diffSide(state.asks, asks)
+            };
+            this.depth.set(symbol, { updateId, bids, asks });
+        });
+        return updates;
+    }
+}
+
+export { MockAdapter, MOCK_TICK_MS };
@@ -0,0 +1,130 @@
+/**
+ * Tests for the mock exchange adapter
+ *
+ * These tests verify:
+ * 1. Orders come back as normalized execution reports; rejections throw { code, message }
+ * 2. Market sockets only receive their subscribed kline/trade/depth events
+ * 3. Depth events are diffs with increasing update ids on top of the snapshot
+ * 4. Ticker and user sockets receive the ticker, fills and changed balances
+ * 5. The market clock runs only while a socket is open
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { MockAdapter } from './mock-adapter.js';
+import { MockExchange } from './mock-exchange.js';
+import { parseStreamName } from './exchange-adapter.js';
+import { buildOrderRequest } from './order-builder.js';
+
+// random() = 0.5 keeps the price flat at 45000 and prints two trades of 0.6 per tick
+const createAdapter = () => new MockAdapter({
+    exchange: new MockExchange({
+        markets: {
+            BTCUSDT: { baseAsset: 'BTC', quoteAsset: 'USDT', price: 45000, tickSize: 0.01, stepSize: 0.000001, liquidity: 2, volatility: 0.0006 },
+            ETHUSDT: { baseAsset: 'ETH', quoteAsset: 'USDT', price: 3000, tickSize: 0.01, stepSize: 0.0001, liquidity: 20, volatility: 0.0006 }
+        },
+        balances: { USDT: 1000, BTC: 0.5 },
+        random: () => 0.5,
+        now: () => 1700000000000
+    }),
+    tickMs: 1000
+});
+
+const order = (payload) => buildOrderRequest({ symbol: 'BTCUSDT', ...payload });
+
+const collect = (socket) => {
+    const events = [];
+    socket.on('message', (event) => events.push(event));
+    return events;
+};
+
+describe('parseStreamName', () => {
+    it('should split market subscription names', () => {
+        expect(parseStreamName('btcusdt@kline_15m')).toEqual({ symbol: 'BTCUSDT', kind: 'kline', interval: '15m' });
+        expect(parseStreamName('btcusdt@depth@100ms')).toEqual({ symbol: 'BTCUSDT', kind: 'depth' });
+        expect(parseStreamName('!ticker@arr')).toBeNull();
+    });
+});
+
+describe('MockAdapter', () => {
+    let adapter;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        adapter = createAdapter();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should return normalized reports and throw exchange errors', async () => {
+        const reports = await adapter.placeOrder(order({ side: 'BUY', quantity: '0.01', price: '44990' }));
+
+        expect(reports).toHaveLength(1);
+        expect(reports[0]).toMatchObject({ e: 'executionReport', s: 'BTCUSDT', S: 'BUY', x: 'NEW', X: 'NEW', i: 1 });
+
+        await expect(adapter.placeOrder(order({ side: 'BUY', quantity: '1', price: '44990' })))
+            .rejects.toMatchObject({ code: -2010 });
+        await expect(adapter.cancelOrder({ symbol: 'BTCUSDT', orderId: 42 }))
+            .rejects.toMatchObject({ code: -2011 });
+
+        const canceled = await adapter.cancelOrder({ symbol: 'BTCUSDT', orderId: 1 });
+        expect(canceled[0]).toMatchObject({ i: 1, x: 'CANCELED', X: 'CANCELED' });
+    });
+
+    it('should only emit subscribed market events', async () => {
+        const events = collect(await adapter.connectMarketStream(['btcusdt@kline_5m', 'btcusdt@trade']));
+
+        vi.advanceTimersByTime(1000);
+
+        expect(events.map((event) => event.type)).toEqual(['kline', 'trade', 'trade']);
+        expect(events[0]).toMatchObject({ symbol: 'BTCUSDT', interval: '5m', candle: { close: 45000, isFinal: false } });
+        expect(events[1].trade).toMatchObject({ price: '45000.00', qty: '0.600000' });
+    });
+
+    it('should publish depth as diffs on top of the snapshot', async () => {
+        const snapshot = await adapter.getDepthSnapshot('BTCUSDT');
+        const events = collect(await adapter.connectMarketStream(['btcusdt@depth@100ms']));
+        await adapter.placeOrder(order({ side: 'BUY', quantity: '0.01', price: '44990' }));
+
+        vi.advanceTimersByTime(1000);
+
+        expect(events).toHaveLength(1);
+        const [depth] = events;
+        expect(depth).toMatchObject({
+            type: 'depth',
+            symbol: 'BTCUSDT',
+            firstUpdateId: snapshot.lastUpdateId + 1,
+            lastUpdateId: snapshot.lastUpdateId + 1
+        });
+        expect(depth.bids).toContainEqual(['44990.00', expect.any(String)]);
+    });
+
+    it('should stream tickers, fills and balances', async () => {
+        const tickers = collect(await adapter.connectTickerStream());
+        const user = collect(await adapter.connectUserStream());
+        await adapter.placeOrder(order({ side: 'BUY', quantity: '0.01', price: '45000' }));
+
+        vi.advanceTimersByTime(1000);
+
+        expect(tickers[0].tickers.map((ticker) => ticker.symbol)).toEqual(['BTCUSDT', 'ETHUSDT']);
+        expect(user.map((event) => event.type)).toEqual(['execution', 'balances']);
+        expect(user[0].report).toMatchObject({ i: 1, x: 'TRADE', X: 'FILLED' });
+        expect(user[1].balances.BTC).toEqual({ available: '0.51000000', onOrder: '0.00000000' });
+        expect(await adapter.getMyTrades('BTCUSDT')).toHaveLength(1);
+    });
+
+    it('should stop the market clock once every socket is closed', async () => {
+        const socket = await adapter.connectTickerStream();
+        const onClose = vi.fn();
+        socket.on('close', onClose);
+        const tick = vi.spyOn(adapter.exchange, 'tick');
+
+        vi.advanceTimersByTime(2000);
+        socket.disconnect();
+        vi.advanceTimersByTime(5000);
+
+        expect(tick).toHaveBeenCalledTimes(2);
+        expect(onClose).toHaveBeenCalledWith(1000, 'mock socket closed');
+    });
+});
@@ -0,0 +1,737 @@
+/**
+ * Mock Exchange - In-process matching engine used when no API keys are configured
+ *
+ * Simulates enough of a spot exchange to exercise the whole trading UI:
+ * - A mean-reverting price path per symbol that prints synthetic trades
+ * - A synthetic order book with resting liquidity around the mid price
+ * - User orders (LIMIT, MARKET, STOP_LOSS_LIMIT, TAKE_PROFIT_LIMIT, OCO) that lock
+ *   balances, fill partially or fully, honour IOC/FOK and can be canceled
+ *
+ * The engine never talks to sockets. Order methods return raw order snapshots
+ * plus execution overrides; MockAdapter (mock-adapter.js) normalizes and streams them.
+ */
+
+import { REPLACE_RESULTS, getOrderLegs } from './order-builder.js';
+import { decimalsOf } from './order-utils.js';
+
+const DEFAULT_MARKETS = {
+    BTCUSDT: { baseAsset: 'BTC', quoteAsset: 'USDT', price: 45000, tickSize: 0.01, stepSize: 0.000001, liquidity: 2, volatility: 0.0006 },
+    ETHUSDT: { baseAsset: 'ETH', quoteAsset: 'USDT', price: 3000, tickSize: 0.01, stepSize: 0.0001, liquidity: 25, volatility: 0.0008 }
+};
+
+const DEFAULT_BALANCES = { USDT: 1000, BTC: 0.5, ETH: 2 };
+
+const BOOK_LEVELS = 20;
+const HISTORY_CANDLES = 120;
+const CANDLE_MS = 60000;
+
+const ERRORS = {
+    INSUFFICIENT_BALANCE: { code: -2010, msg: 'Account has insufficient balance for requested action.' },
+    UNKNOWN_ORDER: { code: -2011, msg: 'Unknown order sent.' },
+    UNKNOWN_SYMBOL: { code: -1121, msg: 'Invalid symbol.' },
+    FOK_UNFILLED: { code: -2010, msg: 'Order would not be fully filled (FOK).' },
+    WOULD_TRIGGER: { code: -2010, msg: 'Stop price would trigger immediately.' }
+};
+
+class MockExchange {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.markets] - symbol -> { baseAsset, quoteAsset, price, tickSize, stepSize, liquidity, volatility }
+     * @param {Object} [options.balances] - asset -> free amount
+     * @param {Function} [options.random] - RNG returning [0, 1), injectable for deterministic tests
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor({ markets = DEFAULT_MARKETS, balances = DEFAULT_BALANCES, random = Math.random, now = Date.now } = {}) {
+        this.random = random;
+        this.now = now;
+        this.nextOrderId = 1;
+        this.nextListId = 1;
+        this.nextTradeId = 1;
+        this.orders = new Map();
+        this.trades = [];
+        this.balances = {};
+        Object.entries(balances).forEach(([asset, free]) => {
+            this.balances[asset] = { free: Number(free), locked: 0 };
+        });
+
+        this.markets = {};
+        Object.entries(markets).forEach(([symbol, config]) => {
+            this.markets[symbol] = {
+                ...config,
+                symbol,
+                anchor: config.price,
+                openPrice: config.price,
+                high: config.price,
+                low: config.price,
+                quoteVolume: 0,
+                priceDecimals: decimalsOf(config.tickSize),
+                qtyDecimals: decimalsOf(config.stepSize),
+                book: { bids: [], asks: [] },
+                candles: []
+            };
+            this.seedCandles(this.markets[symbol]);
+            this.refreshBook(this.markets[symbol]);
+        });
+    }
+
+    // --- Market data -------------------------------------------------------
+
+    hasSymbol(symbol) {
+        return Boolean(this.markets[symbol]);
+    }
+
+    getPrice(symbol) {
+        return this.markets[symbol]?.price ?? null;
+    }
+
+    getFilters() {
+        const filters = {};
+        Object.values(this.markets).forEach((market) => {
+            filters[market.symbol] = {
+                tickSize: market.tickSize.toFixed(market.priceDecimals),
+                stepSize: market.stepSize.toFixed(market.qtyDecimals),
+                minQty: market.stepSize.toFixed(market.qtyDecimals),
+                minNotional: '10',
+                maxQty: '9000',
+                maxPrice: '1000000',
+                minPrice: market.tickSize.toFixed(market.priceDecimals),
+                status: 'TRADING',
+                baseAsset: market.baseAsset,
+                quoteAsset: market.quoteAsset,
+                baseAssetPrecision: 8,
+                quoteAssetPrecision: market.priceDecimals,
+                quotePrecision: market.priceDecimals
+            };
+        });
+        return filters;
+    }
+
+    getTicker() {
+        return Object.values(this.markets).map((market) => ({
+            symbol: market.symbol,
+            lastPrice: this.formatPrice(market, market.price),
+            priceChangePercent: (((market.price - market.openPrice) / market.openPrice) * 100).toFixed(2),
+            highPrice: this.formatPrice(market, market.high),
+            lowPrice: this.formatPrice(market, market.low),
+            quoteVolume: market.quoteVolume.toFixed(2),
+            closeTime: this.now()
+        }));
+    }
+
+    /**
+     * Order book snapshot in the renderer depth format, user orders included
+     * @param {string} symbol
+     * @param {number} levels - Levels per side
+     * @returns {{ bids: Object, asks: Object }}
+     */
+    getDepth(symbol, levels = 10) {
+        const market = this.markets[symbol];
+        if (!market) return { bids: {}, asks: {} };
+        const sides = { bids: new Map(), asks: new Map() };
+
+        market.book.bids.slice(0, levels).forEach((level) => sides.bids.set(level.price, level.qty));
+        market.book.asks.slice(0, levels).forEach((level) => sides.asks.set(level.price, level.qty));
+        this.getRestingOrders(symbol).forEach((order) => {
+            const side = order.side === 'BUY' ? sides.bids : sides.asks;
+            side.set(order.price, (side.get(order.price) ?? 0) + (order.origQty - order.executedQty));
+        });
+
+        const format = (map) => {
+            const out = {};
+            map.forEach((qty, price) => {
+                if (qty > 0) out[this.formatPrice(market, price)] = this.formatQty(market, qty);
+            });
+            return out;
+        };
+        return { bids: format(sides.bids), asks: format(sides.asks) };
+    }
+
+    /**
+     * 1m candle history plus the live candle, in the mock chart payload shape
+     * @param {string} symbol
+     * @returns {{ chart: Array, last_tick: Object|null }}
+     */
+    getChart(symbol) {
+        const market = this.markets[symbol] ?? Object.values(this.markets)[0];
+        const chart = market.candles.map((candle) => ({ ...candle }));
+        return { chart, last_tick: chart[chart.length - 1] ?? null };
+    }
+
+    // --- Account -----------------------------------------------------------
+
+    getBalances() {
+        const out = {};
+        Object.entries(this.balances).forEach(([asset, balance]) => {
+            out[asset] = { available: balance.free.toFixed(8), onOrder: balance.locked.toFixed(8) };
+        });
+        return out;
+    }
+
+    getOpenOrders() {
+        return [...this.orders.values()]
+            .filter((order) => this.isOpen(order))
+            .map((order) => this.snapshot(order));
+    }
+
+    /**
+     * Account fills for a symbol in Binance myTrades shape, oldest first
+     * @param {string} symbol
+     * @param {number} limit - Most recent N trades, or the first N from `fromId` on
+     * @param {number} [fromId] - Oldest trade id to return
+     * @returns {Array}
+     */
+    getMyTrades(symbol, limit = 500, fromId) {
+        const trades = this.trades.filter((trade) => trade.symbol === symbol);
+        if (fromId === undefined) return trades.slice(-limit);
+        return trades.filter((trade) => trade.id >= fromId).slice(0, limit);
+    }
+
+    // --- Orders ------------------------------------------------------------
+
+    /**
+     * Place an order built by buildOrderRequest
+     * @param {{ method: string, orderType: string, params: Object }} request
+     * @returns {{ error: { code: number, msg: string } } | { reports: Array, orderIds: number[] }}
+     */
+    placeOrder(request) {
+        const { params } = request;
+        const market = this.markets[params.symbol];
+        if (!market) return { error: ERRORS.UNKNOWN_SYMBOL };
+
+        if (request.method === 'orderListOco') {
+            return this.placeOco(market, request);
+        }
+        if (params.type === 'MARKET') {
+            return this.placeMarket(market, params);
+        }
+        return this.placeLimit(market, params);
+    }
+
+    /**
+     * Cancel an open order
+     * @param {string} symbol
+     * @param {number|string} orderId - Exchange order id, or the client order id it was placed with
+     * @returns {{ error: Object } | { reports: Array }}
+     */
+    cancelOrder(symbol, orderId) {
+        const order = this.orders.get(Number(orderId))
+            ?? [...this.orders.values()].find((entry) => entry.clientOrderId === orderId);
+        if (!order || order.symbol !== symbol || !this.isOpen(order)) {
+            return { error: ERRORS.UNKNOWN_ORDER };
+        }
+        const reports = [this.finish(order, 'CANCELED')];
+        // Canceling one OCO leg cancels the whole list
+        this.siblingsOf(order).forEach((sibling) => reports.push(this.finish(sibling, 'CANCELED')));
+        return { reports };
+    }
+
+    /**
+     * Cancel every open order of a symbol, like Binance DELETE /openOrders
+     * @param {string} symbol
+     * @returns {{ error: Object } | { reports: Array }}
+     */
+    cancelOpenOrders(symbol) {
+        const open = [...this.orders.values()].filter((order) => order.symbol === symbol && this.isOpen(order));
+        if (!open.length) return { error: ERRORS.UNKNOWN_ORDER };
+        return { reports: open.map((order) => this.finish(order, 'CANCELED')) };
+    }
+
+    /**
+     * Cancel-replace with STOP_ON_FAILURE semantics
+     * @param {{ cancelOrderId: number, params: Object, method: string }} request - Result of buildReplaceRequest
+     * @returns {{ result: string, reports: Array, newOrderId?: number, error?: Object }}
+     */
+    replaceOrder(request) {
+        const canceled = this.cancelOrder(request.params.symbol, request.cancelOrderId);
+        if (canceled.error) {
+            return { result: REPLACE_RESULTS.UNTOUCHED, reports: [], error: canceled.error };
+        }
+        const placed = this.placeOrder({ method: 'newOrder', params: request.params });
+        if (placed.error) {
+            return { result: REPLACE_RESULTS.PARTIAL_FAILURE, reports: canceled.reports, error: placed.error };
+        }
+        return {
+            result: REPLACE_RESULTS.REPLACED,
+            reports: [...canceled.reports, ...placed.reports],
+            newOrderId: placed.orderIds[0]
+        };
+    }
+
+    /**
+     * Advance every market by one step: move the price, print trades,
+     * trigger stops and fill resting orders the path crossed.
+     * @returns {{ trades: Object<string, Array>, reports: Array, balancesChanged: boolean }}
+     */
+    tick() {
+        const trades = {};
+        const reports = [];
+
+        Object.values(this.markets).forEach((market) => {
+            const prints = this.stepPrice(market);
+            trades[market.symbol] = prints.map((print) => ({
+                ...print,
+                price: this.formatPrice(market, print.price),
+                qty: this.formatQty(market, print.qty)
+            }));
+            prints.forEach((print) => {
+                reports.push(...this.triggerStops(market, print.price));
+                reports.push(...this.fillResting(market, print));
+            });
+            this.refreshBook(market);
+        });
+
+        return { trades, reports, balancesChanged: reports.length > 0 };
+    }
+
+    // --- Internals: placement ---------------------------------------------
+
+    placeMarket(market, params) {
+        const side = params.side;
+        const levels = side === 'BUY' ? market.book.asks : market.book.bids;
+        const quoteBudget = params.quoteOrderQty !== undefined ? Number(params.quoteOrderQty) : null;
+        const fills = this.matchLevels(market, levels, {
+            quantity: quoteBudget === null ? Number(params.quantity) : Infinity,
+            quoteBudget
+        });
+        const filledQty = fills.reduce((sum, fill) => sum + fill.qty, 0);
+        const filledQuote = fills.reduce((sum, fill) => sum + fill.qty * fill.price, 0);
+
+        const [payAsset, payAmount] = side === 'BUY'
+            ? [market.quoteAsset, filledQuote]
+            : [market.baseAsset, filledQty];
+        if (this.free(payAsset) < payAmount) return { error: ERRORS.INSUFFICIENT_BALANCE };
+
+        const order = this.createOrder(market, {
+            side,
+            type: 'MARKET',
+            price: 0,
+            origQty: quoteBudget === null ? Number(params.quantity) : filledQty,
+            clientOrderId: params.newClientOrderId
+        });
+        order.lock = this.createLock(payAsset, payAmount);
+        this.consumeLevels(levels, fills);
+
+        const reports = [this.report(order, 'NEW')];
+        fills.forEach((fill) => reports.push(this.applyFill(order, fill.qty, fill.price)));
+        if (this.isOpen(order)) {
+            // Book ran dry before the order was complete
+            reports.push(this.finish(order, 'EXPIRED'));
+        }
+        return { reports: reports.filter(Boolean), orderIds: [order.orderId] };
+    }
+
+    placeLimit(market, params) {
+        const side = params.side;
+        const price = Number(params.price);
+        const quantity = Number(params.quantity);
+        const stopPrice = params.stopPrice !== undefined ? Number(params.stopPrice) : null;
+        const timeInForce = params.timeInForce || 'GTC';
+
+        if (stopPrice !== null && this.wouldTrigger(params.type, side, stopPrice, market.price)) {
+            return { error: ERRORS.WOULD_TRIGGER };
+        }
+
+        const lockAsset = side === 'BUY' ? market.quoteAsset : market.baseAsset;
+        const lockAmount = side === 'BUY' ? price * quantity : quantity;
+        if (this.free(lockAsset) < lockAmount) return { error: ERRORS.INSUFFICIENT_BALANCE };
+
+        const order = this.createOrder(market, {
+            side,
+            type: params.type,
+            price,
+            stopPrice: stopPrice ?? 0,
+            origQty: quantity,
+            timeInForce,
+            clientOrderId: params.newClientOrderId
+        });
+        order.triggered = stopPrice === null;
+
+        if (order.triggered && timeInForce === 'FOK') {
+            const levels = side === 'BUY' ? market.book.asks : market.book.bids;
+            const available = this.matchLevels(market, levels, { quantity, limit: price, side })
+                .reduce((sum, fill) => sum + fill.qty, 0);
+            if (available + 1e-12 < quantity) {
+                this.orders.delete(order.orderId);
+                return { error: ERRORS.FOK_UNFILLED };
+            }
+        }
+
+        order.lock = this.createLock(lockAsset, lockAmount);
+        const reports = [this.report(order, 'NEW')];
+        if (order.triggered) {
+            reports.push(...this.takeLiquidity(market, order));
+        }
+        return { reports, orderIds: [order.orderId] };
+    }
+
+    placeOco(market, request) {
+        const { params } = request;
+        const side = params.side;
+        const legs = getOrderLegs(request);
+        const quantity = Number(params.quantity);
+        // One lock covers both legs; a BUY list reserves funds for its pricier leg
+        const lockAsset = side === 'BUY' ? market.quoteAsset : market.baseAsset;
+        const lockAmount = side === 'BUY'
+            ? Math.max(...legs.map((leg) => Number(leg.price))) * quantity
+            : quantity;
+        if (this.free(lockAsset) < lockAmount) return { error: ERRORS.INSUFFICIENT_BALANCE };
+
+        const orderListId = this.nextListId++;
+        const lock = this.createLock(lockAsset, lockAmount, legs.length);
+        const orders = legs.map((leg) => {
+            const order = this.createOrder(market, {
+                side,
+                type: leg.type,
+                price: Number(leg.price),
+                stopPrice: Number(leg.stopPrice),
+                origQty: quantity,
+                timeInForce: 'GTC',
+                orderListId,
+                clientOrderId: params.listClientOrderId
+            });
+            order.triggered = Number(leg.stopPrice) === 0;
+            order.lock = lock;
+            return order;
+        });
+
+        return {
+            reports: orders.map((order) => this.report(order, 'NEW')),
+            orderIds: orders.map((order) => order.orderId)
+        };
+    }
+
+    // --- Internals: matching ----------------------------------------------
+
+    /**
+     * Walk book levels and return the fills an aggressive order would get (no mutation)
+     */
+    matchLevels(market, levels, { quantity, quoteBudget = null, limit = null, side = null }) {
+        const fills = [];
+        let remaining = quantity;
+        let budget = quoteBudget;
+        for (const level of levels) {
+            if (remaining <= 0 || (budget !== null && budget <= 0)) break;
+            if (limit !== null && (side === 'BUY' ? level.price > limit : level.price < limit)) break;
+            let qty = Math.min(level.qty, remaining);
+            if (budget !== null) {
+                qty = Math.min(qty, this.roundQty(market, budget / level.price, Math.floor));
+            }
+            if (qty <= 0) break;
+            fills.push({ price: level.price, qty });
+            remaining -= qty;
+            if (budget !== null) budget -= qty * level.price;
+        }
+        return fills;
+    }
+
+    consumeLevels(levels, fills) {
+        fills.forEach((fill) => {
+            const level = levels.find((entry) => entry.price === fill.price);
+            if (level) level.qty = Math.max(0, level.qty - fill.qty);
+        });
+    }
+
+    /** Cross a marketable limit order against the synthetic book, respecting IOC */
+    takeLiquidity(market, order) {
+        const levels = order.side === 'BUY' ? market.book.asks : market.book.bids;
+        const fills = this.matchLevels(market, levels, {
+            quantity: order.origQty - order.executedQty,
+            limit: order.price,
+            side: order.side
+        });
+        this.consumeLevels(levels, fills);
+        const reports = fills.map((fill) => this.applyFill(order, fill.qty, fill.price)).filter(Boolean);
+        if (order.timeInForce === 'IOC' && this.isOpen(order)) {
+            reports.push(this.finish(order, 'EXPIRED'));
+        }
+        return reports;
+    }
+
+    wouldTrigger(type, side, stopPrice, lastPrice) {
+        const triggersOnRise = (type === 'STOP_LOSS_LIMIT') === (side === 'BUY');
+        return triggersOnRise ? lastPrice >= stopPrice : lastPrice <= stopPrice;
+    }
+
+    triggerStops(market, lastPrice) {
+        const reports = [];
+        this.getRestingOrders(market.symbol, { includeUntriggered: true })
+            .filter((order) => !order.triggered && this.wouldTrigger(order.type, order.side, order.stopPrice, lastPrice))
+            .forEach((order) => {
+                order.triggered = true;
+                // A triggered OCO stop leg takes the list out of the book
+                this.siblingsOf(order).forEach((sibling) => reports.push(this.finish(sibling, 'EXPIRED')));
+                reports.push(...this.takeLiquidity(market, order));
+            });
+        return reports;
+    }
+
+    /** Fill resting limit orders that a synthetic trade printed through */
+    fillResting(market, print) {
+        const reports = [];
+        let printQty = print.qty;
+        this.getRestingOrders(market.symbol).forEach((order) => {
+            if (printQty <= 0) return;
+            const crossed = order.side === 'BUY' ? print.price <= order.price : print.price >= order.price;
+            if (!crossed) return;
+            const remaining = order.origQty - order.executedQty;
+            const qty = this.roundQty(market, Math.min(remaining, printQty), Math.floor);
+            if (!(qty > 0)) return;
+            printQty -= qty;
+            this.siblingsOf(order).forEach((sibling) => reports.push(this.finish(sibling, 'EXPIRED')));
+            const fillReport = this.applyFill(order, qty, order.price, { isMaker: true });
+            if (fillReport) reports.push(fillReport);
+        });
+        return reports;
+    }
+
+    // --- Internals: order state -------------------------------------------
+
+    createOrder(market, fields) {
+        const order = {
+            orderId: this.nextOrderId++,
+            orderListId: -1,
+            symbol: market.symbol,
+            stopPrice: 0,
+            timeInForce: undefined,
+            executedQty: 0,
+            cummulativeQuoteQty: 0,
+            status: 'NEW',
+            time: this.now(),
+            ...fields
+        };
+        this.orders.set(order.orderId, order);
+        return order;
+    }
+
+    applyFill(order, qty, price, { isMaker = false } = {}) {
+        const market = this.markets[order.symbol];
+        if (!(qty > 0)) return null;
+        const quote = qty * price;
+        const trade = {
+            symbol: order.symbol,
+            id: this.nextTradeId++,
+            orderId: order.orderId,
+            orderListId: order.orderListId,
+            price: this.formatPrice(market, price),
+            qty: this.formatQty(market, qty),
+            quoteQty: quote.toFixed(8),
+            commission: '0',
+            commissionAsset: order.side === 'BUY' ? market.baseAsset : market.quoteAsset,
+            time: this.now(),
+            isBuyer: order.side === 'BUY',
+            isMaker,
+            isBestMatch: true
+        };
+        this.trades.push(trade);
+        order.executedQty = this.roundQty(market, order.executedQty + qty);
+        order.cummulativeQuoteQty += quote;
+        market.quoteVolume += quote;
+
+        if (order.side === 'BUY') {
+            this.consumeLock(order.lock, quote);
+            this.credit(market.baseAsset, qty);
+        } else {
+            this.consumeLock(order.lock, qty);
+            this.credit(market.quoteAsset, quote);
+        }
+
+        const done = order.executedQty >= order.origQty - market.stepSize / 2;
+        order.status = done ? 'FILLED' : 'PARTIALLY_FILLED';
+        if (done) this.releaseLock(order.lock);
+        return this.report(order, 'TRADE', {
+            l: trade.qty,
+            L: trade.price,
+            t: trade.id,
+            n: trade.commission,
+            N: trade.commissionAsset,
+            m: isMaker
+        });
+    }
+
+    finish(order, status) {
+        order.status = status;
+        this.releaseLock(order.lock);
+        return this.report(order, status);
+    }
+
+    isOpen(order) {
+        return order.status === 'NEW' || order.status === 'PARTIALLY_FILLED';
+    }
+
+    getRestingOrders(symbol, { includeUntriggered = false } = {}) {
+        return [...this.orders.values()].filter((order) => (
+            order.symbol === symbol
+            && this.isOpen(order)
+            && order.type !== 'MARKET'
+            && (includeUntriggered || order.triggered)
+        ));
+    }
+
+    siblingsOf(order) {
+        if (order.orderListId === -1) return [];
+        return [...this.orders.values()].filter((other) => (
+            other.orderListId === order.orderListId && other.orderId !== order.orderId && this.isOpen(other)
+        ));
+    }
+
+    snapshot(order) {
+        const market = this.markets[order.symbol];
+        return {
+            symbol: order.symbol,
+            orderId: order.orderId,
+            orderListId: order.orderListId,
+            clientOrderId: order.clientOrderId,
+            side: order.side,
+            type: order.type,
+            price: this.formatPrice(market, order.price),
+            stopPrice: this.formatPrice(market, order.stopPrice),
+            origQty: this.formatQty(market, order.origQty),
+            executedQty: this.formatQty(market, order.executedQty),
+            cummulativeQuoteQty: order.cummulativeQuoteQty.toFixed(8),
+            status: order.status,
+            timeInForce: order.timeInForce,
+            time: order.time,
+            transactTime: this.now()
+        };
+    }
+
+    /**
+     * @returns {{ order: Object, execution: Object }} Raw snapshot plus executionReport overrides
+     */
+    report(order, executionType, extra = {}) {
+        return { order: this.snapshot(order), execution: { x: executionType, l: '0', ...extra } };
+    }
+
+    // --- Internals: balances ----------------------------------------------
+
+    balance(asset) {
+        if (!this.balances[asset]) this.balances[asset] = { free: 0, locked: 0 };
+        return this.balances[asset];
+    }
+
+    free(asset) {
+        return this.balance(asset).free;
+    }
+
+    credit(asset, amount) {
+        this.balance(asset).free += amount;
+    }
+
+    createLock(asset, amount, holders = 1) {
+        const balance = this.balance(asset);
+        balance.free -= amount;
+        balance.locked += amount;
+        return { asset, amount, holders };
+    }
+
+    consumeLock(lock, amount) {
+        const used = Math.min(lock.amount, amount);
+        lock.amount -= used;
+        this.balance(lock.asset).locked -= used;
+        // Anything beyond the lock (e.g. market orders) comes out of free balance
+        if (amount > used) this.balance(lock.asset).free -= amount - used;
+    }
+
+    releaseLock(lock) {
+        if (!lock || lock.holders <= 0) return;
+        lock.holders -= 1;
+        if (lock.holders > 0) return;
+        const balance = this.balance(lock.asset);
+        balance.free += lock.amount;
+        balance.locked -= lock.amount;
+        lock.amount = 0;
+    }
+
+    // --- Internals: price path and book -----------------------------------
+
+    /** Mean-reverting random walk; returns the trades printed along the way */
+    stepPrice(market) {
+        const prints = [];
+        const count = 1 + Math.floor(this.random() * 3);
+        for (let i = 0; i < count; i++) {
+            const shock = (this.random() - 0.5) * 2 * market.volatility;
+            const pull = ((market.anchor - market.price) / market.anchor) * 0.05;
+            const next = this.roundPrice(market, market.price * (1 + shock + pull));
+            market.price = Math.max(market.tickSize, next);
+            market.high = Math.max(market.high, market.price);
+            market.low = Math.min(market.low, market.price);
+            const qty = this.roundQty(market, market.liquidity * (0.05 + this.random() * 0.5));
+            prints.push({ time: this.now(), price: market.price, qty, isBuyerMaker: shock < 0 });
+            this.updateCandle(market, market.price, qty);
+        }
+        return prints;
+    }
+
+    refreshBook(market) {
+        const step = market.tickSize * Math.max(1, Math.round((market.price * 0.0002) / market.tickSize));
+        const best = (offset) => this.roundPrice(market, market.price + offset);
+        const level = (price) => ({
+            price,
+            qty: this.roundQty(market, market.liquidity * (0.2 + this.random()))
+        });
+        market.book = { bids: [], asks: [] };
+        for (let i = 0; i < BOOK_LEVELS; i++) {
+            market.book.bids.push(level(best(-step * (i + 1))));
+            market.book.asks.push(level(best(step * (i + 1))));
+        }
+    }
+
+    seedCandles(market) {
+        const end = Math.floor(this.now() / CANDLE_MS) * CANDLE_MS;
+        let close = market.price;
+        const candles = [];
+        for (let i = 0; i < HISTORY_CANDLES; i++) {
+            const open = this.roundPrice(market, close * (1 + (this.random() - 0.5) * market.volatility * 4));
+            const high = Math.max(open, close) * (1 + this.random() * market.volatility);
+            const low = Math.min(open, close) * (1 - this.random() * market.volatility);
+            candles.unshift({
+                time: Math.floor((end - i * CANDLE_MS) / 1000),
+                open,
+                high: this.roundPrice(market, high),
+                low: this.roundPrice(market, low),
+                close,
+                volume: this.roundQty(market, market.liquidity * (5 + this.random() * 20)),
+                isFinal: i !== 0
+            });
+            close = open;
+        }
+        market.candles = candles;
+    }
+
+    updateCandle(market, price, qty) {
+        const time = Math.floor(Math.floor(this.now() / CANDLE_MS) * CANDLE_MS / 1000);
+        const last = market.candles[market.candles.length - 1];
+        if (last && last.time === time) {
+            last.high = Math.max(last.high, price);
+            last.low = Math.min(last.low, price);
+            last.close = price;
+            last.volume = this.roundQty(market, last.volume + qty);
+            return;
+        }
+        if (last) last.isFinal = true;
+        market.candles.push({ time, open: price, high: price, low: price, close: price, volume: qty, isFinal: false });
+        if (market.candles.length > HISTORY_CANDLES) market.candles.shift();
+    }
+
+    // --- Internals: precision ---------------------------------------------
+
+    roundPrice(market, value) {
+        return Number((Math.round(value / market.tickSize) * market.tickSize).toFixed(market.priceDecimals));
+    }
+
+    roundQty(market, value, mode = Math.round) {
+        // Trim float noise first so floor(0.04 / 0.00001) is 4000, not 3999
+        const steps = Number((value / market.stepSize).toFixed(6));
+        return Number((mode(steps) * market.stepSize).toFixed(market.qtyDecimals));
+    }
+
+    formatPrice(market, value) {
+        return Number(value).toFixed(market.priceDecimals);
+    }
+
+    formatQty(market, value) {
+        return Number(value).toFixed(market.qtyDecimals);
+    }
+}
+
+export { MockExchange, DEFAULT_MARKETS, DEFAULT_BALANCES };
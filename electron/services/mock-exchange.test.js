@@ -0,0 +1,196 @@
+/**
+ * Tests for the mock-mode matching engine
+ *
+ * These tests verify:
+ * 1. Resting limit orders lock funds, fill when the price path crosses them and land in myTrades (pageable by fromId)
+ * 2. MARKET orders sweep the synthetic book and settle balances
+ * 3. Orders the account cannot fund are rejected with Binance's -2010
+ * 4. Canceling releases locked funds, also for every order of a symbol at once; IOC/FOK behave like the exchange
+ * 5. OCO legs share one lock and a fill on one leg expires the other
+ * 6. Cancel-replace reports replaced / partial_failure / untouched
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MockExchange } from './mock-exchange.js';
+import { REPLACE_RESULTS, buildOrderRequest, buildReplaceRequest } from './order-builder.js';
+
+// random() = 0.5 keeps the price flat at 45000 and prints two trades per tick
+const createExchange = (overrides = {}) => new MockExchange({
+    markets: {
+        BTCUSDT: { baseAsset: 'BTC', quoteAsset: 'USDT', price: 45000, tickSize: 0.01, stepSize: 0.000001, liquidity: 2, volatility: 0.0006 }
+    },
+    balances: { USDT: 1000, BTC: 0.5 },
+    random: () => 0.5,
+    now: () => 1700000000000,
+    ...overrides
+});
+
+const place = (exchange, payload) => exchange.placeOrder(buildOrderRequest({ symbol: 'BTCUSDT', ...payload }));
+
+const statuses = (reports) => reports.map(({ order, execution }) => `${order.orderId}:${execution.x}:${order.status}`);
+
+describe('MockExchange', () => {
+    let exchange;
+
+    beforeEach(() => {
+        exchange = createExchange();
+    });
+
+    it('should rest a passive limit order and lock its quote funds', () => {
+        const placed = place(exchange, { side: 'BUY', quantity: '0.01', price: '44990', newClientOrderId: 'cc-test' });
+
+        expect(statuses(placed.reports)).toEqual(['1:NEW:NEW']);
+        expect(placed.reports[0].order.clientOrderId).toBe('cc-test');
+        expect(exchange.getOpenOrders()).toHaveLength(1);
+        expect(exchange.getBalances().USDT).toEqual({ available: '550.10000000', onOrder: '449.90000000' });
+        expect(exchange.getDepth('BTCUSDT').bids['44990.00']).toBeDefined();
+    });
+
+    it('should fill a resting order when a trade prints through its price', () => {
+        place(exchange, { side: 'BUY', quantity: '0.01', price: '45000' });
+
+        const { reports, balancesChanged } = exchange.tick();
+
+        expect(balancesChanged).toBe(true);
+        expect(statuses(reports)).toEqual(['1:TRADE:FILLED']);
+        expect(reports[0].execution).toMatchObject({ l: '0.010000', L: '45000.00', t: 1, N: 'BTC', m: true });
+        expect(exchange.getOpenOrders()).toHaveLength(0);
+        expect(exchange.getBalances()).toMatchObject({
+            USDT: { available: '550.00000000', onOrder: '0.00000000' },
+            BTC: { available: '0.51000000', onOrder: '0.00000000' }
+        });
+        expect(exchange.getMyTrades('BTCUSDT')).toEqual([expect.objectContaining({
+            orderId: 1, price: '45000.00', qty: '0.010000', isBuyer: true, isMaker: true, commissionAsset: 'BTC'
+        })]);
+    });
+
+    it('should page myTrades from a trade id', () => {
+        place(exchange, { side: 'SELL', orderType: 'MARKET', quantity: '0.1' });
+        place(exchange, { side: 'SELL', orderType: 'MARKET', quantity: '0.1' });
+        const ids = exchange.getMyTrades('BTCUSDT').map((trade) => trade.id);
+
+        expect(ids.length).toBeGreaterThan(1);
+        expect(exchange.getMyTrades('BTCUSDT', 1, ids[1]).map((trade) => trade.id)).toEqual([ids[1]]);
+        expect(exchange.getMyTrades('BTCUSDT', 500, ids.at(-1) + 1)).toEqual([]);
+    });
+
+    it('should partially fill a resting order larger than the printed volume', () => {
+        exchange = createExchange({ balances: { USDT: 0, BTC: 5 } });
+        place(exchange, { side: 'SELL', quantity: '2', price: '45000' });
+
+        // Each tick prints two trades of 0.6 BTC at 45000
+        const { reports } = exchange.tick();
+
+        expect(statuses(reports)).toEqual(['1:TRADE:PARTIALLY_FILLED', '1:TRADE:PARTIALLY_FILLED']);
+        expect(reports[1].order.executedQty).toBe('1.200000');
+        expect(exchange.getBalances().BTC.onOrder).toBe('0.80000000');
+    });
+
+    it('should fill a MARKET buy sized by quote amount against the asks', () => {
+        const placed = place(exchange, { side: 'BUY', orderType: 'MARKET', quoteOrderQty: '500' });
+
+        const fill = placed.reports[placed.reports.length - 1];
+        expect(fill.order.status).toBe('FILLED');
+        expect(Number(fill.order.cummulativeQuoteQty)).toBeLessThanOrEqual(500);
+        expect(Number(exchange.getBalances().BTC.available)).toBeGreaterThan(0.5);
+        expect(exchange.getOpenOrders()).toHaveLength(0);
+    });
+
+    it('should reject orders the account cannot fund', () => {
+        expect(place(exchange, { side: 'BUY', quantity: '1', price: '44000' }).error.code).toBe(-2010);
+        expect(place(exchange, { side: 'SELL', orderType: 'MARKET', quantity: '2' }).error.code).toBe(-2010);
+        expect(exchange.placeOrder(buildOrderRequest({ symbol: 'DOGEUSDT', side: 'BUY', quantity: '1', price: '1' })).error.code)
+            .toBe(-1121);
+    });
+
+    it('should release locked funds on cancel and reject unknown orders', () => {
+        const placed = place(exchange, { side: 'SELL', quantity: '0.2', price: '46000', newClientOrderId: 'cc-sell' });
+
+        expect(exchange.getBalances().BTC.onOrder).toBe('0.20000000');
+        expect(statuses(exchange.cancelOrder('BTCUSDT', 'cc-sell').reports)).toEqual(['1:CANCELED:CANCELED']);
+        expect(exchange.getBalances().BTC).toEqual({ available: '0.50000000', onOrder: '0.00000000' });
+        expect(exchange.cancelOrder('BTCUSDT', placed.orderIds[0]).error.code).toBe(-2011);
+    });
+
+    it('should cancel every open order of a symbol at once', () => {
+        place(exchange, { side: 'BUY', quantity: '0.01', price: '44990' });
+        place(exchange, {
+            side: 'SELL', orderType: 'OCO', quantity: '0.1', price: '46000', stopPrice: '44000', stopLimitPrice: '43900'
+        });
+
+        expect(statuses(exchange.cancelOpenOrders('BTCUSDT').reports)).toEqual(['1:CANCELED:CANCELED', '2:CANCELED:CANCELED', '3:CANCELED:CANCELED']);
+        expect(exchange.getBalances()).toEqual({
+            USDT: { available: '1000.00000000', onOrder: '0.00000000' },
+            BTC: { available: '0.50000000', onOrder: '0.00000000' }
+        });
+        expect(exchange.cancelOpenOrders('BTCUSDT').error.code).toBe(-2011);
+    });
+
+    it('should expire the unfilled rest of an IOC order and refuse an unfillable FOK', () => {
+        exchange = createExchange({ balances: { USDT: 0, BTC: 50 } });
+
+        const ioc = place(exchange, { side: 'SELL', quantity: '20', price: '44990', timeInForce: 'IOC' });
+        const last = ioc.reports[ioc.reports.length - 1];
+        expect(last.execution.x).toBe('EXPIRED');
+        expect(Number(last.order.executedQty)).toBeGreaterThan(0);
+        expect(exchange.getBalances().BTC.onOrder).toBe('0.00000000');
+
+        expect(place(exchange, { side: 'SELL', quantity: '20', price: '44990', timeInForce: 'FOK' }).error.code).toBe(-2010);
+    });
+
+    it('should reject stop orders that would trigger immediately and arm the rest', () => {
+        expect(place(exchange, {
+            side: 'SELL', orderType: 'STOP_LOSS_LIMIT', quantity: '0.1', price: '45900', stopPrice: '46000'
+        }).error.code).toBe(-2010);
+
+        place(exchange, { side: 'SELL', orderType: 'STOP_LOSS_LIMIT', quantity: '0.1', price: '44000', stopPrice: '44100' });
+        expect(exchange.getDepth('BTCUSDT').asks['44000.00']).toBeUndefined();
+        expect(exchange.tick().reports).toEqual([]);
+    });
+
+    it('should expire the other OCO leg once one leg fills', () => {
+        const placed = place(exchange, {
+            side: 'SELL', orderType: 'OCO', quantity: '0.1', price: '45000', stopPrice: '44000', stopLimitPrice: '43900'
+        });
+
+        expect(statuses(placed.reports)).toEqual(['1:NEW:NEW', '2:NEW:NEW']);
+        expect(exchange.getBalances().BTC.onOrder).toBe('0.10000000');
+
+        const { reports } = exchange.tick();
+
+        expect(statuses(reports)).toEqual(['2:EXPIRED:EXPIRED', '1:TRADE:FILLED']);
+        expect(exchange.getBalances().BTC).toEqual({ available: '0.40000000', onOrder: '0.00000000' });
+    });
+
+    it('should report every cancel-replace outcome', () => {
+        const original = place(exchange, { side: 'BUY', quantity: '0.01', price: '44000' });
+        const orderId = original.orderIds[0];
+
+        const replaced = exchange.replaceOrder(buildReplaceRequest({
+            symbol: 'BTCUSDT', side: 'BUY', quantity: '0.01', price: '44500', orderId
+        }));
+        expect(replaced.result).toBe(REPLACE_RESULTS.REPLACED);
+        expect(statuses(replaced.reports)).toEqual([`${orderId}:CANCELED:CANCELED`, `${replaced.newOrderId}:NEW:NEW`]);
+
+        const failed = exchange.replaceOrder(buildReplaceRequest({
+            symbol: 'BTCUSDT', side: 'BUY', quantity: '1', price: '44500', orderId: replaced.newOrderId
+        }));
+        expect(failed.result).toBe(REPLACE_RESULTS.PARTIAL_FAILURE);
+        expect(failed.error.code).toBe(-2010);
+        expect(exchange.getOpenOrders()).toHaveLength(0);
+
+        const untouched = exchange.replaceOrder(buildReplaceRequest({
+            symbol: 'BTCUSDT', side: 'BUY', quantity: '0.01', price: '44500', orderId: 999
+        }));
+        expect(untouched.result).toBe(REPLACE_RESULTS.UNTOUCHED);
+    });
+
+    it('should seed chart history and stream the live candle', () => {
+        const { chart, last_tick } = exchange.getChart('BTCUSDT');
+
+        expect(chart).toHaveLength(120);
+        expect(last_tick.isFinal).toBe(false);
+        expect(last_tick.close).toBe(45000);
+        expect(exchange.getTicker()[0]).toMatchObject({ symbol: 'BTCUSDT', lastPrice: '45000.00' });
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * Order Builder - Translates renderer order payloads into Binance REST calls
+ *
+ * Supported order types:
+ * - LIMIT: limit order with GTC/IOC/FOK time in force
+ * - MARKET: fills immediately, sized by base quantity or quote amount (quoteOrderQty)
+ * - STOP_LOSS_LIMIT / TAKE_PROFIT_LIMIT: limit order armed once price reaches stopPrice
+ * - OCO: take-profit limit + stop-loss limit pair where one fill cancels the other
+ *
+ * Open orders can be amended atomically through cancel-replace (single orders only).
+ *
+ * The builder is pure (no client, no sockets) so both live and mock mode
+ * share the same validation and leg layout.
+ */
+
+import { toPositiveNumber } from './order-utils.js';
+
+const ORDER_TYPES = {
+    LIMIT: 'LIMIT',
+    MARKET: 'MARKET',
+    STOP_LOSS_LIMIT: 'STOP_LOSS_LIMIT',
+    TAKE_PROFIT_LIMIT: 'TAKE_PROFIT_LIMIT',
+    OCO: 'OCO'
+};
+
+const STOP_ORDER_TYPES = [ORDER_TYPES.STOP_LOSS_LIMIT, ORDER_TYPES.TAKE_PROFIT_LIMIT];
+
+const TIME_IN_FORCE = ['GTC', 'IOC', 'FOK'];
+
+// Outcome of an amend, reported back to the renderer
+const REPLACE_RESULTS = {
+    REPLACED: 'replaced',
+    PARTIAL_FAILURE: 'partial_failure',
+    UNTOUCHED: 'untouched'
+};
+
+// Binance: -2021 = cancel succeeded but the new order was rejected
+const CANCEL_REPLACE_PARTIAL_FAILURE = -2021;
+
+// Renderer-generated ids let optimistic UI state be matched to exchange reports
+const withClientOrderId = (params, payload) => (
+    payload.newClientOrderId ? { ...params, newClientOrderId: String(payload.newClientOrderId) } : params
+);
+
+const countDecimals = (value) => {
+    const [, fraction = ''] = String(value).split('.');
+    return fraction.length;
+};
+
+/**
+ * Resolve the limit price of a stop leg from its trigger price and offset.
+ * The offset is applied in the direction that keeps the limit marketable once
+ * the stop triggers: below the stop for SELL, above it for BUY.
+ * @param {string} side - BUY or SELL
+ * @param {number|string} stopPrice - Trigger price
+ * @param {number|string} limitOffset - Distance between trigger and limit
+ * @returns {number|null}
+ */
+function resolveStopLimitPrice(side, stopPrice, limitOffset = 0) {
+    const stop = toPositiveNumber(stopPrice);
+    if (stop === null) return null;
+    const offset = Math.abs(Number(limitOffset) || 0);
+    const decimals = Math.max(countDecimals(stopPrice), countDecimals(limitOffset));
+    const raw = side === 'SELL' ? stop - offset : stop + offset;
+    const rounded = Number(raw.toFixed(decimals));
+    return rounded > 0 ? rounded : null;
+}
+
+/**
+ * Build the REST call for an order payload
+ * @param {Object} payload - { symbol, side, price, quantity, quoteOrderQty, orderType, timeInForce, stopPrice, stopLimitPrice, limitOffset, newClientOrderId }
+ * @returns {{ method: string, orderType: string, params: Object } | { error: string }}
+ */
+function buildOrderRequest(payload = {}) {
+    const symbol = payload.symbol;
+    const side = payload.side?.toUpperCase();
+    const orderType = (payload.orderType || ORDER_TYPES.LIMIT).toUpperCase();
+    const timeInForce = (payload.timeInForce || 'GTC').toUpperCase();
+    const quantity = toPositiveNumber(payload.quantity ?? payload.qty);
+    const price = toPositiveNumber(payload.price ?? payload.p);
+
+    if (!symbol) return { error: 'Missing symbol' };
+    if (side !== 'BUY' && side !== 'SELL') return { error: `Invalid side: ${payload.side}` };
+    if (!Object.values(ORDER_TYPES).includes(orderType)) return { error: `Unsupported order type: ${orderType}` };
+
+    if (orderType === ORDER_TYPES.MARKET) {
+        // Binance rejects MARKET orders that carry both sizing fields or a timeInForce
+        const hasQuoteQty = payload.quoteOrderQty !== undefined && payload.quoteOrderQty !== null && payload.quoteOrderQty !== '';
+        if (quantity !== null && hasQuoteQty) {
+            return { error: 'MARKET orders take either quantity or quoteOrderQty, not both' };
+        }
+        const params = withClientOrderId({ symbol, side, type: ORDER_TYPES.MARKET, newOrderRespType: 'FULL' }, payload);
+        if (hasQuoteQty) {
+            const quoteOrderQty = toPositiveNumber(payload.quoteOrderQty);
+            if (quoteOrderQty === null) return { error: 'Quote order quantity must be a positive number' };
+            params.quoteOrderQty = quoteOrderQty.toString();
+        } else {
+            if (quantity === null) return { error: 'Quantity must be a positive number' };
+            params.quantity = quantity.toString();
+        }
+        return { method: 'newOrder', orderType, params };
+    }
+
+    if (!TIME_IN_FORCE.includes(timeInForce)) return { error: `Invalid time in force: ${payload.timeInForce}` };
+    if (quantity === null) return { error: 'Quantity must be a positive number' };
+    if (price === null) return { error: 'Price must be a positive number' };
+
+    if (orderType === ORDER_TYPES.LIMIT) {
+        return {
+            method: 'newOrder',
+            orderType,
+            params: withClientOrderId({
+                symbol,
+                side,
+                type: ORDER_TYPES.LIMIT,
+                timeInForce,
+                quantity: quantity.toString(),
+                price: price.toString(),
+                newOrderRespType: 'FULL'
+            }, payload)
+        };
+    }
+
+    const stopPrice = toPositiveNumber(payload.stopPrice);
+    if (stopPrice === null) return { error: 'Stop price must be a positive number' };
+
+    if (STOP_ORDER_TYPES.includes(orderType)) {
+        return {
+            method: 'newOrder',
+            orderType,
+            params: withClientOrderId({
+                symbol,
+                side,
+                type: orderType,
+                timeInForce,
+                quantity: quantity.toString(),
+                price: price.toString(),
+                stopPrice: stopPrice.toString(),
+                newOrderRespType: 'FULL'
+            }, payload)
+        };
+    }
+
+    // OCO: `price` is the take-profit limit, the stop leg trades at stopLimitPrice
+    const stopLimitPrice = toPositiveNumber(payload.stopLimitPrice)
+        ?? resolveStopLimitPrice(side, payload.stopPrice, payload.limitOffset);
+    if (stopLimitPrice === null) return { error: 'Stop limit price must be a positive number' };
+
+    if (side === 'SELL' && !(price > stopPrice)) {
+        return { error: 'SELL OCO requires take-profit price above stop price' };
+    }
+    if (side === 'BUY' && !(price < stopPrice)) {
+        return { error: 'BUY OCO requires take-profit price below stop price' };
+    }
+
+    const takeProfitLeg = { type: 'LIMIT_MAKER', price };
+    const stopLeg = { type: ORDER_TYPES.STOP_LOSS_LIMIT, price: stopLimitPrice, stopPrice, timeInForce };
+    // Binance orders OCO legs by price: the leg above the market and the leg below it
+    const [above, below] = side === 'SELL' ? [takeProfitLeg, stopLeg] : [stopLeg, takeProfitLeg];
+
+    const params = {
+        symbol,
+        side,
+        quantity,
+        aboveType: above.type,
+        abovePrice: above.price,
+        belowType: below.type,
+        belowPrice: below.price,
+        newOrderRespType: 'FULL'
+    };
+    if (payload.newClientOrderId) {
+        params.listClientOrderId = String(payload.newClientOrderId);
+    }
+    if (above.stopPrice) {
+        params.aboveStopPrice = above.stopPrice;
+        params.aboveTimeInForce = above.timeInForce;
+    }
+    if (below.stopPrice) {
+        params.belowStopPrice = below.stopPrice;
+        params.belowTimeInForce = below.timeInForce;
+    }
+
+    return { method: 'orderListOco', orderType, params };
+}
+
+/**
+ * Build a cancel-replace call that swaps an open order for a new one in a single request.
+ * STOP_ON_FAILURE keeps the original order when the cancel leg fails.
+ * @param {Object} payload - buildOrderRequest payload plus orderId (or id) of the order to replace
+ * @returns {{ method: string, orderType: string, cancelOrderId: number, params: Object } | { error: string }}
+ */
+function buildReplaceRequest(payload = {}) {
+    const cancelOrderId = toPositiveNumber(payload.orderId ?? payload.id);
+    if (cancelOrderId === null) return { error: 'Missing orderId of the order to replace' };
+
+    const orderRequest = buildOrderRequest(payload);
+    if (orderRequest.error) return orderRequest;
+    if (orderRequest.method !== 'newOrder') {
+        return { error: 'OCO orders cannot be amended with cancel-replace' };
+    }
+
+    return {
+        method: 'orderCancelReplace',
+        orderType: orderRequest.orderType,
+        cancelOrderId,
+        params: {
+            ...orderRequest.params,
+            cancelReplaceMode: 'STOP_ON_FAILURE',
+            cancelOrderId
+        }
+    };
+}
+
+/**
+ * Classify a failed cancel-replace call by its Binance error code
+ * @param {{ code?: number }} error - Error thrown by the REST client
+ * @returns {string} REPLACE_RESULTS.PARTIAL_FAILURE or REPLACE_RESULTS.UNTOUCHED
+ */
+function classifyReplaceFailure(error) {
+    return error?.code === CANCEL_REPLACE_PARTIAL_FAILURE
+        ? REPLACE_RESULTS.PARTIAL_FAILURE
+        : REPLACE_RESULTS.UNTOUCHED;
+}
+
+/**
+ * Flatten a built request into the individual orders it creates on the book
+ * Used by the mock exchange to lay out OCO legs.
+ * MARKET legs report price '0' and, when sized by quoteOrderQty, quantity '0'.
+ * @param {{ method: string, params: Object }} request - Result of buildOrderRequest
+ * @returns {Array<{ type: string, price: string, stopPrice: string, quantity: string }>}
+ */
+function getOrderLegs(request) {
+    const { method, params } = request;
+    if (method !== 'orderListOco') {
+        return [{
+            type: params.type,
+            price: String(params.price ?? '0'),
+            stopPrice: params.stopPrice ? String(params.stopPrice) : '0',
+            quantity: String(params.quantity ?? '0')
+        }];
+    }
+    return ['above', 'below'].map((leg) => ({
+        type: params[`${leg}Type`],
+        price: String(params[`${leg}Price`]),
+        stopPrice: params[`${leg}StopPrice`] ? String(params[`${leg}StopPrice`]) : '0',
+        quantity: String(params.quantity)
+    }));
+}
+
+export {
+    ORDER_TYPES,
+    STOP_ORDER_TYPES,
+    TIME_IN_FORCE,
+    REPLACE_RESULTS,
+    buildOrderRequest,
+    buildReplaceRequest,
+    classifyReplaceFailure,
+    getOrderLegs,
+    resolveStopLimitPrice
+};
@@ -0,0 +1,266 @@
+/**
+ * Tests for order request building
+ *
+ * These tests verify:
+ * 1. LIMIT orders keep the GTC payload the backend always sent
+ * 2. Stop-limit and take-profit orders carry their trigger price
+ * 3. OCO legs are laid out above/below the market by side
+ * 4. Invalid payloads are rejected with a reason
+ * 5. MARKET orders are sized by quantity or quoteOrderQty, never both
+ * 6. IOC/FOK time in force is passed through for limit-style orders
+ * 7. Amends are wrapped in a cancel-replace and failures are classified
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    ORDER_TYPES,
+    REPLACE_RESULTS,
+    buildOrderRequest,
+    buildReplaceRequest,
+    classifyReplaceFailure,
+    getOrderLegs,
+    resolveStopLimitPrice
+} from './order-builder.js';
+
+describe('resolveStopLimitPrice', () => {
+    it('should place the limit below the stop for SELL', () => {
+        expect(resolveStopLimitPrice('SELL', '100.5', '0.25')).toBe(100.25);
+    });
+
+    it('should place the limit above the stop for BUY', () => {
+        expect(resolveStopLimitPrice('BUY', '0.1', '0.2')).toBe(0.3);
+    });
+
+    it('should return null for a missing stop price', () => {
+        expect(resolveStopLimitPrice('SELL', '', '1')).toBeNull();
+    });
+});
+
+describe('buildOrderRequest', () => {
+    const base = { symbol: 'BTCUSDT', side: 'SELL', quantity: '0.5', price: '50000' };
+
+    it('should default to a GTC LIMIT order', () => {
+        const request = buildOrderRequest(base);
+
+        expect(request.method).toBe('newOrder');
+        expect(request.params).toEqual({
+            symbol: 'BTCUSDT',
+            side: 'SELL',
+            type: 'LIMIT',
+            timeInForce: 'GTC',
+            quantity: '0.5',
+            price: '50000',
+            newOrderRespType: 'FULL'
+        });
+    });
+
+    it('should build a STOP_LOSS_LIMIT order with stopPrice', () => {
+        const request = buildOrderRequest({
+            ...base,
+            orderType: ORDER_TYPES.STOP_LOSS_LIMIT,
+            price: '47900',
+            stopPrice: '48000'
+        });
+
+        expect(request.method).toBe('newOrder');
+        expect(request.params.type).toBe('STOP_LOSS_LIMIT');
+        expect(request.params.price).toBe('47900');
+        expect(request.params.stopPrice).toBe('48000');
+    });
+
+    it('should build a TAKE_PROFIT_LIMIT order with stopPrice', () => {
+        const request = buildOrderRequest({
+            ...base,
+            orderType: ORDER_TYPES.TAKE_PROFIT_LIMIT,
+            price: '55000',
+            stopPrice: '55100'
+        });
+
+        expect(request.params.type).toBe('TAKE_PROFIT_LIMIT');
+        expect(request.params.stopPrice).toBe('55100');
+    });
+
+    it('should reject stop orders without a stop price', () => {
+        const request = buildOrderRequest({ ...base, orderType: ORDER_TYPES.STOP_LOSS_LIMIT });
+        expect(request.error).toMatch(/stop price/i);
+    });
+
+    it('should lay out a SELL OCO with take-profit above and stop below', () => {
+        const request = buildOrderRequest({
+            ...base,
+            orderType: ORDER_TYPES.OCO,
+            price: '55000',
+            stopPrice: '48000',
+            limitOffset: '100'
+        });
+
+        expect(request.method).toBe('orderListOco');
+        expect(request.params).toMatchObject({
+            symbol: 'BTCUSDT',
+            side: 'SELL',
+            quantity: 0.5,
+            aboveType: 'LIMIT_MAKER',
+            abovePrice: 55000,
+            belowType: 'STOP_LOSS_LIMIT',
+            belowPrice: 47900,
+            belowStopPrice: 48000,
+            belowTimeInForce: 'GTC'
+        });
+        expect(request.params.aboveStopPrice).toBeUndefined();
+    });
+
+    it('should lay out a BUY OCO with stop above and take-profit below', () => {
+        const request = buildOrderRequest({
+            ...base,
+            side: 'BUY',
+            orderType: ORDER_TYPES.OCO,
+            price: '45000',
+            stopPrice: '52000',
+            stopLimitPrice: '52100'
+        });
+
+        expect(request.params).toMatchObject({
+            aboveType: 'STOP_LOSS_LIMIT',
+            abovePrice: 52100,
+            aboveStopPrice: 52000,
+            belowType: 'LIMIT_MAKER',
+            belowPrice: 45000
+        });
+    });
+
+    it('should reject an OCO whose take-profit is on the wrong side of the stop', () => {
+        const request = buildOrderRequest({
+            ...base,
+            orderType: ORDER_TYPES.OCO,
+            price: '47000',
+            stopPrice: '48000'
+        });
+        expect(request.error).toMatch(/above stop price/);
+    });
+
+    it('should pass IOC/FOK time in force through to limit orders', () => {
+        expect(buildOrderRequest({ ...base, timeInForce: 'ioc' }).params.timeInForce).toBe('IOC');
+        expect(buildOrderRequest({
+            ...base,
+            orderType: ORDER_TYPES.STOP_LOSS_LIMIT,
+            stopPrice: '50100',
+            timeInForce: 'FOK'
+        }).params.timeInForce).toBe('FOK');
+        expect(buildOrderRequest({ ...base, timeInForce: 'GTD' }).error).toMatch(/time in force/);
+    });
+
+    it('should build a MARKET order sized by quantity without price or time in force', () => {
+        const request = buildOrderRequest({ ...base, orderType: ORDER_TYPES.MARKET, timeInForce: 'IOC' });
+
+        expect(request.params).toEqual({
+            symbol: 'BTCUSDT',
+            side: 'SELL',
+            type: 'MARKET',
+            quantity: '0.5',
+            newOrderRespType: 'FULL'
+        });
+    });
+
+    it('should build a MARKET order sized by quoteOrderQty', () => {
+        const request = buildOrderRequest({
+            symbol: 'BTCUSDT',
+            side: 'BUY',
+            orderType: ORDER_TYPES.MARKET,
+            quoteOrderQty: '250'
+        });
+
+        expect(request.params.quoteOrderQty).toBe('250');
+        expect(request.params.quantity).toBeUndefined();
+    });
+
+    it('should reject MARKET orders with both or neither sizing field', () => {
+        expect(buildOrderRequest({ ...base, orderType: ORDER_TYPES.MARKET, quoteOrderQty: '100' }).error)
+            .toMatch(/not both/);
+        expect(buildOrderRequest({ symbol: 'BTCUSDT', side: 'BUY', orderType: ORDER_TYPES.MARKET }).error)
+            .toMatch(/Quantity/);
+    });
+
+    it('should reject unknown order types and bad quantities', () => {
+        expect(buildOrderRequest({ ...base, orderType: 'ICEBERG' }).error).toMatch(/Unsupported/);
+        expect(buildOrderRequest({ ...base, quantity: '0' }).error).toMatch(/Quantity/);
+        expect(buildOrderRequest({ ...base, side: 'HOLD' }).error).toMatch(/side/);
+    });
+});
+
+describe('getOrderLegs', () => {
+    it('should return a single leg for plain orders', () => {
+        const legs = getOrderLegs(buildOrderRequest({
+            symbol: 'BTCUSDT',
+            side: 'BUY',
+            quantity: '1',
+            price: '100',
+            orderType: ORDER_TYPES.STOP_LOSS_LIMIT,
+            stopPrice: '99'
+        }));
+
+        expect(legs).toEqual([{ type: 'STOP_LOSS_LIMIT', price: '100', stopPrice: '99', quantity: '1' }]);
+    });
+
+    it('should return both legs for OCO orders', () => {
+        const legs = getOrderLegs(buildOrderRequest({
+            symbol: 'BTCUSDT',
+            side: 'SELL',
+            quantity: '1',
+            price: '110',
+            orderType: ORDER_TYPES.OCO,
+            stopPrice: '90',
+            stopLimitPrice: '89'
+        }));
+
+        expect(legs).toEqual([
+            { type: 'LIMIT_MAKER', price: '110', stopPrice: '0', quantity: '1' },
+            { type: 'STOP_LOSS_LIMIT', price: '89', stopPrice: '90', quantity: '1' }
+        ]);
+    });
+});
+
+describe('buildReplaceRequest', () => {
+    const base = { symbol: 'BTCUSDT', side: 'BUY', quantity: '0.2', price: '41000', orderId: 12345 };
+
+    it('should wrap the new order in a STOP_ON_FAILURE cancel-replace', () => {
+        const request = buildReplaceRequest(base);
+
+        expect(request.method).toBe('orderCancelReplace');
+        expect(request.cancelOrderId).toBe(12345);
+        expect(request.params).toMatchObject({
+            symbol: 'BTCUSDT',
+            side: 'BUY',
+            type: 'LIMIT',
+            timeInForce: 'GTC',
+            quantity: '0.2',
+            price: '41000',
+            cancelReplaceMode: 'STOP_ON_FAILURE',
+            cancelOrderId: 12345
+        });
+    });
+
+    it('should reject amends without an order id or for OCO lists', () => {
+        expect(buildReplaceRequest({ ...base, orderId: undefined }).error).toMatch(/orderId/);
+        expect(buildReplaceRequest({
+            ...base,
+            orderType: ORDER_TYPES.OCO,
+            price: '40000',
+            stopPrice: '42000'
+        }).error).toMatch(/OCO/);
+    });
+
+    it('should propagate order validation errors', () => {
+        expect(buildReplaceRequest({ ...base, price: '0' }).error).toMatch(/Price/);
+    });
+});
+
+describe('classifyReplaceFailure', () => {
+    it('should treat -2021 as a partial failure', () => {
+        expect(classifyReplaceFailure({ code: -2021 })).toBe(REPLACE_RESULTS.PARTIAL_FAILURE);
+    });
+
+    it('should treat any other failure as leaving the order untouched', () => {
+        expect(classifyReplaceFailure({ code: -2022 })).toBe(REPLACE_RESULTS.UNTOUCHED);
+        expect(classifyReplaceFailure(new Error('socket hang up'))).toBe(REPLACE_RESULTS.UNTOUCHED);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Order Utils - Helpers shared by the services that size and place orders
+ *
+ * Exchange filters (tickSize, stepSize) arrive as zero-padded strings from Binance
+ * and as plain numbers from the mock engines; both are handled here.
+ *
+ * The services that outlive a restart (brackets, trailing stops) keep their state
+ * in a JSON file under userData through readState / writeState.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Positive number from a payload field
+ * @param {*} value - e.g. '0.5' or 0.5
+ * @returns {number|null} null for missing, zero, negative or non-numeric values
+ */
+const toPositiveNumber = (value) => {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+};
+
+/**
+ * Decimals of a tick or step size
+ * @param {string|number} step - e.g. '0.00100000', 0.01 or 1e-8
+ * @returns {number} 3, 2 and 8 for those examples
+ */
+const decimalsOf = (step) => {
+    const [mantissa, exponent = '0'] = String(step).toLowerCase().split('e');
+    const [, fraction = ''] = mantissa.split('.');
+    return Math.max(0, fraction.replace(/0+$/, '').length - parseInt(exponent, 10));
+};
+
+/**
+ * Whole number of steps in a value
+ * Float noise is trimmed before rounding, so 0.3 / 0.1 is 3 steps, not 2.9999
+ * @param {number} value
+ * @param {number} step
+ * @param {Function} round - Math.floor, Math.round or Math.ceil
+ * @returns {number}
+ */
+const toSteps = (value, step, round) => round(Number((value / step).toFixed(6)));
+
+/**
+ * One-line reason for a failed exchange call, with its Binance code if any
+ * @param {Error} error
+ * @returns {string} e.g. 'Account has insufficient balance. [-2010]'
+ */
+const errorReason = (error) => {
+    const code = error?.code !== undefined && error?.code !== null ? ` [${error.code}]` : '';
+    return `${error?.message || 'Unknown exchange error'}${code}`;
+};
+
+/**
+ * Saved state of a service
+ * @param {string} filePath
+ * @returns {Object|null} null when nothing was saved yet
+ * @throws {Error} When the file cannot be read or parsed
+ */
+const readState = (filePath) => {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+/**
+ * Save the state of a service
+ * Written aside and renamed, so a crash mid-write never leaves half a file.
+ * @param {string} filePath
+ * @param {Object} state
+ * @throws {Error} When the file cannot be written
+ */
+const writeState = (filePath, state) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+};
+
+export { decimalsOf, errorReason, readState, toPositiveNumber, toSteps, writeState };
@@ -0,0 +1,82 @@
+/**
+ * Tests for the shared order helpers
+ *
+ * These tests verify:
+ * 1. Decimals are read from zero-padded filter strings, plain numbers and exponent notation
+ * 2. Values are split into whole steps without float noise
+ * 3. Exchange errors read as their message plus the Binance code
+ * 4. Payload fields parse as positive numbers or null
+ * 5. Service state round-trips through its JSON file without leaving a temp file
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { decimalsOf, errorReason, readState, toPositiveNumber, toSteps, writeState } from './order-utils.js';
+
+describe('decimalsOf', () => {
+    it('should count the significant decimals of a step', () => {
+        expect(decimalsOf('0.00100000')).toBe(3);
+        expect(decimalsOf('1.00000000')).toBe(0);
+        expect(decimalsOf(0.01)).toBe(2);
+        expect(decimalsOf(1e-8)).toBe(8);
+        expect(decimalsOf(10)).toBe(0);
+    });
+});
+
+describe('toSteps', () => {
+    it('should round whole steps without float noise', () => {
+        expect(toSteps(0.3, 0.1, Math.floor)).toBe(3);
+        expect(toSteps(12.37, 0.1, Math.floor)).toBe(123);
+        expect(toSteps(12.37, 0.1, Math.ceil)).toBe(124);
+    });
+});
+
+describe('errorReason', () => {
+    it('should append the exchange code when there is one', () => {
+        expect(errorReason(Object.assign(new Error('Too many requests.'), { code: -1003 }))).toBe('Too many requests. [-1003]');
+        expect(errorReason(new Error('socket hang up'))).toBe('socket hang up');
+        expect(errorReason(undefined)).toBe('Unknown exchange error');
+    });
+});
+
+describe('toPositiveNumber', () => {
+    it('should accept only positive numbers', () => {
+        expect(toPositiveNumber('0.5')).toBe(0.5);
+        expect(toPositiveNumber(2)).toBe(2);
+        expect(toPositiveNumber(0)).toBeNull();
+        expect(toPositiveNumber('-1')).toBeNull();
+        expect(toPositiveNumber('abc')).toBeNull();
+        expect(toPositiveNumber(undefined)).toBeNull();
+    });
+});
+
+describe('readState / writeState', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-order-utils-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should round-trip the state through its file', () => {
+        const filePath = path.join(dir, 'nested', 'state.json');
+        expect(readState(filePath)).toBeNull();
+
+        writeState(filePath, { version: 1, items: [{ id: 'a' }] });
+
+        expect(readState(filePath)).toEqual({ version: 1, items: [{ id: 'a' }] });
+        expect(fs.readdirSync(path.dirname(filePath))).toEqual(['state.json']);
+    });
+
+    it('should throw on an unreadable file', () => {
+        const filePath = path.join(dir, 'state.json');
+        fs.writeFileSync(filePath, '{ half');
+
+        expect(() => readState(filePath)).toThrow();
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * Paper Adapter - Live market data on top of a simulated account
+ *
+ * Market data REST calls and streams are passed through to a live adapter
+ * (a BinanceAdapter without API keys), so charts, depth and trades are the real ones.
+ * Orders and account queries go to a PaperExchange instead.
+ *
+ * Fills:
+ * - placement: the order book is fetched fresh and aggressive orders take liquidity from it
+ * - resting orders: one trade stream for every symbol with open paper orders; prints that
+ *   cross a resting order fill it (up to the print size), and stops trigger on the print
+ *   price against a freshly fetched book
+ *
+ * The user stream is local: every report (placement, cancel and fill) is published on it,
+ * followed by the balances, just like Binance does for a real account.
+ */
+
+import { EventEmitter } from 'events';
+import { PaperExchange } from './paper-exchange.js';
+import { ExchangeAdapter, createExchangeError, normalizeExecutionReport } from './exchange-adapter.js';
+import { REPLACE_RESULTS } from './order-builder.js';
+
+const UNKNOWN_SYMBOL = { code: -1121, msg: 'Invalid symbol.' };
+
+const TRADE_STREAM_RETRY_MS = 5000;
+
+const toReport = ({ order, execution }) => normalizeExecutionReport(order, execution);
+
+class PaperAdapter extends ExchangeAdapter {
+    /**
+     * @param {Object} options
+     * @param {ExchangeAdapter} options.market - Live market data source; its account side is never used
+     * @param {PaperExchange} [options.exchange] - Simulated account, injectable for tests
+     * @param {Object} [options.logger]
+     */
+    constructor({ market, exchange = new PaperExchange(), logger = console }) {
+        super();
+        this.market = market;
+        this.exchange = exchange;
+        this.logger = logger;
+        this.userSockets = new Set();
+        this.tradeSocket = null;
+        this.tradeStreamKey = '';
+        this.tradeStreamSync = Promise.resolve();
+        this.tradeQueue = Promise.resolve();
+        this.retryTimer = null;
+    }
+
+    getRateLimitStatus() {
+        return this.market.getRateLimitStatus();
+    }
+
+    // --- Market data -------------------------------------------------------
+
+    async getKlines(symbol, interval, options = {}) {
+        return this.market.getKlines(symbol, interval, options);
+    }
+
+    async getDepthSnapshot(symbol, options = {}) {
+        return this.market.getDepthSnapshot(symbol, options);
+    }
+
+    async getRecentTrades(symbol, options = {}) {
+        return this.market.getRecentTrades(symbol, options);
+    }
+
+    async getTicker() {
+        return this.market.getTicker();
+    }
+
+    async getFilters(symbol) {
+        return this.market.getFilters(symbol);
+    }
+
+    // --- Account -----------------------------------------------------------
+
+    async getBalances() {
+        return this.exchange.getBalances();
+    }
+
+    async getOpenOrders() {
+        return this.exchange.getOpenOrders();
+    }
+
+    async getMyTrades(symbol, { limit = 500, fromId } = {}) {
+        return this.exchange.getMyTrades(symbol, limit, fromId);
+    }
+
+    // --- Orders ------------------------------------------------------------
+
+    async placeOrder(orderRequest) {
+        await this.prepareMarket(orderRequest.params.symbol);
+        const placed = this.exchange.placeOrder(orderRequest);
+        if (placed.error) throw createExchangeError(placed.error.code, placed.error.msg);
+        return this.settle(placed.reports);
+    }
+
+    async cancelOrder({ symbol, orderId, origClientOrderId }) {
+        const canceled = this.exchange.cancelOrder(symbol, orderId ?? origClientOrderId);
+        if (canceled.error) throw createExchangeError(canceled.error.code, canceled.error.msg);
+        return this.settle(canceled.reports);
+    }
+
+    async cancelOpenOrders(symbol) {
+        const canceled = this.exchange.cancelOpenOrders(symbol);
+        if (canceled.error) throw createExchangeError(canceled.error.code, canceled.error.msg);
+        return this.settle(canceled.reports);
+    }
+
+    async replaceOrder(replaceRequest) {
+        // Like BinanceAdapter, answer with a result: nothing was cancelled if the market isn't ready
+        try {
+            await this.prepareMarket(replaceRequest.params.symbol);
+        } catch (error) {
+            return { result: REPLACE_RESULTS.UNTOUCHED, reports: [], code: error?.code, reason: error?.message };
+        }
+        const replaced = this.exchange.replaceOrder(replaceRequest);
+        return {
+            result: replaced.result,
+            reports: this.settle(replaced.reports),
+            newOrderId: replaced.newOrderId,
+            code: replaced.error?.code,
+            reason: replaced.error?.msg
+        };
+    }
+
+    /** Create the paper market on first use and load the current live book */
+    async prepareMarket(symbol) {
+        if (!this.exchange.hasSymbol(symbol)) {
+            const filters = await this.getFilters(symbol);
+            if (!filters) throw createExchangeError(UNKNOWN_SYMBOL.code, UNKNOWN_SYMBOL.msg);
+            this.exchange.addMarket(symbol, filters);
+        }
+        this.exchange.setBook(symbol, await this.getDepthSnapshot(symbol));
+    }
+
+    /** Normalize and publish engine reports, then follow the symbols with open orders */
+    settle(rawReports) {
+        const reports = rawReports.map(toReport);
+        this.publish(reports);
+        this.syncTradeStream();
+        return reports;
+    }
+
+    publish(reports) {
+        if (!reports.length) return;
+        const balances = this.exchange.getBalances();
+        this.userSockets.forEach((socket) => {
+            reports.forEach((report) => socket.emit('message', { type: 'execution', report }));
+            socket.emit('message', { type: 'balances', balances });
+        });
+    }
+
+    // --- Streams -----------------------------------------------------------
+
+    async connectMarketStream(streams) {
+        return this.market.connectMarketStream(streams);
+    }
+
+    async connectTickerStream() {
+        return this.market.connectTickerStream();
+    }
+
+    async connectUserStream() {
+        const socket = new EventEmitter();
+        socket.disconnect = () => {
+            if (!this.userSockets.delete(socket)) return;
+            socket.emit('close', 1000, 'paper socket closed');
+        };
+        this.userSockets.add(socket);
+        return socket;
+    }
+
+    /**
+     * Keep one trade stream open for the symbols with open paper orders.
+     * Updates run one at a time; the returned promise settles when this one has.
+     */
+    syncTradeStream() {
+        this.tradeStreamSync = this.tradeStreamSync
+            .then(() => this.updateTradeStream())
+            .catch((err) => {
+                this.logger.warn('[paper] Trade stream connection failed:', err?.code || err?.message);
+                this.scheduleTradeStreamRetry();
+            });
+        return this.tradeStreamSync;
+    }
+
+    async updateTradeStream() {
+        const symbols = this.exchange.getActiveSymbols();
+        const key = symbols.join(',');
+        if (key === this.tradeStreamKey && (this.tradeSocket || !symbols.length)) return;
+
+        const previous = this.tradeSocket;
+        this.tradeSocket = null;
+        this.tradeStreamKey = key;
+        if (previous) await previous.disconnect();
+        if (!symbols.length) return;
+
+        const socket = await this.connectMarketStream(symbols.map((symbol) => `${symbol.toLowerCase()}@trade`));
+        this.tradeSocket = socket;
+        socket.on('message', (event) => {
+            if (event.type === 'trade') this.handleTrade(event);
+        });
+        socket.on('error', (err) => this.logger.warn('[paper] Trade stream error:', err?.code || err?.message));
+        socket.on('close', () => {
+            // Replaced sockets are closed on purpose
+            if (this.tradeSocket !== socket) return;
+            this.tradeSocket = null;
+            this.logger.warn('[paper] Trade stream closed unexpectedly');
+            this.scheduleTradeStreamRetry();
+        });
+    }
+
+    scheduleTradeStreamRetry() {
+        if (this.retryTimer || !this.exchange.getActiveSymbols().length) return;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.syncTradeStream();
+        }, TRADE_STREAM_RETRY_MS);
+    }
+
+    /**
+     * Apply a live print to the paper orders; prints are handled in arrival order
+     * @returns {Promise<void>} Settles once this print has been applied
+     */
+    handleTrade({ symbol, trade }) {
+        this.tradeQueue = this.tradeQueue.then(async () => {
+            if (this.exchange.wouldTriggerStop(symbol, Number(trade.price))) {
+                // A triggered stop takes liquidity: match it against the current book
+                try {
+                    this.exchange.setBook(symbol, await this.getDepthSnapshot(symbol));
+                } catch (err) {
+                    this.logger.warn(`[paper] ${symbol} book refresh failed, using the last one:`, err?.code || err?.message);
+                }
+            }
+            const reports = this.exchange.applyTrade(symbol, trade);
+            if (reports.length) this.settle(reports);
+        });
+        return this.tradeQueue;
+    }
+}
+
+export { PaperAdapter };
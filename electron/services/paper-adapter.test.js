@@ -0,0 +1,143 @@
+/**
+ * Tests for the paper trading adapter
+ *
+ * These tests verify:
+ * 1. Orders fill against a freshly fetched live book and come back as normalized reports
+ * 2. Every report is also published on the local user stream, followed by the balances
+ * 3. A trade stream follows the symbols with open orders and its prints fill them
+ * 4. Stops refresh the book before they take liquidity
+ * 5. Rejections throw { code, message }; a replace that cannot reach the market leaves the order untouched
+ */
+
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PaperAdapter } from './paper-adapter.js';
+import { PaperExchange } from './paper-exchange.js';
+import { REPLACE_RESULTS, buildOrderRequest, buildReplaceRequest } from './order-builder.js';
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+const BTC_FILTERS = { baseAsset: 'BTC', quoteAsset: 'USDT', tickSize: '0.01000000', stepSize: '0.00001000' };
+
+const order = (payload) => buildOrderRequest({ symbol: 'BTCUSDT', ...payload });
+
+const collect = (socket) => {
+    const events = [];
+    socket.on('message', (event) => events.push(event));
+    return events;
+};
+
+// Live market data source serving one book; trade stream sockets are kept for the tests to drive
+const createAdapter = () => {
+    const book = {
+        lastUpdateId: 1,
+        bids: [['44999.00', '0.20000']],
+        asks: [['45001.00', '0.10000'], ['45002.00', '1.00000']]
+    };
+    const tradeSockets = [];
+    const market = {
+        getFilters: vi.fn(async (symbol) => (symbol === 'BTCUSDT' ? BTC_FILTERS : null)),
+        getDepthSnapshot: vi.fn(async () => book),
+        connectMarketStream: vi.fn(async (streams) => {
+            const socket = Object.assign(new EventEmitter(), { streams });
+            socket.disconnect = vi.fn(() => socket.emit('close', 1000, 'closed'));
+            tradeSockets.push(socket);
+            return socket;
+        })
+    };
+    const adapter = new PaperAdapter({
+        market,
+        exchange: new PaperExchange({ balances: { USDT: 10000 }, now: () => 1700000000000 }),
+        logger: silentLogger
+    });
+    return { adapter, market, book, tradeSockets };
+};
+
+const print = (socket, price, qty) => socket.emit('message', {
+    type: 'trade',
+    symbol: 'BTCUSDT',
+    trade: { time: 1, price, qty, p: price, q: qty, isBuyerMaker: false, s: 'BTCUSDT' }
+});
+
+describe('PaperAdapter', () => {
+    let adapter;
+    let market;
+    let book;
+    let tradeSockets;
+
+    beforeEach(() => {
+        ({ adapter, market, book, tradeSockets } = createAdapter());
+    });
+
+    it('should fill against the live book and publish reports on the user stream', async () => {
+        const user = collect(await adapter.connectUserStream());
+
+        const reports = await adapter.placeOrder(order({ side: 'BUY', orderType: 'MARKET', quantity: '0.15' }));
+
+        expect(market.getDepthSnapshot).toHaveBeenCalledWith('BTCUSDT', {});
+        expect(reports.map((report) => [report.e, report.x, report.X, report.L])).toEqual([
+            ['executionReport', 'NEW', 'NEW', '0'],
+            ['executionReport', 'TRADE', 'PARTIALLY_FILLED', '45001.00'],
+            ['executionReport', 'TRADE', 'FILLED', '45002.00']
+        ]);
+        expect(user.map((event) => event.type)).toEqual(['execution', 'execution', 'execution', 'balances']);
+        expect(user[3].balances.BTC).toEqual({ available: '0.15000000', onOrder: '0.00000000' });
+        expect(await adapter.getMyTrades('BTCUSDT')).toHaveLength(2);
+        expect(tradeSockets).toHaveLength(0);
+    });
+
+    it('should fill resting orders from the trade stream of their symbol', async () => {
+        const user = collect(await adapter.connectUserStream());
+        await adapter.placeOrder(order({ side: 'BUY', quantity: '0.1', price: '44900' }));
+        await adapter.tradeStreamSync;
+
+        expect(tradeSockets).toHaveLength(1);
+        expect(tradeSockets[0].streams).toEqual(['btcusdt@trade']);
+
+        print(tradeSockets[0], '44950.00', '1.00000');
+        await adapter.handleTrade({ symbol: 'BTCUSDT', trade: { price: '44900.00', qty: '1.00000' } });
+        await adapter.tradeStreamSync;
+
+        expect(user.slice(-2).map((event) => event.type)).toEqual(['execution', 'balances']);
+        expect(user.at(-2).report).toMatchObject({ i: 1, x: 'TRADE', X: 'FILLED', L: '44900.00', m: true });
+        expect(await adapter.getOpenOrders()).toEqual([]);
+        // Nothing left to follow
+        expect(tradeSockets[0].disconnect).toHaveBeenCalled();
+    });
+
+    it('should refresh the book before a stop takes liquidity', async () => {
+        await adapter.placeOrder(order({ side: 'BUY', orderType: 'MARKET', quantity: '0.1' }));
+        await adapter.placeOrder(order({ side: 'SELL', orderType: 'STOP_LOSS_LIMIT', quantity: '0.1', stopPrice: '44500', price: '44400' }));
+        market.getDepthSnapshot.mockClear();
+        book.bids = [['44480.00', '1.00000']];
+        book.asks = [['44490.00', '1.00000']];
+        const user = collect(await adapter.connectUserStream());
+
+        await adapter.handleTrade({ symbol: 'BTCUSDT', trade: { price: '44500.00', qty: '0.00100' } });
+
+        expect(market.getDepthSnapshot).toHaveBeenCalledTimes(1);
+        expect(user[0].report).toMatchObject({ o: 'STOP_LOSS_LIMIT', x: 'TRADE', X: 'FILLED', L: '44480.00' });
+    });
+
+    it('should reject unknown symbols and unaffordable orders', async () => {
+        await expect(adapter.placeOrder(buildOrderRequest({ symbol: 'NOPEUSDT', side: 'BUY', quantity: '1', price: '1' })))
+            .rejects.toMatchObject({ code: -1121 });
+        await expect(adapter.placeOrder(order({ side: 'BUY', quantity: '1', price: '44900' })))
+            .rejects.toMatchObject({ code: -2010 });
+        await expect(adapter.cancelOrder({ symbol: 'BTCUSDT', orderId: 42 }))
+            .rejects.toMatchObject({ code: -2011 });
+    });
+
+    it('should leave the order untouched when the market cannot be prepared for a replace', async () => {
+        const [placed] = await adapter.placeOrder(order({ side: 'BUY', quantity: '0.01', price: '44000' }));
+        market.getDepthSnapshot.mockRejectedValueOnce(Object.assign(new Error('Too many requests.'), { code: -1003 }));
+
+        expect(await adapter.replaceOrder(buildReplaceRequest({
+            symbol: 'BTCUSDT', side: 'BUY', quantity: '0.01', price: '44500', orderId: placed.i
+        }))).toEqual({ result: REPLACE_RESULTS.UNTOUCHED, reports: [], code: -1003, reason: 'Too many requests.' });
+        expect(await adapter.replaceOrder(buildReplaceRequest({
+            symbol: 'NOPEUSDT', side: 'BUY', quantity: '1', price: '1', orderId: 1
+        }))).toMatchObject({ result: REPLACE_RESULTS.UNTOUCHED, code: -1121 });
+        expect(await adapter.getOpenOrders()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Paper Exchange - The MockExchange account and matching engine on live market data
+ *
+ * Orders, locks, balances, OCO lists and fills behave exactly like in MockExchange,
+ * but nothing is simulated on the market side:
+ * - markets are created from the live exchange filters of the symbols traded
+ * - aggressive orders match against the live order book snapshot taken at placement
+ * - resting orders fill, and stops trigger, on live trade prints
+ *
+ * PaperAdapter (paper-adapter.js) feeds the books and prints and streams the reports.
+ */
+
+import { MockExchange } from './mock-exchange.js';
+import { decimalsOf } from './order-utils.js';
+
+const DEFAULT_PAPER_BALANCES = { USDT: 10000 };
+
+/**
+ * Parse PAPER_BALANCES, e.g. 'USDT=10000,BTC=0.05'
+ * @param {string} [spec]
+ * @returns {Object} asset -> free amount; the default account when nothing valid is given
+ */
+const parsePaperBalances = (spec) => {
+    const balances = {};
+    String(spec ?? '').split(',').forEach((entry) => {
+        const [asset, amount] = entry.split('=').map((part) => part?.trim());
+        const free = Number(amount);
+        if (asset && Number.isFinite(free) && free >= 0) balances[asset.toUpperCase()] = free;
+    });
+    return Object.keys(balances).length ? balances : { ...DEFAULT_PAPER_BALANCES };
+};
+
+const toLevels = (levels = []) => levels
+    .map(([price, qty]) => ({ price: Number(price), qty: Number(qty) }))
+    .filter((level) => level.price > 0 && level.qty > 0);
+
+class PaperExchange extends MockExchange {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.balances] - asset -> free amount
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor({ balances = DEFAULT_PAPER_BALANCES, now = Date.now } = {}) {
+        super({ markets: {}, balances, now });
+    }
+
+    /**
+     * Create a market from live exchange filters (no-op when it exists)
+     * @param {string} symbol
+     * @param {Object} filters - { baseAsset, quoteAsset, tickSize, stepSize } as returned by getFilters()
+     */
+    addMarket(symbol, filters) {
+        if (this.markets[symbol]) return;
+        const tickSize = Number(filters.tickSize);
+        const stepSize = Number(filters.stepSize);
+        this.markets[symbol] = {
+            symbol,
+            baseAsset: filters.baseAsset,
+            quoteAsset: filters.quoteAsset,
+            tickSize,
+            stepSize,
+            // Number() drops the trailing zeros Binance pads filters with
+            priceDecimals: decimalsOf(tickSize),
+            qtyDecimals: decimalsOf(stepSize),
+            price: null,
+            quoteVolume: 0,
+            book: { bids: [], asks: [] },
+            candles: []
+        };
+    }
+
+    /**
+     * Replace a market's book with a live snapshot
+     * @param {string} symbol
+     * @param {{ bids: Array<[string, string]>, asks: Array<[string, string]> }} snapshot - Best levels first
+     */
+    setBook(symbol, { bids, asks }) {
+        const market = this.markets[symbol];
+        if (!market) return;
+        market.book = { bids: toLevels(bids), asks: toLevels(asks) };
+        if (market.price === null && market.book.bids.length && market.book.asks.length) {
+            market.price = (market.book.bids[0].price + market.book.asks[0].price) / 2;
+        }
+    }
+
+    setLastPrice(symbol, price) {
+        const market = this.markets[symbol];
+        if (market && Number(price) > 0) market.price = Number(price);
+    }
+
+    /** Symbols with open orders; their trade prints drive fills and stop triggers */
+    getActiveSymbols() {
+        return [...new Set(this.getOpenOrders().map((order) => order.symbol))].sort();
+    }
+
+    /**
+     * Whether a print at `price` triggers a stop, which then takes liquidity from the book
+     * (the caller refreshes the book first)
+     */
+    wouldTriggerStop(symbol, price) {
+        return this.getRestingOrders(symbol, { includeUntriggered: true })
+            .some((order) => !order.triggered && this.wouldTrigger(order.type, order.side, order.stopPrice, price));
+    }
+
+    /**
+     * Apply a live trade print
+     * @param {string} symbol
+     * @param {{ price: string|number, qty: string|number }} trade
+     * @returns {Array} Reports for triggered stops and filled resting orders
+     */
+    applyTrade(symbol, trade) {
+        const market = this.markets[symbol];
+        const price = Number(trade.price);
+        const qty = Number(trade.qty);
+        if (!market || !(price > 0) || !(qty > 0)) return [];
+        market.price = price;
+        return [
+            ...this.triggerStops(market, price),
+            ...this.fillResting(market, { price, qty })
+        ];
+    }
+
+    // The market is live; there is nothing to simulate
+    tick() {
+        return { trades: {}, reports: [], balancesChanged: false };
+    }
+}
+
+export { DEFAULT_PAPER_BALANCES, PaperExchange, parsePaperBalances };
@@ -0,0 +1,93 @@
+/**
+ * Tests for the paper exchange
+ *
+ * These tests verify:
+ * 1. Markets are created from live filters with the precision Binance pads them to
+ * 2. Aggressive orders take liquidity from the live book snapshot
+ * 3. Resting orders fill on trade prints that cross them, limited by the print size
+ * 4. Stops trigger on prints and only symbols with open orders are active
+ * 5. PAPER_BALANCES parsing
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PaperExchange, parsePaperBalances } from './paper-exchange.js';
+import { buildOrderRequest } from './order-builder.js';
+
+const BTC_FILTERS = { baseAsset: 'BTC', quoteAsset: 'USDT', tickSize: '0.01000000', stepSize: '0.00001000' };
+
+const BOOK = {
+    bids: [['44999.00', '0.20000'], ['44998.00', '1.00000']],
+    asks: [['45001.00', '0.10000'], ['45002.00', '1.00000']]
+};
+
+const createExchange = () => {
+    const exchange = new PaperExchange({ balances: { USDT: 10000 }, now: () => 1700000000000 });
+    exchange.addMarket('BTCUSDT', BTC_FILTERS);
+    exchange.setBook('BTCUSDT', BOOK);
+    return exchange;
+};
+
+const order = (payload) => buildOrderRequest({ symbol: 'BTCUSDT', ...payload });
+
+describe('PaperExchange', () => {
+    it('should create markets from live filters', () => {
+        const exchange = createExchange();
+
+        expect(exchange.markets.BTCUSDT).toMatchObject({ tickSize: 0.01, stepSize: 0.00001, priceDecimals: 2, qtyDecimals: 5 });
+        expect(exchange.getPrice('BTCUSDT')).toBe(45000);
+        expect(exchange.tick()).toEqual({ trades: {}, reports: [], balancesChanged: false });
+    });
+
+    it('should match market orders against the live book', () => {
+        const exchange = createExchange();
+
+        const { reports } = exchange.placeOrder(order({ side: 'BUY', orderType: 'MARKET', quantity: '0.15' }));
+
+        expect(reports.map(({ execution }) => [execution.x, execution.L, execution.l])).toEqual([
+            ['NEW', undefined, '0'],
+            ['TRADE', '45001.00', '0.10000'],
+            ['TRADE', '45002.00', '0.05000']
+        ]);
+        expect(exchange.getBalances().BTC.available).toBe('0.15000000');
+    });
+
+    it('should fill resting orders on crossing prints up to the print size', () => {
+        const exchange = createExchange();
+        exchange.placeOrder(order({ side: 'BUY', quantity: '0.1', price: '44900' }));
+
+        expect(exchange.applyTrade('BTCUSDT', { price: '44950.00', qty: '1' })).toEqual([]);
+
+        const [partial] = exchange.applyTrade('BTCUSDT', { price: '44900.00', qty: '0.04' });
+        expect(partial.order.status).toBe('PARTIALLY_FILLED');
+        expect(partial.execution).toMatchObject({ x: 'TRADE', l: '0.04000', L: '44900.00', m: true });
+
+        const [rest] = exchange.applyTrade('BTCUSDT', { price: '44850.00', qty: '1' });
+        expect(rest.order.status).toBe('FILLED');
+        expect(rest.execution).toMatchObject({ l: '0.06000', L: '44900.00' });
+        expect(exchange.getActiveSymbols()).toEqual([]);
+    });
+
+    it('should trigger stops on prints', () => {
+        const exchange = createExchange();
+        exchange.placeOrder(order({ side: 'BUY', orderType: 'MARKET', quantity: '0.1' }));
+        exchange.placeOrder(order({ side: 'SELL', orderType: 'STOP_LOSS_LIMIT', quantity: '0.1', stopPrice: '44500', price: '44400' }));
+
+        expect(exchange.getActiveSymbols()).toEqual(['BTCUSDT']);
+        expect(exchange.wouldTriggerStop('BTCUSDT', 44600)).toBe(false);
+        expect(exchange.wouldTriggerStop('BTCUSDT', 44500)).toBe(true);
+
+        exchange.setBook('BTCUSDT', { bids: [['44480.00', '1']], asks: [['44490.00', '1']] });
+        const reports = exchange.applyTrade('BTCUSDT', { price: '44500.00', qty: '0.01' });
+
+        expect(reports[0].order).toMatchObject({ type: 'STOP_LOSS_LIMIT', status: 'FILLED' });
+        expect(reports[0].execution).toMatchObject({ x: 'TRADE', L: '44480.00', l: '0.10000', m: false });
+    });
+});
+
+describe('parsePaperBalances', () => {
+    it('should parse asset=amount pairs and fall back to the default account', () => {
+        expect(parsePaperBalances('usdt=5000, BTC=0.05')).toEqual({ USDT: 5000, BTC: 0.05 });
+        expect(parsePaperBalances('ETH=abc,USDT=100')).toEqual({ USDT: 100 });
+        expect(parsePaperBalances(undefined)).toEqual({ USDT: 10000 });
+    });
+});
@@ -0,0 +1,345 @@
+/**
+ * Rate Limiter for Binance REST calls
+ *
+ * Keeps every REST request inside three budgets:
+ * - Request weight per minute: a local sliding-window estimate, reconciled with the
+ *   X-MBX-USED-WEIGHT-1M header Binance returns (which also counts other clients on the IP)
+ * - Orders per 10 seconds and per day: counted locally, reconciled with X-MBX-ORDER-COUNT-*
+ * - Bans: 429 blocks requests until the weight window resets, 418 until the ban ends
+ *
+ * Requests wait in one queue ordered by priority. Orders skip the request spacing and
+ * may use the weight kept in reserve, so chart backfills cannot starve them. Orders are
+ * never held back for minutes: while the order budget or a ban blocks them they fail
+ * right away with a RateLimitError instead of being sent later at a stale price.
+ */
+
+// Lower value = served first
+const REQUEST_PRIORITY = {
+    ORDER: 0,
+    NORMAL: 1,
+    BACKFILL: 2
+};
+
+// Binance allows 50 orders per 10s and 160,000 per day per account
+const DEFAULT_ORDER_LIMITS = [
+    { interval: '10S', windowMs: 10 * 1000, max: 50 },
+    { interval: '1D', windowMs: 24 * 60 * 60 * 1000, max: 160000 }
+];
+
+// Binance error codes
+const TOO_MANY_REQUESTS = -1003;
+const TOO_MANY_ORDERS = -1015;
+
+// Ban length when the 418 response does not say; Binance doubles bans for repeat offenders
+const DEFAULT_BAN_MS = 2 * 60 * 1000;
+const MAX_BAN_MS = 3 * 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+// Binance counts weight and orders in fixed windows aligned to the epoch
+const windowEnd = (now, windowMs) => (Math.floor(now / windowMs) + 1) * windowMs;
+
+const isNetworkError = (err) => err?.code === 'ECONNRESET' ||
+                                err?.code === 'ETIMEDOUT' ||
+                                err?.code === 'ENOTFOUND' ||
+                                err?.code === 'ECONNREFUSED' ||
+                                err?.message?.includes('socket disconnected') ||
+                                err?.message?.includes('network');
+
+/**
+ * HTTP status of a rate limit rejection (429 or 418), or null
+ * The SDK throws TooManyRequestsError / RateLimitBanError without the response.
+ */
+const rateLimitStatusOf = (err) => {
+    if (err?.name === 'RateLimitBanError' || err?.response?.status === 418) return 418;
+    if (err?.name === 'TooManyRequestsError' || err?.response?.status === 429) return 429;
+    if (err?.code === TOO_MANY_REQUESTS || err?.code === TOO_MANY_ORDERS) return 429;
+    return null;
+};
+
+/**
+ * Error for requests the limiter refuses to send
+ */
+class RateLimitError extends Error {
+    constructor(message, retryAt) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAt = retryAt;
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxWeight] - Weight budget per window (conservative vs Binance's cap)
+     * @param {number} [options.windowMs] - Weight window
+     * @param {number} [options.requestDelayMs] - Spacing between non-order requests
+     * @param {number} [options.reservedWeight] - Weight only orders may use
+     * @param {Array<{ interval: string, windowMs: number, max: number }>} [options.orderLimits]
+     * @param {Object} [options.logger]
+     * @param {Function} [options.now]
+     */
+    constructor({
+        maxWeight = 800,
+        windowMs = MINUTE_MS,
+        requestDelayMs = 500,
+        reservedWeight = 50,
+        orderLimits = DEFAULT_ORDER_LIMITS,
+        logger = console,
+        now = Date.now
+    } = {}) {
+        this.maxWeight = maxWeight;
+        this.windowMs = windowMs;
+        this.requestDelayMs = requestDelayMs;
+        this.reservedWeight = reservedWeight;
+        this.logger = logger;
+        this.now = now;
+
+        this.requests = [];                // Local estimate: { timestamp, weight }
+        this.serverWeight = null;          // Last reported { count, resetAt }
+        this.orderWindows = orderLimits.map((limit) => ({ ...limit, count: 0, resetAt: 0 }));
+        this.lastRequestTime = 0;          // Last non-order request, for spacing
+        this.blockedUntil = 0;             // 429/418: nothing is sent before this
+        this.ordersBlockedUntil = 0;       // -1015: no orders are sent before this
+        this.banCount = 0;
+
+        this.waiting = [];                 // { priority, weight, resolve } in service order
+        this.timer = null;
+    }
+
+    get queued() {
+        return this.waiting.length;
+    }
+
+    /**
+     * Snapshot for diagnostics
+     */
+    getStatus() {
+        const now = this.now();
+        return {
+            usedWeight: this.getCurrentWeight(),
+            maxWeight: this.maxWeight,
+            windowMs: this.windowMs,
+            queued: this.queued,
+            orders: this.orderWindows.map(({ interval, max }, i) => ({
+                interval,
+                count: this.getOrderCount(i),
+                max
+            })),
+            blockedUntil: this.blockedUntil > now ? this.blockedUntil : null,
+            ordersBlockedUntil: this.ordersBlockedUntil > now ? this.ordersBlockedUntil : null
+        };
+    }
+
+    /**
+     * Clean up old requests outside the window
+     */
+    cleanup() {
+        const now = this.now();
+        this.requests = this.requests.filter(r => now - r.timestamp < this.windowMs);
+    }
+
+    /**
+     * Weight used in the window: the local estimate or the server's count, whichever is higher
+     */
+    getCurrentWeight() {
+        this.cleanup();
+        const local = this.requests.reduce((sum, r) => sum + r.weight, 0);
+        const server = this.serverWeight && this.now() < this.serverWeight.resetAt ? this.serverWeight.count : 0;
+        return Math.max(local, server);
+    }
+
+    getOrderCount(index) {
+        const window = this.orderWindows[index];
+        if (this.now() >= window.resetAt) {
+            window.count = 0;
+            window.resetAt = windowEnd(this.now(), window.windowMs);
+        }
+        return window.count;
+    }
+
+    /**
+     * Adopt server-reported usage from a response's parsed rate limit headers
+     * @param {Array<{ rateLimitType: string, interval: string, intervalNum: number, count: number }>} [rateLimits]
+     */
+    reconcile(rateLimits) {
+        if (!Array.isArray(rateLimits)) return;
+        const now = this.now();
+        rateLimits.forEach(({ rateLimitType, interval, intervalNum, count }) => {
+            if (!Number.isFinite(count)) return;
+            const key = `${intervalNum}${interval?.[0]}`;
+            if (rateLimitType === 'REQUEST_WEIGHT' && key === '1M') {
+                this.serverWeight = { count, resetAt: windowEnd(now, MINUTE_MS) };
+            } else if (rateLimitType === 'ORDERS') {
+                const index = this.orderWindows.findIndex((window) => window.interval === key);
+                if (index === -1) return;
+                // Requests still in flight are in the local count but not yet in the header
+                this.orderWindows[index].count = Math.max(this.getOrderCount(index), count);
+            }
+        });
+    }
+
+    /**
+     * Milliseconds until a request of this priority and weight may be sent
+     */
+    getWaitTime({ priority, weight }) {
+        const now = this.now();
+        const waits = [this.blockedUntil - now];
+
+        if (priority !== REQUEST_PRIORITY.ORDER) {
+            waits.push(this.lastRequestTime + this.requestDelayMs - now);
+        }
+
+        const limit = priority === REQUEST_PRIORITY.ORDER ? this.maxWeight : this.maxWeight - this.reservedWeight;
+        if (this.getCurrentWeight() + weight > limit) {
+            if (this.serverWeight && now < this.serverWeight.resetAt && this.serverWeight.count + weight > limit) {
+                waits.push(this.serverWeight.resetAt - now);
+            }
+            // Wait for enough local requests to leave the window
+            let remaining = this.requests.reduce((sum, r) => sum + r.weight, 0) + weight - limit;
+            for (const request of this.requests) {
+                if (remaining <= 0) break;
+                remaining -= request.weight;
+                waits.push(request.timestamp + this.windowMs - now + 100); // +100ms buffer
+            }
+        }
+
+        return Math.max(0, ...waits);
+    }
+
+    /**
+     * Throw when an order cannot be sent now
+     */
+    checkOrderBudget(orders) {
+        const now = this.now();
+        if (this.blockedUntil > now) {
+            throw new RateLimitError(`Rate limited by Binance, retry in ${Math.ceil((this.blockedUntil - now) / 1000)}s`, this.blockedUntil);
+        }
+        if (this.ordersBlockedUntil > now) {
+            throw new RateLimitError(`Order rate limit reached, retry in ${Math.ceil((this.ordersBlockedUntil - now) / 1000)}s`, this.ordersBlockedUntil);
+        }
+        this.orderWindows.forEach((window, i) => {
+            if (this.getOrderCount(i) + orders > window.max) {
+                throw new RateLimitError(
+                    `Order rate limit reached (${window.max} per ${window.interval}), retry in ${Math.ceil((window.resetAt - now) / 1000)}s`,
+                    window.resetAt
+                );
+            }
+        });
+    }
+
+    /**
+     * Wait for a turn in the priority queue
+     */
+    acquire(priority, weight) {
+        return new Promise((resolve) => {
+            // Behind everything of the same or higher priority
+            const index = this.waiting.findIndex((entry) => entry.priority > priority);
+            const entry = { priority, weight, resolve };
+            if (index === -1) {
+                this.waiting.push(entry);
+            } else {
+                this.waiting.splice(index, 0, entry);
+            }
+            this.pump();
+        });
+    }
+
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        while (this.waiting.length) {
+            const next = this.waiting[0];
+            const wait = this.getWaitTime(next);
+            if (wait > 0) {
+                this.logger.debug?.(`Rate limiter: waiting ${wait}ms (weight ${this.getCurrentWeight()}/${this.maxWeight}, ${this.waiting.length} queued)`);
+                this.timer = setTimeout(() => this.pump(), wait);
+                return;
+            }
+            this.waiting.shift();
+            const now = this.now();
+            this.requests.push({ timestamp: now, weight: next.weight });
+            if (next.priority !== REQUEST_PRIORITY.ORDER) {
+                this.lastRequestTime = now;
+            }
+            next.resolve();
+        }
+    }
+
+    /**
+     * Block further requests after a 429/418 response
+     */
+    backOff(err, status) {
+        const now = this.now();
+        const retryAfterSec = Number(err?.response?.headers?.['retry-after']);
+        const retryAt = Number.isFinite(retryAfterSec) && retryAfterSec > 0 ? now + retryAfterSec * 1000 : null;
+
+        if (status === 418) {
+            this.banCount++;
+            // "IP banned until 1700000000000."
+            const bannedUntil = Number(err?.message?.match(/banned until (\d+)/)?.[1]);
+            const fallback = now + Math.min(DEFAULT_BAN_MS * 2 ** (this.banCount - 1), MAX_BAN_MS);
+            this.blockedUntil = Math.max(this.blockedUntil, retryAt ?? (bannedUntil || fallback));
+            this.logger.error(`Rate limiter: IP banned by Binance until ${new Date(this.blockedUntil).toISOString()}`);
+        } else if (err?.code === TOO_MANY_ORDERS) {
+            const tenSeconds = this.orderWindows[0]?.windowMs ?? 10000;
+            this.ordersBlockedUntil = Math.max(this.ordersBlockedUntil, retryAt ?? windowEnd(now, tenSeconds));
+            this.logger.warn(`Rate limiter: order limit hit, orders paused for ${this.ordersBlockedUntil - now}ms`);
+        } else {
+            // Weight is counted per minute, so a 429 clears when the minute rolls over
+            this.blockedUntil = Math.max(this.blockedUntil, retryAt ?? windowEnd(now, MINUTE_MS));
+            this.logger.warn(`Rate limiter: 429 from Binance, pausing requests for ${this.blockedUntil - now}ms`);
+        }
+        this.pump();
+    }
+
+    /**
+     * Execute a function with rate limiting
+     * @param {Function} fn - Async function to execute
+     * @param {Object} [options]
+     * @param {number} [options.weight] - Request weight (default 1)
+     * @param {number} [options.priority] - REQUEST_PRIORITY value
+     * @param {number} [options.orders] - Orders this request creates
+     * @param {number} [options.maxRetries] - Max retries on network errors (default 2)
+     */
+    async execute(fn, { weight = 1, priority = REQUEST_PRIORITY.NORMAL, orders = 0, maxRetries = 2 } = {}) {
+        if (priority === REQUEST_PRIORITY.ORDER) {
+            this.checkOrderBudget(orders);
+        }
+
+        await this.acquire(priority, weight);
+
+        if (orders > 0) {
+            this.orderWindows.forEach((window, i) => {
+                this.getOrderCount(i);
+                window.count += orders;
+            });
+        }
+
+        // Execute with retry on network errors
+        let lastError;
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            try {
+                return await fn();
+            } catch (err) {
+                lastError = err;
+                const status = rateLimitStatusOf(err);
+                if (status) {
+                    this.backOff(err, status);
+                    throw err;
+                }
+
+                if (isNetworkError(err) && attempt < maxRetries) {
+                    const retryDelay = 1000 * (attempt + 1); // 1s, 2s, 3s
+                    this.logger.warn(`Network error (${err.code || 'unknown'}), retrying in ${retryDelay}ms (attempt ${attempt + 1}/${maxRetries})`);
+                    await new Promise(resolve => setTimeout(resolve, retryDelay));
+                    continue;
+                }
+                throw err;
+            }
+        }
+        throw lastError;
+    }
+}
+
+export { RateLimiter, RateLimitError, REQUEST_PRIORITY };
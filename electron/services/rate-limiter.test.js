@@ -6,101 +6,22 @@
  * 2. WebSocket connection throttling
  * 3. Request spacing with hard-coded delays
  * 4. Network error retry logic
+ * 5. Server-reported weight and order counts, 429/418 back-off and order priority
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-
-/**
- * RateLimiter class (extracted for testing)
- * In production, this is in binance-connection.js
- */
-class RateLimiter {
-    constructor(maxWeight = 800, windowMs = 60000, requestDelayMs = 500) {
-        this.maxWeight = maxWeight;
-        this.windowMs = windowMs;
-        this.requestDelayMs = requestDelayMs;
-        this.requests = [];
-        this.lastRequestTime = 0;
-    }
-
-    cleanup() {
-        const now = Date.now();
-        this.requests = this.requests.filter(r => now - r.timestamp < this.windowMs);
-    }
-
-    getCurrentWeight() {
-        this.cleanup();
-        return this.requests.reduce((sum, r) => sum + r.weight, 0);
-    }
-
-    canMakeRequest(weight) {
-        this.cleanup();
-        return this.getCurrentWeight() + weight <= this.maxWeight;
-    }
-
-    getWaitTime(weight) {
-        this.cleanup();
-        if (this.getCurrentWeight() + weight <= this.maxWeight) return 0;
-        
-        const targetWeight = this.maxWeight - weight;
-        let accumulated = 0;
-        
-        for (const req of this.requests) {
-            accumulated += req.weight;
-            if (accumulated > targetWeight) {
-                const timeUntilExpiry = (req.timestamp + this.windowMs) - Date.now();
-                return Math.max(0, timeUntilExpiry);
-            }
-        }
-        return this.windowMs;
-    }
-
-    async enforceDelay() {
-        const now = Date.now();
-        const elapsed = now - this.lastRequestTime;
-        if (elapsed < this.requestDelayMs) {
-            await new Promise(resolve => setTimeout(resolve, this.requestDelayMs - elapsed));
-        }
-        this.lastRequestTime = Date.now();
-    }
-
-    async execute(fn, weight = 1, maxRetries = 2) {
-        await this.enforceDelay();
-        
-        const waitTime = this.getWaitTime(weight);
-        if (waitTime > 0) {
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-        
-        let lastError;
-        for (let attempt = 0; attempt <= maxRetries; attempt++) {
-            try {
-                const result = await fn();
-                this.requests.push({ timestamp: Date.now(), weight });
-                return result;
-            } catch (err) {
-                lastError = err;
-                const isNetworkError = err?.code === 'ECONNRESET' || err?.code === 'ETIMEDOUT' ||
-                                       err?.code === 'ENOTFOUND' || err?.code === 'ECONNREFUSED';
-                
-                if (isNetworkError && attempt < maxRetries) {
-                    const retryDelay = 1000 * (attempt + 1);
-                    await new Promise(resolve => setTimeout(resolve, retryDelay));
-                    continue;
-                }
-                throw err;
-            }
-        }
-        throw lastError;
-    }
-}
+import { RateLimiter, RateLimitError, REQUEST_PRIORITY } from './rate-limiter.js';
 
 describe('RateLimiter', () => {
     let limiter;
+    const logger = { debug: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    const ok = () => Promise.resolve('ok');
+    const canSend = (weight) => limiter.getWaitTime({ priority: REQUEST_PRIORITY.NORMAL, weight }) === 0;
 
     beforeEach(() => {
         vi.useFakeTimers();
-        limiter = new RateLimiter(100, 60000, 100); // 100 weight/min, 100ms delay
+        // 100 weight/min, 100ms delay, no reserve
+        limiter = new RateLimiter({ maxWeight: 100, windowMs: 60000, requestDelayMs: 100, reservedWeight: 0, logger });
     });
 
     afterEach(() => {
@@ -110,80 +31,81 @@ describe('RateLimiter', () => {
     describe('Weight Tracking', () => {
         it('should track request weights', async () => {
             const executeAndAdvance = async (weight) => {
-                const promise = limiter.execute(() => Promise.resolve('ok'), weight);
+                const promise = limiter.execute(ok, { weight });
                 await vi.advanceTimersByTimeAsync(200); // Past the delay
                 return promise;
             };
-            
+
             await executeAndAdvance(10);
             expect(limiter.getCurrentWeight()).toBe(10);
-            
+
             await executeAndAdvance(20);
             expect(limiter.getCurrentWeight()).toBe(30);
         });
 
         it('should allow requests under weight limit', () => {
-            expect(limiter.canMakeRequest(50)).toBe(true);
-            expect(limiter.canMakeRequest(100)).toBe(true);
+            expect(canSend(50)).toBe(true);
+            expect(canSend(100)).toBe(true);
         });
 
         it('should block requests over weight limit', async () => {
             // Fill up the weight
             for (let i = 0; i < 10; i++) {
-                await limiter.execute(() => Promise.resolve('ok'), 10);
-                vi.advanceTimersByTime(100); // Advance past delay
+                const promise = limiter.execute(ok, { weight: 10 });
+                await vi.advanceTimersByTimeAsync(100); // Advance past delay
+                await promise;
             }
-            
+
             expect(limiter.getCurrentWeight()).toBe(100);
-            expect(limiter.canMakeRequest(1)).toBe(false);
+            expect(canSend(1)).toBe(false);
         });
 
         it('should clean up old requests after window expires', async () => {
-            await limiter.execute(() => Promise.resolve('ok'), 50);
+            await limiter.execute(ok, { weight: 50 });
             expect(limiter.getCurrentWeight()).toBe(50);
-            
+
             // Advance past the window
             vi.advanceTimersByTime(61000);
-            
+
             expect(limiter.getCurrentWeight()).toBe(0);
-            expect(limiter.canMakeRequest(100)).toBe(true);
+            expect(canSend(100)).toBe(true);
         });
     });
 
     describe('Request Spacing', () => {
         it('should enforce minimum delay between requests', async () => {
             const times = [];
-            
+
             // First request
-            const p1 = limiter.execute(() => { times.push(Date.now()); return Promise.resolve('1'); }, 1);
+            const p1 = limiter.execute(() => { times.push(Date.now()); return Promise.resolve('1'); });
             await vi.advanceTimersByTimeAsync(150);
             await p1;
-            
+
             // Second request - should wait for delay
-            const p2 = limiter.execute(() => { times.push(Date.now()); return Promise.resolve('2'); }, 1);
+            const p2 = limiter.execute(() => { times.push(Date.now()); return Promise.resolve('2'); });
             await vi.advanceTimersByTimeAsync(150);
             await p2;
-            
+
             // Check that delay was enforced
             expect(times[1] - times[0]).toBeGreaterThanOrEqual(100);
         });
 
         it('should not delay if enough time has passed', async () => {
             // First request
-            const p1 = limiter.execute(() => Promise.resolve('1'), 1);
+            const p1 = limiter.execute(() => Promise.resolve('1'));
             await vi.advanceTimersByTimeAsync(150);
             await p1;
-            
+
             // Wait longer than delay
             await vi.advanceTimersByTimeAsync(200);
-            
+
             const startTime = Date.now();
             // Second request - should not need additional delay
-            const p2 = limiter.execute(() => Promise.resolve('2'), 1);
+            const p2 = limiter.execute(() => Promise.resolve('2'));
             // Minimal advance needed
             await vi.advanceTimersByTimeAsync(10);
             await p2;
-            
+
             const elapsed = Date.now() - startTime;
             expect(elapsed).toBeLessThan(100);
         });
@@ -202,11 +124,11 @@ describe('RateLimiter', () => {
                 return Promise.resolve('success');
             });
 
-            const promise = limiter.execute(fn, 1, 2);
+            const promise = limiter.execute(fn, { maxRetries: 2 });
             // Advance past initial delay + retry delay
             await vi.advanceTimersByTimeAsync(2500);
             const result = await promise;
-            
+
             expect(result).toBe('success');
             expect(fn).toHaveBeenCalledTimes(2);
         });
@@ -223,11 +145,11 @@ describe('RateLimiter', () => {
                 return Promise.resolve('success');
             });
 
-            const promise = limiter.execute(fn, 1, 3);
+            const promise = limiter.execute(fn, { maxRetries: 3 });
             // Advance past initial delay + multiple retry delays
             await vi.advanceTimersByTimeAsync(10000);
             const result = await promise;
-            
+
             expect(result).toBe('success');
             expect(fn).toHaveBeenCalledTimes(3);
         });
@@ -240,11 +162,11 @@ describe('RateLimiter', () => {
             });
 
             let caughtError = null;
-            const promise = limiter.execute(fn, 1, 2).catch(e => { caughtError = e; });
+            const promise = limiter.execute(fn, { maxRetries: 2 }).catch(e => { caughtError = e; });
             // Advance past all retries
             await vi.advanceTimersByTimeAsync(10000);
             await promise;
-            
+
             expect(caughtError).not.toBeNull();
             expect(caughtError.message).toBe('Connection reset');
             expect(fn).toHaveBeenCalledTimes(3); // Initial + 2 retries
@@ -256,10 +178,10 @@ describe('RateLimiter', () => {
             });
 
             let caughtError = null;
-            const promise = limiter.execute(fn, 1, 2).catch(e => { caughtError = e; });
+            const promise = limiter.execute(fn, { maxRetries: 2 }).catch(e => { caughtError = e; });
             await vi.advanceTimersByTimeAsync(200);
             await promise;
-            
+
             expect(caughtError).not.toBeNull();
             expect(caughtError.message).toBe('Bad request');
             expect(fn).toHaveBeenCalledTimes(1); // No retries
@@ -267,6 +189,106 @@ describe('RateLimiter', () => {
     });
 });
 
+describe('RateLimiter budgets', () => {
+    let limiter;
+    const logger = { debug: vi.fn(), warn: vi.fn(), error: vi.fn() };
+    const ok = () => Promise.resolve('ok');
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2024-01-01T00:00:30Z'));
+        limiter = new RateLimiter({
+            maxWeight: 100,
+            requestDelayMs: 100,
+            reservedWeight: 10,
+            orderLimits: [{ interval: '10S', windowMs: 10000, max: 2 }],
+            logger
+        });
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should adopt the server-reported weight until the minute rolls over', async () => {
+        limiter.reconcile([{ rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, count: 95 }]);
+        expect(limiter.getStatus().usedWeight).toBe(95);
+
+        let done = false;
+        const request = limiter.execute(ok, { weight: 5 }).then(() => { done = true; });
+        await vi.advanceTimersByTimeAsync(29000);
+        expect(done).toBe(false);
+
+        await vi.advanceTimersByTimeAsync(1000);
+        await request;
+        expect(done).toBe(true);
+        expect(limiter.getStatus().usedWeight).toBe(5);
+    });
+
+    it('should serve orders before backfills and let them use the reserve', async () => {
+        limiter.reconcile([{ rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, count: 92 }]);
+        const served = [];
+        const backfill = limiter.execute(() => served.push('backfill'), { priority: REQUEST_PRIORITY.BACKFILL });
+        const account = limiter.execute(() => served.push('account'));
+        const order = limiter.execute(() => served.push('order'), { priority: REQUEST_PRIORITY.ORDER, orders: 1 });
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(served).toEqual(['order']);
+        expect(limiter.getStatus().queued).toBe(2);
+
+        await vi.advanceTimersByTimeAsync(31000);
+        await Promise.all([backfill, account, order]);
+        expect(served).toEqual(['order', 'account', 'backfill']);
+    });
+
+    it('should refuse orders beyond the order-count budget', async () => {
+        const placeOrder = () => limiter.execute(ok, { priority: REQUEST_PRIORITY.ORDER, orders: 1 });
+        await placeOrder();
+        limiter.reconcile([{ rateLimitType: 'ORDERS', interval: 'SECOND', intervalNum: 10, count: 2 }]);
+
+        await expect(placeOrder()).rejects.toBeInstanceOf(RateLimitError);
+        expect(limiter.getStatus().orders).toEqual([{ interval: '10S', count: 2, max: 2 }]);
+
+        await vi.advanceTimersByTimeAsync(10000);
+        await expect(placeOrder()).resolves.toBe('ok');
+    });
+
+    it('should pause requests after a 429 until the minute window resets', async () => {
+        const tooMany = Object.assign(new Error('Too much request weight used'), { name: 'TooManyRequestsError', code: -1003 });
+        await expect(limiter.execute(() => Promise.reject(tooMany))).rejects.toBe(tooMany);
+        expect(limiter.getStatus().blockedUntil).toBe(Date.parse('2024-01-01T00:01:00Z'));
+
+        await expect(limiter.execute(ok, { priority: REQUEST_PRIORITY.ORDER, orders: 1 }))
+            .rejects.toThrow('Rate limited by Binance, retry in 30s');
+
+        let done = false;
+        const request = limiter.execute(ok).then(() => { done = true; });
+        await vi.advanceTimersByTimeAsync(29000);
+        expect(done).toBe(false);
+        await vi.advanceTimersByTimeAsync(1000);
+        await request;
+        expect(done).toBe(true);
+    });
+
+    it('should honour the ban time of a 418', async () => {
+        const bannedUntil = Date.parse('2024-01-01T00:05:00Z');
+        const ban = Object.assign(new Error(`Way too much request weight used; IP banned until ${bannedUntil}.`), { name: 'RateLimitBanError' });
+        await expect(limiter.execute(() => Promise.reject(ban))).rejects.toBe(ban);
+
+        expect(limiter.getStatus().blockedUntil).toBe(bannedUntil);
+        expect(logger.error).toHaveBeenCalled();
+    });
+
+    it('should pause only orders after a -1015 rejection', async () => {
+        const tooManyOrders = Object.assign(new Error('Too many new orders'), { name: 'TooManyRequestsError', code: -1015 });
+        const order = { priority: REQUEST_PRIORITY.ORDER, orders: 1, maxRetries: 0 };
+        await expect(limiter.execute(() => Promise.reject(tooManyOrders), order)).rejects.toBe(tooManyOrders);
+
+        await expect(limiter.execute(ok, order)).rejects.toThrow('Order rate limit reached');
+        await expect(limiter.execute(ok)).resolves.toBe('ok');
+    });
+});
+
 describe('WebSocket Connection Throttling', () => {
     let lastWsConnectionTime = 0;
     const WS_CONNECTION_MIN_INTERVAL = 500;
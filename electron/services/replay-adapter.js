@@ -0,0 +1,80 @@
+/**
+ * Replay Adapter - Recorded Binance streams on top of the simulated account
+ *
+ * Market, ticker and user streams come from a StreamReplayer recording and are
+ * parsed exactly like live Binance messages. Orders and account queries still go
+ * to the MockExchange inherited from MockAdapter, so replay never touches a real
+ * account. The simulated market clock is not used: the recording is the market.
+ *
+ * REST market data is not part of a recording, so klines, trades and the ticker
+ * start empty. Depth snapshots are served from a book built out of the replayed
+ * diffs, which keeps them consistent with the stream's update ids.
+ */
+
+import { MockAdapter } from './mock-adapter.js';
+import { parseMarketMessage, parseTickerMessage, parseUserMessage, wrapStreamSocket } from './binance-adapter.js';
+import { STREAM_SOURCES } from './stream-recorder.js';
+
+class ReplayAdapter extends MockAdapter {
+    /**
+     * @param {Object} options
+     * @param {import('./stream-recorder.js').StreamReplayer} options.replayer
+     * @param {Object} [options.logger]
+     */
+    constructor({ replayer, ...options }) {
+        super(options);
+        this.replayer = replayer;
+        this.books = new Map(); // symbol -> { lastUpdateId, bids: Map, asks: Map }
+        this.replayer.connect(STREAM_SOURCES.MARKET).on('message', (data) => {
+            const event = parseMarketMessage(data);
+            if (event?.type === 'depth') this.trackDepth(event);
+        });
+    }
+
+    trackDepth({ symbol, lastUpdateId, bids, asks }) {
+        const book = this.books.get(symbol) ?? { lastUpdateId: 0, bids: new Map(), asks: new Map() };
+        const applySide = (side, levels) => levels.forEach(([price, qty]) => {
+            if (parseFloat(qty) === 0) side.delete(price);
+            else side.set(price, qty);
+        });
+        applySide(book.bids, bids);
+        applySide(book.asks, asks);
+        book.lastUpdateId = lastUpdateId;
+        this.books.set(symbol, book);
+    }
+
+    async getKlines() {
+        return [];
+    }
+
+    async getDepthSnapshot(symbol) {
+        const book = this.books.get(symbol);
+        if (!book) return { lastUpdateId: 0, bids: [], asks: [] };
+        return { lastUpdateId: book.lastUpdateId, bids: [...book.bids.entries()], asks: [...book.asks.entries()] };
+    }
+
+    async getRecentTrades() {
+        return [];
+    }
+
+    async getTicker() {
+        return [];
+    }
+
+    // Playback starts with the first market socket, once a chart is actually open
+    async connectMarketStream() {
+        const socket = wrapStreamSocket(this.replayer.connect(STREAM_SOURCES.MARKET), parseMarketMessage);
+        void this.replayer.start();
+        return socket;
+    }
+
+    async connectTickerStream() {
+        return wrapStreamSocket(this.replayer.connect(STREAM_SOURCES.TICKER), parseTickerMessage);
+    }
+
+    async connectUserStream() {
+        return wrapStreamSocket(this.replayer.connect(STREAM_SOURCES.USER), parseUserMessage);
+    }
+}
+
+export { ReplayAdapter };
@@ -0,0 +1,73 @@
+/**
+ * Session Auth - Handshake checks for the local renderer WebSocket
+ *
+ * The service listens on 127.0.0.1 (or on WS_HOST when set), which any web page or
+ * local process can reach. Two checks keep them from driving the account:
+ * 1. Origin allowlist: the packaged app (file://), the Vite dev server and any
+ *    origins listed in WS_ALLOWED_ORIGINS (comma-separated)
+ * 2. Per-launch session token: main.js creates it, hands it to the service and to
+ *    the renderer (as a window argument) and the renderer sends it as ?token=
+ *
+ * The Origin header is only a hint (local processes can forge it); the token is
+ * what actually proves the client was started by this app. The read-only status
+ * routes on the same port are not checked; see status-routes.js.
+ */
+
+import crypto from 'crypto';
+
+// Renderer windows receive the token as process.argv entry `${SESSION_TOKEN_ARG}<token>`
+const SESSION_TOKEN_ARG = '--cc-session-token=';
+
+const createSessionToken = () => crypto.randomBytes(32).toString('hex');
+
+const originOf = (url) => {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Origins allowed to open the renderer socket
+ * @param {Object} [env]
+ * @returns {string[]}
+ */
+const defaultAllowedOrigins = (env = process.env) => {
+    const origins = new Set(['file://']);
+    const devOrigin = env.VITE_DEV_SERVER_URL && originOf(env.VITE_DEV_SERVER_URL);
+    if (devOrigin) origins.add(devOrigin);
+    (env.WS_ALLOWED_ORIGINS || '')
+        .split(',')
+        .map((origin) => origin.trim())
+        .filter(Boolean)
+        .forEach((origin) => origins.add(origin));
+    return [...origins];
+};
+
+const tokensMatch = (expected, received) => {
+    if (typeof received !== 'string') return false;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(received);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Check a websocket-node upgrade request
+ * @param {{ origin?: string, resourceURL?: { query?: Object } }} request
+ * @param {Object} options
+ * @param {string[]} options.allowedOrigins
+ * @param {string} [options.sessionToken] - Without one only the origin is checked
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+const authorizeRequest = (request, { allowedOrigins, sessionToken }) => {
+    if (!request.origin || !allowedOrigins.includes(request.origin)) {
+        return { ok: false, reason: `origin not allowed (${request.origin ?? 'none'})` };
+    }
+    if (sessionToken && !tokensMatch(sessionToken, request.resourceURL?.query?.token)) {
+        return { ok: false, reason: 'missing or invalid session token' };
+    }
+    return { ok: true };
+};
+
+export { SESSION_TOKEN_ARG, authorizeRequest, createSessionToken, defaultAllowedOrigins };
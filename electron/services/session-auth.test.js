@@ -0,0 +1,47 @@
+/**
+ * Tests for the renderer WebSocket handshake checks
+ *
+ * These tests verify:
+ * 1. The packaged app, the dev server and configured origins are allowed
+ * 2. Unknown or missing origins are rejected
+ * 3. The per-launch session token must match when one is configured
+ */
+
+import { describe, it, expect } from 'vitest';
+import { authorizeRequest, createSessionToken, defaultAllowedOrigins } from './session-auth.js';
+
+const request = (origin, token) => ({
+    origin,
+    resourceURL: { query: token === undefined ? {} : { token } }
+});
+
+describe('session auth', () => {
+    it('should build the origin allowlist from the environment', () => {
+        expect(defaultAllowedOrigins({})).toEqual(['file://']);
+        expect(defaultAllowedOrigins({
+            VITE_DEV_SERVER_URL: 'http://localhost:5174/index.html',
+            WS_ALLOWED_ORIGINS: 'http://127.0.0.1:4000, ,app://cc-trade'
+        })).toEqual(['file://', 'http://localhost:5174', 'http://127.0.0.1:4000', 'app://cc-trade']);
+    });
+
+    it('should reject origins outside the allowlist', () => {
+        const options = { allowedOrigins: ['file://'] };
+
+        expect(authorizeRequest(request('file://'), options)).toEqual({ ok: true });
+        expect(authorizeRequest(request('https://evil.example'), options))
+            .toEqual({ ok: false, reason: 'origin not allowed (https://evil.example)' });
+        expect(authorizeRequest(request(undefined), options).ok).toBe(false);
+    });
+
+    it('should require the session token when configured', () => {
+        const sessionToken = createSessionToken();
+        const options = { allowedOrigins: ['file://'], sessionToken };
+
+        expect(sessionToken).toMatch(/^[0-9a-f]{64}$/);
+        expect(authorizeRequest(request('file://', sessionToken), options)).toEqual({ ok: true });
+        expect(authorizeRequest(request('file://'), options))
+            .toEqual({ ok: false, reason: 'missing or invalid session token' });
+        expect(authorizeRequest(request('file://', `${sessionToken.slice(1)}0`), options).ok).toBe(false);
+        expect(authorizeRequest(request('file://', 'short'), options).ok).toBe(false);
+    });
+});
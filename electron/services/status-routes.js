@@ -0,0 +1,52 @@
+/**
+ * Status Routes - Read-only JSON endpoints on the service's HTTP server
+ *
+ * The HTTP server behind the renderer WebSocket answers plain GETs for diagnostics
+ * (e.g. `curl localhost:14477/status`), so a stuck stream can be inspected without
+ * attaching a debugger to Electron. Routes are functions returning the payload;
+ * they run on every request and must not mutate service state.
+ *
+ * The routes need no token: anyone who can reach the port can read them, so the
+ * server binds to 127.0.0.1 unless WS_HOST says otherwise.
+ */
+
+const sendBody = (response, statusCode, body, contentType = 'application/json; charset=utf-8') => {
+    response.writeHead(statusCode, {
+        'Content-Type': contentType,
+        'Cache-Control': 'no-store'
+    });
+    response.end(body);
+};
+
+/**
+ * Build the HTTP request handler
+ * @param {Object<string, Function>} routes - Path -> () => payload (or Promise of it)
+ * @param {Object} [logger]
+ * @returns {Function} (request, response) => void
+ */
+const createStatusHandler = (routes, logger = console) => async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const route = routes[pathname];
+
+    if (!route) {
+        sendBody(response, 404, JSON.stringify({ error: 'Not found' }));
+        return;
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        response.setHeader('Allow', 'GET, HEAD');
+        sendBody(response, 405, JSON.stringify({ error: 'Method not allowed' }));
+        return;
+    }
+
+    try {
+        const payload = await route();
+        const body = typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
+        const contentType = typeof payload === 'string' ? 'text/plain; charset=utf-8' : undefined;
+        sendBody(response, 200, request.method === 'HEAD' ? undefined : body, contentType);
+    } catch (err) {
+        logger.warn(`[status] ${pathname} failed:`, err?.message);
+        sendBody(response, 500, JSON.stringify({ error: 'Internal error' }));
+    }
+};
+
+export { createStatusHandler };
@@ -0,0 +1,57 @@
+/**
+ * Tests for the HTTP status routes
+ *
+ * These tests verify:
+ * 1. Registered routes answer GET with their JSON payload
+ * 2. Unknown paths are 404 and non-GET methods are 405
+ * 3. A failing route answers 500 without leaking the error
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createStatusHandler } from './status-routes.js';
+
+const call = async (handler, method, url) => {
+    const response = {
+        headers: {},
+        setHeader: vi.fn((name, value) => { response.headers[name] = value; }),
+        writeHead: vi.fn((statusCode, headers) => {
+            response.statusCode = statusCode;
+            Object.assign(response.headers, headers);
+        }),
+        end: vi.fn((body) => { response.body = body; })
+    };
+    await handler({ method, url }, response);
+    return response;
+};
+
+describe('createStatusHandler', () => {
+    const logger = { warn: vi.fn() };
+    const handler = createStatusHandler({
+        '/health': () => ({ status: 'ok' }),
+        '/broken': () => { throw new Error('secret detail'); }
+    }, logger);
+
+    it('should answer registered routes with JSON', async () => {
+        const response = await call(handler, 'GET', '/health?verbose=1');
+
+        expect(response.statusCode).toBe(200);
+        expect(response.headers['Content-Type']).toBe('application/json; charset=utf-8');
+        expect(JSON.parse(response.body)).toEqual({ status: 'ok' });
+    });
+
+    it('should reject unknown paths and write methods', async () => {
+        expect((await call(handler, 'GET', '/orders')).statusCode).toBe(404);
+
+        const post = await call(handler, 'POST', '/health');
+        expect(post.statusCode).toBe(405);
+        expect(post.headers.Allow).toBe('GET, HEAD');
+    });
+
+    it('should hide route failures behind a 500', async () => {
+        const response = await call(handler, 'GET', '/broken');
+
+        expect(response.statusCode).toBe(500);
+        expect(response.body).not.toContain('secret detail');
+        expect(logger.warn).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Stream Recorder - Captures Binance stream payloads to JSONL and plays them back
+ *
+ * Recording (RECORD_DIR=<dir>):
+ * - Every message received on the market socket (MarketStreamManager), the global
+ *   ticker stream and the user data stream is appended to
+ *   <dir>/binance-<timestamp>.jsonl as { ts, source, data }
+ *
+ * Replay (REPLAY_FILE=<file>, REPLAY_SPEED=1x|10x|max):
+ * - StreamReplayer reads a recording and hands out socket-like objects per source
+ *   that emit the recorded messages with their original spacing, scaled by speed
+ * - At 'max' records are emitted back-to-back, yielding to the event loop between them
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+const STREAM_SOURCES = {
+    MARKET: 'market',
+    TICKER: 'ticker',
+    USER: 'user'
+};
+
+const REPLAY_SPEEDS = {
+    '1x': 1,
+    '10x': 10,
+    max: Infinity
+};
+
+/**
+ * Resolve a REPLAY_SPEED value; unknown values fall back to real time
+ * @param {string} value - '1x', '10x' or 'max'
+ * @returns {number}
+ */
+function parseReplaySpeed(value) {
+    const key = String(value || '1x').toLowerCase();
+    return REPLAY_SPEEDS[key] ?? REPLAY_SPEEDS['1x'];
+}
+
+// Colons are not allowed in Windows file names
+const fileTimestamp = (time) => new Date(time).toISOString().replace(/[:.]/g, '-');
+
+class StreamRecorder {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory the JSONL file is created in
+     * @param {Function} [options.now] - Clock, injectable for tests
+     * @param {Object} [options.logger]
+     */
+    constructor({ dir, now = Date.now, logger = console }) {
+        this.now = now;
+        this.logger = logger;
+        this.count = 0;
+        fs.mkdirSync(dir, { recursive: true });
+        this.filePath = path.join(dir, `binance-${fileTimestamp(now())}.jsonl`);
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+        this.stream.on('error', (err) => this.logger.error('[StreamRecorder] Write failed:', err?.message));
+        this.logger.info(`[StreamRecorder] Recording streams to ${this.filePath}`);
+    }
+
+    /**
+     * Append one raw socket message
+     * @param {string} source - One of STREAM_SOURCES
+     * @param {string|Buffer} rawMessage - Message exactly as received from the socket
+     */
+    record(source, rawMessage) {
+        if (!this.stream) return;
+        let data;
+        try {
+            data = JSON.parse(rawMessage);
+        } catch {
+            this.logger.warn(`[StreamRecorder] Skipping unparsable ${source} message`);
+            return;
+        }
+        this.stream.write(`${JSON.stringify({ ts: this.now(), source, data })}\n`);
+        this.count += 1;
+    }
+
+    /**
+     * Flush and close the file
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.stream) return Promise.resolve();
+        const stream = this.stream;
+        this.stream = null;
+        return new Promise((resolve) => stream.end(resolve));
+    }
+}
+
+class StreamReplayer {
+    /**
+     * @param {Object} options
+     * @param {Array<{ ts: number, source: string, data: Object }>} options.records - Recording in file order
+     * @param {number} [options.speed] - Playback multiplier, Infinity for max
+     * @param {Object} [options.logger]
+     */
+    constructor({ records, speed = 1, logger = console }) {
+        this.records = records;
+        this.speed = speed;
+        this.logger = logger;
+        this.sockets = new Set();
+        this.position = 0;
+        this.timer = null;
+        this.running = false;
+        this.finished = null;
+    }
+
+    /**
+     * Load a recording written by StreamRecorder
+     * @param {string} filePath
+     * @param {Object} [options] - StreamReplayer options besides records
+     * @returns {StreamReplayer}
+     */
+    static fromFile(filePath, options = {}) {
+        const logger = options.logger ?? console;
+        const records = [];
+        fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                const record = JSON.parse(line);
+                if (Number.isFinite(record?.ts) && record.source && record.data !== undefined) {
+                    records.push(record);
+                }
+            } catch {
+                logger.warn(`[StreamReplayer] Skipping malformed line ${index + 1} in ${filePath}`);
+            }
+        });
+        logger.info(`[StreamReplayer] Loaded ${records.length} records from ${filePath}`);
+        return new StreamReplayer({ ...options, records });
+    }
+
+    /**
+     * Open a socket-like emitter for one source. It emits 'message' with the raw
+     * JSON string, like the @binance/spot stream connections it stands in for.
+     * @param {string} source - One of STREAM_SOURCES
+     * @returns {EventEmitter & { disconnect: Function }}
+     */
+    connect(source) {
+        const socket = new EventEmitter();
+        socket.source = source;
+        socket.disconnect = () => {
+            if (!this.sockets.delete(socket)) return;
+            socket.emit('close', 1000, 'replay socket closed');
+        };
+        this.sockets.add(socket);
+        return socket;
+    }
+
+    /**
+     * Start playback (idempotent)
+     * @returns {Promise<void>} Resolves when the recording is exhausted or stop() is called
+     */
+    start() {
+        if (this.finished) return this.finished;
+        this.running = true;
+        this.finished = new Promise((resolve) => {
+            this.resolveFinished = resolve;
+        });
+        this.logger.info(`[StreamReplayer] Replaying ${this.records.length} records at ${this.speed === Infinity ? 'max' : `${this.speed}x`} speed`);
+        this.scheduleNext();
+        return this.finished;
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.resolveFinished();
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
+    scheduleNext() {
+        if (!this.running) return;
+        if (this.position >= this.records.length) {
+            this.logger.info('[StreamReplayer] Replay finished');
+            this.stop();
+            return;
+        }
+        const previous = this.records[this.position - 1];
+        const gap = previous ? Math.max(0, this.records[this.position].ts - previous.ts) : 0;
+        const delay = this.speed === Infinity ? 0 : gap / this.speed;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.emitRecord(this.records[this.position]);
+            this.position += 1;
+            this.scheduleNext();
+        }, delay);
+    }
+
+    emitRecord(record) {
+        const message = JSON.stringify(record.data);
+        for (const socket of this.sockets) {
+            if (socket.source === record.source) {
+                socket.emit('message', message);
+            }
+        }
+    }
+}
+
+export { STREAM_SOURCES, REPLAY_SPEEDS, StreamRecorder, StreamReplayer, parseReplaySpeed };
@@ -0,0 +1,143 @@
+/**
+ * Tests for stream recording and replay
+ *
+ * These tests verify:
+ * 1. Recorded messages land in a timestamped JSONL file with their source
+ * 2. Replay emits each record only to sockets of the matching source
+ * 3. Replay keeps the recorded spacing scaled by speed (1x/10x/max)
+ * 4. Malformed lines and unknown speeds are tolerated
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    STREAM_SOURCES,
+    StreamRecorder,
+    StreamReplayer,
+    parseReplaySpeed
+} from './stream-recorder.js';
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+const records = [
+    { ts: 1000, source: STREAM_SOURCES.TICKER, data: [{ s: 'BTCUSDT', c: '1' }] },
+    { ts: 1500, source: STREAM_SOURCES.MARKET, data: { stream: 'btcusdt@trade', data: { e: 'trade', p: '2' } } },
+    { ts: 3500, source: STREAM_SOURCES.USER, data: { e: 'outboundAccountPosition', B: [] } }
+];
+
+describe('parseReplaySpeed', () => {
+    it('should map the supported speeds and default to real time', () => {
+        expect(parseReplaySpeed('1x')).toBe(1);
+        expect(parseReplaySpeed('10X')).toBe(10);
+        expect(parseReplaySpeed('max')).toBe(Infinity);
+        expect(parseReplaySpeed(undefined)).toBe(1);
+        expect(parseReplaySpeed('3x')).toBe(1);
+    });
+});
+
+describe('StreamRecorder', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-trade-recorder-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should append one JSONL line per message and skip unparsable ones', async () => {
+        let now = Date.UTC(2024, 0, 2, 3, 4, 5);
+        const recorder = new StreamRecorder({ dir, now: () => now, logger: silentLogger });
+
+        recorder.record(STREAM_SOURCES.TICKER, '[{"s":"BTCUSDT"}]');
+        now += 250;
+        recorder.record(STREAM_SOURCES.MARKET, Buffer.from('{"stream":"btcusdt@trade","data":{"e":"trade"}}'));
+        recorder.record(STREAM_SOURCES.USER, 'not json');
+        await recorder.close();
+
+        expect(path.basename(recorder.filePath)).toBe('binance-2024-01-02T03-04-05-000Z.jsonl');
+        const lines = fs.readFileSync(recorder.filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        expect(lines).toEqual([
+            { ts: Date.UTC(2024, 0, 2, 3, 4, 5), source: 'ticker', data: [{ s: 'BTCUSDT' }] },
+            { ts: Date.UTC(2024, 0, 2, 3, 4, 5) + 250, source: 'market', data: { stream: 'btcusdt@trade', data: { e: 'trade' } } }
+        ]);
+        expect(recorder.count).toBe(2);
+    });
+
+    it('should produce files StreamReplayer can load', async () => {
+        const recorder = new StreamRecorder({ dir, logger: silentLogger });
+        records.forEach((record) => recorder.record(record.source, JSON.stringify(record.data)));
+        await recorder.close();
+        fs.appendFileSync(recorder.filePath, '{broken\n\n');
+
+        const replayer = StreamReplayer.fromFile(recorder.filePath, { logger: silentLogger });
+
+        expect(replayer.records.map((record) => record.source)).toEqual(['ticker', 'market', 'user']);
+        expect(silentLogger.warn).toHaveBeenCalledWith(expect.stringContaining('malformed line'));
+    });
+});
+
+describe('StreamReplayer', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should route records to sockets of the matching source', async () => {
+        const replayer = new StreamReplayer({ records, speed: Infinity, logger: silentLogger });
+        const market = vi.fn();
+        const ticker = vi.fn();
+        replayer.connect(STREAM_SOURCES.MARKET).on('message', market);
+        replayer.connect(STREAM_SOURCES.TICKER).on('message', ticker);
+
+        await replayer.start();
+
+        expect(ticker).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(ticker.mock.calls[0][0])).toEqual([{ s: 'BTCUSDT', c: '1' }]);
+        expect(market).toHaveBeenCalledWith(JSON.stringify(records[1].data));
+        expect(replayer.isRunning()).toBe(false);
+    });
+
+    it('should keep the recorded spacing divided by the speed', async () => {
+        vi.useFakeTimers();
+        const replayer = new StreamReplayer({ records, speed: 10, logger: silentLogger });
+        const received = [];
+        Object.values(STREAM_SOURCES).forEach((source) => {
+            replayer.connect(source).on('message', () => received.push(source));
+        });
+
+        replayer.start();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(received).toEqual(['ticker']);
+
+        await vi.advanceTimersByTimeAsync(49);
+        expect(received).toEqual(['ticker']);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(received).toEqual(['ticker', 'market']);
+
+        await vi.advanceTimersByTimeAsync(200);
+        expect(received).toEqual(['ticker', 'market', 'user']);
+    });
+
+    it('should stop emitting after stop() and on disconnected sockets', async () => {
+        vi.useFakeTimers();
+        const replayer = new StreamReplayer({ records, speed: 1, logger: silentLogger });
+        const socket = replayer.connect(STREAM_SOURCES.TICKER);
+        const onMessage = vi.fn();
+        const onClose = vi.fn();
+        socket.on('message', onMessage);
+        socket.on('close', onClose);
+
+        socket.disconnect();
+        const finished = replayer.start();
+        await vi.advanceTimersByTimeAsync(0);
+        replayer.stop();
+        await finished;
+        await vi.advanceTimersByTimeAsync(5000);
+
+        expect(onMessage).not.toHaveBeenCalled();
+        expect(onClose).toHaveBeenCalledWith(1000, 'replay socket closed');
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Subscription Registry - Process-wide market stream subscriptions
+ *
+ * Every renderer connection keeps its own ChannelManager/MarketStreamManager to
+ * track which kline/trade/depth streams it needs. Those managers report their stream
+ * sets here instead of opening sockets: identical streams are reference counted,
+ * ONE market socket carries the union, and each event is fanned out to the managers
+ * subscribed to its stream. Two windows on the same chart cost one subscription.
+ *
+ * REST backfills go through share(): identical requests in flight at the same time
+ * (e.g. two windows restoring the same layout) reach the exchange once.
+ */
+
+import { MarketSocket } from './channel-manager.js';
+import { parseStreamName } from './exchange-adapter.js';
+
+// Normalized market events carry symbol/type/interval; stream names parse to the same fields
+const streamKey = ({ symbol, kind, interval }) => `${symbol}:${kind}:${interval ?? ''}`;
+const eventKey = (event) => streamKey({ symbol: event.symbol, kind: event.type, interval: event.interval });
+
+class SubscriptionRegistry extends MarketSocket {
+    constructor(logger) {
+        super(logger);
+        this.subscriptions = new Map(); // subscriber -> Set of stream names
+        this.refCounts = new Map();     // stream name -> subscriber count
+        this.listeners = new Map();     // stream key -> Set of subscribers
+        this.inFlight = new Map();      // request key -> pending Promise
+        this.setMessageHandler((event) => this.dispatch(event));
+    }
+
+    /**
+     * Union of every subscriber's streams
+     * @returns {string[]}
+     */
+    getAllStreams() {
+        return Array.from(this.refCounts.keys());
+    }
+
+    /**
+     * Replace a subscriber's stream set; the socket only reconnects when the union changes
+     * @param {Object} subscriber - Receives its events through subscriber.onMessage
+     * @param {string[]} streams
+     */
+    update(subscriber, streams) {
+        const previous = this.subscriptions.get(subscriber) ?? new Set();
+        const next = new Set(streams);
+        let changed = false;
+
+        next.forEach((stream) => {
+            if (!previous.has(stream) && this.retain(stream, subscriber)) changed = true;
+        });
+        previous.forEach((stream) => {
+            if (!next.has(stream) && this.drop(stream, subscriber)) changed = true;
+        });
+
+        if (next.size) this.subscriptions.set(subscriber, next);
+        else this.subscriptions.delete(subscriber);
+
+        if (changed) this.scheduleReconnect();
+    }
+
+    /**
+     * Drop every stream a subscriber holds (renderer disconnected)
+     */
+    release(subscriber) {
+        this.update(subscriber, []);
+    }
+
+    /** @returns {boolean} Whether the stream is new to the socket */
+    retain(stream, subscriber) {
+        const count = this.refCounts.get(stream) ?? 0;
+        this.refCounts.set(stream, count + 1);
+
+        const parsed = parseStreamName(stream);
+        if (parsed) {
+            const key = streamKey(parsed);
+            if (!this.listeners.has(key)) this.listeners.set(key, new Set());
+            this.listeners.get(key).add(subscriber);
+        }
+
+        if (count === 0) this.logger.debug(`[SubscriptionRegistry] Opened stream: ${stream}`);
+        return count === 0;
+    }
+
+    /** @returns {boolean} Whether the stream left the socket */
+    drop(stream, subscriber) {
+        const parsed = parseStreamName(stream);
+        if (parsed) {
+            const key = streamKey(parsed);
+            const subscribers = this.listeners.get(key);
+            subscribers?.delete(subscriber);
+            if (subscribers?.size === 0) this.listeners.delete(key);
+        }
+
+        const count = (this.refCounts.get(stream) ?? 1) - 1;
+        if (count > 0) {
+            this.refCounts.set(stream, count);
+            return false;
+        }
+        this.refCounts.delete(stream);
+        this.logger.debug(`[SubscriptionRegistry] Closed stream: ${stream}`);
+        return true;
+    }
+
+    /**
+     * Fan one market event out to the subscribers of its stream
+     */
+    dispatch(event) {
+        if (!event?.symbol) return;
+        this.listeners.get(eventKey(event))?.forEach((subscriber) => {
+            try {
+                subscriber.onMessage?.(event);
+            } catch (err) {
+                this.logger.warn('[SubscriptionRegistry] Subscriber failed to handle market event:', err?.message);
+            }
+        });
+    }
+
+    /**
+     * Run a REST backfill once for all concurrent callers asking for the same thing
+     * @param {string} key - Identifies the request, e.g. 'klines:BTCUSDT:1h'
+     * @param {Function} fetchFn - () => Promise
+     * @returns {Promise}
+     */
+    share(key, fetchFn) {
+        if (!this.inFlight.has(key)) {
+            const request = new Promise((resolve) => resolve(fetchFn()))
+                .finally(() => this.inFlight.delete(key));
+            this.inFlight.set(key, request);
+        }
+        return this.inFlight.get(key);
+    }
+
+    /**
+     * Registry status for diagnostics
+     */
+    getStatus() {
+        return {
+            streams: Object.fromEntries(this.refCounts),
+            subscribers: this.subscriptions.size,
+            connected: !!this.marketWsConnection
+        };
+    }
+}
+
+export { SubscriptionRegistry };
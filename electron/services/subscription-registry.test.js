@@ -0,0 +1,150 @@
+/**
+ * Tests for the process-wide subscription registry
+ *
+ * These tests verify:
+ * 1. Identical streams from several renderer connections open one socket subscription
+ * 2. Events fan out to every connection subscribed to their stream
+ * 3. Streams stay open until the last subscriber releases them
+ * 4. Concurrent identical REST backfills run once
+ * 5. Socket connects and drops are reported to the state handler
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ChannelManager } from './channel-manager.js';
+import { SubscriptionRegistry } from './subscription-registry.js';
+
+const createLogger = () => ({
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+});
+
+describe('SubscriptionRegistry', () => {
+    let registry;
+    let sockets;
+    let connectFn;
+
+    // One ChannelManager per renderer connection, all sharing the registry
+    const connectRenderer = () => {
+        const streamManager = new ChannelManager(createLogger(), registry).getMarketStreamManager();
+        const received = [];
+        streamManager.setMessageHandler((event) => received.push(event));
+        return { streamManager, received };
+    };
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        sockets = [];
+        connectFn = vi.fn(async ({ stream }) => {
+            const handlers = {};
+            const socket = {
+                stream,
+                on: vi.fn((event, handler) => { handlers[event] = handler; }),
+                disconnect: vi.fn(),
+                emitMessage: (event) => handlers.message?.(event),
+                emitClose: (code, reason) => handlers.close?.(code, reason)
+            };
+            sockets.push(socket);
+            return socket;
+        });
+        registry = new SubscriptionRegistry(createLogger());
+        registry.setConnectFunction(connectFn);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('should open shared streams once and fan events out', async () => {
+        const first = connectRenderer();
+        const second = connectRenderer();
+
+        first.streamManager.addKlineStream('detail-BTCUSDT-1h', 'BTCUSDT', '1h');
+        second.streamManager.addKlineStream('mini-BTCUSDT-1h', 'BTCUSDT', '1h');
+        second.streamManager.addKlineStream('mini-ETHUSDT-4h', 'ETHUSDT', '4h');
+        await vi.advanceTimersByTimeAsync(2100);
+
+        expect(connectFn).toHaveBeenCalledTimes(1);
+        expect(sockets[0].stream.sort()).toEqual(['btcusdt@kline_1h', 'ethusdt@kline_4h']);
+        expect(registry.getStatus().streams).toEqual({ 'btcusdt@kline_1h': 2, 'ethusdt@kline_4h': 1 });
+
+        sockets[0].emitMessage({ type: 'kline', symbol: 'BTCUSDT', interval: '1h', candle: { close: 1 } });
+        sockets[0].emitMessage({ type: 'kline', symbol: 'ETHUSDT', interval: '4h', candle: { close: 2 } });
+
+        expect(first.received.map((event) => event.symbol)).toEqual(['BTCUSDT']);
+        expect(second.received.map((event) => event.symbol)).toEqual(['BTCUSDT', 'ETHUSDT']);
+    });
+
+    it('should not reconnect when a renderer joins streams that are already open', async () => {
+        const first = connectRenderer();
+        first.streamManager.addKlineStream('detail-BTCUSDT-1h', 'BTCUSDT', '1h');
+        first.streamManager.enableDepthView('BTCUSDT');
+        await vi.advanceTimersByTimeAsync(2100);
+
+        const second = connectRenderer();
+        second.streamManager.addKlineStream('detail-BTCUSDT-1h', 'BTCUSDT', '1h');
+        second.streamManager.enableDepthView('BTCUSDT');
+        await vi.advanceTimersByTimeAsync(2100);
+
+        expect(connectFn).toHaveBeenCalledTimes(1);
+
+        sockets[0].emitMessage({ type: 'depth', symbol: 'BTCUSDT', firstUpdateId: 1, lastUpdateId: 1, bids: [], asks: [] });
+        expect(first.received).toHaveLength(1);
+        expect(second.received).toHaveLength(1);
+    });
+
+    it('should keep streams until the last subscriber releases them', async () => {
+        const first = connectRenderer();
+        const second = connectRenderer();
+        first.streamManager.addKlineStream('detail-BTCUSDT-1h', 'BTCUSDT', '1h');
+        second.streamManager.addKlineStream('detail-BTCUSDT-1h', 'BTCUSDT', '1h');
+        await vi.advanceTimersByTimeAsync(2100);
+
+        await first.streamManager.cleanup();
+        await vi.advanceTimersByTimeAsync(2100);
+        expect(sockets[0].disconnect).not.toHaveBeenCalled();
+        expect(registry.getAllStreams()).toEqual(['btcusdt@kline_1h']);
+
+        await second.streamManager.cleanup();
+        await vi.advanceTimersByTimeAsync(2100);
+        expect(sockets[0].disconnect).toHaveBeenCalled();
+        expect(registry.getStatus()).toEqual({ streams: {}, subscribers: 0, connected: false });
+    });
+
+    it('should share concurrent identical backfills', async () => {
+        let resolveFetch;
+        const fetchFn = vi.fn(() => new Promise((resolve) => { resolveFetch = resolve; }));
+
+        const first = registry.share('klines:BTCUSDT:1h', fetchFn);
+        const second = registry.share('klines:BTCUSDT:1h', fetchFn);
+        resolveFetch(['candle']);
+
+        await expect(first).resolves.toEqual(['candle']);
+        await expect(second).resolves.toEqual(['candle']);
+        expect(fetchFn).toHaveBeenCalledTimes(1);
+
+        // Settled requests are not cached: the next backfill fetches fresh data
+        const third = registry.share('klines:BTCUSDT:1h', fetchFn);
+        resolveFetch([]);
+        await third;
+        expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report socket state changes', async () => {
+        const states = [];
+        registry.setStateHandler((state) => states.push(state));
+        const first = connectRenderer();
+        first.streamManager.addKlineStream('detail-BTCUSDT-1h', 'BTCUSDT', '1h');
+        await vi.advanceTimersByTimeAsync(2100);
+
+        sockets[0].emitClose(1006, 'abnormal');
+        await vi.advanceTimersByTimeAsync(3100);
+
+        expect(states).toEqual([
+            { state: 'connected', streams: 1 },
+            { state: 'disconnected', code: 1006, reason: 'abnormal' },
+            { state: 'connected', streams: 1 }
+        ]);
+    });
+});
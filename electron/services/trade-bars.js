@@ -0,0 +1,184 @@
+/**
+ * Trade Bars - Chart bars built from the trade stream instead of the clock
+ *
+ * Intervals (detail channel only):
+ * - tick<N>:  a bar every N trades, e.g. tick100
+ * - vol<N>:   a bar once N base-asset units traded, e.g. vol10, vol0.5
+ * - range<N>: a bar spans at most N price ticks (tickSize); a trade outside opens the next bar
+ * - renko<N>: bricks of N price ticks; a reversal needs two bricks' worth of movement
+ *
+ * Bars carry the open time of their first trade in seconds. Several bars can start in the same
+ * second, so a bar's time is bumped to one second after the previous bar when needed; charts
+ * need strictly increasing times.
+ */
+
+import { decimalsOf } from './order-utils.js';
+
+const TRADE_BAR_PATTERN = /^(tick|vol|range|renko)(\d+(?:\.\d+)?)$/;
+
+const TRADE_BAR_TYPES = {
+    tick: 'tick',
+    vol: 'volume',
+    range: 'range',
+    renko: 'renko'
+};
+
+/**
+ * @param {string} interval
+ * @returns {{ type: 'tick'|'volume'|'range'|'renko', size: number }|null} null for time intervals
+ */
+const parseTradeBarInterval = (interval) => {
+    const match = TRADE_BAR_PATTERN.exec(String(interval));
+    if (!match) return null;
+    const type = TRADE_BAR_TYPES[match[1]];
+    const size = parseFloat(match[2]);
+    if (!(size > 0)) return null;
+    // Trade counts and tick multiples are whole numbers
+    if (type !== 'volume' && !Number.isInteger(size)) return null;
+    return { type, size };
+};
+
+/** Range and Renko sizes are in price ticks and need the symbol's tickSize */
+const needsTickSize = (spec) => spec.type === 'range' || spec.type === 'renko';
+
+class TradeBarBuilder {
+    /**
+     * @param {{ type: string, size: number }} spec - parseTradeBarInterval() result
+     * @param {{ tickSize?: number }} [options]
+     */
+    constructor({ type, size }, { tickSize } = {}) {
+        this.type = type;
+        this.size = size;
+        this.priceStep = needsTickSize({ type }) ? size * tickSize : null;
+        this.priceDecimals = needsTickSize({ type }) ? decimalsOf(tickSize) : null;
+        this.bar = null; // forming bar
+        this.trades = 0; // trades in the forming bar
+        this.lastTime = 0;
+        // Renko: the last completed brick as brick-grid levels (price = level * priceStep)
+        this.brick = null;
+    }
+
+    /** Renko grid level as a price, rounded to the tick so levels do not drift */
+    levelPrice(level) {
+        return Number((level * this.priceStep).toFixed(this.priceDecimals));
+    }
+
+    nextTime(tradeTime) {
+        this.lastTime = Math.max(Math.floor(tradeTime / 1000), this.lastTime + 1);
+        return this.lastTime;
+    }
+
+    openBar(time, open, price) {
+        this.bar = {
+            time: this.nextTime(time),
+            open,
+            high: Math.max(open, price),
+            low: Math.min(open, price),
+            close: price,
+            volume: 0,
+            isFinal: false
+        };
+        this.trades = 0;
+        return this.bar;
+    }
+
+    /**
+     * Apply one trade
+     * @param {{ time: number, price: string|number, qty: string|number }} trade
+     * @returns {Array} Bars this trade changed, oldest first (copies)
+     */
+    add(trade) {
+        const price = parseFloat(trade.price);
+        const qty = parseFloat(trade.qty);
+        const time = Number(trade.time) || Date.now();
+        if (!Number.isFinite(price) || !Number.isFinite(qty)) return [];
+        return this.type === 'renko' ? this.addRenko(time, price, qty) : this.addBar(time, price, qty);
+    }
+
+    addBar(time, price, qty) {
+        const changed = [];
+        // Small tolerance so float steps do not split a bar of exactly `size` ticks
+        if (this.type === 'range' && this.bar &&
+            Math.max(this.bar.high, price) - Math.min(this.bar.low, price) > this.priceStep * (1 + 1e-9)) {
+            this.bar.isFinal = true;
+            changed.push({ ...this.bar });
+            this.bar = null;
+        }
+
+        const bar = this.bar ?? this.openBar(time, price, price);
+        bar.high = Math.max(bar.high, price);
+        bar.low = Math.min(bar.low, price);
+        bar.close = price;
+        bar.volume += qty;
+        this.trades++;
+
+        if ((this.type === 'tick' && this.trades >= this.size) ||
+            (this.type === 'volume' && bar.volume >= this.size)) {
+            bar.isFinal = true;
+            this.bar = null;
+        }
+        changed.push({ ...bar });
+        return changed;
+    }
+
+    addRenko(time, price, qty) {
+        if (!this.brick) {
+            // Anchor the first brick to the brick grid (tolerance for prices on a grid line)
+            const level = Math.floor(price / this.priceStep + 1e-9);
+            this.brick = { open: level, close: level };
+        }
+        const changed = [];
+        const forming = this.bar ?? this.openBar(time, this.levelPrice(this.brick.close), price);
+        forming.high = Math.max(forming.high, price);
+        forming.low = Math.min(forming.low, price);
+        forming.close = price;
+        forming.volume += qty;
+
+        let first = true;
+        for (;;) {
+            const top = Math.max(this.brick.open, this.brick.close);
+            const bottom = Math.min(this.brick.open, this.brick.close);
+            let open;
+            let close;
+            if (price >= this.levelPrice(top + 1)) {
+                open = top;
+                close = top + 1;
+            } else if (price <= this.levelPrice(bottom - 1)) {
+                open = bottom;
+                close = bottom - 1;
+            } else {
+                break;
+            }
+            // The forming bar becomes the first brick; further bricks from this trade follow it
+            const brick = {
+                time: first ? forming.time : this.nextTime(time),
+                open: this.levelPrice(open),
+                high: this.levelPrice(Math.max(open, close)),
+                low: this.levelPrice(Math.min(open, close)),
+                close: this.levelPrice(close),
+                volume: first ? forming.volume : 0,
+                isFinal: true
+            };
+            changed.push(brick);
+            this.brick = { open, close };
+            this.bar = null;
+            first = false;
+        }
+
+        changed.push({ ...(this.bar ?? this.openBar(time, this.levelPrice(this.brick.close), price)) });
+        return changed;
+    }
+}
+
+/**
+ * Bars for a run of trades (oldest first)
+ * @returns {{ bars: Array, builder: TradeBarBuilder }} The builder continues where the trades end
+ */
+const buildTradeBars = (spec, trades, options) => {
+    const builder = new TradeBarBuilder(spec, options);
+    const bars = new Map(); // time -> latest version
+    trades.forEach((trade) => builder.add(trade).forEach((bar) => bars.set(bar.time, bar)));
+    return { bars: [...bars.values()], builder };
+};
+
+export { TradeBarBuilder, buildTradeBars, needsTickSize, parseTradeBarInterval };
@@ -0,0 +1,100 @@
+/**
+ * Tests for trade-built chart bars
+ *
+ * These tests verify:
+ * 1. Only tick/vol/range/renko intervals with valid sizes are trade bars
+ * 2. Tick and volume bars close on their trade count / traded volume
+ * 3. Range bars never span more than N ticks
+ * 4. Renko bricks need one brick to continue and two to reverse, and stay on the tick grid
+ * 5. Bar times stay strictly increasing within one second
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TradeBarBuilder, buildTradeBars, parseTradeBarInterval } from './trade-bars.js';
+
+const T0 = 1_700_000_000_000;
+const trade = (price, qty = 1, time = T0) => ({ time, price: String(price), qty: String(qty) });
+
+describe('parseTradeBarInterval', () => {
+    it('should parse trade bar intervals and ignore time intervals', () => {
+        expect(parseTradeBarInterval('tick100')).toEqual({ type: 'tick', size: 100 });
+        expect(parseTradeBarInterval('vol0.5')).toEqual({ type: 'volume', size: 0.5 });
+        expect(parseTradeBarInterval('range20')).toEqual({ type: 'range', size: 20 });
+        expect(parseTradeBarInterval('renko5')).toEqual({ type: 'renko', size: 5 });
+        expect(parseTradeBarInterval('1h')).toBeNull();
+        expect(parseTradeBarInterval('tick0')).toBeNull();
+        expect(parseTradeBarInterval('tick1.5')).toBeNull();
+    });
+});
+
+describe('TradeBarBuilder', () => {
+    it('should close tick bars after N trades', () => {
+        const builder = new TradeBarBuilder({ type: 'tick', size: 3 });
+        builder.add(trade(10));
+        builder.add(trade(12));
+        const [closed] = builder.add(trade(11));
+        expect(closed).toMatchObject({ open: 10, high: 12, low: 10, close: 11, volume: 3, isFinal: true });
+
+        const [next] = builder.add(trade(9));
+        expect(next).toMatchObject({ open: 9, isFinal: false });
+        expect(next.time).toBe(closed.time + 1);
+    });
+
+    it('should close volume bars once the volume is reached', () => {
+        const builder = new TradeBarBuilder({ type: 'volume', size: 5 });
+        expect(builder.add(trade(10, 2))[0].isFinal).toBe(false);
+        expect(builder.add(trade(11, 4))[0]).toMatchObject({ volume: 6, isFinal: true });
+    });
+
+    it('should open a new range bar when a trade leaves the range', () => {
+        const builder = new TradeBarBuilder({ type: 'range', size: 4 }, { tickSize: 0.5 });
+        builder.add(trade(100));
+        builder.add(trade(102));
+        builder.add(trade(101));
+        const changed = builder.add(trade(102.5));
+
+        expect(changed).toHaveLength(2);
+        expect(changed[0]).toMatchObject({ open: 100, high: 102, low: 100, close: 101, isFinal: true });
+        expect(changed[1]).toMatchObject({ open: 102.5, high: 102.5, low: 102.5, isFinal: false });
+    });
+
+    it('should build renko bricks and reversals', () => {
+        const builder = new TradeBarBuilder({ type: 'renko', size: 10 }, { tickSize: 1 });
+        expect(builder.add(trade(105))).toEqual([expect.objectContaining({ open: 100, close: 105, isFinal: false })]);
+
+        // Two bricks up in one trade, then a new forming bar
+        const up = builder.add(trade(121, 2));
+        expect(up.map(({ open, close, isFinal }) => ({ open, close, isFinal }))).toEqual([
+            { open: 100, close: 110, isFinal: true },
+            { open: 110, close: 120, isFinal: true },
+            { open: 120, close: 121, isFinal: false }
+        ]);
+        expect(up[0].volume).toBe(3);
+
+        // A pullback of one brick is not a reversal
+        expect(builder.add(trade(105)).filter((bar) => bar.isFinal)).toHaveLength(0);
+        const down = builder.add(trade(99)).filter((bar) => bar.isFinal);
+        expect(down).toEqual([expect.objectContaining({ open: 110, close: 100, high: 110, low: 100 })]);
+    });
+
+    it('should keep renko levels on the tick grid', () => {
+        const builder = new TradeBarBuilder({ type: 'renko', size: 3 }, { tickSize: 1e-8 });
+        builder.add(trade(0.00000999));
+        const bricks = builder.add(trade(0.00001029)).filter((bar) => bar.isFinal);
+
+        expect(bricks[0].open).toBe(0.00000999);
+        expect(bricks.map((bar) => bar.close)).toEqual([0.00001002, 0.00001005, 0.00001008, 0.00001011, 0.00001014,
+            0.00001017, 0.0000102, 0.00001023, 0.00001026, 0.00001029]);
+    });
+});
+
+describe('buildTradeBars', () => {
+    it('should keep the latest version of each bar with increasing times', () => {
+        const trades = [trade(10), trade(11), trade(12), trade(13, 1, T0 + 5000)];
+        const { bars, builder } = buildTradeBars({ type: 'tick', size: 2 }, trades);
+
+        expect(bars.map((bar) => bar.time)).toEqual([T0 / 1000, T0 / 1000 + 1]);
+        expect(bars.every((bar) => bar.isFinal)).toBe(true);
+        expect(builder.add(trade(14, 1, T0 + 6000))[0].time).toBe(T0 / 1000 + 6);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Trade History Sync - Account-wide fill history across symbols
+ *
+ * Binance only serves myTrades per symbol, so the account's history is walked
+ * symbol by symbol:
+ * - selectSyncSymbols(): symbols with a balance, open orders or recent activity
+ * - syncTradeHistory(): pages myTrades by fromId from each symbol's cursor (last known trade id)
+ *
+ * Fills are handed out page by page; the renderer stores them and sends its
+ * cursors back on the next sync, so only new fills are fetched.
+ */
+
+// Binance serves at most 1000 trades per myTrades request
+const MY_TRADES_PAGE_LIMIT = 1000;
+
+// Markets the app trades in; balances are looked up against these
+const SYNC_QUOTE_ASSETS = ['USDT', 'BTC'];
+
+/**
+ * Symbols whose trade history should be synced
+ * @param {Object} sources
+ * @param {Object} [sources.balances] - Balances as returned by the adapter (non-zero only)
+ * @param {Object[]} [sources.openOrders] - Open orders in Binance REST shape
+ * @param {string[]} [sources.recentSymbols] - Symbols the renderer opened or already has fills for
+ * @param {string[]} [sources.knownSymbols] - Listed symbols; when given, anything else is dropped
+ * @returns {string[]} Sorted, unique
+ */
+const selectSyncSymbols = ({ balances = {}, openOrders = [], recentSymbols = [], knownSymbols = [] } = {}) => {
+    const symbols = new Set();
+    Object.keys(balances).forEach((asset) => {
+        SYNC_QUOTE_ASSETS.forEach((quote) => {
+            if (asset !== quote) symbols.add(`${asset}${quote}`);
+        });
+    });
+    openOrders.forEach((order) => order?.symbol && symbols.add(order.symbol));
+    recentSymbols.forEach((symbol) => typeof symbol === 'string' && symbols.add(symbol.toUpperCase()));
+
+    const listed = new Set(knownSymbols);
+    return [...symbols]
+        .filter((symbol) => !listed.size || listed.has(symbol))
+        .sort();
+};
+
+/**
+ * Fetch every fill newer than the cursors, oldest first per symbol
+ * A symbol that fails is logged and skipped; the next sync picks it up from the same cursor.
+ * @param {import('./exchange-adapter.js').ExchangeAdapter} adapter
+ * @param {string[]} symbols
+ * @param {Object} options
+ * @param {Object<string, number>} [options.cursors] - Last stored trade id per symbol
+ * @param {Function} options.onTrades - (symbol, trades) for every non-empty page
+ * @param {Function} [options.isCancelled] - Checked between pages
+ * @param {number} [options.pageLimit]
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ symbols: number, trades: number }>}
+ */
+const syncTradeHistory = async (adapter, symbols, {
+    cursors = {},
+    onTrades,
+    isCancelled = () => false,
+    pageLimit = MY_TRADES_PAGE_LIMIT,
+    logger = console
+}) => {
+    let total = 0;
+    for (const symbol of symbols) {
+        let fromId = Number.isFinite(cursors[symbol]) ? cursors[symbol] + 1 : 0;
+        try {
+            while (!isCancelled()) {
+                const page = await adapter.getMyTrades(symbol, { limit: pageLimit, fromId });
+                if (page.length) {
+                    total += page.length;
+                    onTrades(symbol, page);
+                    fromId = page[page.length - 1].id + 1;
+                }
+                if (page.length < pageLimit) break;
+            }
+        } catch (err) {
+            logger.warn(`[trade sync] ${symbol} failed at fromId=${fromId}:`, err?.code || err?.message);
+        }
+        if (isCancelled()) break;
+    }
+    return { symbols: symbols.length, trades: total };
+};
+
+export { MY_TRADES_PAGE_LIMIT, selectSyncSymbols, syncTradeHistory };
@@ -0,0 +1,121 @@
+/**
+ * Tests for the account trade history sync
+ *
+ * These tests verify:
+ * 1. Symbols come from balances, open orders and recent activity, limited to listed symbols
+ * 2. myTrades is paged by fromId from each symbol's cursor until a short page
+ * 3. A failing symbol is skipped; cancellation stops the walk
+ * 4. TRADE execution reports yield their fill in myTrades shape
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { selectSyncSymbols, syncTradeHistory } from './trade-history-sync.js';
+import { fillFromExecutionReport, normalizeExecutionReport } from './exchange-adapter.js';
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+const trades = (symbol, fromId, count) =>
+    Array.from({ length: count }, (_, i) => ({ symbol, id: fromId + i, price: '1', qty: '1' }));
+
+// Serves `count` trades per symbol with ids 0..count-1
+const createAdapter = (counts) => ({
+    getMyTrades: vi.fn(async (symbol, { limit, fromId }) => {
+        const count = counts[symbol];
+        if (count instanceof Error) throw count;
+        return trades(symbol, fromId, Math.max(0, Math.min(limit, count - fromId)));
+    })
+});
+
+describe('selectSyncSymbols', () => {
+    it('should combine balances, open orders and recent symbols', () => {
+        expect(selectSyncSymbols({
+            balances: { ETH: {}, USDT: {} },
+            openOrders: [{ symbol: 'BNBBTC' }],
+            recentSymbols: ['solusdt']
+        })).toEqual(['BNBBTC', 'ETHBTC', 'ETHUSDT', 'SOLUSDT', 'USDTBTC']);
+    });
+
+    it('should drop symbols that are not listed', () => {
+        expect(selectSyncSymbols({
+            balances: { ETH: {}, USDT: {} },
+            knownSymbols: ['ETHUSDT', 'BTCUSDT']
+        })).toEqual(['ETHUSDT']);
+    });
+});
+
+describe('syncTradeHistory', () => {
+    it('should page from the start when a symbol has no cursor', async () => {
+        const adapter = createAdapter({ ETHUSDT: 5 });
+        const onTrades = vi.fn();
+
+        const result = await syncTradeHistory(adapter, ['ETHUSDT'], { onTrades, pageLimit: 2, logger: silentLogger });
+
+        expect(adapter.getMyTrades.mock.calls.map(([, options]) => options.fromId)).toEqual([0, 2, 4]);
+        expect(onTrades.mock.calls.map(([, page]) => page.map((trade) => trade.id))).toEqual([[0, 1], [2, 3], [4]]);
+        expect(result).toEqual({ symbols: 1, trades: 5 });
+    });
+
+    it('should continue after the cursor and skip empty pages', async () => {
+        const adapter = createAdapter({ ETHUSDT: 5, BTCUSDT: 3 });
+        const onTrades = vi.fn();
+
+        await syncTradeHistory(adapter, ['BTCUSDT', 'ETHUSDT'], {
+            cursors: { ETHUSDT: 2, BTCUSDT: 2 },
+            onTrades,
+            pageLimit: 10,
+            logger: silentLogger
+        });
+
+        expect(onTrades).toHaveBeenCalledTimes(1);
+        expect(onTrades).toHaveBeenCalledWith('ETHUSDT', trades('ETHUSDT', 3, 2));
+    });
+
+    it('should skip a failing symbol and stop when cancelled', async () => {
+        const adapter = createAdapter({ AAAUSDT: new Error('boom'), BBBUSDT: 1, CCCUSDT: 1 });
+        const onTrades = vi.fn();
+        let cancelled = false;
+
+        await syncTradeHistory(adapter, ['AAAUSDT', 'BBBUSDT', 'CCCUSDT'], {
+            onTrades: (symbol, page) => {
+                onTrades(symbol, page);
+                cancelled = true;
+            },
+            isCancelled: () => cancelled,
+            logger: silentLogger
+        });
+
+        expect(silentLogger.warn).toHaveBeenCalled();
+        expect(onTrades.mock.calls.map(([symbol]) => symbol)).toEqual(['BBBUSDT']);
+    });
+});
+
+describe('fillFromExecutionReport', () => {
+    it('should turn a TRADE report into a myTrades entry', () => {
+        const report = normalizeExecutionReport({
+            e: 'executionReport', s: 'ETHUSDT', S: 'SELL', o: 'LIMIT', x: 'TRADE', X: 'PARTIALLY_FILLED',
+            i: 7, g: -1, l: '0.5', L: '3000', n: '1.5', N: 'USDT', T: 1700000000000, t: 42, m: true
+        });
+
+        expect(fillFromExecutionReport(report)).toEqual({
+            symbol: 'ETHUSDT',
+            id: 42,
+            orderId: 7,
+            orderListId: -1,
+            price: '3000',
+            qty: '0.5',
+            quoteQty: '1500',
+            commission: '1.5',
+            commissionAsset: 'USDT',
+            time: 1700000000000,
+            isBuyer: false,
+            isMaker: true,
+            isBestMatch: true
+        });
+    });
+
+    it('should ignore reports without a fill', () => {
+        expect(fillFromExecutionReport(normalizeExecutionReport({ s: 'ETHUSDT', x: 'NEW', X: 'NEW' }))).toBeNull();
+        // REST responses report TRADE without a trade id
+        expect(fillFromExecutionReport(normalizeExecutionReport({ symbol: 'ETHUSDT', status: 'FILLED' }, { x: 'TRADE' }))).toBeNull();
+    });
+});
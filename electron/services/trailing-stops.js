@@ -0,0 +1,372 @@
+/**
+ * Trailing Stops - Exit orders that follow the price, tracked by the service
+ *
+ * A SELL stop trails below the highest price seen since it was placed, a BUY stop above
+ * the lowest. The trail is a percentage of that extreme or an absolute amount. When the
+ * price reaches the stop, a MARKET exit is placed, or a GTC LIMIT exit `limitOffset`
+ * beyond the stop price.
+ *
+ * Prices come from the ticker stream (every symbol, once a second) and from the kline
+ * streams of the open charts, fed in through observe(). Nothing rests on the exchange
+ * until the stop fires, so every pair is supported.
+ *
+ * Active stops are saved to a JSON file (a write at most every second while they move)
+ * and loaded again on start, so the trail survives restarts.
+ */
+
+import { buildOrderRequest } from './order-builder.js';
+import { decimalsOf, errorReason, readState, toPositiveNumber, toSteps, writeState } from './order-utils.js';
+
+const TRAIL_TYPES = {
+    PERCENT: 'percent',
+    AMOUNT: 'amount'
+};
+
+const TRAILING_STATUS = {
+    ACTIVE: 'ACTIVE',
+    TRIGGERING: 'TRIGGERING',
+    TRIGGERED: 'TRIGGERED',
+    CANCELED: 'CANCELED',
+    FAILED: 'FAILED'
+};
+
+const EXIT_TYPES = ['MARKET', 'LIMIT'];
+
+const SAVE_DELAY_MS = 1000;
+const MAX_TRAIL_PERCENT = 50;
+const STATE_VERSION = 1;
+
+/**
+ * Validate a renderer trailing stop
+ * @param {Object} payload - { symbol, side, quantity, trailType, trail, exitType?, limitOffset?, referencePrice? }
+ * @returns {Object|{ error: string }}
+ */
+const parseTrailingStop = (payload = {}) => {
+    const symbol = typeof payload.symbol === 'string' ? payload.symbol.toUpperCase() : null;
+    const side = payload.side?.toUpperCase();
+    const quantity = toPositiveNumber(payload.quantity);
+    const trailType = payload.trailType ?? TRAIL_TYPES.PERCENT;
+    const trail = toPositiveNumber(payload.trail);
+    const exitType = (payload.exitType ?? 'MARKET').toUpperCase();
+    const limitOffset = payload.limitOffset === undefined || payload.limitOffset === '' ? 0 : Number(payload.limitOffset);
+
+    if (!symbol) return { error: 'Missing symbol' };
+    if (side !== 'BUY' && side !== 'SELL') return { error: `Invalid side: ${payload.side}` };
+    if (quantity === null) return { error: 'Quantity must be a positive number' };
+    if (!Object.values(TRAIL_TYPES).includes(trailType)) return { error: `Unsupported trail type: ${payload.trailType}` };
+    if (trail === null) return { error: 'Trail must be a positive number' };
+    if (trailType === TRAIL_TYPES.PERCENT && trail >= MAX_TRAIL_PERCENT) {
+        return { error: `Trail must be below ${MAX_TRAIL_PERCENT}%` };
+    }
+    if (!EXIT_TYPES.includes(exitType)) return { error: `Unsupported exit type: ${payload.exitType}` };
+    if (!Number.isFinite(limitOffset) || limitOffset < 0) return { error: 'Limit offset must be zero or more' };
+    return {
+        symbol,
+        side,
+        quantity,
+        trailType,
+        trail,
+        exitType,
+        limitOffset: exitType === 'LIMIT' ? limitOffset : 0,
+        referencePrice: toPositiveNumber(payload.referencePrice)
+    };
+};
+
+class TrailingStopManager {
+    /**
+     * @param {Object} options
+     * @param {import('./exchange-adapter.js').ExchangeAdapter} options.adapter
+     * @param {Object} [options.logger]
+     * @param {string|null} [options.filePath] - State file; null keeps the stops in memory only
+     * @param {Function} [options.onUpdate] - (snapshot) when a stop moves, fires or ends
+     * @param {Function} [options.onReports] - (reports) for the exit order responses
+     * @param {number} [options.saveDelayMs]
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor({
+        adapter,
+        logger = console,
+        filePath = null,
+        onUpdate = () => {},
+        onReports = () => {},
+        saveDelayMs = SAVE_DELAY_MS,
+        now = Date.now
+    }) {
+        this.adapter = adapter;
+        this.logger = logger;
+        this.filePath = filePath;
+        this.onUpdate = onUpdate;
+        this.onReports = onReports;
+        this.saveDelayMs = saveDelayMs;
+        this.now = now;
+        this.stops = new Map(); // id -> stop
+        this.lastPrices = new Map(); // symbol -> last observed price
+        this.saveTimer = null;
+        this.nextId = 1;
+        this.load();
+    }
+
+    get size() {
+        return this.stops.size;
+    }
+
+    /** @returns {Object[]} Active stops, oldest first */
+    list() {
+        return [...this.stops.values()].map((stop) => this.snapshot(stop));
+    }
+
+    /**
+     * Start trailing; the stop is placed from the last observed price, or the
+     * renderer's reference price before the first one
+     * @param {Object} payload - See parseTrailingStop
+     * @returns {Promise<{ stop: Object } | { error: string }>}
+     */
+    async add(payload) {
+        const spec = parseTrailingStop(payload);
+        if (spec.error) return spec;
+
+        const filters = await this.adapter.getFilters(spec.symbol);
+        if (!filters) return { error: `Unknown symbol: ${spec.symbol}` };
+        const tickSize = Number(filters.tickSize);
+        const stepSize = Number(filters.stepSize);
+        const qtyDecimals = decimalsOf(filters.stepSize);
+        const quantity = Number((toSteps(spec.quantity, stepSize, Math.floor) * stepSize).toFixed(qtyDecimals));
+        if (!(quantity > 0)) return { error: 'Quantity is below the lot size' };
+        if (quantity < (Number(filters.minQty) || 0)) return { error: `Quantity is below the minimum of ${filters.minQty}` };
+        if (spec.trailType === TRAIL_TYPES.AMOUNT && spec.trail < tickSize) {
+            return { error: `Trail must be at least one tick (${filters.tickSize})` };
+        }
+        // Valued at the current price; the exit is refused later if the stop ends up below it anyway
+        const { referencePrice, ...rest } = spec;
+        const price = this.lastPrices.get(spec.symbol) ?? referencePrice;
+        const minNotional = Number(filters.minNotional) || 0;
+        if (price && quantity * price < minNotional) {
+            return { error: `Order value is below the minimum of ${filters.minNotional} ${filters.quoteAsset ?? ''}`.trim() };
+        }
+
+        const createdAt = this.now();
+        const stop = {
+            ...rest,
+            quantity,
+            id: `trail${createdAt.toString(36)}${this.nextId++}`,
+            status: TRAILING_STATUS.ACTIVE,
+            tickSize,
+            stepSize,
+            priceDecimals: decimalsOf(filters.tickSize),
+            qtyDecimals,
+            extreme: null,
+            stopPrice: null,
+            lastPrice: null,
+            createdAt,
+            updatedAt: createdAt
+        };
+        this.stops.set(stop.id, stop);
+        this.logger.info(`[trailing] ${stop.id} ${stop.side} ${this.formatQty(stop, quantity)} ${stop.symbol} trail ${stop.trail}${stop.trailType === TRAIL_TYPES.PERCENT ? '%' : ''} (${stop.exitType})`);
+
+        if (price) {
+            this.observeStop(stop, price);
+        } else {
+            this.update(stop);
+        }
+        this.save();
+        return { stop: this.snapshot(stop) };
+    }
+
+    /**
+     * Stop trailing without placing anything
+     * @param {string} id
+     * @returns {{ stop: Object } | { error: string }}
+     */
+    cancel(id) {
+        const stop = this.stops.get(id);
+        if (!stop) return { error: `Unknown trailing stop: ${id}` };
+        if (stop.status !== TRAILING_STATUS.ACTIVE) return { error: 'The exit order is already being placed' };
+        this.stops.delete(id);
+        stop.status = TRAILING_STATUS.CANCELED;
+        this.logger.info(`[trailing] ${id} canceled`);
+        this.update(stop);
+        this.save();
+        return { stop: this.snapshot(stop) };
+    }
+
+    /**
+     * Ticker stream rows
+     * @param {Array<{ symbol: string, lastPrice: string }>} tickers
+     */
+    observeTickers(tickers = []) {
+        tickers.forEach(({ symbol, lastPrice }) => this.observe(symbol, parseFloat(lastPrice)));
+    }
+
+    /**
+     * A live price for a symbol: move its stops and fire the ones it reaches
+     * @param {string} symbol
+     * @param {number} price
+     */
+    observe(symbol, price) {
+        if (!symbol || !(price > 0)) return;
+        this.lastPrices.set(symbol, price);
+        let moved = false;
+        for (const stop of this.stops.values()) {
+            if (stop.symbol === symbol && stop.status === TRAILING_STATUS.ACTIVE) {
+                moved = this.observeStop(stop, price) || moved;
+            }
+        }
+        if (moved) this.scheduleSave();
+    }
+
+    /** Write pending changes now (on shutdown) */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.save();
+    }
+
+    // --- Internals -------------------------------------------------------------
+
+    /** @returns {boolean} Whether the stop level moved */
+    observeStop(stop, price) {
+        stop.lastPrice = price;
+        const isSell = stop.side === 'SELL';
+        const isNewExtreme = stop.extreme === null || (isSell ? price > stop.extreme : price < stop.extreme);
+        let moved = false;
+        if (isNewExtreme) {
+            stop.extreme = price;
+            const stopPrice = this.stopPriceFor(stop, price);
+            // The stop only ever tightens, even when rounding would loosen it by a tick
+            if (stop.stopPrice === null || (isSell ? stopPrice > stop.stopPrice : stopPrice < stop.stopPrice)) {
+                stop.stopPrice = stopPrice;
+                moved = true;
+                this.update(stop);
+            }
+        }
+        if (isSell ? price <= stop.stopPrice : price >= stop.stopPrice) {
+            void this.trigger(stop, price);
+        }
+        return moved;
+    }
+
+    stopPriceFor(stop, extreme) {
+        const isSell = stop.side === 'SELL';
+        const distance = stop.trailType === TRAIL_TYPES.PERCENT ? (extreme * stop.trail) / 100 : stop.trail;
+        const raw = isSell ? extreme - distance : extreme + distance;
+        // Round away from the price so the trail is never tighter than asked
+        const steps = toSteps(raw, stop.tickSize, isSell ? Math.floor : Math.ceil);
+        return Number((Math.max(steps, 1) * stop.tickSize).toFixed(stop.priceDecimals));
+    }
+
+    async trigger(stop, price) {
+        stop.status = TRAILING_STATUS.TRIGGERING;
+        stop.triggerPrice = price;
+        this.logger.info(`[trailing] ${stop.id} ${stop.symbol} hit ${this.formatPrice(stop, stop.stopPrice)} at ${price}, placing ${stop.exitType} exit`);
+        this.update(stop);
+        this.save();
+
+        const orderRequest = buildOrderRequest({
+            symbol: stop.symbol,
+            side: stop.side,
+            quantity: this.formatQty(stop, stop.quantity),
+            ...(stop.exitType === 'LIMIT'
+                ? { price: this.formatPrice(stop, this.exitLimitPrice(stop)), timeInForce: 'GTC' }
+                : { orderType: 'MARKET' })
+        });
+        try {
+            if (orderRequest.error) throw new Error(orderRequest.error);
+            const reports = await this.adapter.placeOrder(orderRequest);
+            stop.status = TRAILING_STATUS.TRIGGERED;
+            stop.orderId = reports[0]?.i ?? null;
+            this.onReports(reports);
+        } catch (error) {
+            stop.status = TRAILING_STATUS.FAILED;
+            stop.reason = errorReason(error);
+            this.logger.error(`[trailing] ${stop.id} exit failed: ${stop.reason}`);
+        }
+        this.stops.delete(stop.id);
+        this.update(stop);
+        this.save();
+    }
+
+    exitLimitPrice(stop) {
+        const price = stop.side === 'SELL' ? stop.stopPrice - stop.limitOffset : stop.stopPrice + stop.limitOffset;
+        return Math.max(price, stop.tickSize);
+    }
+
+    update(stop) {
+        stop.updatedAt = this.now();
+        this.onUpdate(this.snapshot(stop));
+    }
+
+    snapshot(stop) {
+        return {
+            id: stop.id,
+            symbol: stop.symbol,
+            side: stop.side,
+            status: stop.status,
+            quantity: this.formatQty(stop, stop.quantity),
+            trailType: stop.trailType,
+            trail: stop.trail,
+            exitType: stop.exitType,
+            limitOffset: stop.limitOffset,
+            extreme: stop.extreme !== null ? this.formatPrice(stop, stop.extreme) : null,
+            stopPrice: stop.stopPrice !== null ? this.formatPrice(stop, stop.stopPrice) : null,
+            ...(stop.triggerPrice !== undefined && { triggerPrice: this.formatPrice(stop, stop.triggerPrice) }),
+            ...(stop.orderId !== undefined && { orderId: stop.orderId }),
+            ...(stop.reason && { reason: stop.reason }),
+            createdAt: stop.createdAt,
+            updatedAt: stop.updatedAt
+        };
+    }
+
+    formatQty(stop, value) {
+        return Number(value).toFixed(stop.qtyDecimals);
+    }
+
+    formatPrice(stop, value) {
+        return Number(value).toFixed(stop.priceDecimals);
+    }
+
+    // --- Persistence -------------------------------------------------------------
+
+    scheduleSave() {
+        if (this.saveTimer || !this.filePath) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelayMs);
+    }
+
+    save() {
+        if (!this.filePath) return;
+        const stops = [...this.stops.values()].map(({ lastPrice: _lastPrice, ...stop }) => stop);
+        try {
+            writeState(this.filePath, { version: STATE_VERSION, stops });
+        } catch (err) {
+            this.logger.error(`[trailing] Could not save ${this.filePath}:`, err?.message);
+        }
+    }
+
+    load() {
+        if (!this.filePath) return;
+        let state;
+        try {
+            state = readState(this.filePath);
+        } catch (err) {
+            this.logger.error(`[trailing] Ignoring unreadable ${this.filePath}:`, err?.message);
+            return;
+        }
+        let dropped = 0;
+        (Array.isArray(state?.stops) ? state.stops : []).forEach((stop) => {
+            if (!stop?.id || !stop.symbol) return;
+            if (stop.status === TRAILING_STATUS.TRIGGERING) {
+                // The service stopped between the trigger and the exchange's answer
+                this.logger.warn(`[trailing] ${stop.id} ${stop.symbol} was placing its exit when the service stopped; check the open orders`);
+                dropped++;
+                return;
+            }
+            this.stops.set(stop.id, { ...stop, lastPrice: null });
+        });
+        if (this.stops.size) this.logger.info(`[trailing] Restored ${this.stops.size} trailing stop(s)`);
+        if (dropped) this.save();
+    }
+}
+
+export { TRAILING_STATUS, TRAIL_TYPES, TrailingStopManager, parseTrailingStop };
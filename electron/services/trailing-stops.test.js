@@ -0,0 +1,175 @@
+/**
+ * Tests for the backend trailing stops
+ *
+ * These tests verify:
+ * 1. Trailing stops are validated before anything is tracked, including the minimum quantity and order value
+ * 2. SELL stops follow new highs by percent, BUY stops follow new lows by amount, and never loosen
+ * 3. Reaching the stop places a MARKET exit, or a LIMIT exit beyond the stop
+ * 4. Rejected exits end the stop as FAILED with the exchange reason
+ * 5. Active stops are saved to the state file and restored, dropping interrupted exits
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { TrailingStopManager, parseTrailingStop } from './trailing-stops.js';
+import { altFilters, createScriptedExchange, silentLogger } from '../test/scripted-exchange.js';
+
+const FILTERS = altFilters({ minQty: '0.50000000' });
+
+describe('parseTrailingStop', () => {
+    it('should validate trailing stops', () => {
+        expect(parseTrailingStop({ symbol: 'altusdt', side: 'sell', quantity: '5', trail: '2' })).toEqual({
+            symbol: 'ALTUSDT', side: 'SELL', quantity: 5, trailType: 'percent', trail: 2, exitType: 'MARKET', limitOffset: 0, referencePrice: null
+        });
+        expect(parseTrailingStop({ symbol: 'ALTUSDT', side: 'BUY', quantity: 5, trailType: 'amount', trail: 0.5, exitType: 'limit', limitOffset: '0.1' }))
+            .toMatchObject({ trailType: 'amount', exitType: 'LIMIT', limitOffset: 0.1 });
+        expect(parseTrailingStop({ symbol: 'ALTUSDT', side: 'SELL', quantity: 5, trail: 60 }).error).toMatch(/below 50%/);
+        expect(parseTrailingStop({ symbol: 'ALTUSDT', side: 'SELL', quantity: 5, trail: 1, trailType: 'atr' }).error).toMatch(/trail type/);
+        expect(parseTrailingStop({ symbol: 'ALTUSDT', side: 'SELL', quantity: 5, trail: 1, exitType: 'OCO' }).error).toMatch(/exit type/);
+        expect(parseTrailingStop({ symbol: 'ALTUSDT', side: 'SELL', quantity: 0, trail: 1 }).error).toMatch(/Quantity/);
+    });
+});
+
+describe('TrailingStopManager', () => {
+    let adapter;
+    let updates;
+    let reports;
+    let dir;
+    let filePath;
+
+    const createManager = () => new TrailingStopManager({
+        adapter,
+        logger: silentLogger,
+        filePath,
+        onUpdate: (snapshot) => updates.push(snapshot),
+        onReports: (batch) => reports.push(...batch),
+        now: () => 1700000000000
+    });
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        adapter = createScriptedExchange({ filters: { ALTUSDT: FILTERS } }).adapter;
+        updates = [];
+        reports = [];
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cc-trailing-'));
+        filePath = path.join(dir, 'trailing-stops.json');
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should reject unknown symbols and trails below one tick', async () => {
+        const manager = createManager();
+
+        expect(await manager.add({ symbol: 'NOPEUSDT', side: 'SELL', quantity: 1, trail: 1 })).toEqual({ error: 'Unknown symbol: NOPEUSDT' });
+        expect((await manager.add({ symbol: 'ALTUSDT', side: 'SELL', quantity: 1, trailType: 'amount', trail: 0.001 })).error)
+            .toMatch(/at least one tick/);
+        expect(manager.size).toBe(0);
+    });
+
+    it('should reject stops below the minimum quantity or order value', async () => {
+        const manager = createManager();
+
+        expect(await manager.add({ symbol: 'ALTUSDT', side: 'SELL', quantity: 0.3, trail: 1, referencePrice: 100 }))
+            .toEqual({ error: 'Quantity is below the minimum of 0.50000000' });
+        expect(await manager.add({ symbol: 'ALTUSDT', side: 'SELL', quantity: 0.6, trail: 1, referencePrice: 5 }))
+            .toEqual({ error: 'Order value is below the minimum of 5.00000000 USDT' });
+        manager.observe('ALTUSDT', 10);
+        expect((await manager.add({ symbol: 'ALTUSDT', side: 'SELL', quantity: 0.6, trail: 1, referencePrice: 5 })).stop)
+            .toMatchObject({ quantity: '0.6' });
+        expect(manager.size).toBe(1);
+    });
+
+    it('should trail a SELL stop below new highs and exit at market when hit', async () => {
+        const manager = createManager();
+        const { stop } = await manager.add({ symbol: 'ALTUSDT', side: 'SELL', quantity: '5.05', trail: 2, referencePrice: '10' });
+
+        expect(stop).toMatchObject({ status: 'ACTIVE', quantity: '5.0', extreme: '10.00', stopPrice: '9.80' });
+
+        manager.observeTickers([{ symbol: 'ALTUSDT', lastPrice: '12.00' }, { symbol: 'OTHERUSDT', lastPrice: '1' }]);
+        expect(manager.list()[0]).toMatchObject({ extreme: '12.00', stopPrice: '11.76' });
+
+        // Pullbacks above the stop leave it where it is
+        manager.observe('ALTUSDT', 11.8);
+        expect(manager.list()[0].stopPrice).toBe('11.76');
+        expect(adapter.placeOrder).not.toHaveBeenCalled();
+
+        manager.observe('ALTUSDT', 11.75);
+        await vi.waitFor(() => expect(manager.size).toBe(0));
+
+        expect(adapter.placeOrder.mock.calls[0][0].params).toMatchObject({ symbol: 'ALTUSDT', side: 'SELL', type: 'MARKET', quantity: '5' });
+        expect(updates.map((update) => update.status).slice(-2)).toEqual(['TRIGGERING', 'TRIGGERED']);
+        expect(updates.at(-1)).toMatchObject({ orderId: 1, triggerPrice: '11.75', stopPrice: '11.76' });
+        expect(reports).toHaveLength(1);
+    });
+
+    it('should trail a BUY stop above new lows by amount and exit with a limit order', async () => {
+        const manager = createManager();
+        await manager.add({
+            symbol: 'ALTUSDT', side: 'BUY', quantity: 3, trailType: 'amount', trail: 0.5, exitType: 'LIMIT', limitOffset: 0.05
+        });
+
+        // No price seen yet: nothing to trail from
+        expect(manager.list()[0].stopPrice).toBeNull();
+
+        manager.observe('ALTUSDT', 10);
+        manager.observe('ALTUSDT', 9.2);
+        manager.observe('ALTUSDT', 9.5);
+        expect(manager.list()[0]).toMatchObject({ extreme: '9.20', stopPrice: '9.70' });
+
+        manager.observe('ALTUSDT', 9.7);
+        await vi.waitFor(() => expect(manager.size).toBe(0));
+
+        expect(adapter.placeOrder.mock.calls[0][0].params).toMatchObject({
+            side: 'BUY', type: 'LIMIT', timeInForce: 'GTC', price: '9.75', quantity: '3'
+        });
+    });
+
+    it('should end as FAILED when the exit is rejected', async () => {
+        adapter.placeOrder.mockRejectedValueOnce(Object.assign(new Error('Account has insufficient balance.'), { code: -2010 }));
+        const manager = createManager();
+        await manager.add({ symbol: 'ALTUSDT', side: 'SELL', quantity: 5, trail: 1, referencePrice: 10 });
+
+        manager.observe('ALTUSDT', 9);
+        await vi.waitFor(() => expect(updates.at(-1).status).toBe('FAILED'));
+
+        expect(updates.at(-1).reason).toBe('Account has insufficient balance. [-2010]');
+        expect(manager.size).toBe(0);
+    });
+
+    it('should persist active stops and restore them with their trail', async () => {
+        const manager = createManager();
+        const { stop } = await manager.add({ symbol: 'ALTUSDT', side: 'SELL', quantity: 5, trail: 2, referencePrice: 10 });
+        manager.observe('ALTUSDT', 15);
+
+        // Moves are written after the save delay
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).stops[0].extreme).toBe(10);
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).stops[0].extreme).toBe(15);
+
+        const restored = createManager();
+        expect(restored.list()).toEqual([expect.objectContaining({ id: stop.id, extreme: '15.00', stopPrice: '14.70' })]);
+        expect(restored.cancel(stop.id).stop.status).toBe('CANCELED');
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).stops).toEqual([]);
+    });
+
+    it('should drop stops that were placing their exit when the service stopped', () => {
+        fs.writeFileSync(filePath, JSON.stringify({
+            version: 1,
+            stops: [
+                { id: 'a', symbol: 'ALTUSDT', side: 'SELL', status: 'TRIGGERING' },
+                { id: 'b', symbol: 'ALTUSDT', side: 'SELL', status: 'ACTIVE', quantity: 1, trailType: 'percent', trail: 1, qtyDecimals: 1, priceDecimals: 2, extreme: 10, stopPrice: 9.9 }
+            ]
+        }));
+
+        const manager = createManager();
+
+        expect(manager.list().map((stop) => stop.id)).toEqual(['b']);
+        expect(silentLogger.warn).toHaveBeenCalledWith(expect.stringContaining('check the open orders'));
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).stops.map((stop) => stop.id)).toEqual(['b']);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Scripted exchange for the order service tests
+ *
+ * Limit and stop orders rest until the test fills them; MARKET orders fill at once at
+ * the symbol's last price. A filled OCO leg expires its sibling and a cancelled one
+ * cancels it. Every adapter method is a vi.fn, so a test can script a rejection with
+ * mockRejectedValueOnce, and reports come out in the shape the adapters emit.
+ */
+
+import { vi } from 'vitest';
+import { normalizeExecutionReport } from '../services/exchange-adapter.js';
+import { REPLACE_RESULTS, getOrderLegs } from '../services/order-builder.js';
+
+const OPEN_STATUSES = ['NEW', 'PARTIALLY_FILLED'];
+
+// Binance: -2011 = unknown order (filled, cancelled or never placed)
+const UNKNOWN_ORDER = -2011;
+
+const silentLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+
+/**
+ * ALTUSDT exchange filters
+ * @param {Object} [overrides] - e.g. { tickSize: '0.00010000' }
+ * @returns {Object}
+ */
+const altFilters = (overrides = {}) => ({
+    status: 'TRADING',
+    baseAsset: 'ALT',
+    quoteAsset: 'USDT',
+    tickSize: '0.01000000',
+    stepSize: '0.10000000',
+    minQty: '1.00000000',
+    minNotional: '5.00000000',
+    ...overrides
+});
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.filters] - Filters by symbol; other symbols are unknown
+ * @param {Object} [options.book] - Depth snapshot { bids, asks }
+ * @param {Object} [options.balances] - Balances by asset, e.g. { ALT: { available: '12', onOrder: '0' } }
+ * @param {Object} [options.prices] - Last price by symbol, e.g. { ALTUSDT: '2.00' }
+ * @returns {{ adapter: Object, orders: Map, book: Object, rest: Function, fill: Function, open: Function }}
+ */
+const createScriptedExchange = ({
+    filters = { ALTUSDT: altFilters() },
+    book = { bids: [], asks: [] },
+    balances = {},
+    prices = {}
+} = {}) => {
+    const orders = new Map();
+    const trades = [];
+    let nextOrderId = 1;
+    let nextListId = 1;
+
+    const isOpen = (order) => OPEN_STATUSES.includes(order.status);
+    const report = (order, overrides = {}) => normalizeExecutionReport({
+        symbol: order.symbol,
+        side: order.side,
+        type: order.type,
+        orderId: order.orderId,
+        clientOrderId: order.clientOrderId,
+        orderListId: order.orderListId,
+        price: order.price,
+        stopPrice: order.stopPrice,
+        origQty: order.quantity,
+        executedQty: String(order.executedQty),
+        cummulativeQuoteQty: String(order.executedQuote),
+        status: order.status
+    }, overrides);
+    const siblings = (order) => [...orders.values()].filter((other) => other !== order
+        && order.orderListId !== -1 && other.orderListId === order.orderListId && isOpen(other));
+    const execute = (order, qty, price) => {
+        order.executedQty = Number((order.executedQty + qty).toFixed(8));
+        order.executedQuote = Number((order.executedQuote + qty * price).toFixed(8));
+        order.status = order.executedQty >= Number(order.quantity) ? 'FILLED' : 'PARTIALLY_FILLED';
+        trades.push({ symbol: order.symbol, orderId: order.orderId, price: String(price), qty: String(qty) });
+        if (order.status === 'FILLED') siblings(order).forEach((sibling) => { sibling.status = 'EXPIRED'; });
+    };
+    const cancel = (order) => {
+        order.status = 'CANCELED';
+        return report(order, { x: 'CANCELED' });
+    };
+
+    // Rest an order on the book, as if placed by the service or elsewhere
+    const rest = (params, orderListId = -1) => {
+        const order = {
+            symbol: params.symbol,
+            side: params.side,
+            type: params.type ?? 'LIMIT',
+            price: params.price,
+            stopPrice: params.stopPrice,
+            quantity: String(params.quantity),
+            clientOrderId: params.newClientOrderId,
+            orderId: nextOrderId++,
+            orderListId,
+            status: 'NEW',
+            executedQty: 0,
+            executedQuote: 0
+        };
+        orders.set(order.orderId, order);
+        return order;
+    };
+
+    const adapter = {
+        getFilters: vi.fn(async (symbol) => filters[symbol] ?? null),
+        getDepthSnapshot: vi.fn(async () => book),
+        getBalances: vi.fn(async () => balances),
+        getTicker: vi.fn(async () => Object.entries(prices).map(([symbol, lastPrice]) => ({ symbol, lastPrice: String(lastPrice) }))),
+        placeOrder: vi.fn(async (request) => {
+            if (request.method === 'orderListOco') {
+                const orderListId = nextListId++;
+                return getOrderLegs(request).map((leg) => report(rest(
+                    { ...request.params, type: leg.type, price: leg.price, stopPrice: leg.stopPrice },
+                    orderListId
+                )));
+            }
+            const order = rest(request.params);
+            if (order.type === 'MARKET') execute(order, Number(order.quantity), Number(prices[order.symbol]) || 0);
+            return [report(order)];
+        }),
+        cancelOrder: vi.fn(async ({ orderId, origClientOrderId }) => {
+            const order = orders.get(orderId) ?? [...orders.values()].find((item) => item.clientOrderId === origClientOrderId);
+            if (!order || !isOpen(order)) throw Object.assign(new Error('Unknown order sent.'), { code: UNKNOWN_ORDER });
+            return [order, ...siblings(order)].map(cancel);
+        }),
+        cancelOpenOrders: vi.fn(async (symbol) => {
+            const open = [...orders.values()].filter((order) => order.symbol === symbol && isOpen(order));
+            if (!open.length) throw Object.assign(new Error('Unknown order sent.'), { code: UNKNOWN_ORDER });
+            return open.map(cancel);
+        }),
+        replaceOrder: vi.fn(async (request) => {
+            const old = orders.get(request.cancelOrderId);
+            const order = rest(request.params);
+            return { result: REPLACE_RESULTS.REPLACED, reports: [cancel(old), report(order)], newOrderId: order.orderId };
+        }),
+        getOpenOrders: vi.fn(async () => [...orders.values()].filter(isOpen).map((order) => ({
+            symbol: order.symbol,
+            orderId: order.orderId,
+            clientOrderId: order.clientOrderId,
+            executedQty: String(order.executedQty),
+            status: order.status
+        }))),
+        getMyTrades: vi.fn(async (symbol) => trades.filter((trade) => trade.symbol === symbol))
+    };
+
+    /**
+     * Fill an open order and return its stream report
+     * @param {number} orderId
+     * @param {number} qty
+     * @param {number} [price] - Defaults to the order's limit price
+     */
+    const fill = (orderId, qty, price = Number(orders.get(orderId).price)) => {
+        const order = orders.get(orderId);
+        execute(order, qty, price);
+        return report(order, { x: 'TRADE', l: String(qty), L: String(price) });
+    };
+    const open = () => [...orders.values()].filter(isOpen);
+
+    return { adapter, orders, book, rest, fill, open };
+};
+
+export { altFilters, createScriptedExchange, silentLogger };
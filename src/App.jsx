@@ -3,6 +3,7 @@ import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import './styles/app-layout.css'
 import { ChartWrapper } from './components/features/charts/ChartWrapper'
 import OrderFormModal from './components/features/trading/OrderFormModal'
+import PanicModal from './components/features/trading/PanicModal'
 import OrderBook from './components/features/trading/OrderBook'
 import TradesPanel from './components/features/trading/TradesPanel'
 import UpperPanel from './components/layout/UpperPanel'
@@ -13,13 +14,17 @@ import DrawingToolbar from './components/features/tools/DrawingToolbar'
 import AlertPanel from './components/features/tools/AlertPanel'
 import MainView from './components/layout/MainView'
 import NotificationToast from './components/common/NotificationToast'
-import { INTERVALS } from './constants'
+import { ALGO_ORDER_TYPES, ORDER_TYPES } from './constants'
 import { DataProvider, useDataContext } from './context/DataContext'
 import { DrawingProvider } from './context/DrawingProvider';
 import { AlertProvider } from './context/AlertProvider';
 import { useAlertContext } from './hooks/useAlertContext';
 import { NotificationProvider } from './context/NotificationProvider'
+import { useNotifications } from './hooks/useNotifications';
 import { calculatePrecision } from './utils/precision';
+import { createClientOrderId } from './utils/utils';
+import { cancelAll } from './utils/operations';
+import { getQuickSwitchResults } from './utils/quickSwitch';
 
 // View types
 const VIEWS = {
@@ -37,12 +42,15 @@ function AppShell() {
     filters,
     isOffline,
     sendMessage,
+    applyOptimisticOrder,
   } = useDataContext();
-  const { alerts, checkPriceAlerts, triggeredAlerts: _triggeredAlerts } = useAlertContext();
+  const notifications = useNotifications();
+  const { alerts, triggeredAlerts: _triggeredAlerts } = useAlertContext();
   const [showOrderModal, setShowOrderModal] = useState(false);
   const [orderModalData, setOrderModalData] = useState(null);
   const [showAlertPanel, setShowAlertPanel] = useState(false);
   const [alertInitialPrice, setAlertInitialPrice] = useState(null);
+  const [showPanicModal, setShowPanicModal] = useState(false);
   const [quickSwitch, setQuickSwitch] = useState({ visible: false, mode: 'pair', query: '', selectedIndex: 0 });
 
   // Store reference to MainView's slot updater for AnalyticsPanel clicks
@@ -150,19 +158,6 @@ function AppShell() {
     setCurrentView(VIEWS.DEPTH);
   }, [panel, handlePanelUpdate, setCurrentView]);
 
-  // Check price alerts when ticker updates
-  useEffect(() => {
-    if (!panel?.selected || !ticker || ticker.length === 0) return;
-
-    const currentTicker = ticker.find(t => t.symbol === panel.selected);
-    if (currentTicker && currentTicker.lastPrice) {
-      const price = parseFloat(currentTicker.lastPrice);
-      if (price > 0) {
-        checkPriceAlerts(panel.selected, price);
-      }
-    }
-  }, [ticker, panel?.selected, checkPriceAlerts]);
-
   // Count active alerts for current symbol
   const activeAlertsCount = useMemo(() => {
     return alerts.filter(a => a.symbol === panel?.selected && a.active).length;
@@ -178,54 +173,7 @@ function AppShell() {
 
   const quickSwitchResults = useMemo(() => {
     if (!quickSwitch.visible) return [];
-    const prioritizePairs = (items) => {
-      const SUFFIX_PRIORITY = ['USDT', 'BNB', 'BTC'];
-      const getPriority = (symbol) => {
-        const match = SUFFIX_PRIORITY.find((suffix) => symbol.endsWith(suffix));
-        return match ? SUFFIX_PRIORITY.indexOf(match) : SUFFIX_PRIORITY.length;
-      };
-      return [...items].sort((a, b) => {
-        const priorityDiff = getPriority(a) - getPriority(b);
-        if (priorityDiff !== 0) return priorityDiff;
-        return a.localeCompare(b);
-      });
-    };
-
-    const sortIntervals = (items) => {
-      const unitMultipliers = { m: 1, h: 60, d: 1440, w: 10080, M: 43200 };
-      const parseIntervalValue = (interval) => {
-        const match = /^(\d+)([mhdwM])$/.exec(interval);
-        if (!match) return Number.MAX_SAFE_INTEGER;
-        const [, value, unit] = match;
-        return parseInt(value, 10) * (unitMultipliers[unit] ?? Number.MAX_SAFE_INTEGER);
-      };
-      return [...items].sort((a, b) => {
-        const diff = parseIntervalValue(a) - parseIntervalValue(b);
-        if (diff !== 0) return diff;
-        return a.localeCompare(b);
-      });
-    };
-
-    const source = quickSwitch.mode === 'pair' ? availablePairs : INTERVALS;
-    const query = quickSwitch.query.trim().toUpperCase();
-    let filtered = source;
-
-    if (query) {
-      const matches = source.filter((item) => item.toUpperCase().includes(query));
-      if (quickSwitch.mode === 'pair') {
-        const startsWith = matches.filter((item) => item.toUpperCase().startsWith(query));
-        const contains = matches.filter((item) => !item.toUpperCase().startsWith(query));
-        filtered = [...prioritizePairs(startsWith), ...prioritizePairs(contains)];
-      } else {
-        filtered = sortIntervals(matches);
-      }
-    } else if (quickSwitch.mode === 'pair') {
-      filtered = prioritizePairs(source);
-    } else {
-      filtered = sortIntervals(source);
-    }
-
-    return filtered.slice(0, 30);
+    return getQuickSwitchResults({ mode: quickSwitch.mode, query: quickSwitch.query, pairs: availablePairs });
   }, [quickSwitch, availablePairs]);
 
   const quickSwitchResultsCount = quickSwitchResults.length;
@@ -234,7 +182,7 @@ function AppShell() {
     const handleGlobalQuickSwitch = (event) => {
       console.log('Global Keydown:', event.key, event.target.tagName);
       if (event.metaKey || event.ctrlKey || event.altKey) return;
-      if (quickSwitch.visible || showOrderModal) return;
+      if (quickSwitch.visible || showOrderModal || showPanicModal) return;
       const target = event.target;
       if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
 
@@ -249,7 +197,27 @@ function AppShell() {
 
     document.addEventListener('keydown', handleGlobalQuickSwitch);
     return () => document.removeEventListener('keydown', handleGlobalQuickSwitch);
-  }, [quickSwitch.visible, showOrderModal]);
+  }, [quickSwitch.visible, showOrderModal, showPanicModal]);
+
+  // Kill switch hotkey: Ctrl+Shift+K (Cmd+Shift+K on macOS), from anywhere, even inside inputs
+  useEffect(() => {
+    const handlePanicHotkey = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || !event.shiftKey || event.altKey) return;
+      if (event.key.toUpperCase() !== 'K') return;
+      event.preventDefault();
+      setShowPanicModal(true);
+    };
+
+    document.addEventListener('keydown', handlePanicHotkey);
+    return () => document.removeEventListener('keydown', handlePanicHotkey);
+  }, []);
+
+  const handlePanicConfirm = useCallback((options) => {
+    setShowPanicModal(false);
+    if (!cancelAll(options, wsConnection)) {
+      notifications?.notifyError('Kill switch not sent: not connected to the service');
+    }
+  }, [wsConnection, notifications]);
 
   const handleRequest = useCallback((data, type) => {
     if (!wsConnection || wsConnection.readyState !== WebSocket.OPEN) {
@@ -263,34 +231,81 @@ function AppShell() {
         orderId: data.id || data.orderId,
         id: data.id || data.orderId,
       };
+      applyOptimisticOrder('cancel', { orderId: payload.orderId });
       wsConnection.send(JSON.stringify({ request: 'cancelOrder', data: payload }));
       return;
     }
 
-    if (type === 'order') {
+    // Shared by new orders and amends
+    const buildOrderPayload = () => {
+      const isMarket = data.orderType === 'MARKET';
+      // An algo's price is an optional cap for its children, a trailing stop's the price it trails from
+      const priceOptional = isMarket || ALGO_ORDER_TYPES.includes(data.orderType) || data.orderType === ORDER_TYPES.TRAILING_STOP;
       const quantity = data.amount ?? data.quantity;
-      if (!quantity || !data.price || !data.symbol) {
+      const sizedByQuote = isMarket && data.quoteOrderQty;
+      if ((!quantity && !sizedByQuote) || (!data.price && !priceOptional) || !data.symbol) {
         console.warn('Missing order fields', data);
-        return;
+        return null;
       }
 
-      // Apply 99.9% reduction to avoid insufficient funds
-      const rawQuantity = parseFloat(quantity);
-      const reducedQuantity = rawQuantity * 0.999;
-
       const precision = calculatePrecision(filters?.[data.symbol]);
-      const quantityDecimals = precision.quantity;
-
-      // Use floor logic to ensure we don't round up
-      const factor = Math.pow(10, quantityDecimals);
-      const finalQuantity = Math.floor(reducedQuantity * factor) / factor;
+      // Apply 99.9% reduction to avoid insufficient funds, flooring so we never round up.
+      // Amends reuse the funds of the order they replace, so they keep the full size.
+      const headroom = type === 'replace' ? 1 : 0.999;
+      const reduceTo = (value, decimals) => {
+        const factor = Math.pow(10, decimals);
+        return Math.floor(parseFloat(value) * headroom * factor) / factor;
+      };
 
       const payload = {
         symbol: data.symbol,
         side: data.side,
-        price: Number(data.price).toString(),
-        quantity: finalQuantity.toString(),
       };
+      if (sizedByQuote) {
+        payload.quoteOrderQty = reduceTo(data.quoteOrderQty, precision.notional).toString();
+      } else {
+        payload.quantity = reduceTo(quantity, precision.quantity).toString();
+      }
+      if (data.price) {
+        // MARKET orders keep the price as a reference for mock fills and logs
+        payload.price = Number(data.price).toString();
+      }
+      if (data.timeInForce && !isMarket) {
+        payload.timeInForce = data.timeInForce;
+      }
+      if (isMarket) {
+        payload.orderType = data.orderType;
+      } else if (data.orderType && data.orderType !== 'LIMIT') {
+        payload.orderType = data.orderType;
+        if (data.stopPrice) {
+          payload.stopPrice = Number(data.stopPrice).toString();
+        }
+        if (data.stopLimitPrice) {
+          payload.stopLimitPrice = Number(data.stopLimitPrice).toString();
+        }
+      }
+      return payload;
+    };
+
+    if (type === 'replace') {
+      const payload = buildOrderPayload();
+      if (!payload) return;
+      wsConnection.send(JSON.stringify({
+        action: 'replaceOrder',
+        ...payload,
+        orderId: data.id || data.orderId,
+      }));
+      return;
+    }
+
+    if (type === 'order') {
+      const payload = buildOrderPayload();
+      if (!payload) return;
+      payload.newClientOrderId = createClientOrderId();
+      // MARKET orders never rest on the book, so there is nothing to show while pending
+      if (payload.orderType !== 'MARKET') {
+        applyOptimisticOrder('place', { ...payload, clientOrderId: payload.newClientOrderId });
+      }
       wsConnection.send(
         JSON.stringify({
           request: data.side === 'SELL' ? 'sellOrder' : 'buyOrder',
@@ -299,7 +314,56 @@ function AppShell() {
       );
       return;
     }
-  }, [wsConnection, filters]);
+
+    if (type === 'algo') {
+      // The backend places and tracks the children; progress comes back as algo_update
+      const payload = buildOrderPayload();
+      if (!payload) return;
+      const { orderType, price, ...parent } = payload;
+      wsConnection.send(JSON.stringify({
+        action: 'algoOrder',
+        ...parent,
+        algo: orderType,
+        ...(price && { limitPrice: price }),
+        ...(orderType === 'TWAP'
+          ? { slices: data.slices, durationMinutes: data.durationMinutes }
+          : { visibleQty: data.visibleQty }),
+      }));
+      return;
+    }
+
+    if (type === 'trailing') {
+      // Nothing is placed until the backend sees the price reach the trailing level
+      const payload = buildOrderPayload();
+      if (!payload) return;
+      const { orderType: _orderType, price, ...stop } = payload;
+      wsConnection.send(JSON.stringify({
+        action: 'trailingStop',
+        ...stop,
+        ...(price && { referencePrice: price }),
+        trailType: data.trailType,
+        trail: data.trail,
+        exitType: data.exitType,
+        ...(data.exitType === 'LIMIT' && { limitOffset: data.limitOffset }),
+      }));
+      return;
+    }
+
+    if (type === 'bracket') {
+      // The entry goes out now; the backend places the OCO exits as it fills
+      const payload = buildOrderPayload();
+      if (!payload) return;
+      const { orderType: _orderType, timeInForce: _timeInForce, ...entry } = payload;
+      wsConnection.send(JSON.stringify({
+        action: 'bracketOrder',
+        ...entry,
+        takeProfit: Number(data.takeProfit).toString(),
+        stopLoss: Number(data.stopLoss).toString(),
+        ...(data.limitOffset > 0 && { limitOffset: data.limitOffset }),
+      }));
+      return;
+    }
+  }, [wsConnection, filters, applyOptimisticOrder]);
 
   const handleOrderModalOpen = (data) => {
     setOrderModalData(data);
@@ -307,8 +371,25 @@ function AppShell() {
   };
 
   const handleOrderModalSave = (order) => {
+    if (ALGO_ORDER_TYPES.includes(order.orderType)) {
+      handleRequest(order, 'algo');
+      return;
+    }
+    if (order.orderType === ORDER_TYPES.TRAILING_STOP) {
+      handleRequest(order, 'trailing');
+      return;
+    }
+    if (order.orderType === ORDER_TYPES.BRACKET) {
+      handleRequest(order, 'bracket');
+      return;
+    }
+    if (order.id && order.orderType !== 'OCO') {
+      // Edit -> amend atomically so a rejected replacement never loses the original order
+      handleRequest(order, 'replace');
+      return;
+    }
     if (order.id) {
-      // Logic for "Edit" -> Cancel old order, then place new one
+      // OCO lists can't be cancel-replaced: cancel old order, then place new one
       handleRequest({ symbol: order.symbol, id: order.id }, 'cancel');
     }
     handleRequest(order, 'order');
@@ -413,13 +494,15 @@ function AppShell() {
             <ChartWrapper
               onOrderCreate={handleOrderModalOpen}
               onOrderCancel={(data) => handleRequest(data, 'cancel')}
-              onOrderPlace={(order) => handleRequest(order, 'order')}
+              onOrderReplace={(order) => handleRequest(order, 'replace')}
               onOrderEdit={(order) => {
                 handleOrderModalOpen({
                   price: order.price,
                   amount: order.origQty,
                   side: order.side,
                   symbol: order.symbol,
+                  orderType: order.type,
+                  stopPrice: order.stop ?? order.stopPrice,
                   id: order.orderId
                 });
               }}
@@ -480,6 +563,11 @@ function AppShell() {
         onSave={handleOrderModalSave}
         initialData={orderModalData}
       />
+      <PanicModal
+        show={showPanicModal}
+        onHide={() => setShowPanicModal(false)}
+        onConfirm={handlePanicConfirm}
+      />
       <QuickSwitchModal
         visible={quickSwitch.visible}
         mode={quickSwitch.mode}
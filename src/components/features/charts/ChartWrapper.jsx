@@ -16,6 +16,8 @@ import { getGroupedOrdersForChart } from '../../../utils/orderGroups';
 import { MeasurementOverlay } from '../../common/MeasurementOverlay';
 
 const MEASUREMENT_BAR_WIDTH_RATIO = 0.08;
+// Older candles are requested once fewer than this many bars remain left of the view
+const HISTORY_LOAD_THRESHOLD_BARS = 10;
 import { buildTimeScaleFormatters } from '../../../utils/chart-utils';
 
 // Sub-component for rendering Order Overlays (redesigned)
@@ -36,7 +38,7 @@ const OrderOverlay = ({ order, y, label, color: _color, onMouseDown, onCancel, o
 
     return (
         <div
-            className={`chart-order-line ${isBuy ? 'buy' : 'sell'}`}
+            className={`chart-order-line ${isBuy ? 'buy' : 'sell'}${order.pending ? ' pending' : ''}`}
             style={{ top: y }}
             onMouseDown={(e) => onMouseDown(e, order)}
             onDoubleClick={handleDoubleClick}
@@ -86,6 +88,72 @@ const AlertOverlay = ({ alert, y, priceFormatted, onDelete, onDragStart }) => {
     );
 };
 
+// Bracket levels as drawn on the chart; dragging the entry carries both exits with it
+const BRACKET_LEVELS = [
+    { key: 'price', className: 'entry', tag: 'E' },
+    { key: 'takeProfit', className: 'take-profit', tag: 'TP' },
+    { key: 'stopLoss', className: 'stop-loss', tag: 'SL' },
+];
+
+const dragBracketLevels = (bracket, level, price) => {
+    const levels = {
+        price: parseFloat(bracket.price),
+        takeProfit: parseFloat(bracket.takeProfit),
+        stopLoss: parseFloat(bracket.stopLoss),
+    };
+    if (level !== 'price') return { ...levels, [level]: price };
+    const delta = price - levels.price;
+    return { price, takeProfit: levels.takeProfit + delta, stopLoss: levels.stopLoss + delta };
+};
+
+// Bracket overlay: entry, take-profit and stop-loss lines joined by a connector
+const BracketOverlay = ({ bracket, onDragStart, onCancel }) => {
+    const ys = BRACKET_LEVELS.map(({ key }) => bracket.y[key]).filter(y => y !== null && y !== undefined);
+    if (ys.length === 0) return null;
+
+    const top = Math.min(...ys);
+    const bottom = Math.max(...ys);
+
+    return (
+        <>
+            <div className="chart-bracket-link" style={{ top, height: bottom - top }} />
+            {BRACKET_LEVELS.map(({ key, className, tag }) => {
+                const y = bracket.y[key];
+                if (y === null || y === undefined) return null;
+                // Once the entry has filled only the exits can move
+                const movable = key !== 'price' || bracket.status === 'PENDING';
+
+                return (
+                    <div
+                        key={key}
+                        className={`chart-bracket-line ${className}${movable ? '' : ' fixed'}`}
+                        style={{ top: y }}
+                        data-testid={`bracket-${bracket.id}-${key}`}
+                        onMouseDown={movable ? (e) => onDragStart(e, bracket, key) : undefined}
+                    >
+                        <div className="chart-bracket-tag">
+                            <span className="chart-bracket-level">{tag}</span>
+                            <span className="chart-bracket-price">{bracket.labels[key]}</span>
+                            {key === 'price' && onCancel && (
+                                <span
+                                    className="chart-order-close"
+                                    onMouseDown={(e) => e.stopPropagation()}
+                                    onClick={(e) => {
+                                        e.stopPropagation();
+                                        onCancel(bracket.id);
+                                    }}
+                                >
+                                    ×
+                                </span>
+                            )}
+                        </div>
+                    </div>
+                );
+            })}
+        </>
+    );
+};
+
 // CompletedOrderOverlay - handles 3 states: VISIBLE, LINES_ONLY, HIDDEN
 const CompletedOrderOverlay = ({ order, showOrderHistory = 'VISIBLE' }) => {
     if (order.y === null || order.x === null || showOrderHistory === 'HIDDEN') return null;
@@ -117,13 +185,13 @@ export const ChartWrapper = (props) => {
         } = {},
         onOrderCreate,
         onOrderCancel,
-        onOrderPlace,
+        onOrderReplace,
         onOrderEdit,
         onAlertCreate, // Ctrl+click alert shortcut
         onViewSwitch, // ALT+click to switch views
         showOrderHistory = 'VISIBLE', // Toggle for completed order overlays
     } = props;
-    const { chart: data, orders, history, selectedPrecision, panel, enabledMarketBalance, isChartLoading, ticker } = useDataContext();
+    const { chart: data, orders, history, selectedPrecision, panel, enabledMarketBalance, isChartLoading, ticker, loadHistory, trailingStops, brackets, amendBracket, cancelBracket } = useDataContext();
     const { alerts, deleteAlert, updateAlertPrice } = useAlertContext();
     const {
         drawings,
@@ -157,6 +225,7 @@ export const ChartWrapper = (props) => {
     const volumeProfileRef = useRef();
     const drawingPrimitiveRef = useRef();
     const currentPriceLineRef = useRef();
+    const trailingLinesRef = useRef(new Map());  // trailing stop id -> price line
     const resizeAnimationFrameRef = useRef(null);
     const isDisposedRef = useRef(false);  // Prevent async operations after chart disposal
     const measurementStateRef = useRef({ active: false, start: null });
@@ -207,6 +276,10 @@ export const ChartWrapper = (props) => {
     const [visibleCompletedOrders, setVisibleCompletedOrders] = useState([]);
     const alertDragStateRef = useRef({ active: false, alert: null });
     const [alertDragPreview, setAlertDragPreview] = useState(null);
+    // State for bracket overlays; a dragged bracket shows its preview levels
+    const [visibleBrackets, setVisibleBrackets] = useState([]);
+    const bracketDragStateRef = useRef({ active: false, bracket: null, level: null });
+    const [bracketDragPreview, setBracketDragPreview] = useState(null);
     // Track last click time for double-click detection
     const lastCtrlClickRef = useRef(0);
     // Track ALT click for distinguishing single (view switch) vs double (order modal) click
@@ -408,6 +481,28 @@ export const ChartWrapper = (props) => {
         };
     }, [backgroundColor, lineColor, textColor, areaTopColor, areaBottomColor]);
 
+    // Scroll-back: scrolling past the left edge pages in older candles
+    const loadHistoryRef = useRef(loadHistory);
+    useEffect(() => {
+        loadHistoryRef.current = loadHistory;
+    }, [loadHistory]);
+
+    useEffect(() => {
+        if (!chartInstance) return;
+        const timeScale = chartInstance.timeScale();
+        const handleScrollBack = (range) => {
+            if (range && range.from < HISTORY_LOAD_THRESHOLD_BARS) {
+                loadHistoryRef.current?.();
+            }
+        };
+        timeScale.subscribeVisibleLogicalRangeChange(handleScrollBack);
+        return () => {
+            if (!isDisposedRef.current) {
+                timeScale.unsubscribeVisibleLogicalRangeChange(handleScrollBack);
+            }
+        };
+    }, [chartInstance]);
+
     // Sync drawing context with panel changes
     useEffect(() => {
         if (panel?.selected && panel?.interval) {
@@ -627,6 +722,62 @@ export const ChartWrapper = (props) => {
         };
     }, []);
 
+    // Trailing stops move with the market on the service; follow them with one line each
+    useEffect(() => {
+        const series = candleSeriesRef.current;
+        if (!series) return;
+        const lines = trailingLinesRef.current;
+        const visible = (trailingStops ?? []).filter(
+            (stop) => stop.symbol === panel?.selected && stop.stopPrice !== null && stop.stopPrice !== undefined
+        );
+        const ids = new Set(visible.map((stop) => stop.id));
+
+        lines.forEach((line, id) => {
+            if (!ids.has(id)) {
+                series.removePriceLine(line);
+                lines.delete(id);
+            }
+        });
+        visible.forEach((stop) => {
+            const price = parseFloat(stop.stopPrice);
+            const line = lines.get(stop.id);
+            if (line) {
+                line.applyOptions({ price });
+            } else {
+                lines.set(stop.id, series.createPriceLine({
+                    price,
+                    color: '#ff9800',
+                    lineWidth: 1,
+                    lineStyle: LineStyle.Dashed,
+                    axisLabelVisible: true,
+                    title: `TRAIL ${stop.side}`,
+                }));
+            }
+        });
+    }, [trailingStops, panel?.selected]);
+
+    useEffect(() => {
+        const lines = trailingLinesRef.current;
+        return () => {
+            if (candleSeriesRef.current) {
+                lines.forEach((line) => candleSeriesRef.current.removePriceLine(line));
+            }
+            lines.clear();
+        };
+    }, []);
+
+    const bracketOrderIds = useMemo(() => {
+        const ids = new Set();
+        (brackets ?? []).forEach((bracket) => {
+            if (bracket.entry?.orderId) ids.add(bracket.entry.orderId);
+            (bracket.exits ?? []).forEach((exit) => {
+                ids.add(exit.takeProfitId);
+                ids.add(exit.stopLossId);
+            });
+        });
+        return ids;
+    }, [brackets]);
+
     // Sync Order Overlay positions with chart
     useEffect(() => {
         let rafId;
@@ -636,7 +787,8 @@ export const ChartWrapper = (props) => {
                 return;
             }
 
-            const currentSymbolOrders = orders.filter(o => o.symbol === panel?.selected);
+            // Bracket legs are drawn by their bracket instead
+            const currentSymbolOrders = orders.filter(o => o.symbol === panel?.selected && !bracketOrderIds.has(o.orderId));
             const market = panel?.market;
             const marketValueDecimals = market === 'USDT' ? 0 : 6;
 
@@ -684,7 +836,7 @@ export const ChartWrapper = (props) => {
         return () => {
             if (rafId) cancelAnimationFrame(rafId);
         };
-    }, [orders, panel?.selected, enabledMarketBalance, panel?.market, precision, containerSize.height, priceDecimals]); // Dependency on containerSize.height ensures re-calc on resize
+    }, [orders, bracketOrderIds, panel?.selected, enabledMarketBalance, panel?.market, precision, containerSize.height, priceDecimals]); // Dependency on containerSize.height ensures re-calc on resize
 
     // Sync Alert Overlay positions with chart
     useEffect(() => {
@@ -721,6 +873,39 @@ export const ChartWrapper = (props) => {
         };
     }, [alerts, panel?.selected, priceDecimals, containerSize.height]);
 
+    // Sync Bracket Overlay positions with chart
+    useEffect(() => {
+        let rafId;
+        const updateBrackets = () => {
+            if (!candleSeriesRef.current || !chartRef.current || !brackets) {
+                setVisibleBrackets([]);
+                return;
+            }
+
+            const nextVisibleBrackets = brackets.filter(b => b.symbol === panel?.selected).map(bracket => {
+                const levels = bracketDragPreview?.id === bracket.id ? bracketDragPreview.levels : bracket;
+                const y = {};
+                const labels = {};
+                BRACKET_LEVELS.forEach(({ key }) => {
+                    const price = parseFloat(levels[key]);
+                    y[key] = Number.isFinite(price) ? candleSeriesRef.current.priceToCoordinate(price) : null;
+                    labels[key] = Number.isFinite(price) ? precisionTruncate(price, priceDecimals).toFixed(priceDecimals) : '';
+                });
+                labels.price = `${bracket.quantity} @ ${labels.price}`;
+
+                return { ...bracket, y, labels };
+            });
+
+            setVisibleBrackets(nextVisibleBrackets);
+            rafId = requestAnimationFrame(updateBrackets);
+        };
+
+        updateBrackets();
+        return () => {
+            if (rafId) cancelAnimationFrame(rafId);
+        };
+    }, [brackets, bracketDragPreview, panel?.selected, priceDecimals, containerSize.height]);
+
     // Precompute grouped orders when history changes (expensive, do once)
     const groupedOrdersRef = useRef([]);
     useEffect(() => {
@@ -1105,10 +1290,7 @@ export const ChartWrapper = (props) => {
             const quantity = parseFloat(order.origQty);
             const totalNotional = price * quantity;
 
-            // Cancel original order
-            if (onOrderCancel) {
-                onOrderCancel({ symbol: order.symbol, id: order.orderId });
-            }
+            // The original order stays live until the drop amends it via cancel-replace
 
             // Initialize dragging state
             const rect = chartContainerRef.current.getBoundingClientRect();
@@ -1137,7 +1319,7 @@ export const ChartWrapper = (props) => {
                 side: order.side,
             });
         }
-    }, [onOrderCancel]);
+    }, []);
 
     const handleAlertDragStart = useCallback((event, alert) => {
         if (event.button !== 0 || !event.ctrlKey) return;
@@ -1155,6 +1337,16 @@ export const ChartWrapper = (props) => {
         setAlertDragPreview({ id: alert.id, y, price, priceFormatted });
     }, [priceDecimals]);
 
+    // Handler triggered by BracketOverlay; ALT+drag like order lines
+    const handleBracketDragStart = useCallback((event, bracket, level) => {
+        if (event.button !== 0 || !event.altKey) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        bracketDragStateRef.current = { active: true, bracket, level };
+        setBracketDragPreview({ id: bracket.id, levels: dragBracketLevels(bracket, level, parseFloat(bracket[level])) });
+    }, []);
+
     const handleMouseMove = useCallback((event) => {
         // Handle drawing object drag
         if (isDragging) {
@@ -1222,6 +1414,15 @@ export const ChartWrapper = (props) => {
             return;
         }
 
+        if (bracketDragStateRef.current.active) {
+            const point = getMousePoint(event);
+            if (!point) return;
+
+            const { bracket, level } = bracketDragStateRef.current;
+            setBracketDragPreview({ id: bracket.id, levels: dragBracketLevels(bracket, level, point.price) });
+            return;
+        }
+
         // Handle active drawing preview (trend line, rectangle, fibonacci)
         if (activeDrawing && (activeTool === DRAWING_TOOLS.TREND_LINE || activeTool === DRAWING_TOOLS.RECTANGLE || activeTool === DRAWING_TOOLS.FIBONACCI)) {
             const point = getMousePoint(event);
@@ -1248,7 +1449,7 @@ export const ChartWrapper = (props) => {
         // Handle order dragging
         if (draggingStateRef.current.active) {
             const point = getMousePoint(event);
-            if (point && onOrderPlace && draggingStateRef.current.order) {
+            if (point && onOrderReplace && draggingStateRef.current.order) {
                 const newPrice = point.price;
                 const originalOrder = draggingStateRef.current.order;
                 const totalNotional = draggingStateRef.current.totalNotional;
@@ -1269,13 +1470,16 @@ export const ChartWrapper = (props) => {
                 // Ensure we don't exceed step size logic if strictly required, but basic truncation is good start
                 const formattedQty = precisionTruncate(newQty, quantityPrecision).toFixed(quantityPrecision);
 
-                // Place new order
-                onOrderPlace({
+                // Amend the original order in place
+                onOrderReplace({
+                    id: originalOrder.orderId,
                     symbol: originalOrder.symbol,
                     side: originalOrder.side,
                     quantity: formattedQty,
                     price: formattedPrice,
-                    type: originalOrder.type,
+                    orderType: originalOrder.type,
+                    stopPrice: originalOrder.stop ?? originalOrder.stopPrice,
+                    timeInForce: originalOrder.timeInForce,
                 });
             }
             draggingStateRef.current = { active: false, order: null, totalNotional: 0, currentY: null };
@@ -1299,8 +1503,28 @@ export const ChartWrapper = (props) => {
             return;
         }
 
+        if (bracketDragStateRef.current.active) {
+            const point = getMousePoint(event);
+            const { bracket, level } = bracketDragStateRef.current;
+            if (point && amendBracket) {
+                const levels = dragBracketLevels(bracket, level, point.price);
+                const changes = {};
+                (level === 'price' ? BRACKET_LEVELS.map(({ key }) => key) : [level]).forEach((key) => {
+                    const formatted = precisionTruncate(levels[key], priceDecimals).toFixed(priceDecimals);
+                    if (parseFloat(formatted) !== parseFloat(bracket[key])) changes[key] = formatted;
+                });
+                if (Object.keys(changes).length > 0) {
+                    amendBracket(bracket.id, changes);
+                }
+            }
+
+            bracketDragStateRef.current = { active: false, bracket: null, level: null };
+            setBracketDragPreview(null);
+            return;
+        }
+
         // Trend lines now use click-click, not click-drag, so no mouseUp handling needed
-    }, [getMousePoint, onOrderPlace, precision, isDragging, endDrag, updateAlertPrice]);
+    }, [getMousePoint, onOrderReplace, precision, isDragging, endDrag, updateAlertPrice, amendBracket, priceDecimals]);
 
     const handleMeasurementMouseLeave = useCallback(() => {
         if (!measurementStateRef.current.active) return;
@@ -1309,6 +1533,10 @@ export const ChartWrapper = (props) => {
             alertDragStateRef.current = { active: false, alert: null };
             setAlertDragPreview(null);
         }
+        if (bracketDragStateRef.current.active) {
+            bracketDragStateRef.current = { active: false, bracket: null, level: null };
+            setBracketDragPreview(null);
+        }
     }, []);
 
     useEffect(() => {
@@ -1514,6 +1742,15 @@ export const ChartWrapper = (props) => {
                             priceFormatted={alertDragPreview.priceFormatted}
                         />
                     )}
+                    {/* Bracket orders: entry, take-profit and stop-loss */}
+                    {visibleBrackets.map(bracket => (
+                        <BracketOverlay
+                            key={bracket.id}
+                            bracket={bracket}
+                            onDragStart={handleBracketDragStart}
+                            onCancel={cancelBracket}
+                        />
+                    ))}
                     {/* Active order lines */}
                     {visibleOrders.map(order => (
                         <OrderOverlay
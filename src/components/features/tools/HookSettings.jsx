@@ -0,0 +1,187 @@
+import React, { useState, useCallback } from 'react';
+import './HookSettings.css';
+import { useDataContext } from '../../../context/DataContext';
+
+const HOOK_EVENTS = [
+    { id: 'fill', label: 'Fills' },
+    { id: 'execution', label: 'Executions' },
+    { id: 'alert', label: 'Alerts' },
+    { id: 'connection', label: 'Connection' },
+];
+
+const EMPTY_HOOK = {
+    name: '',
+    kind: 'webhook',
+    url: '',
+    command: '',
+    args: '',
+    events: ['fill', 'alert'],
+    template: '',
+    retries: 2,
+    enabled: true,
+};
+
+const newHookId = () => `hook-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Form fields -> hook settings as synced to the service (args are whitespace separated)
+const toHook = (form) => ({
+    id: form.id,
+    name: form.name.trim(),
+    kind: form.kind,
+    url: form.kind === 'webhook' ? form.url.trim() : '',
+    command: form.kind === 'command' ? form.command.trim() : '',
+    args: form.kind === 'command' ? form.args.split(/\s+/).filter(Boolean) : [],
+    events: form.events,
+    template: form.template,
+    retries: Math.max(0, parseInt(form.retries, 10) || 0),
+    enabled: form.enabled,
+});
+
+const toForm = (hook) => ({ ...EMPTY_HOOK, ...hook, args: (hook.args || []).join(' ') });
+
+const describeResult = (result) => {
+    if (!result) return '';
+    if (result.pending) return 'Sending...';
+    const attempts = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+    if (result.ok) {
+        return `OK${result.status ? ` (HTTP ${result.status})` : ''}${attempts}`;
+    }
+    return `Failed${attempts}: ${result.error}`;
+};
+
+/**
+ * Webhook and command hooks for fills, executions, alerts and connection changes.
+ * The service runs them; see electron/services/hooks.js for the payload and template syntax.
+ */
+export default function HookSettings() {
+    const { hooks, saveHooks, testHook } = useDataContext();
+    const [form, setForm] = useState(null);
+    const [results, setResults] = useState({});
+
+    const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+    const toggleEvent = (event) => setForm(prev => ({
+        ...prev,
+        events: prev.events.includes(event)
+            ? prev.events.filter(e => e !== event)
+            : [...prev.events, event],
+    }));
+
+    const handleTest = useCallback(async (hook) => {
+        setResults(prev => ({ ...prev, [hook.id]: { pending: true } }));
+        const result = await testHook(hook);
+        setResults(prev => ({ ...prev, [hook.id]: result }));
+    }, [testHook]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const hook = toHook(form);
+        const exists = hooks.some(h => h.id === hook.id);
+        saveHooks(exists ? hooks.map(h => (h.id === hook.id ? hook : h)) : [...hooks, hook]);
+        setForm(null);
+    };
+
+    const handleDelete = (id) => saveHooks(hooks.filter(h => h.id !== id));
+
+    const handleToggle = (id) => saveHooks(hooks.map(h => (h.id === id ? { ...h, enabled: !h.enabled } : h)));
+
+    const canSave = form && (form.kind === 'webhook' ? /^https?:\/\//i.test(form.url.trim()) : form.command.trim());
+
+    return (
+        <div className="hook-settings">
+            <div className="hook-settings-header">
+                <span>Hooks</span>
+                {!form && (
+                    <button type="button" onClick={() => setForm({ ...EMPTY_HOOK, id: newHookId() })}>Add hook</button>
+                )}
+            </div>
+
+            {form && (
+                <form className="hook-form" onSubmit={handleSubmit}>
+                    <div className="hook-form-row">
+                        <label>Name</label>
+                        <input type="text" value={form.name} onChange={(e) => updateForm({ name: e.target.value })} placeholder="Chat bot" />
+                    </div>
+                    <div className="hook-form-row">
+                        <label>Type</label>
+                        <select value={form.kind} onChange={(e) => updateForm({ kind: e.target.value })}>
+                            <option value="webhook">Webhook (POST JSON)</option>
+                            <option value="command">Local command</option>
+                        </select>
+                    </div>
+                    {form.kind === 'webhook' ? (
+                        <div className="hook-form-row">
+                            <label>URL</label>
+                            <input type="text" value={form.url} onChange={(e) => updateForm({ url: e.target.value })} placeholder="http://localhost:8080/hook" />
+                        </div>
+                    ) : (
+                        <>
+                            <div className="hook-form-row">
+                                <label>Command</label>
+                                <input type="text" value={form.command} onChange={(e) => updateForm({ command: e.target.value })} placeholder="/usr/local/bin/notify" />
+                            </div>
+                            <div className="hook-form-row">
+                                <label>Arguments</label>
+                                <input type="text" value={form.args} onChange={(e) => updateForm({ args: e.target.value })} placeholder="--symbol {{data.symbol}}" />
+                            </div>
+                        </>
+                    )}
+                    <div className="hook-form-row">
+                        <label>Events</label>
+                        <div className="hook-form-events">
+                            {HOOK_EVENTS.map(({ id, label }) => (
+                                <label key={id}>
+                                    <input type="checkbox" checked={form.events.includes(id)} onChange={() => toggleEvent(id)} />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="hook-form-row">
+                        <label>Payload template (empty: {'{ event, timestamp, data }'})</label>
+                        <textarea
+                            rows={3}
+                            value={form.template}
+                            onChange={(e) => updateForm({ template: e.target.value })}
+                            placeholder={'{"text": "{{data.symbol}} {{data.side}} {{data.qty}} @ {{data.price}}"}'}
+                        />
+                    </div>
+                    <div className="hook-form-row">
+                        <label>Retries</label>
+                        <input type="number" min="0" max="5" value={form.retries} onChange={(e) => updateForm({ retries: e.target.value })} />
+                    </div>
+                    <div className="hook-form-actions">
+                        <button type="button" onClick={() => handleTest(toHook(form))} disabled={!canSave}>Test</button>
+                        <button type="button" onClick={() => setForm(null)}>Cancel</button>
+                        <button type="submit" className="primary" disabled={!canSave}>Save</button>
+                    </div>
+                    {results[form.id] && (
+                        <div className={`hook-result ${results[form.id].ok ? 'ok' : ''}`}>{describeResult(results[form.id])}</div>
+                    )}
+                </form>
+            )}
+
+            {hooks.length === 0 && !form && (
+                <div className="hook-empty">No hooks configured</div>
+            )}
+
+            {hooks.map(hook => (
+                <div key={hook.id} className={`hook-item ${hook.enabled ? '' : 'inactive'}`}>
+                    <div className="hook-item-info">
+                        <div className="hook-item-name">{hook.name || (hook.kind === 'webhook' ? hook.url : hook.command)}</div>
+                        <div className="hook-item-events">{hook.kind} · {hook.events.join(', ') || 'no events'}</div>
+                        {results[hook.id] && (
+                            <div className={`hook-result ${results[hook.id].ok ? 'ok' : ''}`}>{describeResult(results[hook.id])}</div>
+                        )}
+                    </div>
+                    <div className="hook-item-actions">
+                        <input type="checkbox" checked={hook.enabled} onChange={() => handleToggle(hook.id)} title="Enabled" />
+                        <button type="button" onClick={() => handleTest(hook)} disabled={results[hook.id]?.pending}>Test</button>
+                        <button type="button" onClick={() => setForm(toForm(hook))}>Edit</button>
+                        <button type="button" onClick={() => handleDelete(hook.id)}>Delete</button>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+}
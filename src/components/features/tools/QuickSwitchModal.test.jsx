@@ -1,6 +1,30 @@
+import React, { useState } from 'react';
 import { render, screen, fireEvent } from '@testing-library/react';
 import { describe, it, expect, vi } from 'vitest';
 import QuickSwitchModal from './QuickSwitchModal';
+import { getQuickSwitchResults } from '../../../utils/quickSwitch';
+
+// Wires the modal the way App does: the query is stored upper-cased
+const IntervalSwitch = ({ onSelect }) => {
+    const [query, setQuery] = useState('');
+    const [selectedIndex, setSelectedIndex] = useState(0);
+    return (
+        <QuickSwitchModal
+            visible={true}
+            mode="interval"
+            query={query}
+            results={getQuickSwitchResults({ mode: 'interval', query })}
+            selectedIndex={selectedIndex}
+            onClose={vi.fn()}
+            onQueryChange={(value) => {
+                setQuery(value.toUpperCase());
+                setSelectedIndex(0);
+            }}
+            onSelect={onSelect}
+            onMoveSelection={(delta) => setSelectedIndex((index) => index + delta)}
+        />
+    );
+};
 
 describe('QuickSwitchModal', () => {
     const mockResults = ['BTCUSDT', 'ETHUSDT', 'BNBUSDT'];
@@ -91,4 +115,30 @@ describe('QuickSwitchModal', () => {
         fireEvent.click(screen.getByText('ETHUSDT'));
         expect(mockOnSelect).toHaveBeenCalledWith('ETHUSDT');
     });
+
+    it('should offer and select a typed custom interval', () => {
+        const onSelect = vi.fn();
+        render(<IntervalSwitch onSelect={onSelect} />);
+
+        const input = screen.getByPlaceholderText('Type interval (e.g. 15m)');
+        fireEvent.input(input, { target: { value: '7m' } });
+        expect(screen.getByText('7m')).toHaveClass('selected');
+
+        fireEvent.keyDown(input, { key: 'Enter' });
+        expect(onSelect).toHaveBeenCalledWith('7m');
+    });
+
+    it('should offer and select a typed trade bar interval', () => {
+        const onSelect = vi.fn();
+        render(<IntervalSwitch onSelect={onSelect} />);
+
+        const input = screen.getByPlaceholderText('Type interval (e.g. 15m)');
+        fireEvent.input(input, { target: { value: 'tick500' } });
+        expect(screen.getByText('tick500')).toHaveClass('selected');
+        fireEvent.keyDown(input, { key: 'Enter' });
+
+        fireEvent.input(input, { target: { value: 'vol0.5' } });
+        fireEvent.keyDown(input, { key: 'Enter' });
+        expect(onSelect.mock.calls).toEqual([['tick500'], ['vol0.5']]);
+    });
 });
@@ -1,19 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
 import './OrderBook.css';
 import { calculatePrecision, precisionTruncate } from '../../../utils/operations';
+import { depthTickMultiple } from '../../../utils/precision';
 import { getCoin, parseBooks } from '../../../utils/utils';
-import { DEFAULT_ORDER_BOOK_SETTINGS } from '../../../constants';
+import { DEFAULT_ORDER_BOOK_SETTINGS, DEPTH_SYNC_STATES } from '../../../constants';
 import { useDataContext } from '../../../context/DataContext';
 
 const OrderBook = ({ callDialog }) => {
     const {
         panel,
         depth,
+        depthStatus,
         orders,
         balances,
         filters,
         chart,
         enabledMarketBalance,
+        sendMessage,
+        wsConnection,
     } = useDataContext();
     const last_tick = chart?.[chart.length - 1];
     const increaseMinPrice = false;
@@ -35,6 +39,18 @@ const OrderBook = ({ callDialog }) => {
         previousAccuracyRef.current = orderBook.accuracy;
     }, [orderBook.accuracy]);
 
+    // The backend aggregates the book; ask for the ladder the accuracy control describes
+    const tickMultiple = depthTickMultiple(
+        orderBook.accuracy,
+        orderBook.shown_number,
+        last_tick?.close,
+        filters?.[panel.selected]?.tickSize
+    );
+    useEffect(() => {
+        if (!sendMessage || !wsConnection) return;
+        sendMessage({ action: 'depth_precision', tickMultiple, levels: orderBook.shown_number });
+    }, [sendMessage, wsConnection, tickMultiple, orderBook.shown_number]);
+
     const revertAccuracy = () => {
         setOrderBook((prev) => ({
             ...prev,
@@ -169,87 +185,9 @@ const OrderBook = ({ callDialog }) => {
         .sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
         .map(normalizeEntry);
 
-    let buyBook = [], sellBook = [], resBuy = [], resSell = [];
-    let lastItem;
-
-    // group orders by accuracy
-    if (orderBook.accuracy > 0) {
-        const accPercent = orderBook.accuracy / orderBook.shown_number;
-        const rawBuyBook = sortedBuyEntries;
-        const rawSellBook = sortedSellEntries;
-
-        // Process Buy Book
-        for (let i = 0; i < rawBuyBook.length; i++) {
-            if (!lastItem) {
-                lastItem = [...rawBuyBook[i]];
-                lastItem[2] = parseFloat(lastItem[0]); // store original minimal price
-                continue;
-            }
-
-            let a = lastItem[0]; // price remembered
-            let b = rawBuyBook[i][0]; // price ongoing
-            let c = lastItem[1]; // quantity remembered
-            let d = rawBuyBook[i][1]; // quantity ongoing
-            let coef1 = a * c;
-            let coef2 = b * d;
-
-            if ((lastItem[2] / b - 1) * 100 < accPercent) {
-                if (coef1 / coef2 > 1) {
-                    lastItem[0] = a - (a - b) / (coef1 / coef2);
-                } else {
-                    lastItem[0] = a - (a - b) * (coef1 / coef2);
-                }
-                lastItem[1] += d;
-            } else {
-                lastItem[2] = b;
-                resBuy.push(lastItem);
-                lastItem = [...rawBuyBook[i]];
-                lastItem[2] = lastItem[0];
-            }
-        }
-        if (lastItem) resBuy.push(lastItem);
-        if (!resBuy.length && lastItem) resBuy.push(lastItem); // Fallback
-
-        // Process Sell Book
-        lastItem = false;
-        for (let i = 0; i < rawSellBook.length; i++) {
-            if (!lastItem) {
-                lastItem = [...rawSellBook[i]];
-                lastItem[2] = parseFloat(lastItem[0]);
-                continue;
-            }
-
-            let a = lastItem[0];
-            let b = rawSellBook[i][0];
-            let c = lastItem[1];
-            let d = rawSellBook[i][1];
-            let coef1 = a * c;
-            let coef2 = b * d;
-
-            if ((b / lastItem[2] - 1) * 100 < accPercent) {
-                if (coef1 / coef2 > 1) {
-                    lastItem[0] = b - (b - a) / (coef1 / coef2);
-                } else {
-                    lastItem[0] = b - (b - a) * (coef1 / coef2);
-                }
-                lastItem[1] += d;
-            } else {
-                lastItem[2] = b;
-                resSell.push(lastItem);
-                lastItem = [...rawSellBook[i]];
-                lastItem[2] = lastItem[0];
-            }
-        }
-        if (lastItem) resSell.push(lastItem);
-    }
-
-    if (orderBook.accuracy === 0) {
-        buyBook = sortedBuyEntries.slice(0, orderBook.shown_number);
-        sellBook = sortedSellEntries.slice(0, orderBook.shown_number);
-    } else {
-        buyBook = resBuy.slice(0, orderBook.shown_number);
-        sellBook = resSell.slice(0, orderBook.shown_number);
-    }
+    // Ladder rows arrive already grouped to the requested tick multiple
+    const buyBook = sortedBuyEntries.slice(0, orderBook.shown_number);
+    const sellBook = sortedSellEntries.slice(0, orderBook.shown_number);
 
     const buyPrices = buyBook.map((item) => parseFloat(item[0]));
     const sellPrices = sellBook.map((item) => parseFloat(item[0]));
@@ -331,13 +269,19 @@ const OrderBook = ({ callDialog }) => {
         );
     }
 
+    // The backend is rebuilding the book after a sequence gap: keep showing it, but never as live
+    const isResyncing = depthStatus === DEPTH_SYNC_STATES.RESYNCING;
+
     const myOrderSell = <i className="my-order left"></i>;
     const myOrderBuy = <i className="my-order right"></i>;
     const ledRed = <div className="led-red" title={'BNB: ' + bnbAvail}></div>;
 
     return (
-        <div className="ob">
+        <div className={isResyncing ? 'ob ob-resyncing' : 'ob'}>
             <div className="order-book">
+                {isResyncing && (
+                    <div className="ob-resync-banner" role="status">Book resyncing…</div>
+                )}
                 <div className="header">
                     <div className="balance-buy">
                         {bnbAvail < 0.3 ? ledRed : ''}
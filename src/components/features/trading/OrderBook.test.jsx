@@ -34,7 +34,7 @@ describe('OrderBook', () => {
     });
 
     it('should render order book items', () => {
-        // Set accuracy to 0 to disable grouping
+        // Accuracy 0 asks the backend for the raw ladder
         localStorageMock.getItem.mockImplementation((key) => {
             if (key === 'orderBook') {
                 return JSON.stringify({ accuracy: 0, shown_number: 10, min_accuracy: 0, max_accuracy: 100 });
@@ -62,4 +62,36 @@ describe('OrderBook', () => {
         // It seems it appears 4 times (maybe total and quantity columns?)
         expect(screen.getAllByText('1.000000')).toHaveLength(4);
     });
+
+    it('should request the ladder step the accuracy control describes', () => {
+        localStorageMock.getItem.mockImplementation((key) => {
+            if (key === 'orderBook') {
+                return JSON.stringify({ accuracy: 10, shown_number: 21, min_accuracy: 0, max_accuracy: 45 });
+            }
+            return null;
+        });
+        const sendMessage = vi.fn();
+        Object.assign(mockContextValue, { sendMessage, chart: [{ close: 45000 }] });
+        try {
+            render(<OrderBook />);
+            // 10% over 21 rows at 45000 is ~214 USDT, snapped down to 20000 ticks of 0.01
+            expect(sendMessage).toHaveBeenCalledWith({ action: 'depth_precision', tickMultiple: 20000, levels: 21 });
+        } finally {
+            Object.assign(mockContextValue, { sendMessage: undefined, chart: [] });
+        }
+    });
+
+    it('should flag the book while the backend resyncs it', () => {
+        const { rerender, container } = render(<OrderBook />);
+        expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+        mockContextValue.depthStatus = 'resyncing';
+        try {
+            rerender(<OrderBook />);
+            expect(screen.getByRole('status')).toHaveTextContent('Book resyncing');
+            expect(container.querySelector('.ob')).toHaveClass('ob-resyncing');
+        } finally {
+            delete mockContextValue.depthStatus;
+        }
+    });
 });
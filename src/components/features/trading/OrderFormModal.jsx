@@ -3,6 +3,16 @@ import './OrderFormModal.css';
 import { Modal, Button, Form } from 'react-bootstrap';
 import { calculatePrecision, precisionTruncate } from '../../../utils/precision';
 import { useDataContext } from '../../../context/DataContext';
+import { ALGO_ORDER_TYPES, ORDER_TYPES, ORDER_TYPE_LABELS, SERVICE_ORDER_TYPES, STOP_LIMIT_ORDER_TYPES, TIME_IN_FORCE_OPTIONS, TRAIL_TYPES } from '../../../constants';
+
+// Limit leg of a stop order: below the trigger for SELL, above it for BUY
+const resolveStopLimitPrice = (side, stopPrice, limitOffset, decimals) => {
+    const stop = parseFloat(stopPrice);
+    if (!Number.isFinite(stop) || stop <= 0) return '';
+    const offset = Math.abs(parseFloat(limitOffset) || 0);
+    const limit = side === 'SELL' ? stop - offset : stop + offset;
+    return limit > 0 ? limit.toFixed(decimals) : '';
+};
 
 const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
     const { balances, filters, panel } = useDataContext();
@@ -10,6 +20,23 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
     const [amount, setAmount] = useState('');
     const [total, setTotal] = useState(''); // Add total state
     const [side, setSide] = useState('BUY');
+    const [orderType, setOrderType] = useState(ORDER_TYPES.LIMIT);
+    const [stopPrice, setStopPrice] = useState('');
+    const [limitOffset, setLimitOffset] = useState('');
+    const [timeInForce, setTimeInForce] = useState('GTC');
+    // MARKET orders are sized either by base amount or by quote total (quoteOrderQty)
+    const [marketSizing, setMarketSizing] = useState('base');
+    // TWAP: `slices` equal parts over `durationMinutes`; iceberg: `visibleAmount` shown at a time
+    const [slices, setSlices] = useState('10');
+    const [durationMinutes, setDurationMinutes] = useState('30');
+    const [visibleAmount, setVisibleAmount] = useState('');
+    // Trailing stop: distance in percent or quote amount, MARKET or LIMIT exit
+    const [trailType, setTrailType] = useState('percent');
+    const [trail, setTrail] = useState('');
+    const [exitType, setExitType] = useState('MARKET');
+    // Bracket: exits placed by the service as the entry fills
+    const [takeProfit, setTakeProfit] = useState('');
+    const [stopLoss, setStopLoss] = useState('');
     const [sliderValue, setSliderValue] = useState(0);
     const [dragPosition, setDragPosition] = useState({ x: 0, y: 0 });
 
@@ -29,6 +56,18 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
 
     const [isEditing, setIsEditing] = useState(false);
 
+    const isStopLimitType = STOP_LIMIT_ORDER_TYPES.includes(orderType);
+    const isOcoType = orderType === ORDER_TYPES.OCO;
+    const isMarketType = orderType === ORDER_TYPES.MARKET;
+    const isAlgoType = ALGO_ORDER_TYPES.includes(orderType);
+    const isTrailingType = orderType === ORDER_TYPES.TRAILING_STOP;
+    const isBracketType = orderType === ORDER_TYPES.BRACKET;
+    const needsStopPrice = isStopLimitType || isOcoType;
+    const stopLimitPrice = useMemo(
+        () => resolveStopLimitPrice(side, stopPrice, limitOffset, priceDecimals),
+        [side, stopPrice, limitOffset, priceDecimals]
+    );
+
     // Load initial data when modal opens
     useEffect(() => {
         if (!(show && initialData)) return;
@@ -49,6 +88,23 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
             setSide(initialData.side || 'BUY');
             setIsEditing(!!(initialData.orderId || initialData.id));
 
+            const initType = Object.values(ORDER_TYPES).includes(initialData.orderType)
+                ? initialData.orderType
+                : ORDER_TYPES.LIMIT;
+            const initStop = initialData.stopPrice && parseFloat(initialData.stopPrice) > 0 ? initialData.stopPrice : '';
+            setOrderType(initType);
+            setStopPrice(initStop);
+            setTimeInForce(TIME_IN_FORCE_OPTIONS.includes(initialData.timeInForce) ? initialData.timeInForce : 'GTC');
+            setMarketSizing('base');
+            if (initialData.limitOffset !== undefined) {
+                setLimitOffset(initialData.limitOffset);
+            } else if (STOP_LIMIT_ORDER_TYPES.includes(initType) && initStop && initPrice) {
+                // Editing an existing stop-limit order: recover the offset from its legs
+                setLimitOffset(Math.abs(parseFloat(initPrice) - parseFloat(initStop)).toFixed(priceDecimals));
+            } else {
+                setLimitOffset('');
+            }
+
             // Calculate initial slider percentage
             if (balances && panel) {
                 const currentPrice = parseFloat(initPrice || 0);
@@ -83,7 +139,7 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
             }
         });
         return () => cancelAnimationFrame(frame);
-    }, [show, initialData, balances, panel, notionalDecimals]);
+    }, [show, initialData, balances, panel, notionalDecimals, priceDecimals]);
 
     const updateTotal = (p, a) => {
         if (!p || !a) {
@@ -98,6 +154,35 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
         }
     };
 
+    // Stop-limit orders derive their limit price from the trigger and offset
+    const syncStopLimitPrice = (nextType, nextSide, nextStop, nextOffset) => {
+        if (!STOP_LIMIT_ORDER_TYPES.includes(nextType)) return;
+        const limit = resolveStopLimitPrice(nextSide, nextStop, nextOffset, priceDecimals);
+        setPrice(limit);
+        updateTotal(limit, amount);
+    };
+
+    const handleSideChange = (nextSide) => {
+        setSide(nextSide);
+        syncStopLimitPrice(orderType, nextSide, stopPrice, limitOffset);
+    };
+
+    const handleOrderTypeChange = (e) => {
+        const nextType = e.target.value;
+        setOrderType(nextType);
+        syncStopLimitPrice(nextType, side, stopPrice, limitOffset);
+    };
+
+    const handleStopPriceChange = (e) => {
+        setStopPrice(e.target.value);
+        syncStopLimitPrice(orderType, side, e.target.value, limitOffset);
+    };
+
+    const handleLimitOffsetChange = (e) => {
+        setLimitOffset(e.target.value);
+        syncStopLimitPrice(orderType, side, stopPrice, e.target.value);
+    };
+
     // Helper to get max available amount based on balance
     const getMaxAmount = useCallback(() => {
         if (!balances || !filters || !panel) return 0;
@@ -276,16 +361,76 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
         const parsedPrice = precisionTruncate(parseFloat(price), priceDecimals);
         const parsedAmount = precisionTruncate(parseFloat(amount), quantityDecimals);
 
-        onSave({
+        const order = {
             price: parsedPrice,
             amount: parsedAmount,
             side,
+            orderType,
             symbol: panel.selected,
             id: initialData?.orderId || initialData?.id // Pass ID if updating
-        });
+        };
+        if (isMarketType) {
+            // Price stays as the reference used for estimates; the exchange fills at market
+            if (marketSizing === 'quote') {
+                order.quoteOrderQty = precisionTruncate(parseFloat(total), notionalDecimals);
+            }
+        } else if (isAlgoType) {
+            // The price caps the children; without one they follow the touch
+            if (!(parsedPrice > 0)) delete order.price;
+            if (orderType === ORDER_TYPES.TWAP) {
+                order.slices = parseInt(slices, 10);
+                order.durationMinutes = parseFloat(durationMinutes);
+            } else {
+                order.visibleQty = precisionTruncate(parseFloat(visibleAmount), quantityDecimals);
+            }
+        } else if (isTrailingType) {
+            // The price is where the trail starts until the service has seen a live one
+            if (!(parsedPrice > 0)) delete order.price;
+            order.trailType = trailType;
+            order.trail = parseFloat(trail);
+            order.exitType = exitType;
+            if (exitType === 'LIMIT') {
+                order.limitOffset = Math.abs(parseFloat(limitOffset) || 0);
+            }
+        } else if (isBracketType) {
+            // The entry always rests GTC; the exits are OCOs sized to its fills
+            order.takeProfit = precisionTruncate(parseFloat(takeProfit), priceDecimals);
+            order.stopLoss = precisionTruncate(parseFloat(stopLoss), priceDecimals);
+            order.limitOffset = Math.abs(parseFloat(limitOffset) || 0);
+        } else {
+            order.timeInForce = timeInForce;
+        }
+        if (needsStopPrice) {
+            order.stopPrice = precisionTruncate(parseFloat(stopPrice), priceDecimals);
+        }
+        if (isOcoType) {
+            order.stopLimitPrice = parseFloat(stopLimitPrice);
+        }
+
+        onSave(order);
         onHide();
     };
 
+    const priceLabel = isMarketType
+        ? 'Reference Price'
+        : isAlgoType ? 'Limit Price, optional'
+        : isTrailingType ? 'Reference Price'
+        : isBracketType ? 'Entry Price'
+        : isOcoType ? 'Take-Profit Price' : isStopLimitType ? 'Limit Price' : 'Price';
+    const isValidAlgo = orderType === ORDER_TYPES.TWAP
+        ? parseInt(slices, 10) >= 1 && parseFloat(durationMinutes) > 0
+        : parseFloat(visibleAmount) > 0 && parseFloat(visibleAmount) <= parseFloat(amount);
+    // Take-profit beyond the entry, stop-loss on the other side of it
+    const [lowerExit, upperExit] = side === 'BUY' ? [stopLoss, takeProfit] : [takeProfit, stopLoss];
+    const isValidBracket = parseFloat(lowerExit) > 0 && parseFloat(lowerExit) < parseFloat(price)
+        && parseFloat(price) < parseFloat(upperExit);
+    const canSubmit = isMarketType
+        ? parseFloat(marketSizing === 'quote' ? total : amount) > 0
+        : isAlgoType ? parseFloat(amount) > 0 && isValidAlgo
+        : isTrailingType ? parseFloat(amount) > 0 && parseFloat(trail) > 0
+        : isBracketType ? parseFloat(amount) > 0 && isValidBracket
+        : !needsStopPrice || parseFloat(stopPrice) > 0;
+
     return (
         <Modal
             show={show}
@@ -310,7 +455,7 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
                         <div className="d-flex gap-2">
                             <Button
                                 variant={side === 'BUY' ? 'success' : 'outline-secondary'}
-                                onClick={() => setSide('BUY')}
+                                onClick={() => handleSideChange('BUY')}
                                 className="w-50"
                                 disabled={isEditing && side === 'SELL'}
                             >
@@ -318,7 +463,7 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
                             </Button>
                             <Button
                                 variant={side === 'SELL' ? 'danger' : 'outline-secondary'}
-                                onClick={() => setSide('SELL')}
+                                onClick={() => handleSideChange('SELL')}
                                 className="w-50"
                                 disabled={isEditing && side === 'BUY'}
                             >
@@ -327,12 +472,178 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
                         </div>
                     </Form.Group>
 
+                    <div className="d-flex gap-2">
+                        <Form.Group className="mb-3 flex-grow-1" controlId="formOrderType">
+                            <Form.Label>Order Type</Form.Label>
+                            <Form.Select value={orderType} onChange={handleOrderTypeChange}>
+                                {Object.values(ORDER_TYPES)
+                                    // An open order can't be amended into an algo
+                                    .filter((type) => !isEditing || !SERVICE_ORDER_TYPES.includes(type))
+                                    .map((type) => (
+                                        <option key={type} value={type}>{ORDER_TYPE_LABELS[type]}</option>
+                                    ))}
+                            </Form.Select>
+                        </Form.Group>
+                        {!isMarketType && !isAlgoType && !isTrailingType && !isBracketType && (
+                            <Form.Group className="mb-3" controlId="formTimeInForce">
+                                <Form.Label>Time in Force</Form.Label>
+                                <Form.Select value={timeInForce} onChange={(e) => setTimeInForce(e.target.value)}>
+                                    {TIME_IN_FORCE_OPTIONS.map((option) => (
+                                        <option key={option} value={option}>{option}</option>
+                                    ))}
+                                </Form.Select>
+                            </Form.Group>
+                        )}
+                    </div>
+
+                    {isMarketType && (
+                        <Form.Group className="mb-3">
+                            <Form.Label>Size By</Form.Label>
+                            <div className="d-flex gap-3">
+                                <Form.Check
+                                    type="radio"
+                                    id="market-sizing-base"
+                                    name="market-sizing"
+                                    label="Base amount"
+                                    checked={marketSizing === 'base'}
+                                    onChange={() => setMarketSizing('base')}
+                                />
+                                <Form.Check
+                                    type="radio"
+                                    id="market-sizing-quote"
+                                    name="market-sizing"
+                                    label={`Quote total (${panel?.market})`}
+                                    checked={marketSizing === 'quote'}
+                                    onChange={() => setMarketSizing('quote')}
+                                />
+                            </div>
+                        </Form.Group>
+                    )}
+
+                    {orderType === ORDER_TYPES.TWAP && (
+                        <div className="d-flex gap-2">
+                            <Form.Group className="mb-3 w-50" controlId="formSlices">
+                                <Form.Label>Slices</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    step={1}
+                                    min={1}
+                                    value={slices}
+                                    onChange={(e) => setSlices(e.target.value)}
+                                />
+                            </Form.Group>
+                            <Form.Group className="mb-3 w-50" controlId="formDuration">
+                                <Form.Label>Duration (minutes)</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    min={1}
+                                    value={durationMinutes}
+                                    onChange={(e) => setDurationMinutes(e.target.value)}
+                                />
+                            </Form.Group>
+                        </div>
+                    )}
+                    {orderType === ORDER_TYPES.ICEBERG && (
+                        <Form.Group className="mb-3" controlId="formVisibleAmount">
+                            <Form.Label>Visible Amount</Form.Label>
+                            <Form.Control
+                                type="number"
+                                step={quantityStep}
+                                value={visibleAmount}
+                                onChange={(e) => setVisibleAmount(e.target.value)}
+                            />
+                        </Form.Group>
+                    )}
+                    {isTrailingType && (
+                        <>
+                            <div className="d-flex gap-2">
+                                <Form.Group className="mb-3 w-50" controlId="formTrail">
+                                    <Form.Label>Trail ({trailType === 'percent' ? '%' : panel?.market})</Form.Label>
+                                    <Form.Control
+                                        type="number"
+                                        min={0}
+                                        step={trailType === 'percent' ? 0.1 : priceStep}
+                                        value={trail}
+                                        onChange={(e) => setTrail(e.target.value)}
+                                    />
+                                </Form.Group>
+                                <Form.Group className="mb-3 w-50" controlId="formTrailType">
+                                    <Form.Label>Trail By</Form.Label>
+                                    <Form.Select value={trailType} onChange={(e) => setTrailType(e.target.value)}>
+                                        {TRAIL_TYPES.map((type) => (
+                                            <option key={type} value={type}>{type === 'percent' ? 'Percent' : 'Amount'}</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </div>
+                            <div className="d-flex gap-2">
+                                <Form.Group className="mb-3 w-50" controlId="formExitType">
+                                    <Form.Label>Exit</Form.Label>
+                                    <Form.Select value={exitType} onChange={(e) => setExitType(e.target.value)}>
+                                        <option value="MARKET">Market</option>
+                                        <option value="LIMIT">Limit</option>
+                                    </Form.Select>
+                                </Form.Group>
+                                {exitType === 'LIMIT' && (
+                                    <Form.Group className="mb-3 w-50" controlId="formExitOffset">
+                                        <Form.Label>Limit Offset ({panel?.market})</Form.Label>
+                                        <Form.Control
+                                            type="number"
+                                            step={priceStep}
+                                            min={0}
+                                            value={limitOffset}
+                                            onChange={(e) => setLimitOffset(e.target.value)}
+                                        />
+                                    </Form.Group>
+                                )}
+                            </div>
+                            <Form.Text className="order-form-hint d-block mb-3">
+                                Tracked by the service; the exit is placed when the price {side === 'SELL' ? 'falls from its high' : 'rises from its low'} by the trail
+                            </Form.Text>
+                        </>
+                    )}
+                    {isAlgoType && (
+                        <Form.Text className="order-form-hint d-block mb-3">
+                            Worked by the service as limit orders at the best {side === 'BUY' ? 'bid' : 'ask'}, re-priced as it moves
+                        </Form.Text>
+                    )}
+
+                    {needsStopPrice && (
+                        <div className="d-flex gap-2">
+                            <Form.Group className="mb-3 w-50" controlId="formStopPrice">
+                                <Form.Label>Stop Price ({panel?.market})</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    step={priceStep}
+                                    value={stopPrice}
+                                    onChange={handleStopPriceChange}
+                                />
+                            </Form.Group>
+                            <Form.Group className="mb-3 w-50" controlId="formLimitOffset">
+                                <Form.Label>Limit Offset ({panel?.market})</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    step={priceStep}
+                                    min={0}
+                                    value={limitOffset}
+                                    onChange={handleLimitOffsetChange}
+                                />
+                            </Form.Group>
+                        </div>
+                    )}
+                    {isOcoType && stopLimitPrice && (
+                        <Form.Text className="order-form-hint d-block mb-3">
+                            Stop leg: {side === 'SELL' ? 'sell' : 'buy'} at {stopLimitPrice} once price reaches {stopPrice}
+                        </Form.Text>
+                    )}
+
                     <Form.Group className="mb-3" controlId="formPrice">
-                        <Form.Label>Price ({panel?.market})</Form.Label>
+                        <Form.Label>{priceLabel} ({panel?.market})</Form.Label>
                         <Form.Control
                             type="number"
                             step={priceStep}
                             value={price}
+                            readOnly={isStopLimitType || isMarketType}
                             onChange={(e) => {
                                 setPrice(e.target.value);
                                 updateTotal(e.target.value, amount);
@@ -340,6 +651,45 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
                         />
                     </Form.Group>
 
+                    {isBracketType && (
+                        <>
+                            <div className="d-flex gap-2">
+                                <Form.Group className="mb-3 w-50" controlId="formTakeProfit">
+                                    <Form.Label>Take-Profit ({panel?.market})</Form.Label>
+                                    <Form.Control
+                                        type="number"
+                                        step={priceStep}
+                                        value={takeProfit}
+                                        onChange={(e) => setTakeProfit(e.target.value)}
+                                    />
+                                </Form.Group>
+                                <Form.Group className="mb-3 w-50" controlId="formStopLoss">
+                                    <Form.Label>Stop-Loss ({panel?.market})</Form.Label>
+                                    <Form.Control
+                                        type="number"
+                                        step={priceStep}
+                                        value={stopLoss}
+                                        onChange={(e) => setStopLoss(e.target.value)}
+                                    />
+                                </Form.Group>
+                            </div>
+                            <Form.Group className="mb-3" controlId="formBracketOffset">
+                                <Form.Label>Stop Limit Offset ({panel?.market})</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    step={priceStep}
+                                    min={0}
+                                    value={limitOffset}
+                                    onChange={(e) => setLimitOffset(e.target.value)}
+                                />
+                            </Form.Group>
+                            <Form.Text className="order-form-hint d-block mb-3">
+                                Each fill of the entry is protected by a take-profit / stop-loss OCO
+                                {side === 'BUY' ? ' (stop-loss < entry < take-profit)' : ' (take-profit < entry < stop-loss)'}
+                            </Form.Text>
+                        </>
+                    )}
+
                     <Form.Group className="mb-3" controlId="formAmount">
                         <Form.Label>Amount</Form.Label>
                         <Form.Control
@@ -381,8 +731,13 @@ const OrderFormModal = ({ show, onHide, onSave, initialData }) => {
                 <Button variant="secondary" onClick={onHide}>
                     Cancel
                 </Button>
-                <Button variant={side === 'BUY' ? 'success' : 'danger'} onClick={handleSave} data-testid="submit-order-btn">
-                    {side}
+                <Button
+                    variant={side === 'BUY' ? 'success' : 'danger'}
+                    onClick={handleSave}
+                    disabled={!canSubmit}
+                    data-testid="submit-order-btn"
+                >
+                    {side}{orderType !== ORDER_TYPES.LIMIT ? ` ${ORDER_TYPE_LABELS[orderType]}` : ''}
                 </Button>
             </Modal.Footer>
         </Modal >
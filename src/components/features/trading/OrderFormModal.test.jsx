@@ -88,8 +88,167 @@ describe('OrderFormModal', () => {
             price: 50000,
             amount: 0.1,
             side: 'BUY',
+            orderType: 'LIMIT',
+            timeInForce: 'GTC',
             symbol: 'BTCUSDT',
             id: undefined
         })
     })
+
+    it('should derive the limit price of a stop-limit order from stop and offset', () => {
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(defaultContext)
+        render(
+            <OrderFormModal
+                show={true}
+                onHide={mockOnHide}
+                onSave={mockOnSave}
+                initialData={{}}
+            />
+        )
+
+        fireEvent.change(screen.getByLabelText('Order Type'), { target: { value: 'STOP_LOSS_LIMIT' } })
+        fireEvent.click(screen.getByText('SELL'))
+        fireEvent.change(screen.getByLabelText('Stop Price (USDT)'), { target: { value: '48000' } })
+        fireEvent.change(screen.getByLabelText('Limit Offset (USDT)'), { target: { value: '50' } })
+        fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '0.1' } })
+
+        expect(screen.getByLabelText('Limit Price (USDT)')).toHaveValue(47950)
+
+        fireEvent.click(screen.getByTestId('submit-order-btn'))
+
+        expect(mockOnSave).toHaveBeenLastCalledWith({
+            price: 47950,
+            amount: 0.1,
+            side: 'SELL',
+            orderType: 'STOP_LOSS_LIMIT',
+            timeInForce: 'GTC',
+            stopPrice: 48000,
+            symbol: 'BTCUSDT',
+            id: undefined
+        })
+    })
+    it('should size MARKET orders by quote total without a time in force', () => {
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(defaultContext)
+        render(
+            <OrderFormModal
+                show={true}
+                onHide={mockOnHide}
+                onSave={mockOnSave}
+                initialData={{}}
+            />
+        )
+
+        fireEvent.change(screen.getByLabelText('Order Type'), { target: { value: 'MARKET' } })
+        expect(screen.queryByLabelText('Time in Force')).not.toBeInTheDocument()
+
+        fireEvent.click(screen.getByLabelText('Quote total (USDT)'))
+        fireEvent.change(screen.getByLabelText('Total (USDT)'), { target: { value: '250' } })
+        fireEvent.click(screen.getByTestId('submit-order-btn'))
+
+        const order = mockOnSave.mock.calls.at(-1)[0]
+        expect(order.orderType).toBe('MARKET')
+        expect(order.quoteOrderQty).toBe(250)
+        expect(order).not.toHaveProperty('timeInForce')
+    })
+    it('should send TWAP and iceberg parameters for algo orders', () => {
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(defaultContext)
+        render(
+            <OrderFormModal
+                show={true}
+                onHide={mockOnHide}
+                onSave={mockOnSave}
+                initialData={{}}
+            />
+        )
+
+        fireEvent.change(screen.getByLabelText('Order Type'), { target: { value: 'TWAP' } })
+        expect(screen.queryByLabelText('Time in Force')).not.toBeInTheDocument()
+        fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '0.5' } })
+        fireEvent.change(screen.getByLabelText('Slices'), { target: { value: '5' } })
+        fireEvent.change(screen.getByLabelText('Duration (minutes)'), { target: { value: '20' } })
+        fireEvent.click(screen.getByTestId('submit-order-btn'))
+
+        const twap = mockOnSave.mock.calls.at(-1)[0]
+        expect(twap).toMatchObject({ orderType: 'TWAP', amount: 0.5, slices: 5, durationMinutes: 20 })
+        expect(twap).not.toHaveProperty('price')
+        expect(twap).not.toHaveProperty('timeInForce')
+
+        fireEvent.change(screen.getByLabelText('Order Type'), { target: { value: 'ICEBERG' } })
+        fireEvent.change(screen.getByLabelText('Limit Price, optional (USDT)'), { target: { value: '49000' } })
+        // More than the total can't be shown
+        fireEvent.change(screen.getByLabelText('Visible Amount'), { target: { value: '0.6' } })
+        expect(screen.getByTestId('submit-order-btn')).toBeDisabled()
+        fireEvent.change(screen.getByLabelText('Visible Amount'), { target: { value: '0.1' } })
+        fireEvent.click(screen.getByTestId('submit-order-btn'))
+
+        expect(mockOnSave.mock.calls.at(-1)[0]).toMatchObject({ orderType: 'ICEBERG', price: 49000, amount: 0.5, visibleQty: 0.1 })
+    })
+    it('should send the trail and exit for trailing stops', () => {
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(defaultContext)
+        render(
+            <OrderFormModal
+                show={true}
+                onHide={mockOnHide}
+                onSave={mockOnSave}
+                initialData={{}}
+            />
+        )
+
+        fireEvent.change(screen.getByLabelText('Order Type'), { target: { value: 'TRAILING_STOP' } })
+        expect(screen.getByText(/the price rises from its low by the trail/)).toBeInTheDocument()
+        fireEvent.click(screen.getByText('SELL'))
+        expect(screen.getByText(/the price falls from its high by the trail/)).toBeInTheDocument()
+        expect(screen.queryByLabelText('Time in Force')).not.toBeInTheDocument()
+        fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '0.5' } })
+        expect(screen.getByTestId('submit-order-btn')).toBeDisabled()
+        fireEvent.change(screen.getByLabelText('Trail (%)'), { target: { value: '2' } })
+        fireEvent.click(screen.getByTestId('submit-order-btn'))
+
+        const percent = mockOnSave.mock.calls.at(-1)[0]
+        expect(percent).toMatchObject({ orderType: 'TRAILING_STOP', side: 'SELL', amount: 0.5, trailType: 'percent', trail: 2, exitType: 'MARKET' })
+        expect(percent).not.toHaveProperty('price')
+        expect(percent).not.toHaveProperty('limitOffset')
+
+        fireEvent.change(screen.getByLabelText('Trail By'), { target: { value: 'amount' } })
+        fireEvent.change(screen.getByLabelText('Trail (USDT)'), { target: { value: '150' } })
+        fireEvent.change(screen.getByLabelText('Exit'), { target: { value: 'LIMIT' } })
+        fireEvent.change(screen.getByLabelText('Limit Offset (USDT)'), { target: { value: '10' } })
+        fireEvent.change(screen.getByLabelText('Reference Price (USDT)'), { target: { value: '50000' } })
+        fireEvent.click(screen.getByTestId('submit-order-btn'))
+
+        expect(mockOnSave.mock.calls.at(-1)[0]).toMatchObject({
+            price: 50000, trailType: 'amount', trail: 150, exitType: 'LIMIT', limitOffset: 10
+        })
+    })
+    it('should send the exit levels for bracket orders', () => {
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(defaultContext)
+        render(
+            <OrderFormModal
+                show={true}
+                onHide={mockOnHide}
+                onSave={mockOnSave}
+                initialData={{}}
+            />
+        )
+
+        fireEvent.change(screen.getByLabelText('Order Type'), { target: { value: 'BRACKET' } })
+        expect(screen.queryByLabelText('Time in Force')).not.toBeInTheDocument()
+        fireEvent.change(screen.getByLabelText('Entry Price (USDT)'), { target: { value: '50000' } })
+        fireEvent.change(screen.getByLabelText('Amount'), { target: { value: '0.5' } })
+        // A BUY bracket needs stop-loss < entry < take-profit
+        fireEvent.change(screen.getByLabelText('Take-Profit (USDT)'), { target: { value: '48000' } })
+        fireEvent.change(screen.getByLabelText('Stop-Loss (USDT)'), { target: { value: '52000' } })
+        expect(screen.getByTestId('submit-order-btn')).toBeDisabled()
+
+        fireEvent.change(screen.getByLabelText('Take-Profit (USDT)'), { target: { value: '55000' } })
+        fireEvent.change(screen.getByLabelText('Stop-Loss (USDT)'), { target: { value: '48000' } })
+        fireEvent.change(screen.getByLabelText('Stop Limit Offset (USDT)'), { target: { value: '50' } })
+        fireEvent.click(screen.getByTestId('submit-order-btn'))
+
+        const bracket = mockOnSave.mock.calls.at(-1)[0]
+        expect(bracket).toMatchObject({
+            orderType: 'BRACKET', side: 'BUY', price: 50000, amount: 0.5, takeProfit: 55000, stopLoss: 48000, limitOffset: 50
+        })
+        expect(bracket).not.toHaveProperty('timeInForce')
+    })
 })
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import './PanicModal.css';
+import { Modal, Button, Form } from 'react-bootstrap';
+import { useDataContext } from '../../../context/DataContext';
+
+const DEFAULT_DUST_USDT = 10;
+
+// The threshold is in the quote asset: 10 USDT, converted at the <quote>USDT price for other quotes.
+// Without a price only balances below the exchange minimums are kept.
+const defaultDustThreshold = (market, ticker) => {
+    if (!market || market === 'USDT') return String(DEFAULT_DUST_USDT);
+    const price = parseFloat(ticker?.find((item) => item.symbol === `${market}USDT`)?.lastPrice);
+    return price > 0 ? String(Number((DEFAULT_DUST_USDT / price).toPrecision(2))) : '0';
+};
+
+// Confirmation step of the kill switch: what to cancel and whether to sell the balances too
+const PanicModal = ({ show, onHide, onConfirm }) => {
+    const { orders, panel, ticker } = useDataContext();
+    const [scope, setScope] = useState('symbol');
+    const [flatten, setFlatten] = useState(false);
+    const [dustThreshold, setDustThreshold] = useState(() => defaultDustThreshold(panel?.market, ticker));
+
+    // Every opening starts from the least destructive choice
+    const handleShow = () => {
+        setScope(panel?.selected ? 'symbol' : 'all');
+        setFlatten(false);
+        setDustThreshold(defaultDustThreshold(panel?.market, ticker));
+    };
+
+    const market = panel?.market;
+    const symbol = scope === 'symbol' ? panel?.selected : null;
+    const openOrders = orders ?? [];
+    const symbolOrders = openOrders.filter((order) => order.symbol === panel?.selected).length;
+    const threshold = parseFloat(dustThreshold);
+    const canConfirm = !flatten || (Number.isFinite(threshold) && threshold >= 0);
+
+    const handleConfirm = () => {
+        if (!canConfirm) return;
+        onConfirm({
+            symbol,
+            flatten,
+            ...(flatten && { quoteAsset: market, dustThreshold: threshold }),
+        });
+    };
+
+    return (
+        <Modal show={show} onHide={onHide} onShow={handleShow} centered className="panic-modal">
+            <Modal.Header closeButton>
+                <Modal.Title>Kill Switch</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                {/* Enter never confirms: the switch only fires from an explicit click on the danger button */}
+                <Form onSubmit={(e) => e.preventDefault()}>
+                    <Form.Group className="mb-3">
+                        <Form.Check
+                            type="radio"
+                            id="panicScopeSymbol"
+                            name="panicScope"
+                            label={`Cancel orders on ${panel?.selected ?? 'the current symbol'} (${symbolOrders} open)`}
+                            checked={scope === 'symbol'}
+                            disabled={!panel?.selected}
+                            onChange={() => setScope('symbol')}
+                        />
+                        <Form.Check
+                            type="radio"
+                            id="panicScopeAll"
+                            name="panicScope"
+                            label={`Cancel orders on every symbol (${openOrders.length} open)`}
+                            checked={scope === 'all'}
+                            onChange={() => setScope('all')}
+                        />
+                    </Form.Group>
+                    <Form.Check
+                        className="mb-3"
+                        type="checkbox"
+                        id="panicFlatten"
+                        label={scope === 'symbol'
+                            ? `Also sell the ${panel?.selected ?? ''} base balance at market`
+                            : `Also sell every balance into ${market} at market`}
+                        checked={flatten}
+                        onChange={(e) => setFlatten(e.target.checked)}
+                    />
+                    {flatten && (
+                        <Form.Group className="mb-3" controlId="panicDustThreshold">
+                            <Form.Label>Keep balances worth less than ({market})</Form.Label>
+                            <Form.Control
+                                type="number"
+                                min={0}
+                                value={dustThreshold}
+                                onChange={(e) => setDustThreshold(e.target.value)}
+                            />
+                        </Form.Group>
+                    )}
+                    <Form.Text className="panic-modal-hint d-block">
+                        Algo orders, trailing stops and brackets in scope are stopped as well.
+                        A summary of what was cancelled and sold follows.
+                    </Form.Text>
+                </Form>
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="secondary" onClick={onHide} autoFocus data-testid="panic-back-btn">
+                    Back
+                </Button>
+                <Button
+                    variant="danger"
+                    onClick={handleConfirm}
+                    disabled={!canConfirm}
+                    data-testid="panic-confirm-btn"
+                >
+                    {flatten ? 'Cancel Orders & Sell' : 'Cancel Orders'}
+                </Button>
+            </Modal.Footer>
+        </Modal>
+    );
+};
+
+export default PanicModal;
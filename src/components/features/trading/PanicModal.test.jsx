@@ -0,0 +1,80 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import PanicModal from './PanicModal'
+import * as DataContextModule from '../../../context/DataContext'
+import { createMockDataContextValue } from '@/test/mocks'
+
+// Mock DataContext
+vi.mock('../../../context/DataContext', () => ({
+    useDataContext: vi.fn()
+}))
+
+describe('PanicModal', () => {
+    const mockOnHide = vi.fn()
+    const mockOnConfirm = vi.fn()
+
+    const defaultContext = createMockDataContextValue({
+        orders: [
+            { symbol: 'BTCUSDT', orderId: 1 },
+            { symbol: 'BTCUSDT', orderId: 2 },
+            { symbol: 'ETHUSDT', orderId: 3 }
+        ],
+        panel: { selected: 'BTCUSDT', market: 'USDT' }
+    })
+
+    beforeEach(() => {
+        mockOnConfirm.mockClear()
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(defaultContext)
+    })
+
+    it('should default to cancelling the current symbol without selling', () => {
+        render(<PanicModal show={true} onHide={mockOnHide} onConfirm={mockOnConfirm} />)
+
+        expect(screen.getByLabelText('Cancel orders on BTCUSDT (2 open)')).toBeChecked()
+        expect(screen.getByLabelText('Cancel orders on every symbol (3 open)')).not.toBeChecked()
+        fireEvent.click(screen.getByTestId('panic-confirm-btn'))
+
+        expect(mockOnConfirm).toHaveBeenCalledWith({ symbol: 'BTCUSDT', flatten: false })
+    })
+
+    it('should send every symbol and the dust threshold when selling', () => {
+        render(<PanicModal show={true} onHide={mockOnHide} onConfirm={mockOnConfirm} />)
+
+        fireEvent.click(screen.getByLabelText('Cancel orders on every symbol (3 open)'))
+        fireEvent.click(screen.getByLabelText('Also sell every balance into USDT at market'))
+        fireEvent.change(screen.getByLabelText('Keep balances worth less than (USDT)'), { target: { value: '-1' } })
+        expect(screen.getByTestId('panic-confirm-btn')).toBeDisabled()
+
+        fireEvent.change(screen.getByLabelText('Keep balances worth less than (USDT)'), { target: { value: '5' } })
+        expect(screen.getByTestId('panic-confirm-btn')).toHaveTextContent('Cancel Orders & Sell')
+        fireEvent.click(screen.getByTestId('panic-confirm-btn'))
+
+        expect(mockOnConfirm).toHaveBeenCalledWith({ symbol: null, flatten: true, quoteAsset: 'USDT', dustThreshold: 5 })
+    })
+
+    it('should not confirm on Enter', () => {
+        render(<PanicModal show={true} onHide={mockOnHide} onConfirm={mockOnConfirm} />)
+
+        expect(screen.getByTestId('panic-back-btn')).toHaveFocus()
+        fireEvent.keyDown(document.activeElement, { key: 'Enter' })
+        fireEvent.click(screen.getByLabelText('Also sell the BTCUSDT base balance at market'))
+        fireEvent.submit(screen.getByLabelText('Keep balances worth less than (USDT)'))
+
+        expect(mockOnConfirm).not.toHaveBeenCalled()
+    })
+
+    it('should convert the default dust threshold to a BTC quote', () => {
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(createMockDataContextValue({
+            orders: [],
+            panel: { selected: 'ETHBTC', market: 'BTC' },
+            ticker: [{ symbol: 'BTCUSDT', lastPrice: '50000.00' }]
+        }))
+        render(<PanicModal show={true} onHide={mockOnHide} onConfirm={mockOnConfirm} />)
+
+        fireEvent.click(screen.getByLabelText('Also sell the ETHBTC base balance at market'))
+        expect(screen.getByLabelText('Keep balances worth less than (BTC)')).toHaveValue(0.0002)
+        fireEvent.click(screen.getByTestId('panic-confirm-btn'))
+
+        expect(mockOnConfirm).toHaveBeenCalledWith({ symbol: 'ETHBTC', flatten: true, quoteAsset: 'BTC', dustThreshold: 0.0002 })
+    })
+})
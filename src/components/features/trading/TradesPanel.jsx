@@ -6,6 +6,7 @@ import { useDataContext } from '../../../context/DataContext'
 import { useNotifications } from '../../../hooks/useNotifications'
 import { NOTIFICATION_TYPES } from '../../../constants/notification'
 import { groupOrdersBySide } from '../../../utils/orderGroups'
+import HookSettings from '../tools/HookSettings'
 
 const parseFormat = timeParse('%Q')
 const formatTime = timeFormat('%H:%M:%S')
@@ -451,7 +452,10 @@ const TradesPanel = () => {
                     Settings
                 </div>
             </div>
-            <div className="feed">{feed}</div>
+            <div className="feed">
+                {feed}
+                {menu === 'settings' && <HookSettings />}
+            </div>
         </div>
     )
 }
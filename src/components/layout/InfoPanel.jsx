@@ -18,6 +18,12 @@ const InfoPanel = ({ handleRequest }) => {
         ticker,
         marketHistory,
         handlePanelUpdate,
+        algoOrders,
+        controlAlgoOrder,
+        trailingStops,
+        cancelTrailingStop,
+        brackets,
+        cancelBracket,
     } = useDataContext();
     const [menu, setMenu] = useState('orders')
     const [pnlPeriod, setPnlPeriod] = useState('day')
@@ -95,16 +101,22 @@ const InfoPanel = ({ handleRequest }) => {
         const formattedTime = formatTime(t)
         const formattedTotal = precisionTruncate(total, marketValueDecimals).toFixed(marketValueDecimals)
         const formattedPrice = precisionTruncate(p, precision.price).toFixed(precision.price)
+        const orderType = order.type && order.type !== 'LIMIT' ? order.type : null
+        const stop = parseFloat(order.stop ?? order.stopPrice)
+        const formattedStop = stop > 0 ? precisionTruncate(stop, precision.price).toFixed(precision.price) : null
 
         return (
             <div
                 key={index}
-                className={`order-card ${isSell ? 'sell' : 'buy'}`}
+                className={`order-card ${isSell ? 'sell' : 'buy'}${order.pending ? ' pending' : ''}`}
             >
                 <div className="order-card-header">
                     <span className={`order-card-side ${isSell ? 'sell' : 'buy'}`}>
                         {isSell ? 'SELL' : 'BUY'}
                     </span>
+                    {orderType && (
+                        <span className="order-card-type">{orderType.replace(/_/g, ' ')}</span>
+                    )}
                     <span
                         className="order-card-symbol"
                         symbol={s}
@@ -112,20 +124,187 @@ const InfoPanel = ({ handleRequest }) => {
                     >
                         {s}
                     </span>
+                    {!order.pending && (
+                        <span
+                            className="order-card-cancel"
+                            onClick={(e) => handleCancelOrderClick(e, orderId, s)}
+                        >
+                            ×
+                        </span>
+                    )}
+                </div>
+                <div className="order-card-details">
+                    <div className="order-card-main">
+                        <span className="order-card-price">{formattedPrice}</span>
+                        <span className="order-card-total">@ {formattedTotal} {market}</span>
+                        {formattedStop && (
+                            <span className="order-card-stop">stop {formattedStop}</span>
+                        )}
+                    </div>
+                    <span className="order-card-time">{formattedTime}</span>
+                </div>
+            </div>
+        )
+    }
+
+    // TWAP / iceberg parent: progress of the whole order, its working child and the controls
+    const compoundAlgoOrder = (parent) => {
+        const isSell = parent.side === 'SELL'
+        const isActive = parent.status === 'RUNNING' || parent.status === 'PAUSED'
+        const quantity = parseFloat(parent.quantity)
+        const progress = quantity > 0 ? Math.min(100, (parseFloat(parent.filledQty) / quantity) * 100) : 0
+        const schedule = parent.algo === 'TWAP'
+            ? `slice ${parent.slicesReleased}/${parent.slices} over ${parent.durationMinutes}m`
+            : `shows ${parent.visibleQty}`
+
+        return (
+            <div
+                key={parent.id}
+                className={`order-card algo-card ${isSell ? 'sell' : 'buy'}${isActive ? '' : ' finished'}`}
+                data-testid={`algo-order-${parent.id}`}
+            >
+                <div className="order-card-header">
+                    <span className={`order-card-side ${isSell ? 'sell' : 'buy'}`}>
+                        {isSell ? 'SELL' : 'BUY'}
+                    </span>
+                    <span className="order-card-type">{parent.algo}</span>
+                    <span
+                        className="order-card-symbol"
+                        symbol={parent.symbol}
+                        onClick={handlePairClick}
+                    >
+                        {parent.symbol}
+                    </span>
+                    <span className={`algo-card-status ${parent.status.toLowerCase()}`}>{parent.status}</span>
+                </div>
+                <div className="order-card-details">
+                    <div className="order-card-main">
+                        <span className="order-card-price">{parent.filledQty} / {parent.quantity}</span>
+                        {parent.avgPrice && (
+                            <span className="order-card-total">avg {parent.avgPrice}</span>
+                        )}
+                        {parent.limitPrice && (
+                            <span className="order-card-stop">limit {parent.limitPrice}</span>
+                        )}
+                    </div>
+                    <span className="order-card-time">{schedule}</span>
+                </div>
+                <div className="algo-card-progress">
+                    <div className="algo-card-progress-fill" style={{ width: `${progress}%` }} />
+                </div>
+                {(parent.child || parent.reason) && (
+                    <div className="algo-card-info">
+                        {parent.child
+                            ? `working ${parent.child.quantity} @ ${parent.child.price}`
+                            : parent.reason}
+                    </div>
+                )}
+                {isActive && (
+                    <div className="algo-card-controls">
+                        {parent.status === 'RUNNING' ? (
+                            <button type="button" onClick={() => controlAlgoOrder(parent.id, 'pause')}>Pause</button>
+                        ) : (
+                            <button type="button" onClick={() => controlAlgoOrder(parent.id, 'resume')}>Resume</button>
+                        )}
+                        <button type="button" className="cancel" onClick={() => controlAlgoOrder(parent.id, 'cancel')}>
+                            Cancel
+                        </button>
+                    </div>
+                )}
+            </div>
+        )
+    }
+
+    // Trailing stop held by the service: the level it has trailed to and how it exits
+    const compoundTrailingStop = (stop) => {
+        const isSell = stop.side === 'SELL'
+        const trail = stop.trailType === 'percent' ? `${stop.trail}%` : stop.trail
+        const exit = stop.exitType === 'LIMIT' ? `limit exit ±${stop.limitOffset}` : 'market exit'
+
+        return (
+            <div
+                key={stop.id}
+                className={`order-card trailing-card ${isSell ? 'sell' : 'buy'}`}
+                data-testid={`trailing-stop-${stop.id}`}
+            >
+                <div className="order-card-header">
+                    <span className={`order-card-side ${isSell ? 'sell' : 'buy'}`}>
+                        {isSell ? 'SELL' : 'BUY'}
+                    </span>
+                    <span className="order-card-type">TRAILING</span>
+                    <span
+                        className="order-card-symbol"
+                        symbol={stop.symbol}
+                        onClick={handlePairClick}
+                    >
+                        {stop.symbol}
+                    </span>
+                    {stop.status === 'ACTIVE' && (
+                        <span
+                            className="order-card-cancel"
+                            title="Cancel trailing stop"
+                            onClick={() => cancelTrailingStop(stop.id)}
+                        >
+                            ×
+                        </span>
+                    )}
+                </div>
+                <div className="order-card-details">
+                    <div className="order-card-main">
+                        <span className="order-card-price">{stop.stopPrice ?? 'waiting for price'}</span>
+                        <span className="order-card-total">{stop.quantity} · trail {trail}</span>
+                        {stop.extreme && (
+                            <span className="order-card-stop">{isSell ? 'high' : 'low'} {stop.extreme}</span>
+                        )}
+                    </div>
+                    <span className="order-card-time">{stop.status === 'TRIGGERING' ? 'placing exit' : exit}</span>
+                </div>
+            </div>
+        )
+    }
+
+    // Bracket held by the service: entry, exit levels and how much of the fill is protected
+    const compoundBracket = (bracket) => {
+        const isSell = bracket.side === 'SELL'
+
+        return (
+            <div
+                key={bracket.id}
+                className={`order-card bracket-card ${isSell ? 'sell' : 'buy'}`}
+                data-testid={`bracket-${bracket.id}`}
+            >
+                <div className="order-card-header">
+                    <span className={`order-card-side ${isSell ? 'sell' : 'buy'}`}>
+                        {isSell ? 'SELL' : 'BUY'}
+                    </span>
+                    <span className="order-card-type">BRACKET</span>
+                    <span
+                        className="order-card-symbol"
+                        symbol={bracket.symbol}
+                        onClick={handlePairClick}
+                    >
+                        {bracket.symbol}
+                    </span>
+                    <span className={`algo-card-status ${bracket.status.toLowerCase()}`}>{bracket.status}</span>
                     <span
                         className="order-card-cancel"
-                        onClick={(e) => handleCancelOrderClick(e, orderId, s)}
+                        title="Cancel bracket"
+                        onClick={() => cancelBracket(bracket.id)}
                     >
                         ×
                     </span>
                 </div>
                 <div className="order-card-details">
                     <div className="order-card-main">
-                        <span className="order-card-price">{formattedPrice}</span>
-                        <span className="order-card-total">@ {formattedTotal} {market}</span>
+                        <span className="order-card-price">{bracket.quantity} @ {bracket.price}</span>
+                        <span className="order-card-total">TP {bracket.takeProfit}</span>
+                        <span className="order-card-stop">SL {bracket.stopLoss}</span>
                     </div>
-                    <span className="order-card-time">{formattedTime}</span>
+                    <span className="order-card-time">
+                        filled {bracket.filledQty} · protected {bracket.protectedQty}
+                    </span>
                 </div>
+                {bracket.reason && <div className="algo-card-info">{bracket.reason}</div>}
             </div>
         )
     }
@@ -286,7 +465,7 @@ const InfoPanel = ({ handleRequest }) => {
             }
             break
         case 'orders':
-            if (sortedOrders.length > 0) {
+            if (sortedOrders.length > 0 || algoOrders?.length > 0 || trailingStops?.length > 0 || brackets?.length > 0) {
                 maxTotal = Math.max.apply(
                     Math,
                     sortedOrders.map(
@@ -295,6 +474,9 @@ const InfoPanel = ({ handleRequest }) => {
                 )
                 feed = (
                     <div className="orders-container">
+                        {algoOrders?.map(compoundAlgoOrder)}
+                        {trailingStops?.map(compoundTrailingStop)}
+                        {brackets?.map(compoundBracket)}
                         {sortedOrders.map((order, index) =>
                             compoundOrder(order, filters, market, maxTotal, index, marketValueDecimals)
                         )}
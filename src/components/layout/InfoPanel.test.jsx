@@ -66,6 +66,94 @@ describe('InfoPanel', () => {
         expect(screen.getByText('50000.00')).toBeInTheDocument()
     })
 
+    it('should display algo parents with their controls', () => {
+        const controlAlgoOrder = vi.fn()
+        const contextWithAlgos = createMockDataContextValue({
+            handlePanelUpdate: mockHandlePanelUpdate,
+            controlAlgoOrder,
+            algoOrders: [
+                {
+                    id: 'algo1', algo: 'TWAP', symbol: 'ALTUSDT', side: 'BUY', status: 'RUNNING', reason: null,
+                    quantity: '100', filledQty: '25', avgPrice: '0.9990', limitPrice: null,
+                    slices: 4, durationMinutes: 2, slicesReleased: 2,
+                    child: { orderId: 7, price: '0.9990', quantity: '25', executedQty: '0' }
+                },
+                {
+                    id: 'algo2', algo: 'ICEBERG', symbol: 'ALTUSDT', side: 'SELL', status: 'PAUSED',
+                    reason: 'Child order canceled outside the algo', quantity: '30', filledQty: '0', avgPrice: null,
+                    limitPrice: '1.0100', visibleQty: '10', child: null
+                }
+            ]
+        })
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(contextWithAlgos)
+        render(<InfoPanel handleRequest={mockHandleRequest} />)
+
+        expect(screen.getByText('25 / 100')).toBeInTheDocument()
+        expect(screen.getByText('slice 2/4 over 2m')).toBeInTheDocument()
+        expect(screen.getByText('working 25 @ 0.9990')).toBeInTheDocument()
+        expect(screen.getByText('Child order canceled outside the algo')).toBeInTheDocument()
+
+        fireEvent.click(screen.getByText('Pause'))
+        fireEvent.click(screen.getByText('Resume'))
+        fireEvent.click(screen.getAllByText('Cancel')[0])
+        expect(controlAlgoOrder.mock.calls).toEqual([['algo1', 'pause'], ['algo2', 'resume'], ['algo1', 'cancel']])
+    })
+
+    it('should display trailing stops and cancel them', () => {
+        const cancelTrailingStop = vi.fn()
+        const contextWithStops = createMockDataContextValue({
+            handlePanelUpdate: mockHandlePanelUpdate,
+            cancelTrailingStop,
+            trailingStops: [
+                {
+                    id: 'trail1', symbol: 'ALTUSDT', side: 'SELL', status: 'ACTIVE', quantity: '5.0',
+                    trailType: 'percent', trail: 2, exitType: 'MARKET', limitOffset: 0, extreme: '12.00', stopPrice: '11.76'
+                },
+                {
+                    id: 'trail2', symbol: 'ALTUSDT', side: 'BUY', status: 'ACTIVE', quantity: '3',
+                    trailType: 'amount', trail: 0.5, exitType: 'LIMIT', limitOffset: 0.05, extreme: null, stopPrice: null
+                }
+            ]
+        })
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(contextWithStops)
+        render(<InfoPanel handleRequest={mockHandleRequest} />)
+
+        expect(screen.getByText('11.76')).toBeInTheDocument()
+        expect(screen.getByText('5.0 · trail 2%')).toBeInTheDocument()
+        expect(screen.getByText('high 12.00')).toBeInTheDocument()
+        expect(screen.getByText('waiting for price')).toBeInTheDocument()
+        expect(screen.getByText('limit exit ±0.05')).toBeInTheDocument()
+
+        fireEvent.click(screen.getAllByTitle('Cancel trailing stop')[0])
+        expect(cancelTrailingStop).toHaveBeenCalledWith('trail1')
+    })
+
+    it('should display brackets and cancel them', () => {
+        const cancelBracket = vi.fn()
+        const contextWithBrackets = createMockDataContextValue({
+            handlePanelUpdate: mockHandlePanelUpdate,
+            cancelBracket,
+            brackets: [
+                {
+                    id: 'brk1', symbol: 'ALTUSDT', side: 'BUY', status: 'ACTIVE', quantity: '5', price: '10.00',
+                    takeProfit: '11.00', stopLoss: '9.50', limitOffset: 0, filledQty: '2', protectedQty: '2',
+                    entry: { orderId: 7, status: 'PARTIALLY_FILLED' }, exits: []
+                }
+            ]
+        })
+        vi.spyOn(DataContextModule, 'useDataContext').mockReturnValue(contextWithBrackets)
+        render(<InfoPanel handleRequest={mockHandleRequest} />)
+
+        expect(screen.getByText('BRACKET')).toBeInTheDocument()
+        expect(screen.getByText('5 @ 10.00')).toBeInTheDocument()
+        expect(screen.getByText('TP 11.00')).toBeInTheDocument()
+        expect(screen.getByText('SL 9.50')).toBeInTheDocument()
+        expect(screen.getByText('filled 2 · protected 2')).toBeInTheDocument()
+
+        fireEvent.click(screen.getByTitle('Cancel bracket'))
+        expect(cancelBracket).toHaveBeenCalledWith('brk1')
+    })
+
     it('should display balances', () => {
         const contextWithBalances = createMockDataContextValue({
             handlePanelUpdate: mockHandlePanelUpdate,
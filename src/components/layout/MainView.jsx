@@ -3,6 +3,7 @@ import './MainView.css';
 import MiniChart from '../features/charts/MiniChart';
 import { useDataContext } from '../../context/DataContext';
 import { CHANNEL_TYPES, createChannelId } from '../../utils/channels';
+import { isTradeBarInterval } from '../../utils/chart-utils';
 import { 
     findCellBySymbol, 
     resolveTargetCell,
@@ -27,6 +28,9 @@ const DEFAULT_PAIRS = [
 
 const DEFAULT_INTERVAL = '1h';
 
+// Mini charts have no trade stream; they keep their own interval when the detail chart uses trade bars
+const miniChartInterval = (interval) => (isTradeBarInterval(interval) ? null : interval);
+
 // Maximum WebSocket connections to keep alive for mini charts
 const MAX_MINI_CONNECTIONS = 50;
 
@@ -73,6 +77,8 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
         const panelKey = `${panel.selected}-${panel.interval}`;
         if (lastSyncedPanelRef.current === panelKey) return;
 
+        const syncInterval = miniChartInterval(panel.interval);
+
         // Check if the pair from DepthView already exists in the grid
         const existingIndex = findCellBySymbol(chartConfigs, panel.selected);
         
@@ -85,13 +91,13 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
             }
             // Update interval if needed (user might have changed interval in DepthView)
             setChartConfigs(prev => {
-                if (prev[existingIndex]?.interval === panel.interval) {
+                if (!syncInterval || prev[existingIndex]?.interval === syncInterval) {
                     return prev; // No change needed
                 }
                 const newConfigs = [...prev];
                 newConfigs[existingIndex] = {
                     ...newConfigs[existingIndex],
-                    interval: panel.interval
+                    interval: syncInterval
                 };
                 return newConfigs;
             });
@@ -99,7 +105,8 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
             // Pair doesn't exist - update selected slot with panel state
             setChartConfigs(prev => {
                 // If panel already matches selected slot, no change needed
-                if (prev[selectedSlot]?.symbol === panel.selected && prev[selectedSlot]?.interval === panel.interval) {
+                const interval = syncInterval ?? prev[selectedSlot]?.interval ?? DEFAULT_INTERVAL;
+                if (prev[selectedSlot]?.symbol === panel.selected && prev[selectedSlot]?.interval === interval) {
                     return prev;
                 }
 
@@ -107,7 +114,7 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
                 const newConfigs = [...prev];
                 newConfigs[selectedSlot] = {
                     symbol: panel.selected,
-                    interval: panel.interval
+                    interval
                 };
                 return newConfigs;
             });
@@ -119,6 +126,7 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
     // Expose method to update the selected slot (for AnalyticsPanel clicks)
     // KEY: Check if pair exists - if so, focus that cell instead of creating duplicate
     const updateSelectedSlotFromAnalytics = useCallback((symbol, interval) => {
+        const slotInterval = miniChartInterval(interval);
         setChartConfigs(prev => {
             const { targetSlot, isExisting } = resolveTargetCell(prev, symbol, selectedSlot);
             
@@ -128,7 +136,7 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
                     setSelectedSlot(targetSlot);
                 }
                 // Update interval if provided and different
-                const effectiveInterval = interval || prev[targetSlot]?.interval;
+                const effectiveInterval = slotInterval || prev[targetSlot]?.interval;
                 if (prev[targetSlot]?.interval === effectiveInterval) {
                     return prev; // No change needed
                 }
@@ -144,7 +152,7 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
             const newConfigs = [...prev];
             newConfigs[selectedSlot] = {
                 symbol: symbol,
-                interval: interval || prev[selectedSlot]?.interval || DEFAULT_INTERVAL
+                interval: slotInterval || prev[selectedSlot]?.interval || DEFAULT_INTERVAL
             };
             return newConfigs;
         });
@@ -153,6 +161,7 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
     // Expose method to update the selected slot (for QuickSwitch)
     // KEY: Check if pair exists - if so, focus that cell instead of creating duplicate
     const updateSelectedSlot = useCallback((symbol, interval) => {
+        const slotInterval = miniChartInterval(interval);
         setChartConfigs(prev => {
             const { targetSlot, isExisting } = resolveTargetCell(prev, symbol, selectedSlot);
             
@@ -162,7 +171,7 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
                     setSelectedSlot(targetSlot);
                 }
                 // Update interval if provided and different
-                const effectiveInterval = interval || prev[targetSlot]?.interval;
+                const effectiveInterval = slotInterval || prev[targetSlot]?.interval;
                 if (prev[targetSlot]?.interval === effectiveInterval) {
                     return prev; // No change needed
                 }
@@ -178,7 +187,7 @@ const MainView = ({ onSwitchToDepth, onPairChange, onSelectedSlotChange, showAna
             const newConfigs = [...prev];
             newConfigs[selectedSlot] = {
                 symbol: symbol,
-                interval: interval || prev[selectedSlot]?.interval || DEFAULT_INTERVAL
+                interval: slotInterval || prev[selectedSlot]?.interval || DEFAULT_INTERVAL
             };
             return newConfigs;
         });
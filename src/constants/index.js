@@ -1,5 +1,54 @@
 export const MARKETS = ['BTC', 'USDT']
-export const INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M']
+// Binance-native intervals plus custom ones the backend aggregates from native candles
+export const CUSTOM_INTERVALS = ['2m', '10m', '45m', '90m', '2d']
+export const INTERVALS = ['1m', '2m', '3m', '5m', '10m', '15m', '30m', '45m', '1h', '90m', '2h', '4h', '6h', '8h', '12h', '1d', '2d', '3d', '1w', '1M']
+
+// Any N-minute/hour/day interval can be typed into the quick switch
+export const CUSTOM_INTERVAL_PATTERN = /^[1-9]\d*[mhd]$/
+
+// Bars built from the trade stream (detail chart only): tick<trades>, vol<base qty>,
+// range<price ticks>, renko<price ticks>
+export const TRADE_BAR_INTERVALS = ['tick100', 'tick1000', 'vol10', 'range20', 'renko20']
+export const TRADE_BAR_INTERVAL_PATTERN = /^(tick|vol|range|renko)\d+(\.\d+)?$/
+
+export const ORDER_TYPES = {
+    LIMIT: 'LIMIT',
+    MARKET: 'MARKET',
+    STOP_LOSS_LIMIT: 'STOP_LOSS_LIMIT',
+    TAKE_PROFIT_LIMIT: 'TAKE_PROFIT_LIMIT',
+    OCO: 'OCO',
+    TWAP: 'TWAP',
+    ICEBERG: 'ICEBERG',
+    TRAILING_STOP: 'TRAILING_STOP',
+    BRACKET: 'BRACKET',
+}
+
+export const ORDER_TYPE_LABELS = {
+    [ORDER_TYPES.LIMIT]: 'Limit',
+    [ORDER_TYPES.MARKET]: 'Market',
+    [ORDER_TYPES.STOP_LOSS_LIMIT]: 'Stop-Limit',
+    [ORDER_TYPES.TAKE_PROFIT_LIMIT]: 'Take-Profit Limit',
+    [ORDER_TYPES.OCO]: 'OCO',
+    [ORDER_TYPES.TWAP]: 'TWAP',
+    [ORDER_TYPES.ICEBERG]: 'Iceberg',
+    [ORDER_TYPES.TRAILING_STOP]: 'Trailing Stop',
+    [ORDER_TYPES.BRACKET]: 'Bracket',
+}
+
+// Order types that rest as a limit order behind a stop trigger
+export const STOP_LIMIT_ORDER_TYPES = [ORDER_TYPES.STOP_LOSS_LIMIT, ORDER_TYPES.TAKE_PROFIT_LIMIT]
+
+// Parent orders the backend works as a series of child limit orders (electron/services/execution-algos.js)
+export const ALGO_ORDER_TYPES = [ORDER_TYPES.TWAP, ORDER_TYPES.ICEBERG]
+
+// Order types tracked by the backend that can't be amended into from an open order
+export const SERVICE_ORDER_TYPES = [...ALGO_ORDER_TYPES, ORDER_TYPES.TRAILING_STOP, ORDER_TYPES.BRACKET]
+
+// Trailing stop distance: percent of the best price since placement, or an absolute amount
+export const TRAIL_TYPES = ['percent', 'amount']
+
+// GTC rests on the book, IOC fills what it can and cancels the rest, FOK fills fully or not at all
+export const TIME_IN_FORCE_OPTIONS = ['GTC', 'IOC', 'FOK']
 
 export const DEFAULT_PANEL = {
     input: '',
@@ -45,6 +94,15 @@ export const DEFAULT_ORDER_BOOK_SETTINGS = {
     min_accuracy: 0,
 }
 
+// Backend order book sync state (`depth_status` channel messages)
+export const DEPTH_SYNC_STATES = {
+    LIVE: 'live',
+    RESYNCING: 'resyncing',
+}
+
+// Window argument carrying the per-launch service token (electron/services/session-auth.js)
+export const SESSION_TOKEN_ARG = '--cc-session-token='
+
 export const DEFAULT_ACTIVITY_PANEL_SETTINGS = {
     interval: '1s',
 }
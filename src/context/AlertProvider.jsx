@@ -1,8 +1,8 @@
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
     createAlert as createAlertFn,
     deleteAlertById,
-    checkAlerts,
+    applyAlertTrigger,
     fireAlertNotifications,
     toggleAlertActive,
     resetAlert as resetAlertFn,
@@ -14,6 +14,7 @@ import {
 } from '../utils/alerts';
 import { getAlerts } from '../utils/cache';
 import { AlertContext } from './AlertContext';
+import { useDataContext } from './DataContext';
 
 export function AlertProvider({ children }) {
     const [alerts, setAlerts] = useState([]);
@@ -22,9 +23,7 @@ export function AlertProvider({ children }) {
     const [audioEnabled, setAudioEnabled] = useState(true);
     const [visualEnabled, setVisualEnabled] = useState(true);
     const [browserNotificationsEnabled, setBrowserNotificationsEnabled] = useState(true);
-
-    // Track previous prices for cross detection
-    const previousPrices = useRef({});
+    const { wsConnection, sendWsMessage, onAlertTriggered } = useDataContext();
 
     const loadAlerts = useCallback(async () => {
         const allAlerts = await getAlerts();
@@ -102,30 +101,32 @@ export function AlertProvider({ children }) {
         return updated;
     }, [loadAlerts]);
 
-    // Check price against alerts (called from DataContext on price updates)
-    const checkPriceAlerts = useCallback(async (symbol, currentPrice) => {
-        const previousPrice = previousPrices.current[symbol] || null;
-        previousPrices.current[symbol] = currentPrice;
-
-        const triggered = await checkAlerts(symbol, currentPrice, previousPrice);
-
-        if (triggered.length > 0) {
-            const newTriggered = [];
-
-            for (const alert of triggered) {
-                const event = fireAlertNotifications(alert, currentPrice);
-                newTriggered.push(event);
-            }
-
-            setTriggeredAlerts(prev => [...prev, ...newTriggered]);
-            await loadAlerts();
-
-            return newTriggered;
-        }
-
-        return [];
+    // The service evaluates alerts for every symbol; send it the stored definitions
+    // on every (re)connect and after every change. Read from IndexedDB rather than
+    // state so another window's changes are not overwritten with a stale list.
+    useEffect(() => {
+        if (!wsConnection) return;
+        let cancelled = false;
+        getAlerts().then((storedAlerts) => {
+            if (!cancelled) sendWsMessage({ action: 'syncAlerts', alerts: storedAlerts });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [wsConnection, alerts, sendWsMessage]);
+
+    // Triggers are broadcast to every window; each stores the state and notifies
+    const handleAlertTriggered = useCallback(async ({ alert: triggeredAlert, currentPrice } = {}) => {
+        const alert = await applyAlertTrigger(triggeredAlert);
+        if (!alert) return;
+
+        const event = fireAlertNotifications(alert, currentPrice);
+        setTriggeredAlerts(prev => [...prev, event]);
+        await loadAlerts();
     }, [loadAlerts]);
 
+    useEffect(() => onAlertTriggered(handleAlertTriggered), [onAlertTriggered, handleAlertTriggered]);
+
     // Clear triggered alerts
     const clearTriggeredAlerts = useCallback(() => {
         setTriggeredAlerts([]);
@@ -158,7 +159,6 @@ export function AlertProvider({ children }) {
         loadAlerts,
         requestPermission,
         enableAudio,
-        checkPriceAlerts,
         clearTriggeredAlerts,
         dismissTriggeredAlert,
         getAlertsForSymbol,
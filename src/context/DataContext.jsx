@@ -1,15 +1,23 @@
 import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import useWebSocket from '../hooks/useWebSocket';
-import { parseData, balanceUpdate } from '../utils/utils';
-import { DEFAULT_PANEL } from '../constants';
+import { parseData, balanceUpdate, groupTradeHistory } from '../utils/utils';
+import { DEFAULT_PANEL, DEPTH_SYNC_STATES } from '../constants';
 import { calculatePrecision, DEFAULT_PRECISION } from '../utils/precision';
+import { formatKillSwitchSummary } from '../utils/operations';
 import { readStorage, writeStorage } from '../utils/storage';
+import { withSessionToken } from '../utils/session';
+import { getIntervalMs, isTradeBarInterval } from '../utils/chart-utils';
 import {
   initCache,
   getCachedCandles,
+  mergeCandles,
   setCachedCandles,
-  mergeCandles as _mergeCandles,
+  mergeCachedCandles,
+  appendCachedCandles,
+  getCachedCandlesBefore,
   getCacheStats,
+  getAccountFills,
+  saveAccountFills,
 } from '../utils/cache';
 import { incrementTradeCount } from '../utils/pnl';
 import {
@@ -111,24 +119,6 @@ const mockFilters = {
   },
 };
 
-const INTERVAL_TO_MS = {
-  '1m': 60_000,
-  '3m': 180_000,
-  '5m': 300_000,
-  '15m': 900_000,
-  '30m': 1_800_000,
-  '1h': 3_600_000,
-  '2h': 7_200_000,
-  '4h': 14_400_000,
-  '6h': 21_600_000,
-  '8h': 28_800_000,
-  '12h': 43_200_000,
-  '1d': 86_400_000,
-  '3d': 259_200_000,
-  '1w': 604_800_000,
-  '1M': 2_592_000_000,
-};
-
 const DEFAULT_TRADE_PAIRS = ['PAXUSDT', 'BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'ADAUSDT'];
 const MIN_TRADE_NOTIONAL_BTC = 0.01;
 const DEFAULT_TRADE_NOTIONAL_USDT = 150;
@@ -139,6 +129,13 @@ const ANALYTICS_AVAILABLE = true;
 const ANALYTICS_POLL_INTERVAL = 45000;
 const ANALYTICS_LIMIT = 40;
 
+// Scroll-back history: candles per page, and how long an unanswered request blocks the next one
+const HISTORY_PAGE_SIZE = 500;
+const HISTORY_REQUEST_TIMEOUT_MS = 15000;
+
+// Trade bars only exist in the cache once they scroll out of the service's recent trades
+const TRADE_BAR_CACHE_LIMIT = 5000;
+
 const STORAGE_KEYS = {
   PANEL: 'panel',
   MARKET_HISTORY: 'market_history',
@@ -147,10 +144,13 @@ const STORAGE_KEYS = {
   TRADE_NOTIONAL_FILTER: 'trade_notional_filter',
   ACTIVITY_VOLUME_FILTER: 'activity_volume_filter',
   ANALYTICS_VOLUME_FILTER: 'analytics_volume_filter',
+  HOOKS: 'hooks',
 };
 const MARKET_HISTORY_LIMIT = 20;
 const DEFAULT_PANEL_STATE = { ...DEFAULT_PANEL, selected: 'PAXUSDT', market: 'USDT', interval: '1h' };
 const DEFAULT_MARKET_HISTORY = ['ETHUSDT', 'BNBUSDT'];
+// A test-fire answers after all retries of a slow hook; give up well after that
+const HOOK_TEST_TIMEOUT_MS = 120000;
 
 const normalizeSymbolKey = (symbol) => (symbol || '').toString().toUpperCase();
 
@@ -204,6 +204,27 @@ const normalizeCandle = (candle) => {
   return { ...candle, time: normalizedTime };
 };
 
+/**
+ * Add fills to a symbol's stored fills, replacing any with the same trade id
+ * @returns {Array} Oldest first
+ */
+const mergeAccountFills = (existing = [], incoming = []) => {
+  const byId = new Map(existing.map(fill => [fill.id, fill]));
+  incoming.forEach(fill => byId.set(fill.id, fill));
+  return Array.from(byId.values()).sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Scroll-back paging state of the detail chart, reset when symbol or interval changes
+ */
+const historyPagingFor = (pagingRef, symbol, interval) => {
+  const key = `${symbol}:${interval}`;
+  if (pagingRef.current?.key !== key) {
+    pagingRef.current = { key, pending: false, requestedAt: 0, exhausted: false };
+  }
+  return pagingRef.current;
+};
+
 const sanitizeCandles = (candles = []) => {
   if (!Array.isArray(candles)) return [];
   const normalized = candles
@@ -284,6 +305,8 @@ export const DataProvider = ({ children }) => {
   const MOCK_URL = localStorage.getItem('MOCK_WS_URL') || window.MOCK_WS_URL || import.meta.env.MOCK_WS_URL;
   const WS_URL = MOCK_URL || import.meta.env.VITE_WS_URL || `ws://localhost:${WS_PORT}`;
   console.log('Using WebSocket URL:', WS_URL, 'Mock:', MOCK_URL);
+  // Logged without the token; only the handshake carries it
+  const authenticatedWsUrl = withSessionToken(WS_URL);
 
   const initialPanelState = (() => {
     const storedPanel = readStorage(STORAGE_KEYS.PANEL, null);
@@ -302,8 +325,15 @@ export const DataProvider = ({ children }) => {
   const [miniCharts, setMiniCharts] = useState({});
   const [balances, setBalances] = useState({});
   const [orders, setOrders] = useState([]);
+  // TWAP / iceberg parents worked by the service, newest first
+  const [algoOrders, setAlgoOrders] = useState([]);
+  // Trailing stops tracked by the service until their exit is placed
+  const [trailingStops, setTrailingStops] = useState([]);
+  // Bracket orders (entry + OCO exits) worked by the service until they close
+  const [brackets, setBrackets] = useState([]);
   const [filters, setFilters] = useState(mockFilters);
   const [depth, setDepth] = useState({ bids: {}, asks: {} });
+  const [depthStatus, setDepthStatus] = useState(DEPTH_SYNC_STATES.LIVE);
   const [trades, setTrades] = useState([]);
   const [tradeNotionalFilter, setTradeNotionalFilter] = useState(() => {
     const stored = readStorage(STORAGE_KEYS.TRADE_NOTIONAL_FILTER, DEFAULT_TRADE_NOTIONAL_USDT);
@@ -320,11 +350,18 @@ export const DataProvider = ({ children }) => {
     const numeric = Number(stored);
     return Number.isFinite(numeric) && numeric > 0 ? numeric : DEFAULT_ANALYTICS_VOLUME_FILTER;
   });
+  const [hooks, setHooks] = useState(() => {
+    const stored = readStorage(STORAGE_KEYS.HOOKS, []);
+    return Array.isArray(stored) ? stored : [];
+  });
   const historyCacheFromStorage = buildHistoryCacheFromStorage(
     readStorage(STORAGE_KEYS.ORDER_HISTORY, []),
     initialPanelState.selected
   );
   const historyBySymbolRef = useRef(historyCacheFromStorage);
+  // Account fills per symbol from the trade history sync (IndexedDB), oldest first
+  const accountFillsRef = useRef({});
+  const accountFillsLoadRef = useRef(null);
   const [history, setHistory] = useState(() => {
     const key = normalizeSymbolKey(initialPanelState.selected);
     return historyBySymbolRef.current[key] ?? [];
@@ -349,30 +386,145 @@ export const DataProvider = ({ children }) => {
   }));
   const activityAbortControllerRef = useRef(null);
 
+  // Synced fills replace the per-symbol history once a symbol has any
+  const historyFromFills = useCallback((symbol) => {
+    const fills = accountFillsRef.current[normalizeSymbolKey(symbol)];
+    return fills?.length ? groupTradeHistory(fills) : null;
+  }, []);
+
   const updateHistoryCache = useCallback(
     (entries, symbolHint) => {
       if (!Array.isArray(entries)) return;
       const normalizedSymbol = resolveHistorySymbolFromEntries(entries, symbolHint ?? panel.selected);
-      historyBySymbolRef.current[normalizedSymbol] = entries;
-      writeStorage(STORAGE_KEYS.ORDER_HISTORY, historyBySymbolRef.current);
+      const fillHistory = historyFromFills(normalizedSymbol);
+      if (!fillHistory) {
+        historyBySymbolRef.current[normalizedSymbol] = entries;
+        writeStorage(STORAGE_KEYS.ORDER_HISTORY, historyBySymbolRef.current);
+      }
       if (normalizedSymbol === normalizeSymbolKey(panel.selected)) {
-        setHistory(entries);
+        setHistory(fillHistory ?? entries);
       }
     },
-    [panel.selected]
+    [panel.selected, historyFromFills]
   );
 
   // Get all history across all symbols (for P&L calculation)
   const getAllHistory = useCallback(() => {
+    const symbols = new Set([
+      ...Object.keys(historyBySymbolRef.current),
+      ...Object.keys(accountFillsRef.current),
+    ]);
     const allHistory = [];
-    Object.values(historyBySymbolRef.current).forEach(symbolHistory => {
+    symbols.forEach(symbol => {
+      const symbolHistory = historyFromFills(symbol) ?? historyBySymbolRef.current[symbol];
       if (Array.isArray(symbolHistory)) {
         allHistory.push(...symbolHistory);
       }
     });
     return allHistory;
+  }, [historyFromFills]);
+
+  /**
+   * Store fills from the trade history sync or a live execution
+   * @param {{ symbol: string, trades: Array }} batch - Fills in Binance myTrades shape
+   */
+  const handleAccountTrades = useCallback((batch) => {
+    const symbol = normalizeSymbolKey(batch?.symbol);
+    if (!symbol || !Array.isArray(batch.trades) || !batch.trades.length) return;
+    accountFillsRef.current[symbol] = mergeAccountFills(accountFillsRef.current[symbol], batch.trades);
+    saveAccountFills(batch.trades)
+      .catch(err => console.error('Fill cache write error:', err));
+    if (symbol === normalizeSymbolKey(panel.selected)) {
+      setHistory(historyFromFills(symbol));
+    }
+  }, [panel.selected, historyFromFills]);
+
+  // Handlers for alert triggers from the service's price alert evaluator (see AlertProvider)
+  const alertTriggerHandlersRef = useRef(new Set());
+
+  /**
+   * Register a handler for alert triggers
+   * @param {Function} handler - ({ alert, currentPrice, timestamp })
+   * @returns {Function} Unregisters the handler
+   */
+  const onAlertTriggered = useCallback((handler) => {
+    alertTriggerHandlersRef.current.add(handler);
+    return () => {
+      alertTriggerHandlersRef.current.delete(handler);
+    };
   }, []);
 
+  // Pending hook test-fires by request id
+  const hookTestsRef = useRef(new Map());
+
+  const handleHookResult = useCallback((result) => {
+    const pending = hookTestsRef.current.get(result?.requestId);
+    if (!pending) return;
+    hookTestsRef.current.delete(result.requestId);
+    clearTimeout(pending.timer);
+    pending.resolve(result);
+  }, []);
+
+  // Last known status per algo parent, so each status change is notified once
+  const algoStatusRef = useRef(new Map());
+
+  const handleAlgoUpdate = useCallback((parent) => {
+    if (!parent?.id) return;
+    setAlgoOrders(prev => (prev.some(item => item.id === parent.id)
+      ? prev.map(item => (item.id === parent.id ? parent : item))
+      : [parent, ...prev]));
+
+    const previous = algoStatusRef.current.get(parent.id);
+    algoStatusRef.current.set(parent.id, parent.status);
+    if (previous === parent.status) return;
+    const label = `${parent.algo} ${parent.side} ${parent.symbol}`;
+    if (parent.status === 'COMPLETED') {
+      notifications?.notifySuccess(`${label} completed: ${parent.filledQty} filled${parent.avgPrice ? ` at ${parent.avgPrice}` : ''}`);
+    } else if (parent.status === 'FAILED') {
+      notifications?.notifyError(`${label} failed: ${parent.reason ?? 'Unknown error'}`);
+    } else if (parent.status === 'PAUSED' && parent.reason) {
+      notifications?.notifyWarning(`${label} paused: ${parent.reason}`);
+    }
+  }, [notifications]);
+
+  const handleTrailingUpdate = useCallback((stop) => {
+    if (!stop?.id) return;
+    if (stop.status === 'ACTIVE' || stop.status === 'TRIGGERING') {
+      setTrailingStops(prev => (prev.some(item => item.id === stop.id)
+        ? prev.map(item => (item.id === stop.id ? stop : item))
+        : [stop, ...prev]));
+      return;
+    }
+
+    setTrailingStops(prev => prev.filter(item => item.id !== stop.id));
+    const label = `Trailing ${stop.side} ${stop.symbol}`;
+    if (stop.status === 'TRIGGERED') {
+      notifications?.notifySuccess(`${label} triggered at ${stop.triggerPrice}: ${stop.exitType} exit placed`);
+    } else if (stop.status === 'FAILED') {
+      notifications?.notifyError(`${label} exit failed: ${stop.reason ?? 'Unknown error'}`);
+    }
+  }, [notifications]);
+
+  const handleBracketUpdate = useCallback((bracket) => {
+    if (!bracket?.id) return;
+    if (bracket.status === 'PENDING' || bracket.status === 'ACTIVE') {
+      setBrackets(prev => (prev.some(item => item.id === bracket.id)
+        ? prev.map(item => (item.id === bracket.id ? bracket : item))
+        : [...prev, bracket]));
+      return;
+    }
+
+    setBrackets(prev => prev.filter(item => item.id !== bracket.id));
+    const label = `Bracket ${bracket.side} ${bracket.symbol}`;
+    if (bracket.status === 'COMPLETED') {
+      notifications?.notifySuccess(`${label} closed${bracket.reason ? `: ${bracket.reason}` : ''}`);
+    } else if (bracket.status === 'FAILED') {
+      notifications?.notifyError(`${label} failed: ${bracket.reason ?? 'Unknown error'}`);
+    } else if (bracket.reason) {
+      notifications?.notifyWarning(`${label} canceled: ${bracket.reason}`);
+    }
+  }, [notifications]);
+
   const refreshAnalytics = useCallback(async () => {
     if (analyticsAbortControllerRef.current) {
       analyticsAbortControllerRef.current.abort();
@@ -494,6 +646,9 @@ export const DataProvider = ({ children }) => {
       ? storedMarketHistory
       : DEFAULT_MARKET_HISTORY;
   });
+  // Read by the cache and trade sync callbacks, which outlive a render
+  const panelRef = useRef(panel);
+  const marketHistoryRef = useRef(marketHistory);
   const [updateChart, setUpdateChart] = useState(true);
   const [isFinal, setIsFinal] = useState(false);
 
@@ -527,19 +682,36 @@ export const DataProvider = ({ children }) => {
 
   // Offline/cache mode
   const [isOffline, setIsOffline] = useState(!navigator.onLine);
-  const [cacheStats, setCacheStats] = useState({ candles: 0, trades: 0, alerts: 0, exchangeInfo: false });
+  const [cacheStats, setCacheStats] = useState({ candles: 0, trades: 0, alerts: 0, fills: 0, exchangeInfo: false });
   const cacheInitialized = useRef(false);
 
   // Initialize cache on mount
   useEffect(() => {
     if (!cacheInitialized.current) {
       cacheInitialized.current = true;
-      initCache().then(() => {
+      const cacheReady = initCache().then(() => {
         console.log('Cache initialized');
         getCacheStats().then(setCacheStats);
-      }).catch(err => {
+      });
+      cacheReady.catch(err => {
         console.error('Cache init failed:', err);
       });
+      // Fills that arrived while loading are newer than the stored ones
+      accountFillsLoadRef.current = cacheReady
+        .then(() => getAccountFills())
+        .then((fills) => {
+          const bySymbol = {};
+          fills.forEach(fill => {
+            const symbol = normalizeSymbolKey(fill.symbol);
+            (bySymbol[symbol] ??= []).push(fill);
+          });
+          Object.entries(bySymbol).forEach(([symbol, stored]) => {
+            accountFillsRef.current[symbol] = mergeAccountFills(stored, accountFillsRef.current[symbol]);
+          });
+          const selectedHistory = historyFromFills(panelRef.current.selected);
+          if (selectedHistory) setHistory(selectedHistory);
+        })
+        .catch(err => console.error('Fill cache load failed:', err));
     }
 
     // Listen for online/offline events
@@ -561,7 +733,7 @@ export const DataProvider = ({ children }) => {
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
     };
-  }, [notifications]);
+  }, [notifications, historyFromFills]);
 
   useEffect(() => {
     refreshAnalytics();
@@ -609,20 +781,28 @@ export const DataProvider = ({ children }) => {
   const isFinalRef = useRef(isFinal);
   const throttleRef = useRef(throttle);
   const pendingPairRef = useRef(null);
+  const chartDataRef = useRef(chart);
+  const historyPagingRef = useRef(null);
 
   useEffect(() => {
     isFinalRef.current = isFinal;
   }, [isFinal]);
 
+  useEffect(() => {
+    chartDataRef.current = chart;
+  }, [chart]);
+
   useEffect(() => {
     throttleRef.current = throttle;
   }, [throttle]);
 
   useEffect(() => {
+    panelRef.current = panel;
     writeStorage(STORAGE_KEYS.PANEL, panel);
   }, [panel]);
 
   useEffect(() => {
+    marketHistoryRef.current = marketHistory;
     if (!Array.isArray(marketHistory)) return;
     writeStorage(
       STORAGE_KEYS.MARKET_HISTORY,
@@ -646,6 +826,10 @@ export const DataProvider = ({ children }) => {
     writeStorage(STORAGE_KEYS.ANALYTICS_VOLUME_FILTER, analyticsVolumeFilter);
   }, [analyticsVolumeFilter]);
 
+  useEffect(() => {
+    writeStorage(STORAGE_KEYS.HOOKS, hooks);
+  }, [hooks]);
+
   useEffect(() => {
     return () => {
       if (chartFlushTimerRef.current) {
@@ -671,8 +855,9 @@ export const DataProvider = ({ children }) => {
         if (!changed) return prev;
         if (allowAppend) {
           if (appended) {
-            isFinalRef.current = false;
-            setIsFinal(false);
+            // Trade bars can arrive already closed, e.g. several Renko bricks at once
+            isFinalRef.current = Boolean(candle.isFinal);
+            setIsFinal(Boolean(candle.isFinal));
           }
         } else if (candle.isFinal) {
           isFinalRef.current = true;
@@ -715,8 +900,8 @@ export const DataProvider = ({ children }) => {
       if (!changed) return prev;
       if (allowAppend) {
         if (appended) {
-          isFinalRef.current = false;
-          setIsFinal(false);
+          isFinalRef.current = Boolean(candle.isFinal);
+          setIsFinal(Boolean(candle.isFinal));
         }
       } else if (candle.isFinal) {
         isFinalRef.current = true;
@@ -731,7 +916,7 @@ export const DataProvider = ({ children }) => {
       if (!trade) return;
       setChart((prev) => {
         if (!prev.length) return prev;
-        const intervalMs = INTERVAL_TO_MS[detailSubscription.interval];
+        const intervalMs = getIntervalMs(detailSubscription.interval);
         if (!intervalMs) return prev;
         const tradePrice = parseFloat(trade.p ?? trade.price ?? trade.lastPrice);
         if (!Number.isFinite(tradePrice)) return prev;
@@ -891,8 +1076,9 @@ export const DataProvider = ({ children }) => {
         const symbolKey = normalizeSymbolKey(nextSelected);
         const cachedHistory = historyBySymbolRef.current[symbolKey] ?? [];
         historyBySymbolRef.current[symbolKey] = cachedHistory;
-        setHistory(cachedHistory);
+        setHistory(historyFromFills(symbolKey) ?? cachedHistory);
         setDepth({ bids: {}, asks: {} });
+        setDepthStatus(DEPTH_SYNC_STATES.LIVE);
         setIsLoading(true);
         setLoadingMessage(`Loading ${nextSelected}...`);
       } else {
@@ -923,7 +1109,84 @@ export const DataProvider = ({ children }) => {
         panelState: nextPanel
       }));
     }
-  }, [panel]);
+  }, [panel, historyFromFills]);
+
+  // Optimistic order actions awaiting confirmation, keyed by `place:<clientOrderId>` / `cancel:<orderId>`
+  const pendingOrderActionsRef = useRef(new Map());
+
+  /**
+   * Apply an order action to local state before the exchange confirms it.
+   * An `order_error` for the same request rolls the change back.
+   * @param {'place'|'cancel'} kind
+   * @param {Object} order - place: { clientOrderId, symbol, side, price, quantity, orderType }; cancel: { orderId }
+   */
+  const applyOptimisticOrder = useCallback((kind, order) => {
+    if (kind === 'place' && order?.clientOrderId) {
+      pendingOrderActionsRef.current.set(`place:${order.clientOrderId}`, { kind });
+      setOrders(prev => [...prev, {
+        orderId: order.clientOrderId,
+        clientOrderId: order.clientOrderId,
+        symbol: order.symbol,
+        side: order.side,
+        price: order.price,
+        origQty: order.quantity,
+        type: order.orderType || 'LIMIT',
+        status: 'PENDING',
+        time: Date.now(),
+        pending: true,
+      }]);
+      return;
+    }
+    if (kind === 'cancel' && order?.orderId !== undefined) {
+      const target = orders.find(item => String(item.orderId) === String(order.orderId));
+      if (!target) return;
+      pendingOrderActionsRef.current.set(`cancel:${order.orderId}`, { kind, order: target });
+      setOrders(prev => prev.filter(item => item !== target));
+    }
+  }, [orders]);
+
+  const rollbackOptimisticOrder = useCallback((request = {}) => {
+    const pending = pendingOrderActionsRef.current;
+    const placeKey = request.newClientOrderId && `place:${request.newClientOrderId}`;
+    const cancelKey = (request.orderId ?? request.id) !== undefined && `cancel:${request.orderId ?? request.id}`;
+
+    if (placeKey && pending.has(placeKey)) {
+      pending.delete(placeKey);
+      setOrders(prev => prev.filter(item => item.clientOrderId !== request.newClientOrderId || !item.pending));
+    } else if (cancelKey && pending.has(cancelKey)) {
+      const { order } = pending.get(cancelKey);
+      pending.delete(cancelKey);
+      setOrders(prev => (prev.some(item => item.orderId === order.orderId) ? prev : [...prev, order]));
+    }
+  }, []);
+
+  // An execution report confirms the action, so a later order_error for it has nothing to roll back
+  const settleOptimisticOrder = useCallback((report = {}) => {
+    const pending = pendingOrderActionsRef.current;
+    if (report.clientOrderId) pending.delete(`place:${report.clientOrderId}`);
+    if (report.orderId !== undefined && report.orderId !== null) pending.delete(`cancel:${report.orderId}`);
+  }, []);
+
+  /**
+   * Prepend a scroll-back page from the service and merge it into the candle cache
+   */
+  const handleHistoryPage = useCallback((symbol, interval, payload, extra) => {
+    const paging = historyPagingFor(historyPagingRef, symbol, interval);
+    paging.pending = false;
+    if (extra?.failed) return;
+
+    const page = sanitizeCandles(payload);
+    if (page.length < (extra?.limit ?? HISTORY_PAGE_SIZE)) {
+      // Binance has nothing older: the chart starts at the market's first candle
+      paging.exhausted = true;
+    }
+    if (!page.length) return;
+
+    setChart(prev => mergeCandles(page, prev));
+    mergeCachedCandles(symbol, interval, mergeCandles(page, chartDataRef.current))
+      .then(() => getCacheStats().then(setCacheStats))
+      .catch(err => console.error('Cache write error:', err));
+  }, []);
 
   /**
    * Handle global messages (ticker, filters, balances, orders)
@@ -975,9 +1238,12 @@ export const DataProvider = ({ children }) => {
         const latestCandle = normalizeCandle(extra);
 
         // Determine if this is a full data load or incremental update
-        // Full loads have many candles (e.g., 100+), incremental updates have 1-2
-        const isFullDataLoad = sanitizedChartData.length > 10;
-        const isIncrementalUpdate = sanitizedChartData.length <= 2 && latestCandle;
+        // Full loads have many candles (e.g., 100+), incremental updates have 1-2.
+        // Trade bars start from the recent trades, which may give only a few bars; the
+        // service sends no live bars before them.
+        const tradeBars = isTradeBarInterval(panel.interval);
+        const isFullDataLoad = tradeBars ? updateChart : sanitizedChartData.length > 10;
+        const isIncrementalUpdate = !isFullDataLoad && sanitizedChartData.length <= 2 && latestCandle;
 
         // If we're expecting a full update but received only incremental data, skip it
         // This prevents race conditions when WebSocket stream updates arrive before REST data
@@ -990,6 +1256,10 @@ export const DataProvider = ({ children }) => {
         }
 
         if (chart.length && !updateChart && latestCandle) {
+          if (tradeBars && latestCandle.isFinal) {
+            appendCachedCandles(panel.selected, panel.interval, [latestCandle], TRADE_BAR_CACHE_LIMIT)
+              .catch(err => console.error('Cache write error:', err));
+          }
           if (throttle.state) {
             chartQueueRef.current.push(latestCandle);
             scheduleChartQueueFlush();
@@ -1017,10 +1287,17 @@ export const DataProvider = ({ children }) => {
             clearTimeout(chartFlushTimerRef.current);
             chartFlushTimerRef.current = null;
           }
-          setChart(sanitizedChartData);
+          // Trade bars continue the older bars shown from the cache
+          const firstTime = sanitizedChartData[0]?.time ?? Infinity;
+          const chartData = tradeBars
+            ? [...chartDataRef.current.filter(c => c.time < firstTime), ...sanitizedChartData]
+            : sanitizedChartData;
+          // A closed last trade bar lets the next live bar append
+          const lastIsFinal = tradeBars && Boolean(chartData[chartData.length - 1]?.isFinal);
+          setChart(chartData);
           setUpdateChart(false);
-          setIsFinal(false);
-          isFinalRef.current = false;
+          setIsFinal(lastIsFinal);
+          isFinalRef.current = lastIsFinal;
           if (pendingPairRef.current === `${panel.selected}:${panel.interval}`) {
             pendingPairRef.current = null;
           }
@@ -1028,8 +1305,11 @@ export const DataProvider = ({ children }) => {
           setIsChartLoading(false);
 
           // Cache the chart data
-          if (sanitizedChartData.length > 0) {
-            setCachedCandles(panel.selected, panel.interval, sanitizedChartData)
+          if (chartData.length > 0) {
+            const cacheWrite = tradeBars
+              ? setCachedCandles(panel.selected, panel.interval, chartData.slice(-TRADE_BAR_CACHE_LIMIT))
+              : mergeCachedCandles(panel.selected, panel.interval, sanitizedChartData);
+            cacheWrite
               .then(() => getCacheStats().then(setCacheStats))
               .catch(err => console.error('Cache write error:', err));
 
@@ -1039,8 +1319,8 @@ export const DataProvider = ({ children }) => {
             setMiniCharts(prev => ({
               ...prev,
               [miniKey]: {
-                data: sanitizedChartData,
-                lastTick: sanitizedChartData[sanitizedChartData.length - 1]
+                data: chartData,
+                lastTick: chartData[chartData.length - 1]
               }
             }));
           }
@@ -1052,6 +1332,10 @@ export const DataProvider = ({ children }) => {
         setDepth(payload);
         break;
 
+      case 'depth_status':
+        setDepthStatus(payload?.state ?? DEPTH_SYNC_STATES.LIVE);
+        break;
+
       case 'trades':
         if (Array.isArray(payload)) {
           const filteredTrades = payload.filter(tradePassesNotionalFilter);
@@ -1078,6 +1362,89 @@ export const DataProvider = ({ children }) => {
         updateHistoryCache(payload, payload?.[0]?.symbol ?? panel.selected);
         break;
 
+      case 'account_trades':
+        handleAccountTrades(payload);
+        break;
+
+      case 'alert_triggered':
+        alertTriggerHandlersRef.current.forEach(handler => handler(payload));
+        break;
+
+      case 'hook_result':
+        handleHookResult(payload);
+        break;
+
+      case 'algo_orders':
+        if (Array.isArray(payload)) {
+          algoStatusRef.current = new Map(payload.map(parent => [parent.id, parent.status]));
+          setAlgoOrders(payload);
+        }
+        break;
+
+      case 'algo_update':
+        handleAlgoUpdate(payload);
+        break;
+
+      case 'trailing_stops':
+        if (Array.isArray(payload)) setTrailingStops(payload);
+        break;
+
+      case 'trailing_update':
+        handleTrailingUpdate(payload);
+        break;
+
+      case 'bracket_orders':
+        if (Array.isArray(payload)) setBrackets(payload);
+        break;
+
+      case 'bracket_update':
+        handleBracketUpdate(payload);
+        break;
+
+      case 'order_error': {
+        rollbackOptimisticOrder(payload?.request);
+        const request = payload?.request ?? {};
+        const label = `${request.side ?? ''} ${request.symbol ?? ''}`.trim();
+        const what = {
+          cancelOrder: 'Cancel failed',
+          algoOrder: 'Algo order rejected',
+          algoControl: 'Algo control failed',
+          trailingStop: 'Trailing stop rejected',
+          cancelTrailingStop: 'Cancel failed',
+          bracketOrder: 'Bracket order rejected',
+          amendBracket: 'Bracket change failed',
+          cancelBracket: 'Cancel failed',
+          panic: 'Kill switch failed'
+        }[payload?.action] ?? 'Order rejected';
+        const code = payload?.code !== null && payload?.code !== undefined ? ` [${payload.code}]` : '';
+        notifications?.notifyError(`${what}${label ? ` (${label})` : ''}: ${payload?.reason ?? 'Unknown error'}${code}`);
+        break;
+      }
+
+      case 'panic_result': {
+        // Stays up until dismissed: it is the record of what the kill switch did
+        const { ok, message } = formatKillSwitchSummary(payload);
+        if (ok) {
+          notifications?.notifySuccess(message, 0);
+        } else {
+          notifications?.notifyError(message, 0);
+        }
+        break;
+      }
+
+      case 'order_replace': {
+        const label = `${payload?.side ?? ''} ${payload?.symbol ?? ''}`.trim();
+        const reason = payload?.reason ? `: ${payload.reason}` : '';
+        if (payload?.result === 'replaced') {
+          notifications?.notifySuccess(`Order amended (${label})`);
+        } else if (payload?.result === 'partial_failure') {
+          notifications?.notifyError(`Amend partially failed (${label}) - original order cancelled, replacement rejected${reason}`);
+        } else {
+          notifications?.notifyWarning(`Amend rejected (${label}) - original order left untouched${reason}`);
+        }
+        break;
+      }
+
       case 'balances':
       case 'balance_update':
         setBalances(prev => balanceUpdate(payload, prev));
@@ -1105,7 +1472,14 @@ export const DataProvider = ({ children }) => {
     tradePassesNotionalFilter,
     applyTradeToChart,
     touchChannel,
-    updateHistoryCache
+    updateHistoryCache,
+    handleAccountTrades,
+    handleHookResult,
+    handleAlgoUpdate,
+    handleTrailingUpdate,
+    handleBracketUpdate,
+    notifications,
+    rollbackOptimisticOrder
   ]);
 
   const handleSocketUpdate = useCallback((event, _connection) => {
@@ -1144,6 +1518,10 @@ export const DataProvider = ({ children }) => {
         if (channelId !== activeDetailChannelId) {
           setActiveDetailChannelId(channelId);
         }
+        if (type === 'history') {
+          handleHistoryPage(symbol, interval, payload, extra);
+          return;
+        }
         // Process channel data using the type
         handleChannelData(type, payload, extra, rawMessage);
         return;
@@ -1191,6 +1569,7 @@ export const DataProvider = ({ children }) => {
     if (!parsed) return;
 
     const { type, payload, extra, meta } = parsed;
+    if (type === 'execution_update') settleOptimisticOrder(parsed.report);
 
     const requestSymbol = meta?.symbol || detailSubscription.symbol;
     const requestInterval = meta?.interval || detailSubscription.interval;
@@ -1230,9 +1609,11 @@ export const DataProvider = ({ children }) => {
     panel,
     detailSubscription,
     handleChannelData,
+    handleHistoryPage,
     touchChannel,
     activeDetailChannelId,
     handleGlobalMessage,
+    settleOptimisticOrder,
   ]);
 
 
@@ -1251,7 +1632,128 @@ export const DataProvider = ({ children }) => {
     subscribe: subscribeChannel,
     unsubscribe: unsubscribeChannel,
     sendMessage: sendWsMessage
-  } = useWebSocket(WS_URL, detailSubscription, handleSocketUpdate);
+  } = useWebSocket(authenticatedWsUrl, detailSubscription, handleSocketUpdate);
+
+  // Sync the account's trade history on every (re)connect, from the last stored fill per symbol
+  useEffect(() => {
+    if (!wsConnection) return;
+    let cancelled = false;
+    Promise.resolve(accountFillsLoadRef.current).then(() => {
+      if (cancelled) return;
+      const cursors = {};
+      Object.entries(accountFillsRef.current).forEach(([symbol, fills]) => {
+        if (fills.length) cursors[symbol] = fills[fills.length - 1].id;
+      });
+      sendWsMessage({
+        action: 'syncTradeHistory',
+        cursors,
+        symbols: [panelRef.current.selected, ...marketHistoryRef.current],
+      });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [wsConnection, sendWsMessage]);
+
+  // The service runs the hooks; send it the settings on every (re)connect and after every change
+  useEffect(() => {
+    if (!wsConnection) return;
+    sendWsMessage({ action: 'syncHooks', hooks });
+  }, [wsConnection, hooks, sendWsMessage]);
+
+  /**
+   * Fire a hook once with a test event
+   * @param {Object} hook - Hook settings, saved or not
+   * @returns {Promise<{ ok: boolean, attempts?: number, status?: number, exitCode?: number, error?: string }>}
+   */
+  const testHook = useCallback((hook) => new Promise((resolve) => {
+    const requestId = `hook-test-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const timer = setTimeout(() => {
+      hookTestsRef.current.delete(requestId);
+      resolve({ ok: false, error: 'No answer from the service' });
+    }, HOOK_TEST_TIMEOUT_MS);
+    hookTestsRef.current.set(requestId, { resolve, timer });
+    if (!sendWsMessage({ action: 'testHook', hook, requestId })) {
+      hookTestsRef.current.delete(requestId);
+      clearTimeout(timer);
+      resolve({ ok: false, error: 'Not connected to the service' });
+    }
+  }), [sendWsMessage]);
+
+  /**
+   * Pause, resume or cancel an algo parent; the result comes back as algo_update
+   * @param {string} id - Parent id
+   * @param {'pause'|'resume'|'cancel'} command
+   */
+  const controlAlgoOrder = useCallback((id, command) => {
+    if (!sendWsMessage({ action: 'algoControl', id, command })) {
+      notifications?.notifyError('Not connected to the service');
+    }
+  }, [sendWsMessage, notifications]);
+
+  /**
+   * Stop trailing; the result comes back as trailing_update
+   * @param {string} id - Trailing stop id
+   */
+  const cancelTrailingStop = useCallback((id) => {
+    if (!sendWsMessage({ action: 'cancelTrailingStop', id })) {
+      notifications?.notifyError('Not connected to the service');
+    }
+  }, [sendWsMessage, notifications]);
+
+  /**
+   * Move the levels of a bracket (chart drags); the result comes back as bracket_update
+   * @param {string} id - Bracket id
+   * @param {{ price?: string, takeProfit?: string, stopLoss?: string }} changes
+   */
+  const amendBracket = useCallback((id, changes) => {
+    if (!sendWsMessage({ action: 'amendBracket', id, ...changes })) {
+      notifications?.notifyError('Not connected to the service');
+    }
+  }, [sendWsMessage, notifications]);
+
+  /**
+   * Pull a bracket's entry and exits; the result comes back as bracket_update
+   * @param {string} id - Bracket id
+   */
+  const cancelBracket = useCallback((id) => {
+    if (!sendWsMessage({ action: 'cancelBracket', id })) {
+      notifications?.notifyError('Not connected to the service');
+    }
+  }, [sendWsMessage, notifications]);
+
+  /**
+   * Load the candles before the detail chart's first one (scroll-back)
+   * Served from IndexedDB while the cached range reaches back far enough; only
+   * then is a page requested from the service, which spends REST weight.
+   */
+  const loadHistory = useCallback(async () => {
+    const { symbol, interval } = detailSubscription;
+    const oldest = chartDataRef.current?.[0]?.time;
+    if (!activeDetailChannelId || typeof oldest !== 'number') return;
+
+    const paging = historyPagingFor(historyPagingRef, symbol, interval);
+    if (paging.exhausted) return;
+    if (paging.pending && Date.now() - paging.requestedAt < HISTORY_REQUEST_TIMEOUT_MS) return;
+    paging.pending = true;
+    paging.requestedAt = Date.now();
+
+    const cached = await getCachedCandlesBefore(symbol, interval, oldest, HISTORY_PAGE_SIZE);
+    if (historyPagingRef.current !== paging) return;
+    if (cached.length) {
+      paging.pending = false;
+      setChart(prev => (prev[0]?.time === oldest ? mergeCandles(cached, prev) : prev));
+      return;
+    }
+
+    const sent = sendWsMessage({
+      action: 'loadHistory',
+      channelId: activeDetailChannelId,
+      endTime: oldest * 1000 - 1,
+      limit: HISTORY_PAGE_SIZE,
+    });
+    if (!sent) paging.pending = false;
+  }, [activeDetailChannelId, detailSubscription, sendWsMessage]);
 
   useEffect(() => {
     const WATCHDOG_INTERVAL = 5000;
@@ -1284,6 +1786,7 @@ export const DataProvider = ({ children }) => {
     orders,
     filters,
     depth,
+    depthStatus,
     trades,
     history,
     getAllHistory,
@@ -1305,16 +1808,29 @@ export const DataProvider = ({ children }) => {
     analyticsVolumeFilter,
     handleAnalyticsVolumeFilterChange,
     setChart,
+    loadHistory,
     setTrades,
     setHistory,
     setDepth,
     setOrders,
     setBalances,
+    applyOptimisticOrder,
+    algoOrders,
+    controlAlgoOrder,
+    trailingStops,
+    cancelTrailingStop,
+    brackets,
+    amendBracket,
+    cancelBracket,
     // Channel API for multi-chart support
     subscribeChannel,
     unsubscribeChannel,
     sendWsMessage,
     sendMessage: sendWsMessage,  // Alias for convenience
+    onAlertTriggered,
+    hooks,
+    saveHooks: setHooks,
+    testHook,
     activeDetailChannelId,
     // Mini charts data for MainView
     miniCharts,
@@ -1,8 +1,11 @@
-import { render, screen } from '@testing-library/react'
-import { describe, it, expect, vi } from 'vitest'
+import { render, screen, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { DataProvider, useDataContext } from './DataContext'
 import { NotificationProvider } from './NotificationProvider'
 import { attachMockLocalStorage } from '@/test/mocks'
+import useWebSocket from '../hooks/useWebSocket'
+import { appendCachedCandles, getAccountFills, getCachedCandlesBefore, mergeCachedCandles, saveAccountFills, setCachedCandles } from '../utils/cache'
+import { readStorage } from '../utils/storage'
 
 // Mock localStorage
 const _localStorageMock = attachMockLocalStorage()
@@ -24,12 +27,17 @@ vi.mock('../utils/storage', () => ({
     writeStorage: vi.fn()
 }))
 
-vi.mock('../utils/cache', () => ({
+vi.mock('../utils/cache', async (importOriginal) => ({
     initCache: vi.fn(() => Promise.resolve()),
     getCachedCandles: vi.fn(() => Promise.resolve(null)),
     setCachedCandles: vi.fn(() => Promise.resolve()),
-    mergeCandles: vi.fn(),
-    getCacheStats: vi.fn(() => Promise.resolve({ candles: 0, trades: 0, alerts: 0, exchangeInfo: false })),
+    mergeCandles: (await importOriginal()).mergeCandles,
+    mergeCachedCandles: vi.fn(() => Promise.resolve()),
+    appendCachedCandles: vi.fn(() => Promise.resolve()),
+    getCachedCandlesBefore: vi.fn(() => Promise.resolve([])),
+    getCacheStats: vi.fn(() => Promise.resolve({ candles: 0, trades: 0, alerts: 0, fills: 0, exchangeInfo: false })),
+    getAccountFills: vi.fn(() => Promise.resolve([])),
+    saveAccountFills: vi.fn(() => Promise.resolve()),
 }))
 
 // Test component to consume context
@@ -64,3 +72,250 @@ describe('DataContext', () => {
         expect(screen.getByTestId('market').textContent).toBe('USDT')
     })
 })
+
+describe('DataContext scroll-back history', () => {
+    const CHANNEL_ID = 'detail-PAXUSDT-1h-1'
+    const candle = (time) => ({ time, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 })
+    const candles = (from, count) => Array.from({ length: count }, (_, i) => candle(from + i * 3600))
+
+    let context
+    let sendMessage
+    const Capture = ({ onContext }) => {
+        onContext(useDataContext())
+        return null
+    }
+
+    // Deliver a service message through the handler DataContext gave useWebSocket
+    const receive = (message) => act(() => {
+        const handleSocketUpdate = useWebSocket.mock.calls.at(-1)[2]
+        handleSocketUpdate({ data: JSON.stringify({ channelId: CHANNEL_ID, symbol: 'PAXUSDT', interval: '1h', ...message }) })
+    })
+
+    beforeEach(() => {
+        sendMessage = vi.fn(() => true)
+        useWebSocket.mockReturnValue({ connection: null, subscribe: vi.fn(), unsubscribe: vi.fn(), sendMessage })
+        render(
+            <TestWrapper>
+                <DataProvider>
+                    <Capture onContext={(value) => { context = value }} />
+                </DataProvider>
+            </TestWrapper>
+        )
+        const loaded = candles(1700000000, 20)
+        receive({ type: 'chart', payload: loaded, extra: loaded.at(-1) })
+    })
+
+    it('should request the page before the first candle and prepend the answer', async () => {
+        await act(() => context.loadHistory())
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'loadHistory',
+            channelId: CHANNEL_ID,
+            endTime: 1700000000 * 1000 - 1,
+            limit: 500,
+        })
+
+        receive({ type: 'history', payload: candles(1700000000 - 3 * 3600, 3), extra: { endTime: 1700000000 * 1000 - 1, limit: 500 } })
+
+        expect(context.chart).toHaveLength(23)
+        expect(context.chart[0].time).toBe(1700000000 - 3 * 3600)
+        expect(mergeCachedCandles).toHaveBeenLastCalledWith('PAXUSDT', '1h', context.chart)
+
+        // A short page is the start of the market: nothing more to ask for
+        sendMessage.mockClear()
+        await act(() => context.loadHistory())
+        expect(sendMessage).not.toHaveBeenCalled()
+    })
+
+    it('should serve cached candles without asking the service', async () => {
+        getCachedCandlesBefore.mockResolvedValueOnce(candles(1700000000 - 2 * 3600, 2))
+
+        await act(() => context.loadHistory())
+
+        expect(getCachedCandlesBefore).toHaveBeenCalledWith('PAXUSDT', '1h', 1700000000, 500)
+        expect(sendMessage).not.toHaveBeenCalled()
+        expect(context.chart).toHaveLength(22)
+    })
+})
+
+describe('DataContext trade bars', () => {
+    const CHANNEL_ID = 'detail-PAXUSDT-tick100-1'
+    const bar = (time, isFinal) => ({ time, open: 1, high: 2, low: 0.5, close: 1.5, volume: 10, isFinal })
+
+    let context
+    const Capture = ({ onContext }) => {
+        onContext(useDataContext())
+        return null
+    }
+
+    const receive = (payload, extra = payload.at(-1)) => act(() => {
+        const handleSocketUpdate = useWebSocket.mock.calls.at(-1)[2]
+        handleSocketUpdate({ data: JSON.stringify({ channelId: CHANNEL_ID, symbol: 'PAXUSDT', interval: 'tick100', type: 'chart', payload, extra }) })
+    })
+
+    beforeEach(() => {
+        readStorage.mockImplementation((key, def) => (key === 'panel' ? { interval: 'tick100' } : def))
+        useWebSocket.mockReturnValue({ connection: null, subscribe: vi.fn(), unsubscribe: vi.fn(), sendMessage: vi.fn() })
+        render(
+            <TestWrapper>
+                <DataProvider>
+                    <Capture onContext={(value) => { context = value }} />
+                </DataProvider>
+            </TestWrapper>
+        )
+    })
+
+    it('should load a short seed and cache closed bars as they arrive', () => {
+        const seed = [bar(1700000000, true), bar(1700000005, false)]
+        receive(seed)
+
+        expect(context.chart).toHaveLength(2)
+        expect(setCachedCandles).toHaveBeenLastCalledWith('PAXUSDT', 'tick100', context.chart)
+
+        receive([bar(1700000005, true)])
+        expect(appendCachedCandles).toHaveBeenLastCalledWith('PAXUSDT', 'tick100', [bar(1700000005, true)], 5000)
+
+        // Bars that arrive closed (Renko bricks) still let the next one append
+        receive([bar(1700000006, true)])
+        receive([bar(1700000007, true)])
+        receive([bar(1700000008, false)])
+        expect(context.chart.map((candle) => candle.time)).toEqual([1700000000, 1700000005, 1700000006, 1700000007, 1700000008])
+    })
+})
+
+describe('DataContext account trade history', () => {
+    const fill = (symbol, id, time) => ({ symbol, id, orderId: id, price: '1.0000', qty: '10.00', quoteQty: '10', time, isBuyer: true })
+
+    let context
+    let sendMessage
+    const Capture = ({ onContext }) => {
+        onContext(useDataContext())
+        return null
+    }
+
+    const receive = (message) => act(() => {
+        const handleSocketUpdate = useWebSocket.mock.calls.at(-1)[2]
+        handleSocketUpdate({ data: JSON.stringify(message) })
+    })
+
+    beforeEach(async () => {
+        readStorage.mockImplementation((key, def) => def)
+        getAccountFills.mockResolvedValue([fill('PAXUSDT', 4, 1700000000000), fill('ETHUSDT', 9, 1700000000000)])
+        sendMessage = vi.fn(() => true)
+        useWebSocket.mockReturnValue({ connection: {}, subscribe: vi.fn(), unsubscribe: vi.fn(), sendMessage })
+        await act(async () => {
+            render(
+                <TestWrapper>
+                    <DataProvider>
+                        <Capture onContext={(value) => { context = value }} />
+                    </DataProvider>
+                </TestWrapper>
+            )
+        })
+    })
+
+    it('should sync from the last stored fill of every symbol once connected', () => {
+        expect(sendMessage).toHaveBeenCalledWith({
+            action: 'syncTradeHistory',
+            cursors: { PAXUSDT: 4, ETHUSDT: 9 },
+            symbols: ['PAXUSDT', 'ETHUSDT', 'BNBUSDT'],
+        })
+        expect(context.history).toHaveLength(1)
+    })
+
+    it('should store synced fills and rebuild the selected symbol history from them', () => {
+        const batch = [fill('PAXUSDT', 5, 1700000060000), fill('PAXUSDT', 6, 1700000120000)]
+        receive({ account_trades: { symbol: 'PAXUSDT', trades: batch } })
+
+        expect(saveAccountFills).toHaveBeenLastCalledWith(batch)
+        expect(context.history.map((entry) => entry.id)).toEqual([6, 5, 4])
+
+        // The 500 newest from the exchange no longer replace the longer synced history
+        receive({ history: [fill('PAXUSDT', 6, 1700000120000)] })
+        expect(context.history).toHaveLength(3)
+
+        receive({ account_trades: { symbol: 'ETHUSDT', trades: [fill('ETHUSDT', 10, 1700000060000)] } })
+        expect(context.history).toHaveLength(3)
+        expect(context.getAllHistory()).toHaveLength(5)
+    })
+})
+
+describe('DataContext alert triggers', () => {
+    let context
+    const Capture = ({ onContext }) => {
+        onContext(useDataContext())
+        return null
+    }
+
+    beforeEach(async () => {
+        readStorage.mockImplementation((key, def) => def)
+        getAccountFills.mockResolvedValue([])
+        useWebSocket.mockReturnValue({ connection: {}, subscribe: vi.fn(), unsubscribe: vi.fn(), sendMessage: vi.fn(() => true) })
+        await act(async () => {
+            render(
+                <TestWrapper>
+                    <DataProvider>
+                        <Capture onContext={(value) => { context = value }} />
+                    </DataProvider>
+                </TestWrapper>
+            )
+        })
+    })
+
+    it('should hand alert_triggered messages to the registered handlers', () => {
+        const handler = vi.fn()
+        const unregister = context.onAlertTriggered(handler)
+        const trigger = { alert: { id: 'alert-1', symbol: 'ETHUSDT', triggered: true }, currentPrice: 3010, timestamp: 1 }
+        const handleSocketUpdate = useWebSocket.mock.calls.at(-1)[2]
+
+        act(() => handleSocketUpdate({ data: JSON.stringify({ alert_triggered: trigger }) }))
+        unregister()
+        act(() => handleSocketUpdate({ data: JSON.stringify({ alert_triggered: trigger }) }))
+
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(handler).toHaveBeenCalledWith(trigger)
+    })
+})
+
+describe('DataContext hooks', () => {
+    let context
+    let sendMessage
+    const Capture = ({ onContext }) => {
+        onContext(useDataContext())
+        return null
+    }
+    const hook = { id: 'hook-1', kind: 'webhook', url: 'http://localhost:8080/hook', events: ['fill'], enabled: true }
+
+    beforeEach(async () => {
+        readStorage.mockImplementation((key, def) => (key === 'hooks' ? [hook] : def))
+        getAccountFills.mockResolvedValue([])
+        sendMessage = vi.fn(() => true)
+        useWebSocket.mockReturnValue({ connection: {}, subscribe: vi.fn(), unsubscribe: vi.fn(), sendMessage })
+        await act(async () => {
+            render(
+                <TestWrapper>
+                    <DataProvider>
+                        <Capture onContext={(value) => { context = value }} />
+                    </DataProvider>
+                </TestWrapper>
+            )
+        })
+    })
+
+    it('should sync the stored hooks once connected and after every change', () => {
+        expect(sendMessage).toHaveBeenCalledWith({ action: 'syncHooks', hooks: [hook] })
+
+        act(() => context.saveHooks([]))
+        expect(sendMessage).toHaveBeenLastCalledWith({ action: 'syncHooks', hooks: [] })
+    })
+
+    it('should resolve a test-fire with the matching hook_result', async () => {
+        const pending = context.testHook(hook)
+        const { requestId } = sendMessage.mock.calls.at(-1)[0]
+        expect(sendMessage).toHaveBeenLastCalledWith({ action: 'testHook', hook, requestId })
+
+        const handleSocketUpdate = useWebSocket.mock.calls.at(-1)[2]
+        act(() => handleSocketUpdate({ data: JSON.stringify({ hook_result: { requestId, hookId: 'hook-1', ok: true, attempts: 1, status: 200 } }) }))
+
+        await expect(pending).resolves.toMatchObject({ ok: true, status: 200 })
+    })
+})
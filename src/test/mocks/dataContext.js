@@ -83,6 +83,14 @@ export const createMockDataContextValue = ({
   setOrders,
   setBalances,
   setMarketHistory,
+  applyOptimisticOrder,
+  algoOrders,
+  controlAlgoOrder,
+  trailingStops,
+  cancelTrailingStop,
+  brackets,
+  amendBracket,
+  cancelBracket,
   ...extra
 } = {}) => ({
   panel: { ...DEFAULT_PANEL, ...(panel ?? {}) },
@@ -112,6 +120,14 @@ export const createMockDataContextValue = ({
   setOrders: setOrders ?? vi.fn(),
   setBalances: setBalances ?? vi.fn(),
   setMarketHistory: setMarketHistory ?? vi.fn(),
+  applyOptimisticOrder: applyOptimisticOrder ?? vi.fn(),
+  algoOrders: algoOrders ?? [],
+  controlAlgoOrder: controlAlgoOrder ?? vi.fn(),
+  trailingStops: trailingStops ?? [],
+  cancelTrailingStop: cancelTrailingStop ?? vi.fn(),
+  brackets: brackets ?? [],
+  amendBracket: amendBracket ?? vi.fn(),
+  cancelBracket: cancelBracket ?? vi.fn(),
   ...extra,
 });
 
@@ -237,62 +237,22 @@ export async function deleteAlertById(id) {
 }
 
 /**
- * Check if price triggers any alerts
- * @param {string} symbol - Trading pair symbol
- * @param {number} currentPrice - Current price
- * @param {number} previousPrice - Previous price (for cross detection)
- * @returns {Array} - Triggered alerts
+ * Store a trigger reported by the backend alert evaluator
+ * @param {Object} triggeredAlert - The alert with its triggered state (triggered, triggeredAt, lastPrice, active)
+ * @returns {Object|null} The stored alert, or null when it was deleted in the meantime
  */
-export async function checkAlerts(symbol, currentPrice, previousPrice) {
+export async function applyAlertTrigger(triggeredAlert) {
     const alerts = await getAlerts();
-    const triggered = [];
-
-    for (const alert of alerts) {
-        if (!alert.active || alert.symbol !== symbol) continue;
-        if (alert.triggered && !alert.repeat) continue;
-
-        let shouldTrigger = false;
-
-        switch (alert.type) {
-            case ALERT_TYPE.PRICE_ABOVE:
-                if (currentPrice >= alert.price && (previousPrice === null || previousPrice < alert.price)) {
-                    shouldTrigger = true;
-                }
-                break;
-
-            case ALERT_TYPE.PRICE_BELOW:
-                if (currentPrice <= alert.price && (previousPrice === null || previousPrice > alert.price)) {
-                    shouldTrigger = true;
-                }
-                break;
-
-            case ALERT_TYPE.PRICE_CROSS:
-                if (previousPrice !== null) {
-                    // Check if price crossed the alert level in either direction
-                    const crossedUp = previousPrice < alert.price && currentPrice >= alert.price;
-                    const crossedDown = previousPrice > alert.price && currentPrice <= alert.price;
-                    if (crossedUp || crossedDown) {
-                        shouldTrigger = true;
-                    }
-                }
-                break;
-        }
-
-        if (shouldTrigger) {
-            triggered.push(alert);
-
-            // Update alert state
-            await saveAlert({
-                ...alert,
-                triggered: true,
-                triggeredAt: Date.now(),
-                lastPrice: currentPrice,
-                active: alert.repeat, // Deactivate if not repeating
-            });
-        }
-    }
+    const alert = alerts.find(a => a.id === triggeredAlert?.id);
+    if (!alert) return null;
 
-    return triggered;
+    return await saveAlert({
+        ...alert,
+        triggered: true,
+        triggeredAt: triggeredAlert.triggeredAt ?? Date.now(),
+        lastPrice: triggeredAlert.lastPrice,
+        active: !!alert.repeat, // Deactivate if not repeating
+    });
 }
 
 /**
@@ -6,10 +6,11 @@
  * - Exchange info (filters, symbols)
  * - Recent trades per symbol
  * - Price alerts
+ * - Account fills (myTrades) across all symbols
  */
 
 const DB_NAME = 'TradingCache';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
 // Store names
 const STORES = {
@@ -17,6 +18,7 @@ const STORES = {
     EXCHANGE_INFO: 'exchangeInfo',
     TRADES: 'trades',
     ALERTS: 'alerts',
+    FILLS: 'fills',
 };
 
 // Cache expiry times (in milliseconds)
@@ -73,6 +75,12 @@ export async function initCache() {
                 alertStore.createIndex('symbol', 'symbol', { unique: false });
                 alertStore.createIndex('active', 'active', { unique: false });
             }
+
+            // Account fills store: key = "BTCUSDT:12345" (symbol:tradeId)
+            if (!database.objectStoreNames.contains(STORES.FILLS)) {
+                const fillStore = database.createObjectStore(STORES.FILLS, { keyPath: 'key' });
+                fillStore.createIndex('symbol', 'symbol', { unique: false });
+            }
         };
     });
 }
@@ -192,6 +200,74 @@ export function mergeCandles(cached, newCandles) {
     return Array.from(candleMap.values()).sort((a, b) => a.time - b.time);
 }
 
+/**
+ * Merge a gap-free run of candles into the cached candles for symbol:interval
+ * The cache holds one gap-free range so that everything older than a chart's first
+ * candle can be served from it. Overlapping ranges are merged; a range that does not
+ * overlap the cached one replaces it (the missing pages are fetched again on scroll-back).
+ */
+export async function mergeCachedCandles(symbol, interval, candles) {
+    if (!candles || candles.length === 0) return;
+
+    const cached = (await getCachedCandles(symbol, interval))?.candles;
+    const overlaps = cached?.length > 0 &&
+        cached[0].time <= candles[candles.length - 1].time &&
+        candles[0].time <= cached[cached.length - 1].time;
+
+    return setCachedCandles(symbol, interval, overlaps ? mergeCandles(cached, candles) : candles);
+}
+
+/**
+ * Add candles to the cached candles for symbol:interval, keeping the newest `limit`
+ * For trade bars, which cannot be fetched again: every closed bar is appended as it
+ * arrives. Read and write share one transaction so rapid appends do not lose each other.
+ */
+export async function appendCachedCandles(symbol, interval, candles, limit) {
+    if (!candles || candles.length === 0) return;
+
+    try {
+        const database = await getDB();
+        const key = `${symbol}:${interval}`;
+
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(STORES.CANDLES, 'readwrite');
+            const store = tx.objectStore(STORES.CANDLES);
+            const request = store.get(key);
+
+            request.onsuccess = () => {
+                const merged = mergeCandles(request.result?.candles, candles).slice(-limit);
+                store.put({
+                    key,
+                    symbol,
+                    interval,
+                    candles: merged,
+                    lastTime: merged[merged.length - 1].time,
+                    cachedAt: Date.now(),
+                });
+            };
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => {
+                console.error('Error appending to candle cache:', tx.error);
+                reject(tx.error);
+            };
+        });
+    } catch (error) {
+        console.error('appendCachedCandles error:', error);
+    }
+}
+
+/**
+ * Cached candles directly older than `beforeTime`
+ * Only served when the cached range reaches `beforeTime`, so the result joins the
+ * chart without a gap.
+ * @returns {Array} Up to `limit` candles, oldest first (empty when the cache cannot help)
+ */
+export async function getCachedCandlesBefore(symbol, interval, beforeTime, limit) {
+    const cached = (await getCachedCandles(symbol, interval))?.candles;
+    if (!cached?.some(c => c.time === beforeTime)) return [];
+    return cached.filter(c => c.time < beforeTime).slice(-limit);
+}
+
 // ============ EXCHANGE INFO CACHE ============
 
 /**
@@ -315,6 +391,55 @@ export async function setCachedTrades(symbol, trades) {
     }
 }
 
+// ============ ACCOUNT FILLS ============
+
+/**
+ * Get every stored account fill
+ * @returns {Array} Fills in Binance myTrades shape, unordered
+ */
+export async function getAccountFills() {
+    try {
+        const database = await getDB();
+
+        return new Promise((resolve) => {
+            const tx = database.transaction(STORES.FILLS, 'readonly');
+            const store = tx.objectStore(STORES.FILLS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve((request.result || []).map(({ key: _key, ...fill }) => fill));
+            request.onerror = () => resolve([]);
+        });
+    } catch (error) {
+        console.error('getAccountFills error:', error);
+        return [];
+    }
+}
+
+/**
+ * Save account fills; a fill already stored under the same symbol and trade id is replaced
+ */
+export async function saveAccountFills(fills) {
+    if (!fills || fills.length === 0) return;
+
+    try {
+        const database = await getDB();
+
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(STORES.FILLS, 'readwrite');
+            const store = tx.objectStore(STORES.FILLS);
+            fills.forEach((fill) => store.put({ ...fill, key: `${fill.symbol}:${fill.id}` }));
+
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => {
+                console.error('Error writing account fills:', tx.error);
+                reject(tx.error);
+            };
+        });
+    } catch (error) {
+        console.error('saveAccountFills error:', error);
+    }
+}
+
 // ============ ALERTS ============
 
 /**
@@ -417,13 +542,14 @@ export async function clearAllCaches() {
         const database = await getDB();
         
         const tx = database.transaction(
-            [STORES.CANDLES, STORES.EXCHANGE_INFO, STORES.TRADES],
+            [STORES.CANDLES, STORES.EXCHANGE_INFO, STORES.TRADES, STORES.FILLS],
             'readwrite'
         );
 
         tx.objectStore(STORES.CANDLES).clear();
         tx.objectStore(STORES.EXCHANGE_INFO).clear();
         tx.objectStore(STORES.TRADES).clear();
+        tx.objectStore(STORES.FILLS).clear();
 
         return new Promise((resolve) => {
             tx.oncomplete = () => {
@@ -449,11 +575,12 @@ export async function getCacheStats() {
             candles: 0,
             trades: 0,
             alerts: 0,
+            fills: 0,
             exchangeInfo: false,
         };
 
         const tx = database.transaction(
-            [STORES.CANDLES, STORES.TRADES, STORES.ALERTS, STORES.EXCHANGE_INFO],
+            [STORES.CANDLES, STORES.TRADES, STORES.ALERTS, STORES.FILLS, STORES.EXCHANGE_INFO],
             'readonly'
         );
 
@@ -467,6 +594,9 @@ export async function getCacheStats() {
             tx.objectStore(STORES.ALERTS).count().onsuccess = (e) => {
                 stats.alerts = e.target.result;
             };
+            tx.objectStore(STORES.FILLS).count().onsuccess = (e) => {
+                stats.fills = e.target.result;
+            };
             tx.objectStore(STORES.EXCHANGE_INFO).get('exchangeInfo').onsuccess = (e) => {
                 stats.exchangeInfo = !!e.target.result;
             };
@@ -476,7 +606,7 @@ export async function getCacheStats() {
         });
     } catch (error) {
         console.error('getCacheStats error:', error);
-        return { candles: 0, trades: 0, alerts: 0, exchangeInfo: false };
+        return { candles: 0, trades: 0, alerts: 0, fills: 0, exchangeInfo: false };
     }
 }
 
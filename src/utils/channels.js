@@ -13,7 +13,7 @@ export const CHANNEL_TYPES = {
 
 // What data each channel type receives
 export const CHANNEL_DATA_TYPES = {
-    [CHANNEL_TYPES.DETAIL]: ['chart', 'depth', 'trades', 'orders', 'balances', 'history', 'execution_update'],
+    [CHANNEL_TYPES.DETAIL]: ['chart', 'depth', 'depth_status', 'trades', 'orders', 'balances', 'history', 'execution_update'],
     [CHANNEL_TYPES.MINI]: ['chart'],
     [CHANNEL_TYPES.GLOBAL]: ['ticker', 'ticker_update', 'filters']
 };
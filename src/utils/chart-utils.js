@@ -1,3 +1,4 @@
+import { TRADE_BAR_INTERVAL_PATTERN } from '../constants';
 
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
@@ -22,8 +23,12 @@ export const toTimestamp = (time) => {
     return 0;
 };
 
+export const isTradeBarInterval = (interval) => TRADE_BAR_INTERVAL_PATTERN.test(interval ?? '');
+
 export const getIntervalUnit = (interval = '1h') => {
     if (!interval) return 'minutes';
+    // Trade bars can be seconds apart
+    if (isTradeBarInterval(interval)) return 'seconds';
     const suffix = interval.slice(-1);
     switch (suffix) {
         case 's':
@@ -43,6 +48,15 @@ export const getIntervalUnit = (interval = '1h') => {
     }
 };
 
+const UNIT_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000, M: 2_592_000_000 };
+
+// Interval length in ms for native and custom intervals ('90m', '2d'); null if unparseable
+export const getIntervalMs = (interval) => {
+    const match = /^(\d+)([smhdwM])$/.exec(interval ?? '');
+    if (!match) return null;
+    return parseInt(match[1], 10) * UNIT_MS[match[2]] || null;
+};
+
 export const formatTickLabel = (timestamp, unit) => {
     if (!timestamp) return '';
     const date = new Date(timestamp * 1000);
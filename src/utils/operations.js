@@ -25,12 +25,24 @@ export function buysell(data, balances, filters, connection, _retries = 0) {
     req['orderId'] = data['id']
     req['side'] = data['side']
     req['totalValue'] = data['totalValue']
-    req['price'] = (typeof data['yValue'] === 'string'
-        ? precisionTruncate(parseFloat(data['yValue']), precision['price'])
-        : precisionTruncate(data['yValue'], precision['price'])
-    ).toFixed(precision['price'])
+    req['orderType'] = data['orderType'] || 'LIMIT'
+    const isMarket = req['orderType'] === 'MARKET'
+    if (!isMarket) {
+        req['timeInForce'] = data['timeInForce'] || 'GTC'
+    }
+    if (!isMarket || data['yValue'] !== undefined) {
+        req['price'] = (typeof data['yValue'] === 'string'
+            ? precisionTruncate(parseFloat(data['yValue']), precision['price'])
+            : precisionTruncate(data['yValue'], precision['price'])
+        ).toFixed(precision['price'])
+    }
     // recalculate quantity to be equal to totalValue
-    if (req['side'] === 'BUY') {
+    if (isMarket && req['side'] === 'BUY') {
+        // spend exactly totalValue at whatever price the book gives us
+        req['quoteOrderQty'] = parseFloat(
+            precisionTruncate(req['totalValue'], precision['notional'])
+        )
+    } else if (req['side'] === 'BUY') {
         req['quantity'] = parseFloat(
             precisionTruncate(req['totalValue'] / req['price'], precision['quantity'])
         )
@@ -42,29 +54,21 @@ export function buysell(data, balances, filters, connection, _retries = 0) {
     req['request'] = req['side'] === 'SELL' ? 'sellOrder' : 'buyOrder'
 
     // check if we haven't broke any filter limits
-    filterCheck =
+    // (quote-sized MARKET buys have no quantity, MARKET orders have no limit price)
+    const quantityOk = req['quoteOrderQty'] !== undefined || (
         precision['minQty'] < req['quantity'] &&
-        req['quantity'] < precision['maxQty'] &&
+        req['quantity'] < precision['maxQty'])
+    const priceOk = isMarket || (
         precision['minPrice'] < req['price'] &&
-        req['price'] < precision['maxPrice'] &&
-        precision['status'] === 'TRADING'
+        req['price'] < precision['maxPrice'])
+    filterCheck = quantityOk && priceOk && precision['status'] === 'TRADING'
 
     if (!filterCheck) {
         let error = 'Filter check failed!\n'
-        if (
-            !(
-                precision['minQty'] < req['quantity'] &&
-                req['quantity'] < precision['maxQty']
-            )
-        ) {
+        if (!quantityOk) {
             error += 'Quantity is > or < than min/max allowed\n'
         }
-        if (
-            !(
-                precision['minPrice'] < req['price'] &&
-                req['price'] < precision['maxPrice']
-            )
-        ) {
+        if (!priceOk) {
             error += 'Price is > or < than min/max allowed\n'
         }
         if (precision['status'] !== 'TRADING') {
@@ -79,7 +83,7 @@ export function buysell(data, balances, filters, connection, _retries = 0) {
         // if we don't have enough money to put an order, put flag on to wait for 1sec (in case old order haven't cancelled yet)
         if (
             parseFloat(balances['BTC']['available']) <
-            req['quantity'] * req['price']
+            (req['quoteOrderQty'] ?? req['quantity'] * req['price'])
         )
             timeoutCheck = false
     } else {
@@ -105,7 +109,60 @@ export function serverDialog(data, connection) {
     connection.send(JSON.stringify({ request: 'notifyDialog', data: data }))
 }
 
-export function cancelAll(_data, _connection) { }
+/**
+ * Kill switch: cancel every open order on `data.symbol` (on every symbol without one) and,
+ * with `data.flatten`, market-sell the balances worth `data.dustThreshold` or more into
+ * `data.quoteAsset`. The service answers with a `panic_result` summary.
+ * @returns {boolean} Whether the request went out
+ */
+export function cancelAll(data, connection) {
+    if (!connection || connection.readyState !== WebSocket.OPEN) return false
+
+    let req = { action: 'panic', flatten: Boolean(data.flatten) }
+    if (data.symbol) req['symbol'] = data['symbol']
+    if (data.flatten) {
+        req['quoteAsset'] = data['quoteAsset']
+        req['dustThreshold'] = data['dustThreshold']
+    }
+
+    connection.send(JSON.stringify(req))
+    return true
+}
+
+/**
+ * One-line summary of a kill switch run for the notification
+ * @param {Object} summary - `panic_result` payload
+ * @returns {{ ok: boolean, message: string }} `ok` is false when anything failed
+ */
+export function formatKillSwitchSummary(summary = {}) {
+    const parts = []
+    const cancelled = summary.cancelled ?? []
+    const count = cancelled.reduce((total, entry) => total + entry.orders, 0)
+
+    parts.push(count > 0
+        ? `cancelled ${count} order${count === 1 ? '' : 's'} (${cancelled.map((entry) => `${entry.symbol} ${entry.orders}`).join(', ')})`
+        : 'no open orders')
+    if (summary.serviceOrders > 0) {
+        parts.push(`stopped ${summary.serviceOrders} service order${summary.serviceOrders === 1 ? '' : 's'}`)
+    }
+    if (summary.flatten) {
+        parts.push(summary.sold?.length
+            ? `sold ${summary.sold.map((sale) => `${sale.quantity} ${sale.asset} for ${sale.quoteQty} ${sale.symbol.slice(sale.asset.length)}`).join(', ')}`
+            : 'nothing sold')
+        if (summary.dust?.length) parts.push(`dust kept: ${summary.dust.join(', ')}`)
+        if (summary.skipped?.length) {
+            parts.push(`skipped ${summary.skipped.map((entry) => `${entry.asset} (${entry.reason})`).join(', ')}`)
+        }
+    }
+    if (summary.errors?.length) {
+        parts.push(`failed: ${summary.errors.map((entry) => `${entry.symbol ?? 'all'} ${entry.reason}`).join('; ')}`)
+    }
+
+    return {
+        ok: !summary.errors?.length,
+        message: `Kill switch (${summary.symbol ?? 'all symbols'}): ${parts.join('; ')}`
+    }
+}
 
 export function balanceUpdate(data, balances) {
     let st = Object.assign({}, balances);
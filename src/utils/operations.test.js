@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest'
+import { cancelAll, formatKillSwitchSummary } from './operations'
+
+describe('operations', () => {
+    describe('cancelAll', () => {
+        it('should send the kill switch request', () => {
+            const connection = { readyState: WebSocket.OPEN, send: vi.fn() }
+
+            expect(cancelAll({ symbol: 'BTCUSDT', flatten: false }, connection)).toBe(true)
+            expect(cancelAll({ symbol: null, flatten: true, quoteAsset: 'USDT', dustThreshold: 5 }, connection)).toBe(true)
+
+            expect(connection.send.mock.calls.map(([message]) => JSON.parse(message))).toEqual([
+                { action: 'panic', flatten: false, symbol: 'BTCUSDT' },
+                { action: 'panic', flatten: true, quoteAsset: 'USDT', dustThreshold: 5 }
+            ])
+        })
+
+        it('should not send without an open connection', () => {
+            const connection = { readyState: WebSocket.CLOSED, send: vi.fn() }
+
+            expect(cancelAll({ flatten: false }, connection)).toBe(false)
+            expect(cancelAll({ flatten: false }, null)).toBe(false)
+            expect(connection.send).not.toHaveBeenCalled()
+        })
+    })
+
+    describe('formatKillSwitchSummary', () => {
+        it('should list what was cancelled and sold', () => {
+            expect(formatKillSwitchSummary({
+                symbol: null,
+                flatten: true,
+                serviceOrders: 1,
+                cancelled: [{ symbol: 'ALTUSDT', orders: 2 }, { symbol: 'BTCUSDT', orders: 1 }],
+                sold: [{ asset: 'ALT', symbol: 'ALTUSDT', quantity: '12.3', quoteQty: '24.60' }],
+                dust: ['BTC'],
+                skipped: [],
+                errors: []
+            })).toEqual({
+                ok: true,
+                message: 'Kill switch (all symbols): cancelled 3 orders (ALTUSDT 2, BTCUSDT 1); stopped 1 service order; sold 12.3 ALT for 24.60 USDT; dust kept: BTC'
+            })
+        })
+
+        it('should flag failures', () => {
+            expect(formatKillSwitchSummary({
+                symbol: 'BTCUSDT',
+                flatten: false,
+                serviceOrders: 0,
+                cancelled: [],
+                errors: [{ symbol: 'BTCUSDT', reason: 'Too many requests. [-1003]' }]
+            })).toEqual({
+                ok: false,
+                message: 'Kill switch (BTCUSDT): no open orders; failed: BTCUSDT Too many requests. [-1003]'
+            })
+        })
+    })
+})
@@ -166,4 +166,48 @@ describe('Order Partial Fill Bug Reproduction', () => {
         // origQty should be 100 - 10 = 90
         expect(parseFloat(parsedOrder.origQty)).toBe(90);
     });
+
+    it('should replace an optimistic placeholder once the exchange confirms it', () => {
+        const pendingOrders = [{
+            orderId: 'cc-abc-123',
+            clientOrderId: 'cc-abc-123',
+            origQty: '1',
+            price: '10',
+            side: 'BUY',
+            symbol: 'BTCUSDT',
+            pending: true
+        }];
+
+        const updateMessage = JSON.stringify({
+            execution_update: {
+                e: 'executionReport',
+                s: 'BTCUSDT',
+                c: 'cc-abc-123',
+                S: 'BUY',
+                o: 'LIMIT',
+                q: '1',
+                p: '10',
+                x: 'NEW',
+                X: 'NEW',
+                i: 777,
+                T: 1600000000000
+            }
+        });
+
+        const result = parseData(updateMessage, pendingOrders, [], { market: 'USDT' });
+
+        expect(result.payload).toHaveLength(1);
+        expect(result.payload[0].orderId).toBe(777);
+        expect(result.payload[0].pending).toBeUndefined();
+        // Identifies the optimistic action the report settles
+        expect(result.report).toEqual({ orderId: 777, clientOrderId: 'cc-abc-123' });
+    });
+
+    it('should pass order_error messages through untouched', () => {
+        const error = { action: 'order', code: -2010, reason: 'Account has insufficient balance', request: { symbol: 'BTCUSDT' } };
+        const result = parseData(JSON.stringify({ order_error: error }), [], [], { market: 'USDT' });
+
+        expect(result.type).toBe('order_error');
+        expect(result.payload).toEqual(error);
+    });
 });
@@ -160,5 +160,22 @@ export const getMinMove = (precision) => {
     return Math.pow(10, -decimals);
 };
 
+/**
+ * Order book ladder step, in ticks, for the accuracy control.
+ * accuracy / rows is the step as a percent of price; the backend aggregates at
+ * tick multiples, so the step is snapped down to the 1-2-5 series of ticks.
+ */
+export const depthTickMultiple = (accuracy, rows, price, tickSize) => {
+  const tick = safePositiveNumber(tickSize, 0);
+  const mid = safePositiveNumber(price, 0);
+  if (!(accuracy > 0) || !(rows > 0) || !tick || !mid) return 1;
+
+  const ticks = (mid * accuracy) / rows / 100 / tick;
+  if (ticks < 2) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(ticks)));
+  const factor = [5, 2, 1].find((step) => step * magnitude <= ticks);
+  return factor * magnitude;
+};
+
 export { DEFAULT_PRECISION };
 
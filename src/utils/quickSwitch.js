@@ -0,0 +1,84 @@
+/**
+ * Quick Switch results
+ * Ranks the pairs or intervals matching the typed query. The query arrives upper-cased
+ * (pairs are typed that way), so intervals are matched without regard to case.
+ */
+
+import { INTERVALS, CUSTOM_INTERVAL_PATTERN, TRADE_BAR_INTERVALS, TRADE_BAR_INTERVAL_PATTERN } from '../constants';
+
+const SUFFIX_PRIORITY = ['USDT', 'BNB', 'BTC'];
+const UNIT_MULTIPLIERS = { m: 1, h: 60, d: 1440, w: 10080, M: 43200 };
+const MAX_RESULTS = 30;
+
+const prioritizePairs = (items) => {
+    const getPriority = (symbol) => {
+        const match = SUFFIX_PRIORITY.find((suffix) => symbol.endsWith(suffix));
+        return match ? SUFFIX_PRIORITY.indexOf(match) : SUFFIX_PRIORITY.length;
+    };
+    return [...items].sort((a, b) => {
+        const priorityDiff = getPriority(a) - getPriority(b);
+        if (priorityDiff !== 0) return priorityDiff;
+        return a.localeCompare(b);
+    });
+};
+
+const sortIntervals = (items) => {
+    const parseIntervalValue = (interval) => {
+        const match = /^(\d+)([mhdwM])$/.exec(interval);
+        if (!match) return Number.MAX_SAFE_INTEGER;
+        const [, value, unit] = match;
+        return parseInt(value, 10) * (UNIT_MULTIPLIERS[unit] ?? Number.MAX_SAFE_INTEGER);
+    };
+    return [...items].sort((a, b) => {
+        const diff = parseIntervalValue(a) - parseIntervalValue(b);
+        if (diff !== 0) return diff;
+        return a.localeCompare(b);
+    });
+};
+
+/**
+ * Interval spelled by the query, if it is a valid custom or trade-bar interval
+ * @param {string} query - e.g. "7M" or "TICK500"
+ * @returns {string|null} Lower-case interval, e.g. "7m" or "tick500"
+ */
+export const parseTypedInterval = (query) => {
+    const interval = (query ?? '').trim().toLowerCase();
+    return CUSTOM_INTERVAL_PATTERN.test(interval) || TRADE_BAR_INTERVAL_PATTERN.test(interval) ? interval : null;
+};
+
+/**
+ * Results for the quick switch
+ * @param {Object} options
+ * @param {string} options.mode - 'pair' | 'interval'
+ * @param {string} options.query
+ * @param {string[]} [options.pairs] - Tradable pairs
+ * @returns {string[]}
+ */
+export const getQuickSwitchResults = ({ mode, query, pairs = [] }) => {
+    const source = mode === 'pair' ? pairs : [...INTERVALS, ...TRADE_BAR_INTERVALS];
+    const search = (query ?? '').trim().toUpperCase();
+    let filtered;
+
+    if (search) {
+        const matches = source.filter((item) => item.toUpperCase().includes(search));
+        if (mode === 'pair') {
+            const startsWith = matches.filter((item) => item.toUpperCase().startsWith(search));
+            const contains = matches.filter((item) => !item.toUpperCase().startsWith(search));
+            filtered = [...prioritizePairs(startsWith), ...prioritizePairs(contains)];
+        } else {
+            filtered = sortIntervals(matches);
+        }
+    } else if (mode === 'pair') {
+        filtered = prioritizePairs(source);
+    } else {
+        filtered = sortIntervals(source);
+    }
+
+    // Offer a typed interval that is not listed, e.g. "7m" or "tick500"
+    const typedInterval = mode === 'interval' ? parseTypedInterval(query) : null;
+    if (typedInterval && !filtered.includes(typedInterval)) {
+        filtered = [typedInterval, ...filtered];
+    }
+
+    return filtered.slice(0, MAX_RESULTS);
+};
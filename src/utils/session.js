@@ -0,0 +1,20 @@
+import { SESSION_TOKEN_ARG } from '../constants';
+
+// Electron passes the token to this window only; plain browsers have no process.argv
+export function getSessionToken() {
+  const argv = typeof window !== 'undefined' ? window.process?.argv : undefined;
+  const arg = Array.isArray(argv) ? argv.find((value) => value.startsWith(SESSION_TOKEN_ARG)) : null;
+  return arg ? arg.slice(SESSION_TOKEN_ARG.length) : null;
+}
+
+// The service checks the token on the WebSocket handshake (?token=)
+export function withSessionToken(url, token = getSessionToken()) {
+  if (!token) return url;
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.set('token', token);
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
@@ -116,6 +116,15 @@ function parseTrades(data, market, requestId) {
 }
 
 function parseHistory(data, requestId) {
+    return { type: "history", payload: groupTradeHistory(data), requestId };
+}
+
+/**
+ * Combine myTrades fills executed in the same second into one history entry
+ * @param {Array} data - Fills, oldest first
+ * @returns {Array} Newest first
+ */
+export function groupTradeHistory(data) {
     let time,
         tmpData = {};
     data.forEach((item) => {
@@ -133,7 +142,7 @@ function parseHistory(data, requestId) {
             };
         }
     });
-    return { type: "history", payload: Object.values(tmpData).reverse(), requestId };
+    return Object.values(tmpData).reverse();
 }
 
 function parseHistoryEntry(data) {
@@ -192,7 +201,9 @@ function parseOrderUpdate(data, orders, history, requestId) {
         default:
     }
 
-    return { type: "execution_update", payload: orders, extra: history, requestId };
+    // Lets the context settle the optimistic action this report answers
+    const report = { orderId: data["i"] ?? data["orderId"], clientOrderId: data["c"] ?? data["clientOrderId"] };
+    return { type: "execution_update", payload: orders, extra: history, report, requestId };
 }
 
 function normalizeTimestamp(value) {
@@ -278,6 +289,14 @@ function parseCharts(data, lastTick, requestId) {
 
 const coinsToFilter = ["CBM", "JEX", "USDSB"];
 
+/**
+ * Generate a newClientOrderId for an order placed from the renderer.
+ * Binance accepts up to 36 chars of [.A-Za-z0-9:/_-].
+ */
+export function createClientOrderId() {
+    return `cc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
 export function parseData(data, orders, history, panel) {
     data = JSON.parse(data);
     const requestId = data.requestId;
@@ -309,6 +328,30 @@ export function parseData(data, orders, history, panel) {
             return parseTicker(data["ticker"], requestId);
         case "ticker_update":
             return parseTickerUpdate(data["ticker_update"], data["index"], requestId);
+        case "order_replace":
+            return { type: "order_replace", payload: data["order_replace"], requestId };
+        case "order_error":
+            return { type: "order_error", payload: data["order_error"], requestId };
+        case "account_trades":
+            return { type: "account_trades", payload: data["account_trades"], requestId };
+        case "alert_triggered":
+            return { type: "alert_triggered", payload: data["alert_triggered"], requestId };
+        case "hook_result":
+            return { type: "hook_result", payload: data["hook_result"], requestId };
+        case "algo_orders":
+            return { type: "algo_orders", payload: data["algo_orders"], requestId };
+        case "algo_update":
+            return { type: "algo_update", payload: data["algo_update"], requestId };
+        case "trailing_stops":
+            return { type: "trailing_stops", payload: data["trailing_stops"], requestId };
+        case "trailing_update":
+            return { type: "trailing_update", payload: data["trailing_update"], requestId };
+        case "bracket_orders":
+            return { type: "bracket_orders", payload: data["bracket_orders"], requestId };
+        case "bracket_update":
+            return { type: "bracket_update", payload: data["bracket_update"], requestId };
+        case "panic_result":
+            return { type: "panic_result", payload: data["panic_result"], requestId };
         default:
     }
 }
@@ -316,14 +359,21 @@ function fixOrder(data, orders, history, type) {
     let historyIds,
         status = data["x"] || data["status"];
     const orderId = data["i"] || data["orderId"];
+    const clientOrderId = data["c"] || data["clientOrderId"];
     let newOrders = [...orders];
     let newHistory = [...history];
 
+    // The exchange reported on an optimistic placement: drop its placeholder
+    if (clientOrderId) {
+        newOrders = newOrders.filter((el) => !(el.pending && el.clientOrderId === clientOrderId));
+    }
+
     switch (type) {
         case "new":
             if (newOrders.filter((el) => el.orderId === orderId).length === 0) {
                 newOrders.push({
                     orderId: orderId,
+                    clientOrderId: clientOrderId,
                     origQty:
                         data["q"] ||
                         parseFloat(data["origQty"]) - parseFloat(data["executedQty"]),
@@ -390,7 +440,8 @@ function parseHistoryPayload(data, orderId) {
 
     payload = {
         orderId: orderId,
-        price: data["p"] || data["price"],
+        // MARKET orders report price 0; fall back to the average fill price
+        price: parseFloat(data["p"] || data["price"]) > 0 ? data["p"] || data["price"] : data["L"] || data["p"] || data["price"],
         qty: data["z"] || data["executedQty"],
         isBuyer: (data["S"] || data["side"]) === "BUY" ? true : false,
         status: data["X"] || data["status"],